@@ -1,475 +1,8364 @@
 'use strict';
 
 var vscode = require('vscode');
-var jsBeautify = require('js-beautify');
 var vscodeHtmlLanguageservice = require('vscode-html-languageservice');
 var vscodeLanguageserverTextdocument = require('vscode-languageserver-textdocument');
+var vscodeCssLanguageservice = require('vscode-css-languageservice');
+var jsBeautify = require('js-beautify');
+
+/**
+ * Twig lexer
+ *
+ * Splits a template into a flat list of tokens carrying source offsets. The
+ * lexer never throws: unterminated tags, comments and strings are closed at
+ * the point where scanning stopped and reported through `errors`, so that
+ * half-typed templates in the editor can still be analysed.
+ */
+
+const TokenType = {
+    TEXT: 'text',
+    COMMENT: 'comment',
+    VAR_START: 'var_start',
+    VAR_END: 'var_end',
+    BLOCK_START: 'block_start',
+    BLOCK_END: 'block_end',
+    NAME: 'name',
+    NUMBER: 'number',
+    STRING: 'string',
+    OPERATOR: 'operator',
+    PUNCTUATION: 'punctuation',
+    EOF: 'eof'
+};
+
+// Longest first so that `<=>` wins over `<=` and `<`
+const SYMBOL_OPERATORS = [
+    '<=>', '...', '=>', '==', '!=', '<=', '>=', '//', '**', '??', '..',
+    '+', '-', '~', '*', '/', '%', '<', '>', '='
+];
+
+const WORD_OPERATOR_PATTERN = /^(?:not\s+in|is\s+not|starts\s+with|ends\s+with|has\s+some|has\s+every|b-and|b-xor|b-or|matches|not|and|xor|or|in|is)(?![\w\x7f-\uffff])/;
+
+const PUNCTUATION$1 = '()[]{}?:.,|';
+
+const OPENING_BRACKETS = { '(': ')', '[': ']', '{': '}' };
+
+const NAME_PATTERN$1 = /^[a-zA-Z_\x7f-\uffff][a-zA-Z0-9_\x7f-\uffff]*/;
+
+const NUMBER_PATTERN = /^\d[\d_]*(?:\.\d[\d_]*)?(?:[eE][+-]?\d+)?/;
+
+const TAG_START_PATTERN = /\{([{%#])([-~]?)/g;
+
+const RAW_TAGS$1 = ['verbatim', 'raw'];
+
+const ESCAPES = { n: '\n', t: '\t', r: '\r', v: '\v', f: '\f', e: '\x1b', '0': '\0' };
+
+/**
+ * Resolve backslash escapes in a string literal body
+ * @param {string} raw - String contents without the quotes
+ * @returns {string} - Unescaped value
+ */
+function unescapeString(raw) {
+    return raw.replace(/\\(.)/g, (match, char) => ESCAPES[char] !== undefined ? ESCAPES[char] : char);
+}
+
+/**
+ * Tokenize a Twig template
+ * @param {string} source - Template source
+ * @returns {{tokens: Array, errors: Array}} - Tokens and lexing errors
+ */
+function tokenize(source) {
+    const tokens = [];
+    const errors = [];
+    const length = source.length;
+    let pos = 0;
+
+    function error(message, start, end) {
+        errors.push({ message, start, end });
+    }
+
+    function skipWhitespace() {
+        while (pos < length && /\s/.test(source[pos])) {
+            pos++;
+        }
+    }
+
+    /**
+     * Does a new Twig delimiter start at the current position?
+     */
+    function atTagStart() {
+        return source[pos] === '{' && (source[pos + 1] === '{' || source[pos + 1] === '%' || source[pos + 1] === '#');
+    }
+
+    /**
+     * Match the closing delimiter of the current tag, with its trim modifier
+     */
+    function matchTagEnd(closing) {
+        let i = pos;
+        let trim = '';
+        if (source[i] === '-' || source[i] === '~') {
+            trim = source[i];
+            i++;
+        }
+        if (source.startsWith(closing, i)) {
+            return { trim, end: i + closing.length };
+        }
+        return null;
+    }
+
+    /**
+     * Scan a quoted string starting at the current position. Double quoted
+     * strings are split into literal and `#{...}` interpolation parts.
+     */
+    function scanString(output) {
+        const quote = source[pos];
+        const start = pos;
+        const parts = [];
+        let partStart = pos + 1;
+        pos++;
+
+        while (pos < length && source[pos] !== quote) {
+            if (source[pos] === '\\') {
+                pos += 2;
+                continue;
+            }
+            if (quote === '"' && source[pos] === '#' && source[pos + 1] === '{') {
+                parts.push({ type: 'string', value: unescapeString(source.substring(partStart, pos)), start: partStart, end: pos });
+                const interpolationStart = pos;
+                pos += 2;
+                const inner = [];
+                scanExpression(inner, '}');
+                parts.push({ type: 'interpolation', tokens: inner, start: interpolationStart, end: pos });
+                partStart = pos;
+                continue;
+            }
+            pos++;
+        }
+
+        const bodyEnd = Math.min(pos, length);
+        if (pos >= length) {
+            error('Unclosed string', start, length);
+        } else {
+            pos++;
+        }
+
+        const token = {
+            type: TokenType.STRING,
+            value: unescapeString(source.substring(partStart, bodyEnd)),
+            quote,
+            start,
+            end: pos
+        };
+        if (parts.length) {
+            parts.push({ type: 'string', value: token.value, start: partStart, end: bodyEnd });
+            token.value = source.substring(start + 1, bodyEnd);
+            token.parts = parts;
+        }
+        output.push(token);
+    }
+
+    /**
+     * Scan expression tokens until the closing delimiter. `closing` is `}}`,
+     * `%}` or `}` for string interpolations. Returns the trim modifier and
+     * bounds of the closing delimiter, or null when the tag is unterminated.
+     */
+    function scanExpression(output, closing) {
+        const brackets = [];
+
+        while (pos < length) {
+            skipWhitespace();
+            if (pos >= length) {
+                break;
+            }
+
+            const tokenStart = pos;
+            const char = source[pos];
+
+            if (closing !== '}' && (brackets.length === 0 || brackets[brackets.length - 1].char !== '{' || closing === '%}')) {
+                const end = matchTagEnd(closing);
+                if (end) {
+                    brackets.forEach(bracket => error(`Unclosed "${bracket.char}"`, bracket.start, bracket.start + 1));
+                    pos = end.end;
+                    return { trim: end.trim, start: tokenStart, end: end.end };
+                }
+            }
+
+            if (closing === '}' && char === '}' && brackets.length === 0) {
+                pos++;
+                return { trim: '', start: tokenStart, end: pos };
+            }
+
+            // A new tag opening inside an expression means this one was never closed
+            if (atTagStart() && closing !== '}') {
+                break;
+            }
+
+            if (char === '"' || char === '\'') {
+                scanString(output);
+                continue;
+            }
+
+            const number = source.substring(pos, pos + 64).match(NUMBER_PATTERN);
+            if (number) {
+                pos += number[0].length;
+                output.push({ type: TokenType.NUMBER, value: number[0], start: tokenStart, end: pos });
+                continue;
+            }
+
+            const previous = output[output.length - 1];
+            const afterAccessor = previous && previous.type === TokenType.PUNCTUATION && (previous.value === '.' || previous.value === '|');
+            if (!afterAccessor) {
+                const word = source.substring(pos, pos + 32).match(WORD_OPERATOR_PATTERN);
+                if (word) {
+                    pos += word[0].length;
+                    output.push({ type: TokenType.OPERATOR, value: word[0].replace(/\s+/, ' '), start: tokenStart, end: pos });
+                    continue;
+                }
+            }
+
+            const name = source.substring(pos, pos + 256).match(NAME_PATTERN$1);
+            if (name) {
+                pos += name[0].length;
+                output.push({ type: TokenType.NAME, value: name[0], start: tokenStart, end: pos });
+                continue;
+            }
+
+            const operator = SYMBOL_OPERATORS.find(op => source.startsWith(op, pos));
+            if (operator) {
+                pos += operator.length;
+                output.push({ type: TokenType.OPERATOR, value: operator, start: tokenStart, end: pos });
+                continue;
+            }
+
+            if (PUNCTUATION$1.includes(char)) {
+                if (OPENING_BRACKETS[char]) {
+                    brackets.push({ char, start: pos });
+                } else if (char === ')' || char === ']' || char === '}') {
+                    const open = brackets.pop();
+                    if (!open) {
+                        error(`Unexpected "${char}"`, pos, pos + 1);
+                    } else if (OPENING_BRACKETS[open.char] !== char) {
+                        error(`Unclosed "${open.char}"`, open.start, open.start + 1);
+                    }
+                }
+                pos++;
+                output.push({ type: TokenType.PUNCTUATION, value: char, start: tokenStart, end: pos });
+                continue;
+            }
+
+            error(`Unexpected character "${char}"`, pos, pos + 1);
+            pos++;
+        }
+
+        return null;
+    }
+
+    /**
+     * Skip the body of a `{% verbatim %}` block, which is plain text
+     */
+    function scanRawBody(tagName) {
+        const endPattern = new RegExp(`\\{%[-~]?\\s*end${tagName}\\s*[-~]?%\\}`, 'g');
+        endPattern.lastIndex = pos;
+        const match = endPattern.exec(source);
+        const end = match ? match.index : length;
+        if (end > pos) {
+            tokens.push({ type: TokenType.TEXT, value: source.substring(pos, end), start: pos, end });
+        }
+        pos = end;
+    }
+
+    while (pos < length) {
+        TAG_START_PATTERN.lastIndex = pos;
+        const match = TAG_START_PATTERN.exec(source);
+
+        if (!match) {
+            tokens.push({ type: TokenType.TEXT, value: source.substring(pos), start: pos, end: length });
+            pos = length;
+            break;
+        }
+
+        if (match.index > pos) {
+            tokens.push({ type: TokenType.TEXT, value: source.substring(pos, match.index), start: pos, end: match.index });
+        }
+
+        const start = match.index;
+        const kind = match[1];
+        const trimLeft = match[2];
+        pos = start + match[0].length;
+
+        if (kind === '#') {
+            const endPattern = /([-~]?)#\}/g;
+            endPattern.lastIndex = pos;
+            const end = endPattern.exec(source);
+            if (!end) {
+                error('Unclosed comment', start, length);
+            }
+            const valueEnd = end ? end.index : length;
+            tokens.push({
+                type: TokenType.COMMENT,
+                value: source.substring(pos, valueEnd),
+                trimLeft,
+                trimRight: end ? end[1] : '',
+                start,
+                end: end ? end.index + end[0].length : length
+            });
+            pos = end ? end.index + end[0].length : length;
+            continue;
+        }
+
+        const isBlock = kind === '%';
+        const closing = isBlock ? '%}' : '}}';
+        tokens.push({
+            type: isBlock ? TokenType.BLOCK_START : TokenType.VAR_START,
+            value: '{' + kind,
+            trim: trimLeft,
+            start,
+            end: pos
+        });
+
+        const firstToken = tokens.length;
+        const end = scanExpression(tokens, closing);
+
+        if (end) {
+            tokens.push({
+                type: isBlock ? TokenType.BLOCK_END : TokenType.VAR_END,
+                value: closing,
+                trim: end.trim,
+                start: end.start,
+                end: end.end
+            });
+        } else {
+            error(isBlock ? 'Unclosed "{%"' : 'Unclosed "{{"', start, start + 2);
+            tokens.push({
+                type: isBlock ? TokenType.BLOCK_END : TokenType.VAR_END,
+                value: '',
+                trim: '',
+                missing: true,
+                start: pos,
+                end: pos
+            });
+        }
+
+        const tagName = tokens[firstToken];
+        if (end && isBlock && tagName && tagName.type === TokenType.NAME && RAW_TAGS$1.includes(tagName.value)) {
+            scanRawBody(tagName.value);
+        }
+    }
+
+    tokens.push({ type: TokenType.EOF, value: '', start: length, end: length });
+
+    return { tokens, errors };
+}
+
+/**
+ * Twig parser
+ *
+ * Builds an AST from the token stream produced by the lexer. Every node has
+ * a `type` and `start`/`end` source offsets. Template level nodes are `Text`,
+ * `Comment`, `Print` ({{ }}) and `Tag` ({% %}); paired tags such as `if` or
+ * `block` additionally carry a `body`, their `branches` (`else`, `elseif`)
+ * and the closing `endTag`, with `outerEnd` marking the end of the whole
+ * construct. Expressions are `Name`, `Literal`, `InterpolatedString`,
+ * `Array`, `Hash`, `Unary`, `Binary`, `Conditional`, `GetAttr`, `Slice`,
+ * `Call`, `Filter`, `Test` and `Arrow` nodes.
+ *
+ * Like the lexer, the parser is tolerant: syntax errors are collected in
+ * `errors` and parsing resumes at the next tag.
+ */
+
+// Tags with a body, their closing tag and the intermediate tags they accept.
+// The last branch (`else`, `default`) may only appear once, after the others.
+const PAIRED_TAGS = {
+    if: { end: 'endif', branches: ['elseif', 'else'] },
+    for: { end: 'endfor', branches: ['else'] },
+    block: { end: 'endblock', paired: node => !node.value },
+    embed: { end: 'endembed' },
+    macro: { end: 'endmacro' },
+    apply: { end: 'endapply' },
+    filter: { end: 'endfilter' },
+    autoescape: { end: 'endautoescape' },
+    set: { end: 'endset', paired: node => node.capture },
+    verbatim: { end: 'endverbatim' },
+    raw: { end: 'endraw' },
+    sandbox: { end: 'endsandbox' },
+    spaceless: { end: 'endspaceless' },
+    with: { end: 'endwith' },
+    guard: { end: 'endguard' },
+    // Symfony and Drupal
+    trans: { end: 'endtrans', branches: ['plural'] },
+    stopwatch: { end: 'endstopwatch' },
+    // Craft CMS
+    cache: { end: 'endcache' },
+    nav: { end: 'endnav' },
+    ifchildren: { end: 'endifchildren' },
+    switch: { end: 'endswitch', branches: ['case', 'default'] },
+    js: { end: 'endjs' },
+    css: { end: 'endcss' },
+    html: { end: 'endhtml' },
+    namespace: { end: 'endnamespace' },
+    script: { end: 'endscript' },
+    tag: { end: 'endtag' }
+};
+
+const UNARY_OPERATORS$1 = {
+    'not': 50,
+    '-': 500,
+    '+': 500
+};
+
+const BINARY_OPERATORS = {
+    'or': { precedence: 10 },
+    'xor': { precedence: 12 },
+    'and': { precedence: 15 },
+    'b-or': { precedence: 16 },
+    'b-xor': { precedence: 17 },
+    'b-and': { precedence: 18 },
+    '==': { precedence: 20 },
+    '!=': { precedence: 20 },
+    '<=>': { precedence: 20 },
+    '<': { precedence: 20 },
+    '>': { precedence: 20 },
+    '>=': { precedence: 20 },
+    '<=': { precedence: 20 },
+    'not in': { precedence: 20 },
+    'in': { precedence: 20 },
+    'matches': { precedence: 20 },
+    'starts with': { precedence: 20 },
+    'ends with': { precedence: 20 },
+    'has some': { precedence: 20 },
+    'has every': { precedence: 20 },
+    '..': { precedence: 25 },
+    '+': { precedence: 30 },
+    '-': { precedence: 30 },
+    '~': { precedence: 40 },
+    '*': { precedence: 60 },
+    '/': { precedence: 60 },
+    '//': { precedence: 60 },
+    '%': { precedence: 60 },
+    'is': { precedence: 100 },
+    'is not': { precedence: 100 },
+    '**': { precedence: 200, right: true },
+    '??': { precedence: 300, right: true }
+};
+
+// Tests whose name is made of two words
+const TWO_WORD_TESTS = {
+    divisible: 'by',
+    same: 'as',
+    // Craft CMS
+    instance: 'of'
+};
+
+const LITERALS = {
+    'true': true,
+    'false': false,
+    'null': null,
+    'none': null
+};
+
+class ParseError extends Error {
+    constructor(message, token) {
+        super(message);
+        this.start = token.start;
+        this.end = Math.max(token.end, token.start + 1);
+    }
+}
+
+/**
+ * Describe a token for error messages
+ */
+function describe(token) {
+    if (token.type === TokenType.EOF) {
+        return 'end of template';
+    }
+    if (token.type === TokenType.BLOCK_END || token.type === TokenType.VAR_END) {
+        return token.missing ? 'end of tag' : `"${token.value}"`;
+    }
+    return `"${token.value}"`;
+}
+
+/**
+ * Wrap a list of tokens with a cursor
+ */
+function createStream(tokens) {
+    let index = 0;
+
+    return {
+        peek(offset = 0) {
+            return tokens[Math.min(index + offset, tokens.length - 1)];
+        },
+        next() {
+            const token = tokens[index];
+            if (index < tokens.length - 1) {
+                index++;
+            }
+            return token;
+        },
+        test(type, values) {
+            const token = tokens[index];
+            if (token.type !== type) {
+                return false;
+            }
+            return values === undefined || (Array.isArray(values) ? values.includes(token.value) : token.value === values);
+        },
+        expect(type, value, message) {
+            const token = tokens[index];
+            if (!this.test(type, value)) {
+                throw new ParseError(message || `Unexpected ${describe(token)}${value ? `, expected "${value}"` : ''}`, token);
+            }
+            return this.next();
+        },
+        isTagEnd() {
+            const type = tokens[index].type;
+            return type === TokenType.BLOCK_END || type === TokenType.VAR_END || type === TokenType.EOF;
+        }
+    };
+}
+
+/**
+ * Expression parser working on a token stream
+ */
+function createExpressionParser(stream) {
+    function parseExpression(minPrecedence = 0) {
+        let expr = parsePrimary();
+        let token = stream.peek();
+
+        while (token.type === TokenType.OPERATOR && BINARY_OPERATORS[token.value] && BINARY_OPERATORS[token.value].precedence >= minPrecedence) {
+            const operator = BINARY_OPERATORS[token.value];
+            stream.next();
+
+            if (token.value === 'is' || token.value === 'is not') {
+                expr = parseTest(expr, token.value === 'is not');
+            } else {
+                const right = parseExpression(operator.right ? operator.precedence : operator.precedence + 1);
+                expr = { type: 'Binary', operator: token.value, left: expr, right, start: expr.start, end: right.end };
+            }
+            token = stream.peek();
+        }
+
+        if (minPrecedence === 0) {
+            return parseConditional(expr);
+        }
+        return expr;
+    }
+
+    function parseConditional(expr) {
+        while (stream.test(TokenType.PUNCTUATION, '?')) {
+            stream.next();
+            let consequent = null;
+            let alternate = null;
+
+            if (stream.test(TokenType.PUNCTUATION, ':')) {
+                stream.next();
+                alternate = parseExpression();
+            } else {
+                consequent = parseExpression();
+                if (stream.test(TokenType.PUNCTUATION, ':')) {
+                    stream.next();
+                    alternate = parseExpression();
+                }
+            }
+
+            const end = (alternate || consequent).end;
+            expr = { type: 'Conditional', test: expr, consequent, alternate, start: expr.start, end };
+        }
+        return expr;
+    }
+
+    function parsePrimary() {
+        const token = stream.peek();
+
+        if (isArrowStart()) {
+            return parseArrow();
+        }
+
+        if (token.type === TokenType.OPERATOR && UNARY_OPERATORS$1[token.value]) {
+            stream.next();
+            const argument = parseExpression(UNARY_OPERATORS$1[token.value]);
+            return parsePostfix({ type: 'Unary', operator: token.value, argument, start: token.start, end: argument.end });
+        }
+
+        if (stream.test(TokenType.PUNCTUATION, '(')) {
+            stream.next();
+            const expr = parseExpression();
+            stream.expect(TokenType.PUNCTUATION, ')', 'An opened parenthesis is not properly closed');
+            expr.parenthesized = true;
+            return parsePostfix(expr);
+        }
+
+        return parsePostfix(parseOperand());
+    }
+
+    function parseOperand() {
+        const token = stream.peek();
+
+        switch (token.type) {
+            case TokenType.NAME: {
+                stream.next();
+                const lower = token.value.toLowerCase();
+                if (lower in LITERALS && !stream.test(TokenType.PUNCTUATION, '(')) {
+                    return { type: 'Literal', kind: LITERALS[lower] === null ? 'null' : 'boolean', value: LITERALS[lower], raw: token.value, start: token.start, end: token.end };
+                }
+                const name = { type: 'Name', name: token.value, start: token.start, end: token.end };
+                if (stream.test(TokenType.PUNCTUATION, '(')) {
+                    return parseCall(name);
+                }
+                return name;
+            }
+            case TokenType.NUMBER:
+                stream.next();
+                return { type: 'Literal', kind: 'number', value: Number(token.value.replace(/_/g, '')), raw: token.value, start: token.start, end: token.end };
+            case TokenType.STRING:
+                stream.next();
+                return parseString(token);
+            case TokenType.PUNCTUATION:
+                if (token.value === '[') {
+                    return parseArray();
+                }
+                if (token.value === '{') {
+                    return parseHash();
+                }
+                break;
+        }
+
+        throw new ParseError(`Unexpected ${describe(token)}`, token);
+    }
+
+    function parseString(token) {
+        if (!token.parts) {
+            return { type: 'Literal', kind: 'string', value: token.value, quote: token.quote, start: token.start, end: token.end };
+        }
+
+        const parts = token.parts.map(part => {
+            if (part.type === 'string') {
+                return { type: 'Literal', kind: 'string', value: part.value, start: part.start, end: part.end };
+            }
+            const tokens = part.tokens.concat({ type: TokenType.EOF, value: '', start: part.end, end: part.end });
+            const inner = createStream(tokens);
+            const expr = createExpressionParser(inner).parseExpression();
+            inner.expect(TokenType.EOF);
+            return expr;
+        });
+
+        return { type: 'InterpolatedString', parts, quote: token.quote, start: token.start, end: token.end };
+    }
+
+    function parseArray() {
+        const open = stream.next();
+        const elements = [];
+
+        while (!stream.test(TokenType.PUNCTUATION, ']')) {
+            if (elements.length) {
+                stream.expect(TokenType.PUNCTUATION, ',', 'An array element must be followed by a comma');
+                if (stream.test(TokenType.PUNCTUATION, ']')) {
+                    break;
+                }
+            }
+            elements.push(parseSpreadOrExpression());
+        }
+
+        const close = stream.expect(TokenType.PUNCTUATION, ']', 'An opened array is not properly closed');
+        return { type: 'Array', elements, start: open.start, end: close.end };
+    }
+
+    function parseHash() {
+        const open = stream.next();
+        const pairs = [];
+
+        while (!stream.test(TokenType.PUNCTUATION, '}')) {
+            if (pairs.length) {
+                stream.expect(TokenType.PUNCTUATION, ',', 'A hash value must be followed by a comma');
+                if (stream.test(TokenType.PUNCTUATION, '}')) {
+                    break;
+                }
+            }
+
+            if (stream.test(TokenType.OPERATOR, '...')) {
+                pairs.push(parseSpreadOrExpression());
+                continue;
+            }
+
+            const keyToken = stream.peek();
+            let key;
+            if (keyToken.type === TokenType.NAME || keyToken.type === TokenType.NUMBER || (keyToken.type === TokenType.OPERATOR && /^\w+$/.test(keyToken.value))) {
+                stream.next();
+                key = keyToken.type === TokenType.NUMBER
+                    ? { type: 'Literal', kind: 'number', value: Number(keyToken.value), raw: keyToken.value, start: keyToken.start, end: keyToken.end }
+                    : { type: 'Literal', kind: 'string', value: keyToken.value, start: keyToken.start, end: keyToken.end };
+            } else if (keyToken.type === TokenType.STRING) {
+                stream.next();
+                key = parseString(keyToken);
+            } else if (stream.test(TokenType.PUNCTUATION, '(')) {
+                stream.next();
+                key = parseExpression();
+                stream.expect(TokenType.PUNCTUATION, ')', 'An opened parenthesis is not properly closed');
+            } else {
+                throw new ParseError(`A hash key must be a quoted string, a number, a name, or an expression enclosed in parentheses, got ${describe(keyToken)}`, keyToken);
+            }
+
+            // Shorthand `{ foo }` means `{ foo: foo }`
+            if (keyToken.type === TokenType.NAME && (stream.test(TokenType.PUNCTUATION, ',') || stream.test(TokenType.PUNCTUATION, '}'))) {
+                const value = { type: 'Name', name: keyToken.value, start: keyToken.start, end: keyToken.end };
+                pairs.push({ type: 'Pair', key, value, shorthand: true, start: key.start, end: key.end });
+                continue;
+            }
+
+            stream.expect(TokenType.PUNCTUATION, ':', 'A hash key must be followed by a colon (:)');
+            const value = parseExpression();
+            pairs.push({ type: 'Pair', key, value, start: key.start, end: value.end });
+        }
+
+        const close = stream.expect(TokenType.PUNCTUATION, '}', 'An opened hash is not properly closed');
+        return { type: 'Hash', pairs, start: open.start, end: close.end };
+    }
+
+    function parseSpreadOrExpression() {
+        if (stream.test(TokenType.OPERATOR, '...')) {
+            const spread = stream.next();
+            const argument = parseExpression();
+            return { type: 'Spread', argument, start: spread.start, end: argument.end };
+        }
+        return parseExpression();
+    }
+
+    function parsePostfix(expr) {
+        for (;;) {
+            const token = stream.peek();
+            if (token.type !== TokenType.PUNCTUATION) {
+                return expr;
+            }
+
+            if (token.value === '.') {
+                stream.next();
+                const property = stream.peek();
+                if (property.type !== TokenType.NAME && property.type !== TokenType.NUMBER && !(property.type === TokenType.OPERATOR && /^\w+$/.test(property.value))) {
+                    throw new ParseError(`Expected name or number after ".", got ${describe(property)}`, property);
+                }
+                stream.next();
+                const attribute = { type: 'GetAttr', object: expr, property: property.value, propertyStart: property.start, propertyEnd: property.end, computed: false, start: expr.start, end: property.end };
+                expr = stream.test(TokenType.PUNCTUATION, '(') ? parseCall(attribute) : attribute;
+            } else if (token.value === '[') {
+                stream.next();
+                expr = parseSubscript(expr);
+            } else if (token.value === '|') {
+                stream.next();
+                expr = parseFilter(expr);
+            } else {
+                return expr;
+            }
+        }
+    }
+
+    function parseSubscript(expr) {
+        let from = null;
+        let length = null;
+        let slice = false;
+
+        if (!stream.test(TokenType.PUNCTUATION, ':')) {
+            from = parseExpression();
+        }
+        if (stream.test(TokenType.PUNCTUATION, ':')) {
+            stream.next();
+            slice = true;
+            if (!stream.test(TokenType.PUNCTUATION, ']')) {
+                length = parseExpression();
+            }
+        }
+
+        const close = stream.expect(TokenType.PUNCTUATION, ']', 'An opened bracket is not properly closed');
+        if (slice) {
+            return { type: 'Slice', node: expr, from, length, start: expr.start, end: close.end };
+        }
+        return { type: 'GetAttr', object: expr, property: from, computed: true, start: expr.start, end: close.end };
+    }
+
+    function parseFilter(node) {
+        const name = stream.expect(TokenType.NAME, undefined, `Expected filter name, got ${describe(stream.peek())}`);
+        const filter = { type: 'Filter', name: name.value, nameStart: name.start, nameEnd: name.end, node, arguments: [], start: node ? node.start : name.start, end: name.end };
+
+        if (stream.test(TokenType.PUNCTUATION, '(')) {
+            const args = parseArguments();
+            filter.arguments = args.arguments;
+            filter.argumentsStart = args.start;
+            filter.end = args.end;
+        }
+        return filter;
+    }
+
+    /**
+     * Parse a chain of filters without a subject, as used by `apply`
+     */
+    function parseFilterChain() {
+        const filters = [parseFilter(null)];
+        while (stream.test(TokenType.PUNCTUATION, '|')) {
+            stream.next();
+            filters.push(parseFilter(null));
+        }
+        return filters;
+    }
+
+    function parseTest(node, negated) {
+        const name = stream.expect(TokenType.NAME, undefined, `Expected test name, got ${describe(stream.peek())}`);
+        let testName = name.value;
+        let nameEnd = name.end;
+
+        const second = stream.peek();
+        if (TWO_WORD_TESTS[testName] && second.type === TokenType.NAME && second.value === TWO_WORD_TESTS[testName]) {
+            stream.next();
+            testName += ' ' + second.value;
+            nameEnd = second.end;
+        }
+
+        const test = { type: 'Test', name: testName, nameStart: name.start, nameEnd, negated, node, arguments: [], start: node.start, end: nameEnd };
+        if (stream.test(TokenType.PUNCTUATION, '(')) {
+            const args = parseArguments();
+            test.arguments = args.arguments;
+            test.argumentsStart = args.start;
+            test.end = args.end;
+        }
+        return test;
+    }
+
+    function parseCall(callee) {
+        const args = parseArguments();
+        return { type: 'Call', callee, arguments: args.arguments, argumentsStart: args.start, start: callee.start, end: args.end };
+    }
+
+    function parseArguments() {
+        const open = stream.expect(TokenType.PUNCTUATION, '(');
+        const args = [];
+
+        while (!stream.test(TokenType.PUNCTUATION, ')')) {
+            if (args.length) {
+                stream.expect(TokenType.PUNCTUATION, ',', 'Arguments must be separated by a comma');
+                if (stream.test(TokenType.PUNCTUATION, ')')) {
+                    break;
+                }
+            }
+
+            const token = stream.peek();
+            const following = stream.peek(1);
+            if (token.type === TokenType.NAME && ((following.type === TokenType.OPERATOR && following.value === '=') || (following.type === TokenType.PUNCTUATION && following.value === ':'))) {
+                stream.next();
+                stream.next();
+                const value = parseExpression();
+                args.push({ type: 'NamedArgument', name: token.value, nameStart: token.start, nameEnd: token.end, value, start: token.start, end: value.end });
+            } else {
+                args.push(parseSpreadOrExpression());
+            }
+        }
+
+        const close = stream.expect(TokenType.PUNCTUATION, ')', 'A list of arguments must be closed by a parenthesis');
+        return { arguments: args, start: open.start, end: close.end };
+    }
+
+    /**
+     * Look ahead for `x =>` or `(x, y) =>`
+     */
+    function isArrowStart() {
+        const token = stream.peek();
+        if (token.type === TokenType.NAME) {
+            const following = stream.peek(1);
+            return following.type === TokenType.OPERATOR && following.value === '=>';
+        }
+        if (token.type !== TokenType.PUNCTUATION || token.value !== '(') {
+            return false;
+        }
+        let i = 1;
+        for (;;) {
+            const name = stream.peek(i);
+            if (name.type === TokenType.PUNCTUATION && name.value === ')' && i === 1) {
+                break;
+            }
+            if (name.type !== TokenType.NAME) {
+                return false;
+            }
+            const separator = stream.peek(i + 1);
+            if (separator.type === TokenType.PUNCTUATION && separator.value === ',') {
+                i += 2;
+                continue;
+            }
+            if (separator.type === TokenType.PUNCTUATION && separator.value === ')') {
+                i += 1;
+                break;
+            }
+            return false;
+        }
+        const arrow = stream.peek(i + 1);
+        return arrow.type === TokenType.OPERATOR && arrow.value === '=>';
+    }
+
+    function parseArrow() {
+        const first = stream.peek();
+        const params = [];
+
+        if (first.type === TokenType.NAME) {
+            stream.next();
+            params.push({ type: 'Name', name: first.value, start: first.start, end: first.end });
+        } else {
+            stream.next();
+            while (!stream.test(TokenType.PUNCTUATION, ')')) {
+                if (params.length) {
+                    stream.expect(TokenType.PUNCTUATION, ',');
+                }
+                const name = stream.expect(TokenType.NAME);
+                params.push({ type: 'Name', name: name.value, start: name.start, end: name.end });
+            }
+            stream.next();
+        }
+
+        stream.expect(TokenType.OPERATOR, '=>');
+        const body = parseExpression();
+        return { type: 'Arrow', params, body, start: first.start, end: body.end };
+    }
+
+    function parseName() {
+        const token = stream.expect(TokenType.NAME, undefined, `Expected name, got ${describe(stream.peek())}`);
+        return { type: 'Name', name: token.value, start: token.start, end: token.end };
+    }
+
+    return { parseExpression, parseFilterChain, parseName };
+}
+
+/**
+ * Parse a Twig template
+ * @param {string} source - Template source
+ * @returns {object} - `Template` node with `body`, `errors` and `tokens`
+ */
+function parse(source) {
+    const lexed = tokenize(source);
+    const errors = lexed.errors.slice();
+    const stream = createStream(lexed.tokens);
+    const expressions = createExpressionParser(stream);
+    const { parseExpression, parseFilterChain, parseName } = expressions;
+
+    const template = { type: 'Template', body: [], start: 0, end: source.length, errors, tokens: lexed.tokens };
+    const stack = [];
+
+    function isName(value) {
+        return stream.test(TokenType.NAME, value);
+    }
+
+    function currentBody() {
+        const open = stack[stack.length - 1];
+        if (!open) {
+            return template.body;
+        }
+        return open.branches.length ? open.branches[open.branches.length - 1].body : open.body;
+    }
+
+    /**
+     * End offset of the last node in a tag's body or branches
+     */
+    function contentEnd(node) {
+        const last = node.branches && node.branches.length ? node.branches[node.branches.length - 1] : node;
+        const body = last.body || [];
+        const child = body[body.length - 1];
+        if (!child) {
+            return last.end;
+        }
+        return child.outerEnd || child.end;
+    }
+
+    const TAG_PARSERS = {
+        if(node) {
+            node.test = parseExpression();
+        },
+        elseif(node) {
+            node.test = parseExpression();
+        },
+        for(node) {
+            node.targets = [parseName()];
+            while (stream.test(TokenType.PUNCTUATION, ',')) {
+                stream.next();
+                node.targets.push(parseName());
+            }
+            stream.expect(TokenType.OPERATOR, 'in');
+            node.sequence = parseExpression();
+            if (isName('if')) {
+                stream.next();
+                node.condition = parseExpression();
+            }
+        },
+        set(node) {
+            node.targets = [parseName()];
+            while (stream.test(TokenType.PUNCTUATION, ',')) {
+                stream.next();
+                node.targets.push(parseName());
+            }
+            if (stream.test(TokenType.OPERATOR, '=')) {
+                stream.next();
+                node.values = [parseExpression()];
+                while (stream.test(TokenType.PUNCTUATION, ',')) {
+                    stream.next();
+                    node.values.push(parseExpression());
+                }
+                node.capture = false;
+            } else {
+                node.values = [];
+                node.capture = true;
+            }
+        },
+        block(node) {
+            node.blockName = parseName();
+            node.value = stream.isTagEnd() ? null : parseExpression();
+        },
+        endblock(node) {
+            node.blockName = stream.isTagEnd() ? null : parseName();
+        },
+        macro(node) {
+            node.macroName = parseName();
+            node.params = [];
+            stream.expect(TokenType.PUNCTUATION, '(');
+            while (!stream.test(TokenType.PUNCTUATION, ')')) {
+                if (node.params.length) {
+                    stream.expect(TokenType.PUNCTUATION, ',', 'Arguments must be separated by a comma');
+                }
+                if (stream.test(TokenType.OPERATOR, '...')) {
+                    stream.next();
+                }
+                const name = parseName();
+                const param = { type: 'Parameter', name: name.name, start: name.start, end: name.end, default: null };
+                if (stream.test(TokenType.OPERATOR, '=') || stream.test(TokenType.PUNCTUATION, ':')) {
+                    stream.next();
+                    param.default = parseExpression();
+                }
+                node.params.push(param);
+            }
+            stream.next();
+        },
+        endmacro(node) {
+            node.macroName = stream.isTagEnd() ? null : parseName();
+        },
+        import(node) {
+            node.template = parseExpression();
+            stream.expect(TokenType.NAME, 'as');
+            node.alias = parseName();
+        },
+        from(node) {
+            node.template = parseExpression();
+            stream.expect(TokenType.NAME, 'import');
+            node.imports = [];
+            do {
+                if (node.imports.length) {
+                    stream.next();
+                }
+                const name = parseName();
+                let alias = null;
+                if (isName('as')) {
+                    stream.next();
+                    alias = parseName();
+                }
+                node.imports.push({ type: 'ImportedName', name, alias, start: name.start, end: (alias || name).end });
+            } while (stream.test(TokenType.PUNCTUATION, ','));
+        },
+        extends(node) {
+            node.template = parseExpression();
+        },
+        include(node) {
+            parseIncludeArguments(node);
+        },
+        embed(node) {
+            parseIncludeArguments(node);
+        },
+        use(node) {
+            node.template = parseExpression();
+            node.aliases = [];
+            if (isName('with')) {
+                stream.next();
+                do {
+                    if (node.aliases.length) {
+                        stream.next();
+                    }
+                    const name = parseName();
+                    stream.expect(TokenType.NAME, 'as');
+                    const alias = parseName();
+                    node.aliases.push({ type: 'ImportedName', name, alias, start: name.start, end: alias.end });
+                } while (stream.test(TokenType.PUNCTUATION, ','));
+            }
+        },
+        with(node) {
+            node.variables = stream.isTagEnd() || isName('only') ? null : parseExpression();
+            node.only = false;
+            if (isName('only')) {
+                stream.next();
+                node.only = true;
+            }
+        },
+        apply(node) {
+            node.filters = parseFilterChain();
+        },
+        filter(node) {
+            node.filters = parseFilterChain();
+        },
+        autoescape(node) {
+            node.strategy = stream.isTagEnd() ? null : parseExpression();
+        },
+        do(node) {
+            node.expression = parseExpression();
+        },
+        deprecated(node) {
+            node.expression = parseExpression();
+        }
+    };
+
+    function parseIncludeArguments(node) {
+        node.template = parseExpression();
+        node.ignoreMissing = false;
+        node.variables = null;
+        node.only = false;
+
+        if (isName('ignore')) {
+            stream.next();
+            stream.expect(TokenType.NAME, 'missing');
+            node.ignoreMissing = true;
+        }
+        if (isName('with')) {
+            stream.next();
+            node.variables = parseExpression();
+        }
+        if (isName('only')) {
+            stream.next();
+            node.only = true;
+        }
+    }
+
+    /**
+     * Best effort parsing of tags we know nothing about (e.g. from plugins):
+     * collect whatever expressions can be read and never report errors
+     */
+    function parseGenericTag(node) {
+        node.expressions = [];
+        while (!stream.isTagEnd()) {
+            const before = stream.peek();
+            try {
+                node.expressions.push(parseExpression());
+            } catch (e) {
+                if (!(e instanceof ParseError)) {
+                    throw e;
+                }
+            }
+            if (stream.peek() === before) {
+                stream.next();
+            }
+        }
+    }
+
+    function skipToTagEnd() {
+        while (!stream.isTagEnd()) {
+            stream.next();
+        }
+    }
+
+    function parsePrint() {
+        const open = stream.next();
+        const node = { type: 'Print', expression: null, trimLeft: open.trim, trimRight: '', start: open.start, end: open.end };
+
+        try {
+            node.expression = parseExpression();
+            if (!stream.test(TokenType.VAR_END)) {
+                throw new ParseError(`Unexpected ${describe(stream.peek())}`, stream.peek());
+            }
+        } catch (e) {
+            if (!(e instanceof ParseError)) {
+                throw e;
+            }
+            errors.push({ message: e.message, start: e.start, end: e.end });
+            skipToTagEnd();
+        }
+
+        if (stream.test(TokenType.VAR_END)) {
+            const close = stream.next();
+            node.trimRight = close.trim;
+            node.end = close.end;
+        } else {
+            node.end = stream.peek().start;
+        }
+        currentBody().push(node);
+    }
+
+    function parseTag() {
+        const open = stream.next();
+        const node = { type: 'Tag', name: '', nameStart: open.end, nameEnd: open.end, trimLeft: open.trim, trimRight: '', start: open.start, end: open.end };
+
+        try {
+            const nameToken = stream.expect(TokenType.NAME, undefined, 'A block must start with a tag name');
+            node.name = nameToken.value;
+            node.nameStart = nameToken.start;
+            node.nameEnd = nameToken.end;
+
+            if (TAG_PARSERS[node.name]) {
+                TAG_PARSERS[node.name](node);
+                if (!stream.test(TokenType.BLOCK_END)) {
+                    throw new ParseError(`Unexpected ${describe(stream.peek())} in "${node.name}" tag`, stream.peek());
+                }
+            } else {
+                parseGenericTag(node);
+            }
+        } catch (e) {
+            if (!(e instanceof ParseError)) {
+                throw e;
+            }
+            errors.push({ message: e.message, start: e.start, end: e.end });
+            skipToTagEnd();
+        }
+
+        if (stream.test(TokenType.BLOCK_END)) {
+            const close = stream.next();
+            node.trimRight = close.trim;
+            node.end = close.end;
+        } else {
+            node.end = stream.peek().start;
+        }
+
+        placeTag(node);
+    }
+
+    /**
+     * Attach a tag to the tree: open a body for paired tags, start a new
+     * branch for `else`-like tags and close bodies on end tags. Tags that do
+     * not fit the current nesting are reported and kept as plain nodes.
+     */
+    function placeTag(node) {
+        const top = stack[stack.length - 1];
+        const topBranches = top && PAIRED_TAGS[top.name].branches;
+
+        if (topBranches && topBranches.includes(node.name)) {
+            const final = topBranches[topBranches.length - 1];
+            const previous = top.branches[top.branches.length - 1];
+            if (previous && previous.name === final) {
+                structureError(`Unexpected "${node.name}" tag after "${final}"`, node);
+            }
+            node.body = [];
+            top.branches.push(node);
+            return;
+        }
+
+        const openers = Object.keys(PAIRED_TAGS).filter(name => PAIRED_TAGS[name].end === node.name);
+        if (openers.length) {
+            closeTag(node, openers);
+            return;
+        }
+
+        const branchOf = Object.keys(PAIRED_TAGS).filter(name => (PAIRED_TAGS[name].branches || []).includes(node.name));
+        if (branchOf.length) {
+            structureError(`Unexpected "${node.name}" tag outside of ${branchOf.map(name => `"${name}"`).join(' or ')}`, node);
+        }
+
+        currentBody().push(node);
+
+        const spec = PAIRED_TAGS[node.name];
+        if (spec && (!spec.paired || spec.paired(node))) {
+            node.body = [];
+            node.branches = [];
+            node.endTag = null;
+            node.outerEnd = node.end;
+            stack.push(node);
+        }
+    }
+
+    function closeTag(node, openers) {
+        const top = stack[stack.length - 1];
+        let openIndex = -1;
+        for (let i = stack.length - 1; i >= 0; i--) {
+            if (PAIRED_TAGS[stack[i].name].end === node.name) {
+                openIndex = i;
+                break;
+            }
+        }
+
+        if (openIndex === -1) {
+            if (top) {
+                structureError(`Unexpected "${node.name}" tag (expecting closing tag for the "${top.name}" tag defined near line ${lineAt(top.start)})`, node);
+            } else {
+                structureError(`Unexpected "${node.name}" tag, there is no open ${openers.map(name => `"${name}"`).join(' or ')} tag`, node);
+            }
+            currentBody().push(node);
+            return;
+        }
+
+        if (openIndex !== stack.length - 1) {
+            structureError(`Unexpected "${node.name}" tag (expecting closing tag for the "${top.name}" tag defined near line ${lineAt(top.start)})`, node);
+        }
+        while (stack.length - 1 > openIndex) {
+            closeUnclosed(stack.pop());
+        }
+
+        const opener = stack.pop();
+        opener.endTag = node;
+        opener.outerEnd = node.end;
+        checkEndName(opener, node, 'blockName', 'block');
+        checkEndName(opener, node, 'macroName', 'macro');
+    }
+
+    /**
+     * `{% endblock name %}` and `{% endmacro name %}` must repeat the opening name
+     */
+    function checkEndName(opener, node, property, kind) {
+        const expected = opener[property];
+        const given = node[property];
+        if (expected && given && expected.name !== given.name) {
+            structureError(`Expected end${kind} for ${kind} "${expected.name}" (but "${given.name}" given)`, given);
+        }
+    }
+
+    function closeUnclosed(node) {
+        node.outerEnd = contentEnd(node);
+        structureError(`Unclosed "${node.name}" tag, expected "{% ${PAIRED_TAGS[node.name].end} %}"`, node);
+    }
+
+    function structureError(message, node) {
+        errors.push({ message, start: node.start, end: node.end });
+    }
+
+    function lineAt(offset) {
+        let line = 1;
+        for (let i = source.indexOf('\n'); i !== -1 && i < offset; i = source.indexOf('\n', i + 1)) {
+            line++;
+        }
+        return line;
+    }
+
+    for (;;) {
+        const token = stream.peek();
+
+        if (token.type === TokenType.EOF) {
+            break;
+        }
+
+        switch (token.type) {
+            case TokenType.TEXT:
+                stream.next();
+                currentBody().push({ type: 'Text', value: token.value, start: token.start, end: token.end });
+                break;
+            case TokenType.COMMENT:
+                stream.next();
+                currentBody().push({ type: 'Comment', value: token.value, trimLeft: token.trimLeft, trimRight: token.trimRight, start: token.start, end: token.end });
+                break;
+            case TokenType.VAR_START:
+                parsePrint();
+                break;
+            case TokenType.BLOCK_START:
+                parseTag();
+                break;
+            default:
+                // Stray tokens can only follow an error that was already reported
+                stream.next();
+        }
+    }
+
+    while (stack.length) {
+        closeUnclosed(stack.pop());
+    }
+
+    return template;
+}
+
+/**
+ * Call `callback` for each direct child node
+ */
+function forEachChild(node, callback) {
+    for (const key in node) {
+        if (key === 'tokens') {
+            continue;
+        }
+        const value = node[key];
+        if (Array.isArray(value)) {
+            value.forEach(child => {
+                if (child && typeof child.type === 'string') {
+                    callback(child);
+                }
+            });
+        } else if (value && typeof value === 'object' && typeof value.type === 'string') {
+            callback(value);
+        }
+    }
+}
+
+/**
+ * Depth-first traversal. Returning false from `callback` skips the children.
+ * @param {object} node - Root node
+ * @param {function(object, object):(boolean|void)} callback - Receives each node and its parent
+ */
+function walk(node, callback, parent = null) {
+    if (callback(node, parent) === false) {
+        return;
+    }
+    forEachChild(node, child => walk(child, callback, node));
+}
+
+/**
+ * Full source extent of a node, including the body of paired tags
+ */
+function nodeEnd(node) {
+    return node.outerEnd !== undefined ? node.outerEnd : node.end;
+}
+
+/**
+ * Nodes enclosing an offset, from the template down to the innermost one
+ * @param {object} root - Template node
+ * @param {number} offset - Source offset
+ * @returns {Array} - Enclosing nodes, outermost first
+ */
+function findNodePath(root, offset) {
+    const path = [root];
+    let node = root;
+
+    for (;;) {
+        let match = null;
+        forEachChild(node, child => {
+            if (child.start <= offset && offset <= nodeEnd(child)) {
+                match = child;
+            }
+        });
+        if (!match) {
+            return path;
+        }
+        path.push(match);
+        node = match;
+    }
+}
+
+/**
+ * Tokens of the Twig tag or print statement enclosing an offset
+ * @param {object} root - Template node
+ * @param {number} offset - Source offset
+ * @returns {Array|null} - Tokens from the opening delimiter up to (not including) the closing one
+ */
+function findTagTokens(root, offset) {
+    const tokens = root.tokens;
+    let open = -1;
+
+    for (let i = 0; i < tokens.length; i++) {
+        const token = tokens[i];
+        if (token.type === TokenType.BLOCK_START || token.type === TokenType.VAR_START) {
+            if (token.start >= offset) {
+                return null;
+            }
+            open = i;
+        } else if (token.type === TokenType.BLOCK_END || token.type === TokenType.VAR_END) {
+            if (open !== -1 && tokens[open].end <= offset && offset <= token.start) {
+                return tokens.slice(open, i);
+            }
+            open = -1;
+        } else if (token.start > offset && (token.type === TokenType.TEXT || token.type === TokenType.COMMENT)) {
+            return null;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Blank out Twig tags, print statements and comments, leaving only the markup.
+ * Characters are replaced with spaces so offsets and line numbers are unchanged.
+ * @param {string} source - Original Twig source
+ * @param {object} template - Template node parsed from the source
+ * @returns {string} - Markup without Twig
+ */
+function maskTwig(source, template) {
+    const ranges = [];
+    let open = null;
+
+    template.tokens.forEach(token => {
+        if (token.type === TokenType.COMMENT) {
+            ranges.push([token.start, token.end]);
+        } else if (token.type === TokenType.BLOCK_START || token.type === TokenType.VAR_START) {
+            open = token.start;
+        } else if ((token.type === TokenType.BLOCK_END || token.type === TokenType.VAR_END) && open !== null) {
+            ranges.push([open, token.end]);
+            open = null;
+        }
+    });
+
+    let masked = '';
+    let last = 0;
+    ranges.forEach(([start, end]) => {
+        masked += source.substring(last, start) + source.substring(start, end).replace(/[^\r\n]/g, ' ');
+        last = end;
+    });
+
+    return masked + source.substring(last);
+}
+
+const documentCache = new Map();
+const DOCUMENT_CACHE_SIZE = 20;
+
+/**
+ * Parse a VS Code document, reusing the last AST while its version is unchanged
+ * @param {vscode.TextDocument} document - Document to parse
+ * @returns {object} - Template node
+ */
+function parseDocument(document) {
+    const key = document.uri.toString();
+    const cached = documentCache.get(key);
+    if (cached && cached.version === document.version) {
+        return cached.ast;
+    }
+
+    const ast = parse(document.getText());
+    documentCache.delete(key);
+    documentCache.set(key, { version: document.version, ast });
+    if (documentCache.size > DOCUMENT_CACHE_SIZE) {
+        documentCache.delete(documentCache.keys().next().value);
+    }
+    return ast;
+}
+
+const abs={text:"abs",body:"abs",description:"filter returns the absolute value"};const batch={prefix:"batch",body:"batch(${size}, ${fill})",text:"batch(size, fill)",description:"filter \"batches\" items by returning a list of lists with the given number of items. A second parameter can be provided and used to fill in missing items",params:[{name:"size",description:"The size of the batch; fractional numbers are rounded up"},{name:"fill","default":"null",description:"The value used to fill in missing items"},{name:"preserve_keys","default":"true",description:"Whether to preserve keys or not"}]};const capitalize={text:"capitalize",body:"capitalize",description:"filter capitalizes a value. The first character will be uppercase, all others lowercase"};const convert_encoding={prefix:"convert_encoding",body:"convert_encoding('${to}', '${from}')",text:"convert_encoding('to', 'from')",description:"filter converts a string from one encoding to another. The first argument is the expected output charset and the second one is the input charset",params:[{name:"to",description:"The output charset"},{name:"from",description:"The input charset"}]};const date$1={prefix:"date",body:"date(\"${m/d/Y}\")",text:"date(\"m/d/Y\")",description:"filter formats a date to a given format",params:[{name:"format","default":"null",description:"The date format, e.g. `m/d/Y`; the default format of the core extension when null"},{name:"timezone","default":"null",description:"The date timezone"}]};const date_modify={prefix:"date_modify",body:"date_modify(\"${+1 day}\")",text:"date_modify(\"+1 day\")",description:"filter modifies a date with a given modifier string",params:[{name:"modifier",description:"The modifier, e.g. `+1 day`"}]};const first={text:"first",body:"first",description:"filter returns the first \"element\" of a sequence, a mapping, or a string"};const format={prefix:"format",body:"format($1)",text:"format()",description:"filter formats a given string by replacing the placeholders (placeholders follows the sprintf notation)",example:"{% set foo = \"foo\" %}\n{{ \"I like %s and %s.\"| format(foo, \"bar\") }}\n\n{# outputs I like foo and bar #}",params:[{name:"...values",description:"The values of the `%s`, `%d`, ... placeholders"}]};const join={prefix:"join",body:"join${('optional')}",text:"join",description:"filter returns a string which is the concatenation of the items of a sequence",params:[{name:"glue","default":"''",description:"The separator"},{name:"and","default":"null",description:"The separator between the last two items"}]};const json_encode={prefix:"json_encode",body:"json_encode()",text:"json_encode()",description:"filter returns the JSON representation of a value. Internally, Twig uses the PHP json_encode function.",params:[{name:"options","default":"null",description:"A bitmask of json_encode() options, e.g. `constant('JSON_PRETTY_PRINT')`"}]};const keys={text:"keys",body:"keys",description:"filter returns the keys of an array. It is useful when you want to iterate over the keys of an array"};const last={text:"last",body:"last",description:"filter returns the last \"element\" of a sequence, a mapping, or a string"};const length={text:"length",body:"length",description:"filter returns the number of items of a sequence or mapping, or the length of a string"};const lower={text:"lower",body:"lower",description:"filter converts a value to lowercase"};const merge={prefix:"merge",body:"merge(${array})",text:"merge(array)",description:"filter merges an array with another array",params:[{name:"array",description:"The array or hash merged into the value"}]};const nl2br={text:"nl2br",body:"nl2br",description:"filter inserts HTML line breaks before all newlines in a string"};const number_format={prefix:"number_format",body:"number_format(${0}, '${.}', '${,}')",text:"number_format",description:"filter formats numbers. It is a wrapper around PHP's number_format function",params:[{name:"decimals","default":"0",description:"The number of decimal points to display"},{name:"decimal_point","default":"'.'",description:"The character(s) to use for the decimal point"},{name:"thousand_sep","default":"','",description:"The character(s) to use for the thousands separator"}]};const raw={text:"raw",body:"raw",description:"filter marks the value as being \"safe\", which means that in an environment with automatic escaping enabled this variable will not be escaped if raw is the last filter applied to it."};const replace={prefix:"replace",body:"replace('${search}' : '${replace}')",text:"replace('search' : 'replace')",description:"filter formats a given string by replacing the placeholders.",params:[{name:"from",description:"The placeholders and their replacements, e.g. `{'%name%': name}`"}]};const reverse={text:"reverse",body:"reverse",description:"filter reverses a sequence, a mapping, or a string",params:[{name:"preserve_keys","default":"false",description:"Whether to preserve keys or not"}]};const round={prefix:"round",body:"${0} | round(1, '${floor}')",text:"round",description:"filter rounds a number to a given precision",params:[{name:"precision","default":"0",description:"The rounding precision"},{name:"method","default":"'common'",description:"The rounding method: `common`, `ceil` or `floor`"}]};const slice={prefix:"slice",body:"slice(${start}, ${length})",text:"slice(start, length)",description:"filter extracts a slice of a sequence, a mapping, or a string",params:[{name:"start",description:"The start of the slice; negative to start from the end"},{name:"length","default":"null",description:"The size of the slice"},{name:"preserve_keys","default":"false",description:"Whether to preserve keys or not"}]};const sort={text:"sort",body:"sort",description:"filter sorts an array",params:[{name:"arrow","default":"null",description:"An arrow function comparing two values"}]};const split={prefix:"split",body:"split('$1')",text:"split('')",description:"filter splits a string by the given delimiter and returns a list of strings",params:[{name:"delimiter",description:"The delimiter; an empty string splits by character"},{name:"limit","default":"null",description:"The maximum number of items, or the size of the chunks with an empty delimiter"}]};const striptags={text:"striptags",body:"striptags",description:"filter strips SGML/XML tags and replace adjacent whitespace by one space",params:[{name:"allowable_tags","default":"null",description:"The tags which are not stripped, e.g. `<br><p>`"}]};const title={text:"title",body:"title",description:"filter returns a titlecased version of the value. Words will start with uppercase letters, all remaining characters are lowercase"};const trim={text:"trim",body:"trim",description:"filter strips whitespace (or other characters) from the beginning and end of a string",params:[{name:"character_mask","default":"null",description:"The characters to strip; whitespace when null"},{name:"side","default":"'both'",description:"The side to strip: `left`, `right` or `both`"}]};const upper={text:"upper",body:"upper",description:"filter converts a value to uppercase"};const url_encode={text:"url_encode",body:"url_encode",description:"filter percent encodes a given string as URL segment or an array as query string"};const column={prefix:"column",text:"column(name)",body:"column(${name})",description:"filter returns the values from a single column in the input array",params:[{name:"name",description:"The key or property of the column"},{name:"index","default":"null",description:"The key or property whose values are used as keys"}],since:"2.8"};const e={text:"e",body:"e",description:"filter is an alias of the escape filter",params:[{name:"strategy","default":"'html'",description:"The escaping strategy: `html`, `js`, `css`, `url` or `html_attr`"},{name:"charset","default":"null",description:"The string charset"}]};const filter$2={prefix:"filter",text:"filter(arrow)",body:"filter(${arrow})",description:"filter filters elements of a sequence or a mapping using an arrow function",example:"{{ sizes|filter(v => v > 38)|join(', ') }}",params:[{name:"arrow",description:"The arrow function keeping an item when it returns true, e.g. `v => v > 38`"}],since:"2.10"};const find={prefix:"find",text:"find(arrow)",body:"find(${arrow})",description:"filter returns the first element of a sequence matching an arrow function",params:[{name:"arrow",description:"The arrow function matching the item to return"}],since:"3.11"};const map={prefix:"map",text:"map(arrow)",body:"map(${arrow})",description:"filter applies an arrow function to the elements of a sequence or a mapping",example:"{{ people|map(p => p.first ~ ' ' ~ p.last)|join(', ') }}",params:[{name:"arrow",description:"The arrow function returning the new value of an item, e.g. `p => p.name`"}],since:"2.10"};const invoke={prefix:"invoke",text:"invoke(...arguments)",body:"invoke(${arguments})",description:"filter calls an arrow function with the given arguments",example:"{% set greet = name => 'Hello ' ~ name %}\n{{ greet|invoke('Fabien') }}",params:[{name:"...arguments",description:"The arguments passed to the arrow function"}],since:"3.19"};const reduce={prefix:"reduce",text:"reduce(arrow, initial)",body:"reduce(${arrow}, ${initial})",description:"filter iteratively reduces a sequence or a mapping to a single value using an arrow function",params:[{name:"arrow",description:"The arrow function combining the carry and an item, e.g. `(carry, v) => carry + v`"},{name:"initial","default":"null",description:"The initial value of the carry"}],since:"2.10"};const shuffle$1={text:"shuffle",body:"shuffle",description:"filter shuffles a sequence, a mapping or a string",since:"3.11"};const spaceless$2={text:"spaceless",body:"spaceless",description:"filter removes whitespace between HTML tags",since:"2.7",deprecated:"3.12",replacement:"whitespace control modifiers ({%- -%})"};const format_currency={prefix:"format_currency",text:"format_currency(currency)",body:"format_currency('${currency}')",description:"filter formats a number as a currency (twig/intl-extra)",example:"{{ '1000000'|format_currency('EUR') }}\n{# €1,000,000.00 #}",since:"2.12",params:[{name:"currency",description:"The currency code, e.g. `EUR`"},{name:"attrs","default":"[]",description:"Formatting attributes, e.g. `{rounding_mode: 'floor'}`"},{name:"locale","default":"null",description:"The locale; the current locale when null"}]};const format_number={prefix:"format_number",text:"format_number",body:"format_number",description:"filter formats a number (twig/intl-extra)",example:"{{ '12.345'|format_number }}\n{{ '0.12'|format_number(style: 'percent') }}",since:"2.12",params:[{name:"attrs","default":"[]",description:"Formatting attributes, e.g. `{fraction_digit: 2}`"},{name:"style","default":"'decimal'",description:"The style: `decimal`, `currency`, `percent`, `scientific`, `spellout`, `ordinal` or `duration`"},{name:"type","default":"'default'",description:"The type: `default`, `int32`, `int64` or `currency`"},{name:"locale","default":"null",description:"The locale; the current locale when null"}]};const format_date={prefix:"format_date",text:"format_date",body:"format_date",description:"filter formats a date (twig/intl-extra)",example:"{{ '2019-08-07 23:39:12'|format_date('long') }}",since:"2.12",params:[{name:"date_format","default":"'medium'",description:"The date format: `none`, `short`, `medium`, `long` or `full`"},{name:"pattern","default":"''",description:"A date pattern, overriding the format"},{name:"timezone","default":"null",description:"The date timezone"},{name:"calendar","default":"'gregorian'",description:"The calendar: `gregorian` or `traditional`"},{name:"locale","default":"null",description:"The locale; the current locale when null"}]};const format_datetime={prefix:"format_datetime",text:"format_datetime",body:"format_datetime",description:"filter formats a date time (twig/intl-extra)",example:"{{ '2019-08-07 23:39:12'|format_datetime('medium', 'short') }}",since:"2.12",params:[{name:"date_format","default":"'medium'",description:"The date format: `none`, `short`, `medium`, `long` or `full`"},{name:"time_format","default":"'medium'",description:"The time format: `none`, `short`, `medium`, `long` or `full`"},{name:"pattern","default":"''",description:"A date pattern, overriding the formats"},{name:"timezone","default":"null",description:"The date timezone"},{name:"calendar","default":"'gregorian'",description:"The calendar: `gregorian` or `traditional`"},{name:"locale","default":"null",description:"The locale; the current locale when null"}]};const format_time={prefix:"format_time",text:"format_time",body:"format_time",description:"filter formats a time (twig/intl-extra)",example:"{{ '2019-08-07 23:39:12'|format_time('short') }}",since:"2.12",params:[{name:"time_format","default":"'medium'",description:"The time format: `none`, `short`, `medium`, `long` or `full`"},{name:"pattern","default":"''",description:"A date pattern, overriding the format"},{name:"timezone","default":"null",description:"The date timezone"},{name:"calendar","default":"'gregorian'",description:"The calendar: `gregorian` or `traditional`"},{name:"locale","default":"null",description:"The locale; the current locale when null"}]};const country_name={text:"country_name",body:"country_name",description:"filter returns the name of a country from its ISO 3166-1 alpha-2 code (twig/intl-extra)",example:"{{ 'FR'|country_name }}",since:"2.12",params:[{name:"locale","default":"null",description:"The locale; the current locale when null"}]};const currency_name={text:"currency_name",body:"currency_name",description:"filter returns the name of a currency from its ISO 4217 code (twig/intl-extra)",example:"{{ 'EUR'|currency_name }}",since:"2.12",params:[{name:"locale","default":"null",description:"The locale; the current locale when null"}]};const currency_symbol={text:"currency_symbol",body:"currency_symbol",description:"filter returns the symbol of a currency from its ISO 4217 code (twig/intl-extra)",example:"{{ 'EUR'|currency_symbol }}",since:"2.12",params:[{name:"locale","default":"null",description:"The locale; the current locale when null"}]};const language_name={text:"language_name",body:"language_name",description:"filter returns the name of a language from its ISO 639-1 code (twig/intl-extra)",example:"{{ 'de'|language_name }}",since:"2.12",params:[{name:"locale","default":"null",description:"The locale; the current locale when null"}]};const locale_name={text:"locale_name",body:"locale_name",description:"filter returns the name of a locale from its code (twig/intl-extra)",example:"{{ 'de_CH'|locale_name }}",since:"2.12",params:[{name:"locale","default":"null",description:"The locale; the current locale when null"}]};const timezone_name={text:"timezone_name",body:"timezone_name",description:"filter returns the name of a timezone from its identifier (twig/intl-extra)",example:"{{ 'Europe/Paris'|timezone_name }}",since:"2.12",params:[{name:"locale","default":"null",description:"The locale; the current locale when null"}]};const u={text:"u",body:"u",description:"filter wraps a string in a Symfony UnicodeString object, to call its methods (twig/string-extra)",example:"{{ 'Lorem ipsum dolor'|u.truncate(8, '...') }}",since:"2.12"};const slug={prefix:"slug",text:"slug",body:"slug",description:"filter transforms a string into an ASCII slug (twig/string-extra)",example:"{{ 'Wôrķšƥáçè ~~sèťtïñğš~~'|slug }}\n{# Workspace-settings #}",since:"2.12",params:[{name:"separator","default":"'-'",description:"The separator between words"},{name:"locale","default":"null",description:"The locale; the current locale when null"}]};const data_uri={text:"data_uri",body:"data_uri",description:"filter generates a data URI (RFC 2397) from a string (twig/html-extra)",example:"<img src=\"{{ source('logo.png')|data_uri }}\">",since:"2.12",params:[{name:"mime","default":"null",description:"The mime type; guessed when null"},{name:"parameters","default":"[]",description:"Parameters of the data URI, e.g. `{charset: 'utf-8'}`"}]};const markdown_to_html={text:"markdown_to_html",body:"markdown_to_html",description:"filter converts Markdown to HTML (twig/markdown-extra)",example:"{% apply markdown_to_html %}\n# Title\n{% endapply %}",since:"2.12"};const html_to_markdown={text:"html_to_markdown",body:"html_to_markdown",description:"filter converts HTML to Markdown (twig/markdown-extra)",since:"2.12",params:[{name:"options","default":"[]",description:"Options of the converter"}]};const inline_css={text:"inline_css",body:"inline_css",description:"filter inlines CSS styles in HTML, e.g. for emails (twig/cssinliner-extra)",example:"{% apply inline_css(source('emails.css')) %}\n    <p>Hello</p>\n{% endapply %}",since:"2.12",params:[{name:"...css",description:"The CSS styles to inline"}]};const inky_to_html={text:"inky_to_html",body:"inky_to_html",description:"filter converts Inky email templates to HTML (twig/inky-extra)",since:"2.12"};var filters$3 = {abs:abs,batch:batch,capitalize:capitalize,convert_encoding:convert_encoding,date:date$1,date_modify:date_modify,"default":{prefix:"default",body:"default('${default value}')",text:"default('default value')",description:"filter returns the passed default value if the value is undefined or empty, otherwise the value of the variable",params:[{name:"default","default":"''",description:"The value returned when the filtered value is undefined or empty"}]},"escape":{text:"escape",body:"escape",description:"filter escapes a string for safe insertion into the final output. It supports different escaping strategies depending on the template context",params:[{name:"strategy","default":"'html'",description:"The escaping strategy: `html`, `js`, `css`, `url` or `html_attr`"},{name:"charset","default":"null",description:"The string charset"}]},first:first,format:format,join:join,json_encode:json_encode,keys:keys,last:last,length:length,lower:lower,merge:merge,nl2br:nl2br,number_format:number_format,raw:raw,replace:replace,reverse:reverse,round:round,slice:slice,"slice [] notation":{prefix:"slice [] notation",body:"[${start}:${length}]",description:"filter extracts a slice of a sequence, a mapping, or a string"},sort:sort,split:split,striptags:striptags,title:title,trim:trim,"trim()":{prefix:"trim()",body:"trim('$1')",description:"filter strips whitespace (or other characters) from the beginning and end of a string"},upper:upper,url_encode:url_encode,column:column,e:e,filter:filter$2,find:find,map:map,invoke:invoke,reduce:reduce,shuffle:shuffle$1,spaceless:spaceless$2,format_currency:format_currency,format_number:format_number,format_date:format_date,format_datetime:format_datetime,format_time:format_time,country_name:country_name,currency_name:currency_name,currency_symbol:currency_symbol,language_name:language_name,locale_name:locale_name,timezone_name:timezone_name,u:u,slug:slug,data_uri:data_uri,markdown_to_html:markdown_to_html,html_to_markdown:html_to_markdown,inline_css:inline_css,inky_to_html:inky_to_html};
+
+const attribute={prefix:"attribute",body:"{{ attribute($1) }}$2",description:"The attribute function can be used to access a \"dynamic\" attribute of a variable",example:"",params:[{name:"object",description:"The object or array to read"},{name:"method",description:"The name of the method, property or key"},{name:"arguments","default":"[]",description:"The arguments passed to the method"}]};const block$1={prefix:"block",body:"{{ block('${block name}') }}$1",description:"When a template uses inheritance and if you want to print a block multiple times, use the block function",example:"",params:[{name:"name",description:"The name of the block"},{name:"template","default":"null",description:"The template defining the block; the current template when null"}]};const constant$1={prefix:"constant",body:"{{ constant('${const name}') }}$1",description:"constant returns the constant value for a given string",example:"{{ some_date | date(constant('DATE_W3C')) }}\n{{ constant('Namespace\\Classname::CONSTANT_NAME') }}",params:[{name:"name",description:"The name of the constant, e.g. `DATE_W3C` or `App\\Entity\\Post::PUBLISHED`"},{name:"object","default":"null",description:"An object whose class defines the constant"}]};const cycle={prefix:"cycle",body:"{{ cycle(${array}, ${position}) }}$1",description:"The cycle function cycles on an array of values",example:"",params:[{name:"values",description:"The list of values to cycle on"},{name:"position",description:"The position in the cycle, e.g. `loop.index0`"}]};const date={prefix:"date",body:"{% set ${currentDate} = date($1) %}$2",description:"Converts an argument to a date to allow date comparison",example:"{% date() %}\n{% date('-2days') %}\n{% date('-2days', 'Europe/Paris') %}",params:[{name:"date","default":"null",description:"A date, or a string PHP understands such as `-2days`; now when null"},{name:"timezone","default":"null",description:"The date timezone"}]};const dump={prefix:"dump",body:"{{ dump(${array}) }}$1",description:"(function) dumps information about a template variable. This is mostly useful to debug a template that does not behave as expected by introspecting its variables",example:"",params:[{name:"...context",description:"The variables to dump; the whole context when none is given"}]};const include$1={prefix:"include function",body:"{{ include('${filename}.twig') }}$1",description:"(function) returns the rendered content of a template",example:"",params:[{name:"template",description:"The template to render"},{name:"variables","default":"[]",description:"The variables to pass to the template"},{name:"with_context","default":"true",description:"Whether to pass the current context variables or not"},{name:"ignore_missing","default":"false",description:"Whether to ignore missing templates or not"},{name:"sandboxed","default":"false",description:"Whether to sandbox the template or not"}]};const max={prefix:"max",body:"{% set ${result} = max(${array}) %}$1",description:"(function) returns the biggest value of a sequence or a set of values",example:"{{ max(1, 3, 2) }}\n{# returns \"3\" #}\n\n{{ max({2: \"e\", 3: \"a\", 1: \"b\", 5: \"d\", 4: \"c\"}) }}\n{# returns \"e\" #}",params:[{name:"...values",description:"A sequence, a mapping or several values to compare"}]};const min={prefix:"min",body:"{% set ${result} = min(${array}) %}$1",description:"(function) returns the lowest value of a sequence or a set of values",example:"{{ min(1, 3, 2) }}\n{# returns \"1\" #}\n\n{{ min({2: \"e\", 3: \"a\", 1: \"b\", 5: \"d\", 4: \"c\"}) }}\n{# returns \"a\" #}",params:[{name:"...values",description:"A sequence, a mapping or several values to compare"}]};const parent={prefix:"parent",body:"{{ parent() }}",description:"(function) return the content of the block as defined in the base template",example:"{% extends \"base.html\" %}\n\n{% block sidebar %}\n\t<h3>Table Of Contents</h3>\n\t...\n\t{{ parent() }}\n{% endblock %}"};const random={prefix:"random",hover:"",body:"{% set ${result} = random($1) %}$2",description:"(function) returns a random value depending on the supplied parameter type",example:"{{ random(['apple', 'orange', 'citrus']) }}\n{# example output: orange #}\n\n{{ random('ABC') }}\n{# example output: C #}\n\n{{ random() }}\n{# example output: 15386094 (works as the native PHP mt_rand function) #}\n\n{{ random(5) }}\n{# example output: 3 #}",params:[{name:"values","default":"null",description:"A sequence, a string or a number to pick from"},{name:"max","default":"null",description:"The maximum value when `values` is a number"}]};const range={prefix:"range",body:"range(${low}, ${high}, ${step})",description:"(function) Returns an array of elements from low to high, inclusive",example:"{% set result = range(0, 6, 2) %}\n{% dump(result) %}\n{# output: array(0, 2, 4, 6) #}",params:[{name:"low",description:"The first value of the sequence"},{name:"high",description:"The highest possible value of the sequence"},{name:"step","default":"1",description:"The increment between values"}]};const source={prefix:"source",body:"{{ source('${template}.twig') }}$1",description:"(function) returns the content of a template without rendering it",example:"",params:[{name:"name",description:"The name of the template to read"},{name:"ignore_missing","default":"false",description:"Whether to ignore missing templates or not"}]};const template_from_string={prefix:"template_from_string",body:"{{ include(template_from_string(\"$1\")) }}$2",description:"(function) loads a template from a string",example:"{{ include(template_from_string(\"Hello {{ name }}\")) }}",params:[{name:"template",description:"The source of the template"},{name:"name","default":"null",description:"The name of the template, used in error messages"}]};const enum_cases={prefix:"enum_cases",body:"{{ enum_cases('${enum}') }}$1",description:"(function) returns the list of cases of a PHP enum",example:"{% for status in enum_cases('App\\\\Status') %}",params:[{name:"enum",description:"The fully qualified name of the enum"}],since:"3.12"};const html_classes={prefix:"html_classes",body:"{{ html_classes(${classes}) }}$1",description:"The html_classes function returns a string of CSS classes from strings and hashes of conditional classes (twig/html-extra)",example:"<p class=\"{{ html_classes('a', {'b': true, 'c': false}) }}\"></p>",since:"2.12",params:[{name:"...classes",description:"Class names, or hashes of class names and conditions"}]};const country_timezones={prefix:"country_timezones",body:"{{ country_timezones('${country}') }}$1",description:"The country_timezones function returns the timezone identifiers of a country (twig/intl-extra)",example:"{{ country_timezones('FR')|join(', ') }}",since:"2.12",params:[{name:"country",description:"The ISO 3166-1 alpha-2 code of the country"}]};const country_names={prefix:"country_names",body:"{{ country_names() }}$1",description:"The country_names function returns the names of the countries, keyed by their ISO 3166-1 alpha-2 code (twig/intl-extra)",example:"{% for code, name in country_names() %}\n    <option value=\"{{ code }}\">{{ name }}</option>\n{% endfor %}",since:"2.12",params:[{name:"locale","default":"null",description:"The locale of the names, the current one by default"}]};const currency_names={prefix:"currency_names",body:"{{ currency_names() }}$1",description:"The currency_names function returns the names of the currencies, keyed by their ISO 4217 code (twig/intl-extra)",example:"{{ currency_names('fr')|length }}",since:"2.12",params:[{name:"locale","default":"null",description:"The locale of the names, the current one by default"}]};const language_names={prefix:"language_names",body:"{{ language_names() }}$1",description:"The language_names function returns the names of the languages, keyed by their ISO 639 code (twig/intl-extra)",example:"{{ language_names('fr')|length }}",since:"2.12",params:[{name:"locale","default":"null",description:"The locale of the names, the current one by default"}]};const locale_names={prefix:"locale_names",body:"{{ locale_names() }}$1",description:"The locale_names function returns the names of the locales, keyed by their code (twig/intl-extra)",example:"{{ locale_names('fr')|length }}",since:"2.12",params:[{name:"locale","default":"null",description:"The locale of the names, the current one by default"}]};const script_names={prefix:"script_names",body:"{{ script_names() }}$1",description:"The script_names function returns the names of the scripts, keyed by their ISO 15924 code (twig/intl-extra)",example:"{{ script_names('fr')|length }}",since:"2.12",params:[{name:"locale","default":"null",description:"The locale of the names, the current one by default"}]};const timezone_names={prefix:"timezone_names",body:"{{ timezone_names() }}$1",description:"The timezone_names function returns the names of the timezones, keyed by their identifier (twig/intl-extra)",example:"{{ timezone_names('fr')|length }}",since:"2.12",params:[{name:"locale","default":"null",description:"The locale of the names, the current one by default"}]};const html_cva={prefix:"html_cva",body:"{{ html_cva(base: ${base}) }}$1",description:"The html_cva function creates a class variance authority object, which builds the CSS classes of a component from its variants (twig/html-extra)",example:"{% set alert = html_cva(base: 'alert', variants: {color: {red: 'bg-red'}}) %}\n<div class=\"{{ alert.apply({color: 'red'}) }}\"></div>",since:"3.12",params:[{name:"base","default":"[]",description:"Classes always applied"},{name:"variants","default":"[]",description:"Classes of each value of each variant"},{name:"compoundVariants","default":"[]",description:"Classes applied to combinations of variant values"},{name:"defaultVariant","default":"[]",description:"Values of the variants when none is given"}]};var functions$3 = {attribute:attribute,block:block$1,constant:constant$1,cycle:cycle,date:date,dump:dump,include:include$1,max:max,min:min,parent:parent,random:random,"range set":{prefix:"range set",body:"{% set ${result} = range(${low}, ${high}, ${step}) %}$1",description:"(function) Returns an array of elements from low to high, inclusive",example:"{% set result = range(0, 6, 2) %}\n{% dump(result) %}\n{# output: array(0, 2, 4, 6) #}"},range:range,source:source,template_from_string:template_from_string,"enum":{prefix:"enum",body:"{{ enum('${enum}') }}$1",description:"(function) gives access to the cases of a PHP enum",example:"{{ enum('App\\\\Status').Active.value }}",params:[{name:"enum",description:"The fully qualified name of the enum"}],since:"3.15"},enum_cases:enum_cases,html_classes:html_classes,country_timezones:country_timezones,country_names:country_names,currency_names:currency_names,language_names:language_names,locale_names:locale_names,script_names:script_names,timezone_names:timezone_names,html_cva:html_cva};
+
+const show={prefix:"show",body:"{{ $1 }}",description:"{{ }}"};const execute={prefix:"execute",body:"{% $1 %}",description:"{% %}"};const autoescape={prefix:"autoescape",body:["{% autoescape %}","\t$1","{% endautoescape %}"],description:"Whether automatic escaping is enabled or not, you can mark a section of a template to be escaped or not by using the autoescape tag",example:"{% autoescape %}\n    Everything will be automatically escaped in this block\n    using the HTML strategy\n{% endautoescape %}\n\n{% autoescape 'html' %}\n    Everything will be automatically escaped in this block\n    using the HTML strategy\n{% endautoescape %}\n\n{% autoescape 'js' %}\n    Everything will be automatically escaped in this block\n    using the js escaping strategy\n{% endautoescape %}\n\n{% autoescape false %}\n    Everything will be outputted as is in this block\n{% endautoescape %}"};const block={prefix:"block",body:["{% block ${name} %}","\t$1","{% endblock ${name} %}"],description:"When a template uses inheritance and if you want to print a block multiple times, use the block function"};const embed={prefix:"embed",body:["{% embed \"${filename}.twig\" %}","\t$1","{% endembed  %}"],description:"The embed tag combines the behaviour of include and extends. It allows you to include another template's contents, just like include does. But it also allows you to override any block defined inside the included template, like when extending a template"};const filter$1={prefix:"filter",body:["{% filter ${filter name} %}","\t$1","{% endfilter  %}"],description:"Filter sections allow you to apply regular Twig filters on a block of template data. Just wrap the code in the special filter section",example:"{% filter lower | escape %}\n    <strong>SOME TEXT</strong>\n{% endfilter %}\n\n{# outputs \"&lt;strong&gt;some text&lt;/strong&gt;\" #}",deprecated:"2.9",removed:"3.0",replacement:"{% apply %}"};const flush={prefix:"flush",body:["{% flush %}"],description:"The flush tag tells Twig to flush the output buffer",example:"{% flush %}"};const loop={prefix:"loop",body:"loop.",description:"special variables inside of a for loop block",properties:{index:"The current iteration of the loop. (1 indexed)",index0:"The current iteration of the loop. (0 indexed)",revindex:"The number of iterations from the end of the loop (1 indexed)",revindex0:"The number of iterations from the end of the loop (0 indexed)",first:"True if first iteration",last:"True if last iteration",length:"The number of items in the sequence",parent:"The parent context"}};const _self$1={prefix:"_self",body:"_self",description:"To import macros from the current file, use the special _self variable for the source"};const include={prefix:"include",body:"{% include \"${filename}.twig\" %}",description:"The include statement includes a template and returns the rendered content of that file into the current namespace"};const macro={prefix:"macro",body:["{% macro ${name}($1) %}","\t$2","{% endmacro %}"],description:"Twig snippets"};const sandbox={prefix:"sandbox",body:["{% sandbox %}","\t$1","{% endsandbox %}"],description:"The sandbox tag can be used to enable the sandboxing mode for an included template, when sandboxing is not enabled globally for the Twig environment",deprecated:"3.15",replacement:"the sandboxed argument of include()"};const set={prefix:"set",body:["{% set ${name} = ${value} %}$1"],description:"Assign values to variables"};const spaceless$1={prefix:"spaceless",body:["{% spaceless %}","\t$1","{% endspaceless %}"],description:"Use the spaceless tag to remove whitespace between HTML tags, not whitespace within HTML tags or whitespace in plain text",deprecated:"2.7",removed:"3.0",replacement:"{% apply spaceless %}"};const use={prefix:"use",body:"{% use \"${filename}.twig\" %}",description:"Twig snippets"};const verbatim={prefix:"verbatim",body:["{% verbatim %}","\t$1","{% endverbatim %}"],description:"The verbatim tag marks sections as being raw text that should not be parsed. For example to put Twig syntax as example into a template you can use this snippet"};const apply={prefix:"apply",body:["{% apply ${filter} %}","\t$1","{% endapply %}"],description:"The apply tag applies Twig filters on a block of template data",example:"{% apply upper %}\n    This text becomes uppercase\n{% endapply %}",since:"2.9"};const from={prefix:"from",body:"{% from \"${filename}.twig\" import ${macro} %}",description:"The from tag imports macro names into the current namespace"};const deprecated={prefix:"deprecated",body:"{% deprecated '${message}' %}",description:"The deprecated tag triggers a deprecation notice whenever the template is used",since:"2.6"};const guard={prefix:"guard",body:["{% guard ${type} ${name} %}","\t$1","{% endguard %}"],description:"The guard tag compiles its body only when a function, filter or test exists",since:"3.15"};const types={prefix:"types",body:"{% types { ${name}: '${type}' } %}",description:"The types tag declares the types of template variables, for documentation and tooling",since:"3.13"};var twigArr = {show:show,execute:execute,autoescape:autoescape,block:block,"do":{prefix:"do",body:["{% do $1 %}"],description:"The do tag works exactly like the regular variable expression ({{ ... }}) just that it doesn't print anything",example:"{% do 1 + 2 %}"},embed:embed,"extends":{prefix:"extends",body:"{% extends \"${filename}.twig\" %}",description:"Twig snippets"},filter:filter$1,flush:flush,"for":{prefix:"for",body:["{% for ${row} in ${array} %}","\t$1","{% endfor %}"],description:"Loop over each item in a sequence"},"for if":{prefix:"for if",body:["{% for ${row} in ${array} if ${condition} %}","\t$1","{% endfor %}"],description:"Loop over each item in a sequence",deprecated:"2.10",removed:"3.0",replacement:"the filter filter ({% for user in users|filter(u => u.active) %})"},"for else":{prefix:"for else",body:["{% for ${row} in ${array} %}","\t$1","{% else %}","\t$2","{% endfor %}"],description:"Loop over each item in a sequence"},"for if else":{prefix:"for if else",body:["{% for ${row} in ${array} if ${condition} %}","\t$1","{% else %}","\t$2","{% endfor %}"],description:"Loop over each item in a sequence",deprecated:"2.10",removed:"3.0",replacement:"the filter filter ({% for user in users|filter(u => u.active) %})"},loop:loop,"if":{prefix:"if",body:["{% if ${condition} %}","\t$1","{% endif %}"],description:"The if statement in Twig is comparable with the if statements of PHP"},"if else":{prefix:"if else",body:["{% if ${condition} %}","\t$1","{% else %}","\t$2","{% endif %}"],description:"The if statement in Twig is comparable with the if statements of PHP"},"else":{prefix:"else",body:"{% else %}",description:"The if statement in Twig is comparable with the if statements of PHP"},"else if":{prefix:"else if",body:"{% elseif ${condition} %}",description:"The if statement in Twig is comparable with the if statements of PHP"},"import":{prefix:"import",body:"{% import \"${filename}.twig\" as ${alias}%}",description:"Twig supports putting often used code into macros. These macros can go into different templates and get imported from there."},_self:_self$1,include:include,macro:macro,sandbox:sandbox,set:set,"set block":{prefix:"set (block)",body:["{% set ${name} %}","\t$1","{% endset %}"],description:"Inside code blocks you can also assign values to variables. Assignments use the set tag and can have multiple targets"},spaceless:spaceless$1,use:use,verbatim:verbatim,apply:apply,from:from,"with":{prefix:"with",body:["{% with ${variables} %}","\t$1","{% endwith %}"],description:"The with tag creates a new inner scope. Variables set inside are not visible outside of it",example:"{% with { foo: 42 } only %}\n    {{ foo }}\n{% endwith %}"},deprecated:deprecated,guard:guard,types:types};
+
+const constant={body:"constant('${constant}')",description:"checks if a variable has the exact same value as a constant",example:"{% if post.status is constant('Post::PUBLISHED') %}"};const defined={description:"checks if a variable is defined in the current context",example:"{% if foo is defined %}"};const empty={description:"checks if a variable is an empty string, an empty array, an empty hash, exactly false, or exactly null",example:"{% if foo is empty %}"};const even={description:"returns true if the given number is even",example:"{{ var is even }}"};const iterable={description:"checks if a variable is an array or a traversable object",example:"{% if users is iterable %}"};const mapping={description:"checks if a variable is a mapping (an associative array or an object)",example:"{% if users is mapping %}",since:"3.11"};const none={description:"is an alias for the null test"};const odd={description:"returns true if the given number is odd",example:"{{ var is odd }}"};const sequence={description:"checks if a variable is a sequence (an array with consecutive numeric keys)",example:"{% if users is sequence %}",since:"3.11"};var tests$3 = {constant:constant,defined:defined,"divisible by":{body:"divisible by(${number})",description:"checks if a variable is divisible by a number",example:"{% if loop.index is divisible by(3) %}"},empty:empty,even:even,iterable:iterable,mapping:mapping,none:none,"null":{description:"returns true if the variable is null",example:"{{ var is null }}"},odd:odd,"same as":{body:"same as(${value})",description:"checks if a variable is the same as another variable, like === in PHP",example:"{% if foo.attribute is same as(false) %}"},sequence:sequence};
+
+const _self={description:"The current template name"};const _context={description:"All the variables of the current context",example:"{{ dump(_context|keys) }}"};const _charset={description:"The charset of the environment"};var globals$3 = {_self:_self,_context:_context,_charset:_charset};
+
+const asset={prefix:"asset",body:"{% set asset = ${1:entry.assetFieldHandle}.one() %}\n\n{% if asset %}\n\t<img src=\"{{ asset.getUrl(\"${2:thumb}\") }}\" width=\"{{ asset.getWidth(\"${2:thumb}\") }}\" height=\"{{ asset.getHeight(\"${2:thumb}\") }}\" alt=\"{{ asset.title }}\">\n{% endif %}",description:"asset",scope:"text.html.twig"};const assets={prefix:"assets",body:"{% for image in craft.assets.\n\t.sourceId(\"${1:1}\")\n\t.kind(\"${2:image}\")\n\t.limit(${3:10})\n}).all() %}\n\t<img src=\"{{ image.url${4:(\"${5:thumb}\")} }}\" width=\"${6:200}\" height=\"${7:200}\" alt=\"{{ image.title }}\">\n{% endfor %}\n$0",description:"craft.assets",scope:"text.html.twig"};const cache={prefix:"cache",body:"{% cache %}\n\t$1\n{% endcache %}\n$0",description:"cache",scope:"text.html.twig"};const children={prefix:"children",body:"{% children %}$0",description:"children",scope:"text.html.twig"};const ceil={prefix:"ceil",body:"ceil($1)$0",description:"ceil",scope:"text.html.twig"};const formlogin={prefix:"formlogin",body:"<form method=\"post\" accept-charset=\"UTF-8\">\n\t{{ csrfInput() }}\n\t<input type=\"hidden\" name=\"action\" value=\"users/login\">\n\n\t<h3><label for=\"loginName\">Username or email</label></h3>\n\t<input id=\"loginName\" type=\"text\" name=\"loginName\"\n\t\tvalue=\"{{ craft.app.user.rememberedUsername }}\">\n\n\t<h3><label for=\"password\">Password</label></h3>\n\t<input id=\"password\" type=\"password\" name=\"password\">\n\n\t<label>\n\t\t<input type=\"checkbox\" name=\"rememberMe\" value=\"1\">\n\t\tRemember me\n\t</label>\n\n\t<input type=\"submit\" value=\"Login\">\n\n\t{% if errorMessage is defined %}\n\t\t<p>{{ errorMessage }}</p>\n\t{% endif %}\n</form>\n\n<p><a href=\"{{ url(\"forgotpassword\") }}\">Forgot your password?</a></p>",description:"craft.user - example login form",scope:"text.html.twig"};const formuserprofile={prefix:"formuserprofile",body:"<form method=\"post\" accept-charset=\"UTF-8\">\n\t{{ csrfInput() }}\n\t<input type=\"hidden\" name=\"action\" value=\"users/save-user\">\n\t{{ redirectInput(\"users/\"~currentUser.username) }}\n\t<input type=\"hidden\" name=\"userId\" value=\"{{ currentUser.id }}\">\n\n\t<label for=\"location\">Location</label>\n\t<input type=\"text\" id=\"location\" name=\"fields[location]\" value=\"{{ currentUser.location }}\">\n\n\t<label for=\"bio\">Bio</label>\n\t<textarea id=\"bio\" name=\"fields[bio]\">{{ currentUser.bio }}</textarea>\n\n\t<input type=\"submit\" value=\"Save Profile\">\n</form>",description:"craft.user - example user profile form",scope:"text.html.twig"};const formuserregistration={prefix:"formuserregistration",body:"<form method=\"post\" accept-charset=\"UTF-8\">\n\t{{ csrfInput() }}\n\t<input type=\"hidden\" name=\"action\" value=\"users/save-user\">\n\t{{ redirectInput(\"\") }}\n\n\t{% macro errorList(errors) %}\n\t\t{% if errors %}\n\t\t\t<ul class=\"errors\">\n\t\t\t\t{% for error in errors %}\n\t\t\t\t\t<li>{{ error }}</li>\n\t\t\t\t{% endfor %}\n\t\t\t</ul>\n\t\t{% endif %}\n\t{% endmacro %}\n\n\t{% from _self import errorList %}\n\n\t<h3><label for=\"username\">Username</label></h3>\n\t<input id=\"username\" type=\"text\" name=\"username\"\n\t\t{%- if user is defined %} value=\"{{ user.username }}\"{% endif -%}>\n\n\t{% if user is defined %}\n\t\t{{ errorList(user.getErrors(\"username\")) }}\n\t{% endif %}\n\n\t<h3><label for=\"email\">Email</label></h3>\n\t<input id=\"email\" type=\"text\" name=\"email\"\n\t\t{%- if user is defined %} value=\"{{ user.email }}\"{% endif %}>\n\n\t{% if user is defined %}\n\t\t{{ errorList(user.getErrors(\"email\")) }}\n\t{% endif %}\n\n\t<h3><label for=\"password\">Password</label></h3>\n\t<input id=\"password\" type=\"password\" name=\"password\">\n\n\t{% if user is defined %}\n\t\t{{ errorList(user.getErrors(\"password\")) }}\n\t{% endif %}\n\n\t<input type=\"submit\" value=\"Register\">\n</form>",description:"craft.user - example user registration form",scope:"text.html.twig"};const formforgotpassword={prefix:"formforgotpassword",body:"<form method=\"post\" accept-charset=\"UTF-8\">\n\t{{ csrfInput() }}\n\t<input type=\"hidden\" name=\"action\" value=\"users/send-password-reset-email\">\n\t{{ redirectInput(\"\") }}\n\n\t<h3><label for=\"loginName\">Username or email</label></h3>\n\t<input id=\"loginName\" type=\"text\" name=\"loginName\"\n\t\tvalue=\"{% if loginName is defined %}{{ loginName }}{% else %}{{ craft.app.user.rememberedUsername }}{% endif %}\">\n\n\t{% if errors is defined %}\n\t\t<ul class=\"errors\">\n\t\t\t{% for error in errors %}\n\t\t\t\t<li>{{ error }}</li>\n\t\t\t{% endfor %}\n\t\t</ul>\n\t{% endif %}\n\n\t<input type=\"submit\" value=\"Submit\">\n</form>",description:"craft.user - example forgot password form",scope:"text.html.twig"};const formsetpassword={prefix:"formsetpassword",body:"<form method=\"post\" accept-charset=\"UTF-8\">\n\t{{ csrfInput() }}\n\t<input type=\"hidden\" name=\"action\" value=\"users/set-password\">\n\t<input type=\"hidden\" name=\"code\" value=\"{{ code }}\">\n\t<input type=\"hidden\" name=\"id\" value=\"{{ id }}\">\n\n\t<h3><label for=\"newPassword\">New Password</label></h3>\n\t<input id=\"newPassword\" type=\"password\" name=\"newPassword\">\n\t{% if errors is defined %}\n\t\t<ul class=\"errors\">\n\t\t\t{% for error in errors %}\n\t\t\t\t<li>{{ error }}</li>\n\t\t\t{% endfor %}\n\t\t</ul>\n\t{% endif %}\n\n\t<input type=\"submit\" value=\"Submit\">\n</form>",description:"craft.user - example set password form",scope:"text.html.twig"};const formsearch={prefix:"formsearch",body:"<form action=\"{{ url(\"search/results\") }}\">\n\t<input type=\"search\" name=\"q\" placeholder=\"Search\">\n\t<input type=\"submit\" value=\"Go\">\n</form>",description:"craft.entries - example search form",scope:"text.html.twig"};const formsearchresults={prefix:"formsearchresults",body:"<h1>Search Results</h1>\n\n{% set query = craft.app.request.getParam(\"q\") %}\n{% set entries = craft.entries.search(query).orderBy(\"score\").all() %}\n\n{% if entries | length %}\n\t<p>{{ entries | length }} results:</p>\n\n\t<ul>\n\t\t{% for entry in entries %}\n\t\t\t<li><a href=\"{{ entry.url }}\">{{ entry.title }}</a></li>\n\t\t{% endfor %}\n\t</ul>\n{% else %}\n\t<p>Your search for “{{ query }}” didn’t return any results.</p>\n{% endif %}",description:"craft.entries - example search results",scope:"text.html.twig"};const rss={prefix:"rss",body:"<?xml version=\"1.0\"?>\n<rss version=\"2.0\" xmlns:atom=\"http://www.w3.org/2005/Atom\">\n\t<channel>\n\t\t<title>{{ siteName }}</title>\n\t\t<link>{{ siteUrl }}</link>\n\t\t<atom:link href=\"{{ craft.app.request.absoluteUrl }}\" rel=\"self\" type=\"application/rss+xml\" />\n\t\t<description>{{ globals.siteDescription }}</description>\n\t\t<language>en-us</language>\n\t\t<pubDate>{{ now | rss }}</pubDate>\n\t\t<lastBuildDate>{{ now | rss }}</lastBuildDate>\n\n\t\t{% for entry in craft.entries.all() %}\n\t\t\t<item>\n\t\t\t\t<title>{{ entry.title }}</title>\n\t\t\t\t<link>{{ entry.url }}</link>\n\t\t\t\t<pubDate>{{ entry.postDate | rss }}</pubDate>\n\t\t\t\t<author>{{ entry.author }}</author>\n\t\t\t\t<guid>{{ entry.url }}</guid>\n\t\t\t\t<description><![CDATA[\n\t\t\t\t\t{{ entry.body }}\n\t\t\t\t]]></description>\n\t\t\t</item>\n\t\t{% endfor %}\n\t</channel>\n</rss>",description:"craft.entries - example rss feed",scope:"text.html.twig"};const assetso={prefix:"assetso",body:"{% set assets = craft.assets({\n\tsourceId: \"${1:1}\",\n\tkind: \"${2:image}\",\n\tlimit: ${3:10}\n}).all() %}\n\n{% for image in assets %}\n\t<img src=\"{{ image.url${4:(\"${5:thumb}\")} }}\" width=\"${6:200}\" height=\"${7:200}\" alt=\"{{ image.title }}\">\n{% endfor %}\n$0",description:"craft.assets - object syntax",scope:"text.html.twig"};const categorieso={prefix:"categorieso",body:"{% set categories = craft.categories({\n\tgroup: \"${1:categoryGroupHandle}\",\n\tlimit: \"${2:11}\"\n}).all() %}\n\n<ul>\n\t{% nav category in categories %}\n\t\t<li>\n\t\t\t<a href=\"{{ category.url }}\">{{ category.title }}</a>\n\t\t\t{% ifchildren %}\n\t\t\t\t<ul>\n\t\t\t\t\t{% children %}\n\t\t\t\t</ul>\n\t\t\t{% endifchildren %}\n\t\t</li>\n\t{% endnav %}\n</ul>",description:"craft.categories - object syntax",scope:"text.html.twig"};const categories={prefix:"categories",body:"<ul>\n\t{% nav category in craft.categories\n\t\t.group(\"${1:categoryGroupHandle}\")\n\t\t.limit(${2:11})\n\t\t.all()\n\t%}\n\t\t<li>\n\t\t\t<a href=\"{{ category.url }}\">{{ category.title }}</a>\n\t\t\t{% ifchildren %}\n\t\t\t\t<ul>\n\t\t\t\t\t{% children %}\n\t\t\t\t</ul>\n\t\t\t{% endifchildren %}\n\t\t</li>\n\t{% endnav %}\n</ul>",description:"craft.categories",scope:"text.html.twig"};const entrieso={prefix:"entrieso",body:"{% set entries = craft.entries({\n\tsection: \"${1:sectionName}\",\n\tlimit: \"${2:10}\"\n}).all() %}\n\n{% for entry in entries %}\n\t<a href=\"{{ entry.url }}\">{{ entry.title }}</a>\n{% endfor %}\n$0",description:"craft.entries - object syntax",scope:"text.html.twig"};const entries$1={prefix:"entries",body:"{% for entry in craft.entries\n\t.section(\"${1:sectionName}\")\n\t.limit(${2:10})\n\t.all()\n%}\n\t<a href=\"{{ entry.url }}\">{{ entry.title }}</a>\n{% endfor %}\n$0",description:"craft.entries",scope:"text.html.twig"};const feed={prefix:"feed",body:"{% set feedUrl = \"${1:http://feeds.feedburner.com/blogandtonic}\" %}\n{% set limit = ${2:10} %}\n{% set items = craft.feeds.getFeedItems(feedUrl, limit).all() %}\n\n{% for item in items %}\n\t<article>\n\t\t<h3><a href=\"{{ item.permalink }}\">{{ item.title }}</a></h3>\n\t\t<p class=\"author\">{{ item.authors[0].name }}</p>\n\t\t<p class=\"date\">{{ item.date }}</p>\n\n\t\t{{ item.summary }}\n\t</article>\n{% endfor %}",description:"feed",scope:"text.html.twig"};const t={prefix:"t",body:"{{ $1 | t }}$0",description:"translate with | t"};const replacex={prefix:"replacex",body:"{{ ${1:$TM_SELECTED_TEXT} | replace(\"/(search)/i\", \"replace\") }}$0",description:"replace regex with | replace(\"/(search)/i\", \"replace\")"};const tagso={prefix:"tagso",body:"{% set tags = craft.tags({\n\tgroup: \"${1:tagGroupHandle}\"\n}).all() %}\n\n<ul>\n\t{% for tag in tags %}\n\t\t<li>{{ tag }}</a></li>\n\t{% endfor %}\n</ul>\n$0",description:"craft.tags - object syntax",scope:"text.html.twig"};const tags$3={prefix:"tags",body:"<ul>\n\t{% for tag in craft.tags.group(\"${1:tagGroupHandle}\").all() %}\n\t\t<li>{{ tag }}</li>\n\t{% endfor %}\n</ul>\n$0",description:"craft.tags",scope:"text.html.twig"};const userso={prefix:"userso",body:"{% set users = craft.users({\n\tgroup: \"${1:userGroupHandle}\"\n}).all() %}\n\n{% for user in users %}\n\t{{ user.firstName }} {{ user.lastName }}\n{% endfor %}\n$0",description:"craft.users - object syntax",scope:"text.html.twig"};const users={prefix:"users",body:"{% for user in craft.users.group(\"${1:userGroupHandle}\").all() %}\n\t{{ user.firstName }} {{ user.lastName }}\n{% endfor %}\n$0",description:"craft.users",scope:"text.html.twig"};const csrf={prefix:"csrf",body:"{{ csrfInput() }}\n$0",description:"csrf",scope:"text.html.twig"};const dd={prefix:"dd",body:"<pre>\n\t{{ dump($1) }}\n</pre>\n{% exit %}$0",description:"dump and die",scope:"text.html.twig"};const dojs={prefix:"dojs",body:"{% do view.registerJsFile \"${1:url}\" %}$0",description:"do js",scope:"text.html.twig"};const docss={prefix:"docss",body:"{% do view.registerCssFile \"${1:url}\" %}$0",description:"do css",scope:"text.html.twig"};const endcache={prefix:"endcache",body:"{% endcache %}$0",description:"endcache",scope:"text.html.twig"};const endfilter={prefix:"endfilter",body:"{% endfilter %}$0",description:"endfilter",scope:"text.html.twig",removed:"3.0"};const endifchildren={prefix:"endifchildren",body:"{% endifchildren %}$0",description:"endifchildren",scope:"text.html.twig"};const endcss={prefix:"endcss",body:"{% endcss %}$0",description:"endcss",scope:"text.html.twig"};const endjs={prefix:"endjs",body:"{% endjs %}$0",description:"endjs",scope:"text.html.twig"};const endnav={prefix:"endnav",body:"{% endnav %}$0",description:"endnav",scope:"text.html.twig"};const endspaceless={prefix:"endspaceless",body:"{% endspaceless %}$0",description:"endspaceless",scope:"text.html.twig",removed:"3.0"};const endswitch={prefix:"endswitch",body:"{% endswitch %}$0",description:"endswitch",scope:"text.html.twig"};const endtrans={prefix:"endtrans",body:"{% endtrans %}$0",description:"endtrans",scope:"text.html.twig"};const exit={prefix:"exit",body:"{% exit ${1:404} %}",description:"exit",scope:"text.html.twig"};const filterb={prefix:"filterb",body:"{% filter ${1:name} %}\n\t$0\n{% endfilter %}",description:"filter (block)",scope:"text.html.twig",removed:"3.0"};const filter={prefix:"filter",body:"{% filter ${1:name} %}$0{% endfilter %}",description:"filter",scope:"text.html.twig",removed:"3.0"};const floor={prefix:"floor",body:"floor($1)$0",description:"floor",scope:"text.html.twig"};const endbody={prefix:"endbody",body:"{{ endBody() }}\n$0",description:"endBody",scope:"text.html.twig"};const head={prefix:"head",body:"{{ head() }}\n$0",description:"head",scope:"text.html.twig"};const ifchildren={prefix:"ifchildren",body:"{% ifchildren %}\n\t$1\n{% endifchildren %}\n$0",description:"ifchildren",scope:"text.html.twig"};const css1={prefix:"css",body:"{% do view.registerCssFile(\"${1:/resources/css/global.css}\") %}\n$0",description:"registerCssFile",scope:"text.html.twig"};const js={prefix:"js",body:"{% js %}\n\t$1\n{% endjs %}\n$0",description:"js",scope:"text.html.twig"};const js1={prefix:"js",body:"{% do view.registerJsFile(\"${1:/resources/js/global.js}\") %}\n$0",description:"registerJsFile",scope:"text.html.twig"};const css={prefix:"css",body:"{% css %}\n\t$1\n{% endcss %}\n$0",description:"css",scope:"text.html.twig"};const matrix={prefix:"matrix",body:"{% for block in ${1:entry.matrixFieldHandle}.all() %}\n\n\t{% if block.type == \"${2:blockHandle}\" %}\n\t\t{{ block.${3:fieldHandle} }}\n\t{% endif %}\n\n\t{% if block.type == \"${4:blockHandle}\" %}\n\t\t{{ block.${5:fieldHandle} }}\n\t{% endif %}\n\n{% endfor %}\n$0",description:"matrix",scope:"text.html.twig"};const matrixif={prefix:"matrixif",body:"{% for block in ${1:entry.matrixFieldHandle}.all() %}\n\n\t{% if block.type == \"${2:blockHandle}\" %}\n\t\t{{ block.${3:fieldHandle} }}\n\t{% endif %}\n\n\t{% if block.type == \"${4:blockHandle}\" %}\n\t\t{{ block.${5:fieldHandle} }}\n\t{% endif %}\n\n{% endfor %}\n$0",description:"matrixif",scope:"text.html.twig"};const matrixifelse={prefix:"matrixifelse",body:"{% for block in ${1:entry.matrixFieldHandle}.all() %}\n\n\t{% if block.type == \"${2:blockHandle}\" %}\n\n\t\t{{ block.${3:fieldHandle} }}\n\n\t{% elseif block.type == \"${4:blockHandle}\" %}\n\n\t\t$0\n\t\n\t{% endif %}\n\n{% endfor %}",description:"matrixifelse",scope:"text.html.twig"};const matrixswitch={prefix:"matrixswitch",body:"{% for block in ${1:entry.matrixFieldHandle}.all() %}\n\n\t{% switch block.type %}\n\n\t\t{% case \"${2:blockHandle}\" %}\n\n\t\t\t{{ block.${3:fieldHandle} }}\n\n\t\t{% case \"${4:blockHandle}\" %}\n\n\t\t\t$0\n\n\t{% endswitch %}\n\n{% endfor %}",description:"matrixswitch",scope:"text.html.twig"};const nav={prefix:"nav",body:"{% nav ${1:item} in ${2:items} %}\n\t$3\n{% endnav %}\n$0",description:"nav",scope:"text.html.twig"};const paginate={prefix:"paginate",body:"{% paginate ${1:elements} as ${2:pageInfo}, ${3:pageEntries} %}\n\n{% for item in ${3:pageEntries} %}\n\t$0\n{% endfor %}\n\n{% if ${2:pageInfo}.prevUrl %}<a href=\"{{ ${2:pageInfo}.prevUrl }}\">Previous Page</a>{% endif %}\n{% if ${2:pageInfo}.nextUrl %}<a href=\"{{ ${2:pageInfo}.nextUrl }}\">Next Page</a>{% endif %}",description:"paginate simple",scope:"text.html.twig"};const paginate1={prefix:"paginate",body:"{# PAGINATION\n\t\t\nFor this pagination to work properly, we need to be sure to set\nthe paginateBase variable in the template we are including the \npagination in.\n\n{% set paginateBase = \"/blog/p\" %}\n#}\n\n{% if pageInfo.totalPages > 1 %}\n<ul>\n\t{% if pageInfo.currentPage != \"1\" %}\n\t\t<li><a href=\"{{ paginateBase ~ \"1\" }}\">First Page</a></li>\n\t{% endif %}\n\n\t{% if pageInfo.prevUrl %}\n\t\t<li><a href=\"{{ pageInfo.prevUrl }}\">Previous Page</a></li>\n\t{% endif %}\n\n\t{% for pageNumber in 1..pageInfo.totalPages %}\n\t\t<li {% if pageInfo.currentPage == pageNumber %}class=\"active-page\"{% endif %}>\n\t\t\t<a href=\"{{ paginateBase ~ pageNumber }}\">{{ pageNumber }}</a>\n\t\t</li>\n\t{% endfor %}\n\n\t{% if pageInfo.nextUrl %}\n\t\t<li><a href=\"{{ pageInfo.nextUrl }}\">Next Page</a></li>\n\t{% endif %}\n\n\t{% if pageInfo.currentPage != pageInfo.total %}\n\t\t<li><a href=\"{{ paginateBase ~ pageInfo.total }}\">Last Page</a></li>\n\t{% endif %}\n</ul>\n{% endif %}\n$0",description:"paginate advanced",scope:"text.html.twig"};const redirect={prefix:"redirect",body:"{% redirect \"${1:template/path or http://straightupcraft.com}\" %}\n$0",description:"redirect",scope:"text.html.twig"};const getparam={prefix:"getparam",body:"craft.app.request.getParam(${1:\"Query String or Post Variable Name\"})\n$0",description:"request getParam",scope:"text.html.twig"};const getbodyparam={prefix:"getbodyparam",body:"craft.app.request.getBodyParam(${1:\"postVariableName\"})\n$0",description:"request getBodyParam",scope:"text.html.twig"};const getqueryparam={prefix:"getqueryparam",body:"craft.app.request.getQueryParam(${1:\"queryStringName\"})\n$0",description:"request getQueryParam",scope:"text.html.twig"};const getsegment={prefix:"getsegment",body:"craft.app.request.getSegment(${1:2})\n$0",description:"request getSegment",scope:"text.html.twig"};const requirelogin={prefix:"requirelogin",body:"{% requireLogin %}\n$0",description:"requireLogin",scope:"text.html.twig"};const requirepermission={prefix:"requirepermission",body:"{% requirePermission \"${1:spendTheNight}\" %}\n$0",description:"requirePermission",scope:"text.html.twig"};const shuffle={prefix:"shuffle",body:"shuffle($1)$0",description:"shuffle",scope:"text.html.twig"};const spaceless={prefix:"spaceless",body:"{% spaceless %}\n\t$0\n{% endspaceless %}",description:"spaceless",scope:"text.html.twig",removed:"3.0"};const trans={prefix:"trans",body:"{% trans %}$0{% endtrans %}",description:"trans",scope:"text.html.twig"};const urla={prefix:"urla",body:"url(\"${1:path}\", ${2:{foo:\"1\", bar:\"2\"\\}}, ${3:\"http\"}, ${4:false})$0",description:"url w/ arguments",scope:"text.html.twig"};const url={prefix:"url",body:"url(\"${1:path}\")$0",description:"url",scope:"text.html.twig"};var snippets$3 = {asset:asset,assets:assets,cache:cache,"case":{prefix:"case",body:"{% case \"${1:value}\" %}\n\t$0",description:"case",scope:"text.html.twig"},children:children,ceil:ceil,formlogin:formlogin,formuserprofile:formuserprofile,formuserregistration:formuserregistration,formforgotpassword:formforgotpassword,formsetpassword:formsetpassword,formsearch:formsearch,formsearchresults:formsearchresults,rss:rss,assetso:assetso,categorieso:categorieso,categories:categories,entrieso:entrieso,entries:entries$1,feed:feed,t:t,replacex:replacex,tagso:tagso,tags:tags$3,userso:userso,users:users,csrf:csrf,dd:dd,dojs:dojs,docss:docss,endcache:endcache,endfilter:endfilter,endifchildren:endifchildren,endcss:endcss,endjs:endjs,endnav:endnav,endspaceless:endspaceless,endswitch:endswitch,endtrans:endtrans,exit:exit,filterb:filterb,filter:filter,floor:floor,endbody:endbody,head:head,ifchildren:ifchildren,css1:css1,js:js,js1:js1,css:css,matrix:matrix,matrixif:matrixif,matrixifelse:matrixifelse,matrixswitch:matrixswitch,nav:nav,paginate:paginate,paginate1:paginate1,redirect:redirect,getparam:getparam,getbodyparam:getbodyparam,getqueryparam:getqueryparam,getsegment:getsegment,requirelogin:requirelogin,requirepermission:requirepermission,shuffle:shuffle,spaceless:spaceless,"switch":{prefix:"switch",body:"{% switch ${1:variable} %}\n\n\t{% case \"${2:value1}\" %}\n\t\n\n\t{% case \"${3:value2}\" %}\n\t\n\n\t{% default %}\n\t\n\n{% endswitch %}\n$0",description:"switch",scope:"text.html.twig"},trans:trans,urla:urla,url:url};
+
+const name$2="Craft CMS";const tags$2={cache:{prefix:"cache",body:["{% cache %}","\t$1","{% endcache %}"],description:"Caches a portion of the template, which can improve performance for subsequent requests",example:"{% cache for 3 days %}\n    ...\n{% endcache %}"},css:{prefix:"css",body:["{% css %}","\t$1","{% endcss %}"],description:"Registers a <style> block on the page"},dd:{prefix:"dd",body:"{% dd ${value} %}",description:"Dumps a variable and ends the request"},exit:{prefix:"exit",body:"{% exit ${404} %}",description:"Prevents the rest of the template from executing, and ends the request with an optional status code"},header:{prefix:"header",body:"{% header '${header}' %}",description:"Sets an HTTP header on the response"},hook:{prefix:"hook",body:"{% hook '${name}' %}",description:"Gives plugins and modules an opportunity to hook into the template"},html:{prefix:"html",body:["{% html %}","\t$1","{% endhtml %}"],description:"Registers arbitrary HTML code on the page"},js:{prefix:"js",body:["{% js %}","\t$1","{% endjs %}"],description:"Registers a <script> block on the page"},namespace:{prefix:"namespace",body:["{% namespace ${namespace} %}","\t$1","{% endnamespace %}"],description:"Namespaces input names and other HTML attributes"},nav:{prefix:"nav",body:["{% nav ${item} in ${items} %}","\t$1","{% endnav %}"],description:"Outputs a hierarchical navigation menu of structure elements",example:"{% nav entry in entries %}\n    <li>{{ entry.link }}</li>\n{% endnav %}"},children:{prefix:"children",body:"{% children %}",description:"Outputs the children of the current item inside {% nav %}"},ifchildren:{prefix:"ifchildren",body:["{% ifchildren %}","\t$1","{% endifchildren %}"],description:"Outputs its contents only when the current {% nav %} item has children"},paginate:{prefix:"paginate",body:["{% paginate ${query} as ${pageInfo}, ${pageEntries} %}","$1"],description:"Paginates an element query across multiple pages"},redirect:{prefix:"redirect",body:"{% redirect '${url}' %}",description:"Redirects the browser to a different URL"},requireAdmin:{prefix:"requireAdmin",body:"{% requireAdmin %}",description:"Ensures the user is logged in with an admin account"},requireEdition:{prefix:"requireEdition",body:"{% requireEdition ${edition} %}",description:"Ensures the current Craft edition is at least the given edition"},requireGuest:{prefix:"requireGuest",body:"{% requireGuest %}",description:"Ensures the user is not logged in"},requireLogin:{prefix:"requireLogin",body:"{% requireLogin %}",description:"Ensures the user is logged in, redirecting them to the login page otherwise"},requirePermission:{prefix:"requirePermission",body:"{% requirePermission '${permission}' %}",description:"Ensures the user is logged in with the given permission"},script:{prefix:"script",body:["{% script %}","\t$1","{% endscript %}"],description:"Renders an HTML <script> tag on the page"},"switch":{prefix:"switch",body:["{% switch ${value} %}","\t{% case '${value}' %}","\t\t$1","\t{% default %}","\t\t$2","{% endswitch %}"],description:"Compares a value against several cases"},tag:{prefix:"tag",body:["{% tag '${name}' with { ${attributes} } %}","\t$1","{% endtag %}"],description:"Renders an HTML tag with attributes and the contents of the tag body"}};const filters$2={address:{text:"address",body:"address",description:"Formats an address as HTML"},append:{prefix:"append",text:"append(html)",body:"append(${html})",description:"Appends HTML to the end of another element"},ascii:{text:"ascii",body:"ascii",description:"Converts a string to ASCII characters"},atom:{text:"atom",body:"atom",description:"Converts a date to an ISO-8601 timestamp"},attr:{prefix:"attr",text:"attr(attributes)",body:"attr(${attributes})",description:"Modifies the attributes of an HTML tag"},base64_decode:{text:"base64_decode",body:"base64_decode",description:"Decodes a base64 string"},base64_encode:{text:"base64_encode",body:"base64_encode",description:"Encodes a string as base64"},boolean:{text:"boolean",body:"boolean",description:"Coerces the value to a boolean"},camel:{text:"camel",body:"camel",description:"Formats a string into camelCase"},contains:{prefix:"contains",text:"contains(value)",body:"contains(${value})",description:"Returns whether an array contains a value"},currency:{prefix:"currency",text:"currency(currency)",body:"currency(${currency})",description:"Formats a number as a currency"},datetime:{prefix:"datetime",text:"datetime(format)",body:"datetime(${format})",description:"Formats a date with its time"},diff:{prefix:"diff",text:"diff(array)",body:"diff(${array})",description:"Returns the difference between arrays"},duration:{text:"duration",body:"duration",description:"Returns a DateInterval object as a human-readable duration"},encenc:{text:"encenc",body:"encenc",description:"Encrypts and base64-encodes a string"},explodeClass:{text:"explodeClass",body:"explodeClass",description:"Converts a class attribute value into an array of class names"},explodeStyle:{text:"explodeStyle",body:"explodeStyle",description:"Converts a style attribute value into an array of property names and values"},filesize:{text:"filesize",body:"filesize",description:"Formats a number of bytes into something nicer"},float:{text:"float",body:"float",description:"Coerces the value to a float"},group:{prefix:"group",text:"group(arrow)",body:"group(${arrow})",description:"Groups the items of an array by a common property"},hash:{text:"hash",body:"hash",description:"Prefixes a string with a keyed-hash message authentication code"},httpdate:{text:"httpdate",body:"httpdate",description:"Converts a date to the HTTP format"},id:{text:"id",body:"id",description:"Normalizes an element ID into only alphanumeric characters, underscores and dashes"},index:{prefix:"index",text:"index(key)",body:"index(${key})",description:"Indexes the items of an array by a common property"},indexOf:{prefix:"indexOf",text:"indexOf(value)",body:"indexOf(${value})",description:"Returns the index of a value in an array or a string"},integer:{text:"integer",body:"integer",description:"Coerces the value to an integer"},intersect:{prefix:"intersect",text:"intersect(array)",body:"intersect(${array})",description:"Returns the intersecting items of arrays"},json_decode:{text:"json_decode",body:"json_decode",description:"JSON-decodes a string into an array"},kebab:{text:"kebab",body:"kebab",description:"Formats a string into kebab-case"},lcfirst:{text:"lcfirst",body:"lcfirst",description:"Lowercases the first character of a string"},literal:{text:"literal",body:"literal",description:"Escapes commas and asterisks in a string so they are not treated as special characters in query params"},markdown:{text:"markdown",body:"markdown",description:"Processes a string as Markdown"},md:{text:"md",body:"md",description:"Processes a string as Markdown"},money:{prefix:"money",text:"money(currency)",body:"money(${currency})",description:"Outputs a Money value as a formatted string"},multisort:{prefix:"multisort",text:"multisort(key)",body:"multisort(${key})",description:"Sorts an array by one or more keys within its sub-arrays"},namespace:{prefix:"namespace",text:"namespace(namespace)",body:"namespace(${namespace})",description:"Namespaces input names and other HTML attributes"},ns:{prefix:"ns",text:"ns(namespace)",body:"ns(${namespace})",description:"Namespaces input names and other HTML attributes"},namespaceAttributes:{prefix:"namespaceAttributes",text:"namespaceAttributes(namespace)",body:"namespaceAttributes(${namespace})",description:"Namespaces id and other HTML attributes"},namespaceInputId:{prefix:"namespaceInputId",text:"namespaceInputId(namespace)",body:"namespaceInputId(${namespace})",description:"Namespaces an element ID"},namespaceInputName:{prefix:"namespaceInputName",text:"namespaceInputName(namespace)",body:"namespaceInputName(${namespace})",description:"Namespaces an input name"},number:{text:"number",body:"number",description:"Formats a number according to the user’s preferred language"},parseAttr:{text:"parseAttr",body:"parseAttr",description:"Parses an HTML tag to find its attributes"},parseRefs:{text:"parseRefs",body:"parseRefs",description:"Parses a string for reference tags"},pascal:{text:"pascal",body:"pascal",description:"Formats a string into PascalCase"},percentage:{text:"percentage",body:"percentage",description:"Formats a percentage according to the user’s preferred language"},prepend:{prefix:"prepend",text:"prepend(html)",body:"prepend(${html})",description:"Prepends HTML to the beginning of another element"},purify:{prefix:"purify",text:"purify(config)",body:"purify(${config})",description:"Runs HTML code through HTML Purifier"},push:{prefix:"push",text:"push(value)",body:"push(${value})",description:"Appends one or more items onto the end of an array"},removeClass:{prefix:"removeClass",text:"removeClass(class)",body:"removeClass(${class})",description:"Removes a class or classes from the given HTML tag"},rss:{text:"rss",body:"rss",description:"Converts a date to the RSS date format"},snake:{text:"snake",body:"snake",description:"Formats a string into snake_case"},string:{text:"string",body:"string",description:"Coerces the value to a string"},t:{prefix:"t",text:"t(category)",body:"t(${category})",description:"Translates a message",example:"{{ 'Hello'|t }}"},time:{prefix:"time",text:"time(format)",body:"time(${format})",description:"Outputs the time of day for a timestamp or DateTime object"},timestamp:{prefix:"timestamp",text:"timestamp(format)",body:"timestamp(${format})",description:"Formats a date as a human-readable timestamp"},translate:{prefix:"translate",text:"translate(category)",body:"translate(${category})",description:"Translates a message"},truncate:{prefix:"truncate",text:"truncate(length)",body:"truncate(${length})",description:"Truncates a string to a given length, ending with an ellipsis"},ucfirst:{text:"ucfirst",body:"ucfirst",description:"Capitalizes the first character of a string"},ucwords:{text:"ucwords",body:"ucwords",description:"Capitalizes the first character of each word in a string"},unique:{text:"unique",body:"unique",description:"Removes duplicate values from an array"},unshift:{prefix:"unshift",text:"unshift(value)",body:"unshift(${value})",description:"Prepends one or more items to the beginning of an array"},values:{text:"values",body:"values",description:"Returns all the values in an array, resetting its keys"},where:{prefix:"where",text:"where(condition)",body:"where(${condition})",description:"Filters an array by key-value pairs"},widont:{text:"widont",body:"widont",description:"Inserts a non-breaking space between the last two words of a string"},without:{prefix:"without",text:"without(value)",body:"without(${value})",description:"Returns an array without the specified elements"},withoutKey:{prefix:"withoutKey",text:"withoutKey(key)",body:"withoutKey(${key})",description:"Returns an array without the specified key"}};const functions$2={actionInput:{prefix:"actionInput",body:"{{ actionInput(${action}) }}$1",description:"Outputs a hidden action input"},actionUrl:{prefix:"actionUrl",body:"{{ actionUrl(${action}) }}$1",description:"Generates a controller action URL"},alias:{prefix:"alias",body:"{{ alias(${alias}) }}$1",description:"Parses a string as an alias"},attr:{prefix:"attr",body:"{{ attr(${attributes}) }}$1",description:"Generates HTML attributes"},beginBody:{prefix:"beginBody",body:"{{ beginBody() }}$1",description:"Outputs scripts and styles that were registered for the “begin body” position"},ceil:{prefix:"ceil",body:"{{ ceil(${number}) }}$1",description:"Rounds a number up"},className:{prefix:"className",body:"{{ className(${object}) }}$1",description:"Returns the fully qualified class name of a given object"},clone:{prefix:"clone",body:"{{ clone(${object}) }}$1",description:"Clones an object"},collect:{prefix:"collect",body:"{{ collect(${array}) }}$1",description:"Returns a new collection"},combine:{prefix:"combine",body:"{{ combine(${keys}, ${values}) }}$1",description:"Combines two arrays into one"},configure:{prefix:"configure",body:"{{ configure(${object}, ${properties}) }}$1",description:"Sets attributes on the passed object"},cpUrl:{prefix:"cpUrl",body:"{{ cpUrl(${path}) }}$1",description:"Generates a control panel URL"},create:{prefix:"create",body:"{{ create(${type}) }}$1",description:"Creates a new object"},csrfInput:{prefix:"csrfInput",body:"{{ csrfInput() }}$1",description:"Returns a hidden CSRF token input"},dataUrl:{prefix:"dataUrl",body:"{{ dataUrl(${file}) }}$1",description:"Outputs an asset or file as a base64-encoded data URL"},endBody:{prefix:"endBody",body:"{{ endBody() }}$1",description:"Outputs scripts and styles that were registered for the “end body” position"},expression:{prefix:"expression",body:"{{ expression(${expression}) }}$1",description:"Creates a database expression object"},failMessageInput:{prefix:"failMessageInput",body:"{{ failMessageInput(${message}) }}$1",description:"Outputs a hidden failMessage input"},floor:{prefix:"floor",body:"{{ floor(${number}) }}$1",description:"Rounds a number down"},getenv:{prefix:"getenv",body:"{{ getenv(${name}) }}$1",description:"Returns the value of an environment variable"},gql:{prefix:"gql",body:"{{ gql(${query}) }}$1",description:"Executes a GraphQL query against the full schema"},head:{prefix:"head",body:"{{ head() }}$1",description:"Outputs scripts and styles that were registered for the “head” position"},hiddenInput:{prefix:"hiddenInput",body:"{{ hiddenInput(${name}, ${value}) }}$1",description:"Outputs a hidden input"},input:{prefix:"input",body:"{{ input(${type}, ${name}, ${value}) }}$1",description:"Outputs an HTML input"},ol:{prefix:"ol",body:"{{ ol(${items}) }}$1",description:"Outputs an array of items as an ordered list"},parseBooleanEnv:{prefix:"parseBooleanEnv",body:"{{ parseBooleanEnv(${value}) }}$1",description:"Parses a string as an environment variable or alias having a boolean value"},parseEnv:{prefix:"parseEnv",body:"{{ parseEnv(${value}) }}$1",description:"Parses a string as an environment variable or alias"},plugin:{prefix:"plugin",body:"{{ plugin(${handle}) }}$1",description:"Returns a plugin instance by its handle"},redirectInput:{prefix:"redirectInput",body:"{{ redirectInput(${url}) }}$1",description:"Outputs a hidden redirect input"},renderObjectTemplate:{prefix:"renderObjectTemplate",body:"{{ renderObjectTemplate(${template}, ${object}) }}$1",description:"Renders an object template"},seq:{prefix:"seq",body:"{{ seq(${name}) }}$1",description:"Outputs the next or current number in a sequence"},shuffle:{prefix:"shuffle",body:"{{ shuffle(${array}) }}$1",description:"Randomizes the order of the items in an array"},siteUrl:{prefix:"siteUrl",body:"{{ siteUrl(${path}) }}$1",description:"Generates a front-end URL"},successMessageInput:{prefix:"successMessageInput",body:"{{ successMessageInput(${message}) }}$1",description:"Outputs a hidden successMessage input"},svg:{prefix:"svg",body:"{{ svg(${svg}) }}$1",description:"Outputs an SVG document"},tag:{prefix:"tag",body:"{{ tag(${type}, ${attributes}) }}$1",description:"Outputs an HTML tag"},ul:{prefix:"ul",body:"{{ ul(${items}) }}$1",description:"Outputs an array of items as an unordered list"},url:{prefix:"url",body:"{{ url(${path}) }}$1",description:"Generates a URL"}};const tests$2={array:{description:"Returns whether an object is an array"},boolean:{description:"Returns whether an object is a boolean"},callable:{description:"Returns whether an object is callable"},countable:{description:"Returns whether an object is a countable"},float:{description:"Returns whether an object is a float"},"instance of":{body:"instance of(${class})",description:"Returns whether an object is an instance of another object or class",example:"{% if element is instance of('craft\\\\elements\\\\Entry') %}"},integer:{description:"Returns whether an object is an integer"},missing:{description:"Returns whether an object is a craft\\base\\MissingComponentInterface"},numeric:{description:"Returns whether an object is numeric"},resource:{description:"Returns whether an object is a resource"},scalar:{description:"Returns whether an object is a scalar"},string:{description:"Returns whether an object is a string"}};const globals$2={craft:{description:"A craft\\web\\twig\\variables\\CraftVariable object, with access to element queries and services",example:"{% set entries = craft.entries().section('news').all() %}"},currentSite:{description:"The requested site"},currentUser:{description:"The currently logged-in user, or null"},devMode:{description:"Whether Dev Mode is enabled"},loginUrl:{description:"The URL to the front-end login page"},logoutUrl:{description:"The URL to the front-end logout page"},now:{description:"The current date and time, as a DateTime object"},primarySite:{description:"The primary site"},setPasswordUrl:{description:"The URL to the front-end reset password page"},siteName:{description:"The name of the current site"},siteUrl:{description:"The base URL of the current site"},systemName:{description:"The system name"},today:{description:"Midnight of the current day, as a DateTime object"},tomorrow:{description:"Midnight of tomorrow, as a DateTime object"},view:{description:"The app’s view component"},yesterday:{description:"Midnight of yesterday, as a DateTime object"}};const snippets$2=["asset","assets","cache","endcache","case","children","ceil","formlogin","formuserprofile","formuserregistration","formforgotpassword","formsetpassword","formsearch","formsearchresults","rss","assetso","categorieso","categories","entrieso","entries","feed","t","replacex","tagso","tags","userso","users","csrf","dd","dojs","docss","endifchildren","endcss","endjs","endnav","endswitch","exit","floor","endbody","head","ifchildren","css1","js","js1","css","matrix","matrixif","matrixifelse","matrixswitch","nav","paginate","paginate1","redirect","getparam","getbodyparam","getqueryparam","getsegment","requirelogin","requirepermission","shuffle","switch","urla","url"];var craft = {name:name$2,tags:tags$2,filters:filters$2,functions:functions$2,tests:tests$2,globals:globals$2,snippets:snippets$2};
+
+const name$1="Symfony";const tags$1={form_theme:{prefix:"form_theme",body:"{% form_theme ${form} '${template}' %}",description:"Sets the themes used to render a form"},trans:{prefix:"trans",body:["{% trans %}","\t$1","{% endtrans %}"],description:"Translates the contents of the tag"},trans_default_domain:{prefix:"trans_default_domain",body:"{% trans_default_domain '${domain}' %}",description:"Sets the default translation domain of the template"},stopwatch:{prefix:"stopwatch",body:["{% stopwatch '${event}' %}","\t$1","{% endstopwatch %}"],description:"Times the execution of a part of the template in the profiler"}};const filters$1={abbr_class:{text:"abbr_class",body:"abbr_class",description:"Renders the short name of a PHP class in an <abbr> element"},abbr_method:{text:"abbr_method",body:"abbr_method",description:"Renders the short name of a PHP method in an <abbr> element"},file_excerpt:{prefix:"file_excerpt",text:"file_excerpt(line)",body:"file_excerpt(${line})",description:"Renders an excerpt of a file around a line"},file_link:{prefix:"file_link",text:"file_link(line)",body:"file_link(${line})",description:"Generates a link to a file in the configured editor"},file_relative:{text:"file_relative",body:"file_relative",description:"Returns the path of a file relative to the project root"},format_args:{text:"format_args",body:"format_args",description:"Renders the arguments of a PHP function call"},format_file:{prefix:"format_file",text:"format_file(line)",body:"format_file(${line})",description:"Renders a file path with a link to the configured editor"},humanize:{text:"humanize",body:"humanize",description:"Makes a technical name human readable, e.g. first_name becomes First name"},sanitize_html:{prefix:"sanitize_html",text:"sanitize_html(sanitizer)",body:"sanitize_html(${sanitizer})",description:"Sanitizes HTML with the HTML sanitizer component"},serialize:{prefix:"serialize",text:"serialize(format)",body:"serialize(${format})",description:"Serializes a value with the serializer component"},trans:{prefix:"trans",text:"trans(arguments, domain, locale)",body:"trans(${arguments}, ${domain}, ${locale})",description:"Translates a message",example:"{{ 'Hello %name%'|trans({'%name%': name}) }}"},yaml_dump:{text:"yaml_dump",body:"yaml_dump",description:"Dumps a value as YAML, including its type"},yaml_encode:{text:"yaml_encode",body:"yaml_encode",description:"Encodes a value as YAML"}};const functions$1={absolute_url:{prefix:"absolute_url",body:"{{ absolute_url(${path}) }}$1",description:"Returns the absolute URL of a path"},asset:{prefix:"asset",body:"{{ asset(${path}) }}$1",description:"Returns the public path of an asset"},asset_version:{prefix:"asset_version",body:"{{ asset_version(${path}) }}$1",description:"Returns the version of an asset"},controller:{prefix:"controller",body:"{{ controller(${controller}, ${attributes}) }}$1",description:"Returns a reference to a controller, to be rendered with render()"},csrf_token:{prefix:"csrf_token",body:"{{ csrf_token(${intention}) }}$1",description:"Generates a CSRF token"},field_name:{prefix:"field_name",body:"{{ field_name(${field}) }}$1",description:"Returns the name of a form field"},field_value:{prefix:"field_value",body:"{{ field_value(${field}) }}$1",description:"Returns the value of a form field"},field_label:{prefix:"field_label",body:"{{ field_label(${field}) }}$1",description:"Returns the label of a form field"},field_help:{prefix:"field_help",body:"{{ field_help(${field}) }}$1",description:"Returns the help text of a form field"},field_errors:{prefix:"field_errors",body:"{{ field_errors(${field}) }}$1",description:"Returns the errors of a form field"},field_choices:{prefix:"field_choices",body:"{{ field_choices(${field}) }}$1",description:"Returns the choices of a form field"},form:{prefix:"form",body:"{{ form(${view}, ${variables}) }}$1",description:"Renders the HTML of a complete form"},form_end:{prefix:"form_end",body:"{{ form_end(${view}, ${variables}) }}$1",description:"Renders the end tag of a form, with the fields not rendered yet"},form_errors:{prefix:"form_errors",body:"{{ form_errors(${view}) }}$1",description:"Renders the errors of a field or of the whole form"},form_help:{prefix:"form_help",body:"{{ form_help(${view}) }}$1",description:"Renders the help text of a field"},form_label:{prefix:"form_label",body:"{{ form_label(${view}, ${label}) }}$1",description:"Renders the label of a field"},form_rest:{prefix:"form_rest",body:"{{ form_rest(${view}, ${variables}) }}$1",description:"Renders the fields not rendered yet"},form_row:{prefix:"form_row",body:"{{ form_row(${view}, ${variables}) }}$1",description:"Renders the label, errors, help and widget of a field"},form_start:{prefix:"form_start",body:"{{ form_start(${view}, ${variables}) }}$1",description:"Renders the start tag of a form"},form_widget:{prefix:"form_widget",body:"{{ form_widget(${view}, ${variables}) }}$1",description:"Renders the HTML widget of a field"},importmap:{prefix:"importmap",body:"{{ importmap(${entrypoint}) }}$1",description:"Outputs the importmap and the script tags of an entrypoint"},is_granted:{prefix:"is_granted",body:"{{ is_granted(${role}, ${object}) }}$1",description:"Returns whether the current user has a role or a permission"},logout_path:{prefix:"logout_path",body:"{{ logout_path(${firewall}) }}$1",description:"Returns the relative logout URL of a firewall"},logout_url:{prefix:"logout_url",body:"{{ logout_url(${firewall}) }}$1",description:"Returns the absolute logout URL of a firewall"},path:{prefix:"path",body:"{{ path(${route}, ${parameters}) }}$1",description:"Returns the relative URL of a route"},relative_path:{prefix:"relative_path",body:"{{ relative_path(${path}) }}$1",description:"Returns the relative path to a path from the current request"},render:{prefix:"render",body:"{{ render(${uri}, ${options}) }}$1",description:"Renders the response of a controller or a URL"},render_esi:{prefix:"render_esi",body:"{{ render_esi(${uri}, ${options}) }}$1",description:"Renders the response of a controller or a URL as an ESI tag"},t:{prefix:"t",body:"{{ t(${message}, ${parameters}, ${domain}) }}$1",description:"Creates a translatable object"},url:{prefix:"url",body:"{{ url(${route}, ${parameters}) }}$1",description:"Returns the absolute URL of a route"},workflow_can:{prefix:"workflow_can",body:"{{ workflow_can(${subject}, ${transition}) }}$1",description:"Returns whether a workflow transition can be applied"},workflow_has_marked_place:{prefix:"workflow_has_marked_place",body:"{{ workflow_has_marked_place(${subject}, ${place}) }}$1",description:"Returns whether a subject is in a workflow place"},workflow_marked_places:{prefix:"workflow_marked_places",body:"{{ workflow_marked_places(${subject}) }}$1",description:"Returns the workflow places a subject is in"},workflow_metadata:{prefix:"workflow_metadata",body:"{{ workflow_metadata(${subject}, ${key}) }}$1",description:"Returns the metadata of a workflow, place or transition"},workflow_transitions:{prefix:"workflow_transitions",body:"{{ workflow_transitions(${subject}) }}$1",description:"Returns the workflow transitions that can be applied"}};const tests$1={rootform:{description:"Returns whether a form view is the root of its form"},selectedchoice:{body:"selectedchoice(${value})",description:"Returns whether a choice is selected in a choice field"}};const globals$1={app:{description:"The application variable, with the user, request, session, flashes, environment and debug mode",example:"{{ app.user.userIdentifier }}"}};const snippets$1=["trans","endtrans"];var symfony = {name:name$1,tags:tags$1,filters:filters$1,functions:functions$1,tests:tests$1,globals:globals$1,snippets:snippets$1};
+
+const name="Drupal";const tags={trans:{prefix:"trans",body:["{% trans %}","\t$1","{% endtrans %}"],description:"Translates the contents of the tag, with {% plural %} for plural forms"}};const filters={add_class:{prefix:"add_class",text:"add_class(class)",body:"add_class(${class})",description:"Adds classes to the attributes of a render array element"},add_suffix:{prefix:"add_suffix",text:"add_suffix(suffix)",body:"add_suffix(${suffix})",description:"Adds a suffix to a render array element"},clean_class:{text:"clean_class",body:"clean_class",description:"Prepares a string for use as a valid class name"},clean_id:{text:"clean_id",body:"clean_id",description:"Prepares a string for use as a valid HTML id"},drupal_escape:{prefix:"drupal_escape",text:"drupal_escape(strategy)",body:"drupal_escape",description:"Escapes a value like escape, leaving render arrays and markup objects that are already safe as they are",params:[{name:"strategy","default":"'html'",description:"The escaping strategy"},{name:"charset","default":"null",description:"The character set"},{name:"autoescape","default":"false",description:"Whether the filter is applied by autoescaping"}]},format_size:{text:"format_size",body:"format_size",description:"Formats a number of bytes as a human readable size"},placeholder:{text:"placeholder",body:"placeholder",description:"Escapes a string and wraps it in <em> tags"},render:{text:"render",body:"render",description:"Renders a render array or an object to a string"},safe_join:{prefix:"safe_join",text:"safe_join(separator)",body:"safe_join(${separator})",description:"Joins several strings, escaping each of them"},set_attribute:{prefix:"set_attribute",text:"set_attribute(name, value)",body:"set_attribute(${name}, ${value})",description:"Sets an attribute of a render array element"},t:{prefix:"t",text:"t(arguments, options)",body:"t(${arguments}, ${options})",description:"Translates a string",example:"{{ 'Hello'|t }}"},trans:{prefix:"trans",text:"trans(arguments, options)",body:"trans(${arguments}, ${options})",description:"Translates a string"},without:{prefix:"without",text:"without(key)",body:"without(${key})",description:"Creates a copy of a render array without the given keys"}};const functions={active_theme:{prefix:"active_theme",body:"{{ active_theme() }}$1",description:"Returns the machine name of the active theme"},active_theme_path:{prefix:"active_theme_path",body:"{{ active_theme_path() }}$1",description:"Returns the path of the active theme"},attach_library:{prefix:"attach_library",body:"{{ attach_library(${library}) }}$1",description:"Attaches an asset library to the template"},create_attribute:{prefix:"create_attribute",body:"{{ create_attribute(${attributes}) }}$1",description:"Creates an Attribute object"},file_url:{prefix:"file_url",body:"{{ file_url(${uri}) }}$1",description:"Returns a relative URL for a file URI"},link:{prefix:"link",body:"{{ link(${text}, ${url}, ${attributes}) }}$1",description:"Creates a link from a text and a URL object"},path:{prefix:"path",body:"{{ path(${route}, ${parameters}, ${options}) }}$1",description:"Returns the relative URL of a route"},render_var:{prefix:"render_var",body:"{{ render_var(${value}) }}$1",description:"Renders a render array or an object"},url:{prefix:"url",body:"{{ url(${route}, ${parameters}, ${options}) }}$1",description:"Returns the absolute URL of a route"}};const tests={};const globals={attributes:{description:"The HTML attributes of the element being rendered"},base_path:{description:"The base URL path of the Drupal installation"},content_attributes:{description:"The HTML attributes of the content of the element"},directory:{description:"The directory of the theme the template belongs to"},is_admin:{description:"Whether the current user is an administrator"},is_front:{description:"Whether the current page is the front page"},logged_in:{description:"Whether the current user is logged in"},theme_hook_original:{description:"The original theme hook of the template"},title_attributes:{description:"The HTML attributes of the title of the element"},user:{description:"The current user"}};const snippets=["trans","endtrans"];var drupal = {name:name,tags:tags,filters:filters,functions:functions,tests:tests,globals:globals,snippets:snippets};
+
+// Files read between two pauses, so that scanning does not block the extension host
+const BATCH_SIZE = 50;
+
+/**
+ * Run a task on files, a batch at a time
+ * @param {vscode.Uri[]} uris - Files
+ * @param {function(vscode.Uri): Promise} task - Reads or indexes a file
+ * @param {{onProgress?: function(number, number), isCancelled?: function(): boolean}} [options] - `onProgress(done, total)` is called before each batch, and `isCancelled()` stops the run before the next one
+ * @returns {Promise<void>}
+ */
+function runInBatches(uris, task, options) {
+    const { onProgress, isCancelled } = options || {};
+
+    function next(index) {
+        if (isCancelled && isCancelled()) {
+            return Promise.resolve();
+        }
+        if (onProgress) {
+            onProgress(index, uris.length);
+        }
+        if (index >= uris.length) {
+            return Promise.resolve();
+        }
+        return Promise.all(uris.slice(index, index + BATCH_SIZE).map(task))
+            .then(() => new Promise(resolve => setTimeout(resolve, 0)))
+            .then(() => next(index + BATCH_SIZE));
+    }
+
+    return next(0);
+}
+
+/**
+ * Scanner of workspace files, e.g. the PHP sources for Twig extensions: files
+ * matching `include` and mentioning `keyword` are parsed, then kept up to date
+ * with a watcher while the `twig-language-2.<setting>` setting is on
+ * @param {object} options - Scanner options
+ * @param {string} options.include - Glob of the files
+ * @param {string} options.exclude - Glob of the folders left out of the search
+ * @param {RegExp} options.excludedPath - Paths left out, for the watcher too
+ * @param {RegExp} options.keyword - Content of the files worth parsing
+ * @param {string} options.setting - Setting turning the scan on and off
+ * @param {function(string): object} options.parse - Parses the text of a file
+ * @param {function(Map<string, object>): object} options.merge - Combines the parsed files
+ * @returns {{onDidChange: vscode.Event<void>, get: function(): object, initialize: function(vscode.ExtensionContext): Promise<void>}} - `get()` returns what `merge()` made of the current files, and `initialize()` starts scanning
+ */
+function createScanner(options) {
+    const files = new Map();
+    const changeEmitter = new vscode.EventEmitter();
+    let merged = null;
+    // Incremented by each scan, so that a scan replaced by a newer one stops
+    let generation = 0;
+
+    const isEnabled = () => vscode.workspace.getConfiguration('twig-language-2').get(options.setting, true);
+    const isScanned = uri => uri.scheme === 'file' && !options.excludedPath.test(uri.path);
+
+    function changed() {
+        merged = null;
+        changeEmitter.fire();
+    }
+
+    /**
+     * Scan or re-scan a file
+     */
+    function scanFile(uri, target) {
+        const key = uri.toString();
+
+        return Promise.resolve(vscode.workspace.fs.readFile(uri)).then(content => {
+            const text = Buffer.from(content).toString('utf8');
+            if (options.keyword.test(text)) {
+                target.set(key, Object.assign(options.parse(text), { uri, path: vscode.workspace.asRelativePath(uri) }));
+            } else {
+                target.delete(key);
+            }
+        }, () => {
+            target.delete(key);
+        });
+    }
+
+    function scanWorkspace() {
+        const current = ++generation;
+        if (!isEnabled()) {
+            files.clear();
+            changed();
+            return Promise.resolve();
+        }
+
+        const scanned = new Map();
+        return Promise.resolve(vscode.workspace.findFiles(options.include, options.exclude)).then(found => {
+            return runInBatches(found.filter(isScanned), uri => scanFile(uri, scanned), { isCancelled: () => current !== generation });
+        }).then(() => {
+            if (current === generation) {
+                files.clear();
+                scanned.forEach((file, key) => files.set(key, file));
+                changed();
+            }
+        });
+    }
+
+    function initialize(context) {
+        context.subscriptions.push(changeEmitter);
+
+        const update = uri => {
+            if (isScanned(uri) && isEnabled()) {
+                scanFile(uri, files).then(changed);
+            }
+        };
+
+        const watcher = vscode.workspace.createFileSystemWatcher(options.include);
+        context.subscriptions.push(watcher);
+        watcher.onDidCreate(update, null, context.subscriptions);
+        watcher.onDidChange(update, null, context.subscriptions);
+        watcher.onDidDelete(uri => {
+            if (files.delete(uri.toString())) {
+                changed();
+            }
+        }, null, context.subscriptions);
+
+        vscode.workspace.onDidChangeConfiguration((event) => {
+            if (event.affectsConfiguration(`twig-language-2.${options.setting}`)) {
+                scanWorkspace();
+            }
+        }, null, context.subscriptions);
+
+        vscode.workspace.onDidChangeWorkspaceFolders(scanWorkspace, null, context.subscriptions);
+
+        return scanWorkspace();
+    }
+
+    return {
+        onDidChange: changeEmitter.event,
+        get() {
+            if (!merged) {
+                merged = options.merge(files);
+            }
+            return merged;
+        },
+        initialize
+    };
+}
+
+const PHP_EXCLUDE = '**/{node_modules,vendor,var}/**';
+
+// `new TwigFilter(...)`, `new \Twig\TwigFunction(...)`, `new Twig_SimpleTest(...)`
+const DECLARATION$1 = /new\s+\\?(?:Twig\\)?Twig(?:_Simple)?(Filter|Function|Test)\s*\(/g;
+// Methods and functions, with the docblock and attributes before them
+const FUNCTION = /(?:\/\*\*((?:(?!\*\/)[\s\S])*)\*\/\s*)?(?:#\[[^\]]*\]\s*)*(?:(?:public|protected|private|static|final|abstract)\s+)*function\s+&?\s*(\w+)\s*\(/g;
+const GLOBALS = /function\s+getGlobals\s*\([^)]*\)[^{;]*\{/g;
+
+const SECTIONS$1 = { Filter: 'filters', Function: 'functions', Test: 'tests' };
+
+/**
+ * Index of the quote closing the string starting at an index
+ */
+function skipString(text, index) {
+    const quote = text[index];
+    for (let i = index + 1; i < text.length; i++) {
+        if (text[i] === '\\') {
+            i++;
+        } else if (text[i] === quote) {
+            return i;
+        }
+    }
+    return text.length;
+}
+
+/**
+ * Source with its comments blanked out, keeping the offsets
+ */
+function stripComments(text) {
+    let result = '';
+    let start = 0;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        const next = text[i + 1];
+        let end = -1;
+
+        if (char === '"' || char === "'") {
+            i = skipString(text, i);
+        } else if (char === '/' && next === '*') {
+            end = text.indexOf('*/', i + 2);
+            end = end < 0 ? text.length : end + 2;
+        } else if ((char === '/' && next === '/') || (char === '#' && next !== '[')) {
+            end = text.indexOf('\n', i);
+            end = end < 0 ? text.length : end;
+        }
+
+        if (end >= 0) {
+            result += text.substring(start, i) + text.substring(i, end).replace(/[^\n]/g, ' ');
+            start = end;
+            i = end - 1;
+        }
+    }
+    return result + text.substring(start);
+}
+
+/**
+ * Comma separated items up to the bracket closing the list, skipping strings
+ * and nested brackets
+ * @param {string} code - PHP source without comments
+ * @param {number} index - Index after the opening bracket
+ * @returns {string[]|null} - Trimmed items, or null when the list is not closed
+ */
+function readList(code, index) {
+    const items = [];
+    let depth = 0;
+    let start = index;
+
+    for (let i = index; i < code.length; i++) {
+        const char = code[i];
+
+        if (char === '"' || char === "'") {
+            i = skipString(code, i);
+        } else if (char === '(' || char === '[' || char === '{') {
+            depth++;
+        } else if (char === ')' || char === ']' || char === '}') {
+            if (depth === 0) {
+                items.push(code.substring(start, i));
+                return items.map(item => item.trim()).filter(Boolean);
+            }
+            depth--;
+        } else if (char === ',' && depth === 0) {
+            items.push(code.substring(start, i));
+            start = i + 1;
+        }
+    }
+    return null;
+}
+
+/**
+ * Name of a PHP parameter as written in templates: Twig matches named
+ * arguments in snake case, e.g. `maxLength` is `max_length`
+ */
+function snakeCase(name) {
+    return name.replace(/([A-Z]+)([A-Z][a-z])/g, '$1_$2').replace(/([a-z\d])([A-Z])/g, '$1_$2').toLowerCase();
+}
+
+/**
+ * Parameters of a PHP signature, e.g. `{name: 'currency', default: "'EUR'"}`
+ * for `?string $currency = 'EUR'`, described by the `@param` tags of its docblock
+ */
+function parseParams(items, docblock) {
+    const descriptions = {};
+    const tag = /@param\s+(?:[^\s$]+\s+)?(?:\.\.\.)?\$(\w+)[ \t]*([^\n]*)/g;
+    let match;
+    while ((match = tag.exec(docblock || ''))) {
+        descriptions[match[1]] = match[2].replace(/\s*\*\/$/, '').trim();
+    }
+
+    return items.map(item => {
+        const param = item.replace(/#\[[^\]]*\]/g, '').match(/(\.\.\.)?\s*\$(\w+)\s*(?:=\s*([\s\S]+))?$/);
+        if (!param) {
+            return null;
+        }
+        return {
+            name: (param[1] || '') + snakeCase(param[2]),
+            default: param[3] ? param[3].replace(/\s+/g, ' ') : null,
+            description: descriptions[param[2]] || ''
+        };
+    }).filter(Boolean);
+}
+
+/**
+ * First paragraph of a docblock, without the tags
+ */
+function docSummary(docblock) {
+    if (!docblock) {
+        return '';
+    }
+    const lines = docblock.split('\n').map(line => line.replace(/^\s*\*?\s?/, '').trim());
+    const summary = [];
+    for (const line of lines) {
+        if (line.startsWith('@') || (!line && summary.length)) {
+            break;
+        }
+        if (line) {
+            summary.push(line);
+        }
+    }
+    return summary.join(' ');
+}
+
+/**
+ * Short name of a PHP class, e.g. `AppRuntime` for `\App\Twig\AppRuntime`
+ */
+function shortName(name) {
+    return name.split('\\').pop();
+}
+
+/**
+ * What a callable argument refers to: a method, a function, or a closure
+ * with its own parameters
+ */
+function parseCallable(text) {
+    if (!text) {
+        return null;
+    }
+    let match = text.match(/^(?:\[|array\s*\()\s*(\$this|(?:[\w\\]+)::class)\s*,\s*(['"])(\w+)\2\s*[\])]$/);
+    if (match) {
+        return { className: match[1] === '$this' ? null : shortName(match[1].replace(/::class$/, '')), method: match[3] };
+    }
+    match = text.match(/^(\$this->|[\w\\]+::)(\w+)\s*\(\s*\.\.\.\s*\)$/);
+    if (match) {
+        return { className: match[1] === '$this->' ? null : shortName(match[1].slice(0, -2)), method: match[2] };
+    }
+    match = text.match(/^(['"])([\w\\]+)::(\w+)\1$/);
+    if (match) {
+        return { className: shortName(match[2]), method: match[3] };
+    }
+    match = text.match(/^(['"])([\w\\]+)\1$/);
+    if (match) {
+        return { functionName: shortName(match[2]) };
+    }
+    match = text.match(/^(?:static\s+)?(?:function|fn)\s*&?\s*\(/);
+    if (match) {
+        return { params: parseParams(readList(text, match[0].length) || []) };
+    }
+    return null;
+}
+
+/**
+ * Twig extensions declared in a PHP file, and the methods and functions
+ * their callables may refer to
+ * @param {string} text - PHP source
+ * @returns {{className: string|null, declarations: Array, methods: object, globals: string[]}}
+ */
+function parsePhpFile(text) {
+    const code = stripComments(text);
+    const classMatch = code.match(/^\s*(?:(?:abstract|final|readonly)\s+)*(?:class|trait)\s+(\w+)/m);
+    const methods = {};
+    const declarations = [];
+    const globals = [];
+    let match;
+
+    FUNCTION.lastIndex = 0;
+    while ((match = FUNCTION.exec(text))) {
+        methods[match[2]] = {
+            params: parseParams(readList(code, FUNCTION.lastIndex) || [], match[1]),
+            summary: docSummary(match[1])
+        };
+    }
+
+    DECLARATION$1.lastIndex = 0;
+    while ((match = DECLARATION$1.exec(code))) {
+        const args = readList(code, DECLARATION$1.lastIndex);
+        const name = args && args[0].match(/^(['"])([^'"]+)\1$/);
+        if (!name) {
+            continue;
+        }
+        const options = args[2] || '';
+        declarations.push({
+            section: SECTIONS$1[match[1]],
+            name: name[2],
+            callable: parseCallable(args[1]),
+            // Arguments Twig passes itself: the environment, the context and the filtered or tested value
+            skip: (/['"]needs_environment['"]\s*=>\s*true/.test(options) ? 1 : 0) +
+                (/['"]needs_context['"]\s*=>\s*true/.test(options) ? 1 : 0) +
+                (match[1] === 'Function' ? 0 : 1)
+        });
+    }
+
+    GLOBALS.lastIndex = 0;
+    if ((match = GLOBALS.exec(code))) {
+        const body = code.substring(GLOBALS.lastIndex);
+        const returned = body.match(/\breturn\s*(\[|array\s*\()/);
+        (returned ? readList(body, returned.index + returned[0].length) || [] : []).forEach(item => {
+            const key = item.match(/^(['"])([^'"]+)\1\s*=>/);
+            if (key) {
+                globals.push(key[2]);
+            }
+        });
+    }
+
+    return { className: classMatch ? classMatch[1] : null, declarations, methods, globals };
+}
+
+/**
+ * Filters, functions, tests and globals of the scanned PHP files, as
+ * declarations of `.twig-language.json`: `{params, description}`
+ */
+function mergeExtensions(files) {
+    const classes = new Map();
+    const functions = new Map();
+    files.forEach(file => {
+        if (file.className) {
+            classes.set(file.className, file.methods);
+        } else {
+            Object.keys(file.methods).forEach(name => functions.set(name, file.methods[name]));
+        }
+    });
+
+    const merged = { filters: {}, functions: {}, tests: {}, globals: {} };
+    files.forEach(file => {
+        const defined = `Defined in ${file.path}`;
+
+        file.declarations.forEach(declaration => {
+            const callable = declaration.callable || {};
+            let target = null;
+            if (callable.method) {
+                target = (callable.className ? classes.get(callable.className) : file.methods) || {};
+                target = target[callable.method];
+            } else if (callable.functionName) {
+                target = functions.get(callable.functionName);
+            } else if (callable.params) {
+                target = { params: callable.params, summary: '' };
+            }
+
+            merged[declaration.section][declaration.name] = {
+                params: target ? target.params.slice(declaration.skip) : [],
+                description: [target && target.summary, defined].filter(Boolean).join('\n\n')
+            };
+        });
+
+        file.globals.forEach(name => {
+            merged.globals[name] = { description: `Global variable. ${defined}` };
+        });
+    });
+    return merged;
+}
+
+// Only files mentioning Twig are kept: extensions and their runtimes import
+// Twig classes
+const scanner$1 = createScanner({
+    include: '**/*.php',
+    exclude: PHP_EXCLUDE,
+    excludedPath: /\/(?:node_modules|vendor|var)\//,
+    keyword: /Twig/,
+    setting: 'phpExtensions',
+    parse: parsePhpFile,
+    merge: mergeExtensions
+});
+
+// Extensions of the installed packages, e.g. the Twig bundles of Composer.
+// Only their extension classes are read, the rest of vendor being large.
+const vendorScanner = createScanner({
+    include: '**/vendor/**/*Extension.php',
+    exclude: '**/node_modules/**',
+    excludedPath: /\/node_modules\//,
+    keyword: /Twig/,
+    setting: 'phpExtensions',
+    parse: parsePhpFile,
+    merge: mergeExtensions
+});
+
+const changeEmitter$1 = new vscode.EventEmitter();
+
+/**
+ * Fired when the extensions found in the PHP sources or in vendor change
+ * @type {vscode.Event<void>}
+ */
+const onDidChangePhpExtensions = changeEmitter$1.event;
+
+/**
+ * Filters, functions, tests and globals of every scanned PHP file outside of
+ * vendor, as declarations of `.twig-language.json`: `{params, description}`
+ * @returns {{filters: object, functions: object, tests: object, globals: object}}
+ */
+function getPhpExtensions() {
+    return scanner$1.get();
+}
+
+/**
+ * Filters, functions, tests and globals of the extension classes in vendor,
+ * in the same shape as `getPhpExtensions()`
+ * @returns {{filters: object, functions: object, tests: object, globals: object}}
+ */
+function getVendorExtensions() {
+    return vendorScanner.get();
+}
+
+/**
+ * Scan the PHP files of the workspace for Twig extensions, and keep up with
+ * changes to them
+ * @param {vscode.ExtensionContext} context - Extension context
+ * @returns {Promise<void>}
+ */
+function initializePhpExtensions(context) {
+    context.subscriptions.push(changeEmitter$1);
+    [scanner$1, vendorScanner].forEach(item => {
+        item.onDidChange(() => changeEmitter$1.fire(), null, context.subscriptions);
+    });
+    return Promise.all([scanner$1.initialize(context), vendorScanner.initialize(context)]).then(() => undefined);
+}
+
+// Profiles of the `framework` setting: core Twig, plus what a framework adds
+const FRAMEWORKS = {
+    twig: { label: 'Twig', extension: null },
+    craft: { label: 'Craft CMS', extension: craft },
+    symfony: { label: 'Symfony', extension: symfony },
+    drupal10: { label: 'Drupal 10', extension: drupal }
+};
+
+const SECTIONS = ['tags', 'filters', 'functions', 'tests', 'globals'];
+const CORE = { tags: twigArr, filters: filters$3, functions: functions$3, tests: tests$3, globals: globals$3 };
+const EXTENSIONS = [craft, symfony, drupal];
+
+// Snippets that belong to a framework; the others of `snippets/profiles.json`
+// depend on the Twig version. The snippets every profile has are contributed
+// by package.json from `snippets/snippets.json`.
+const FRAMEWORK_SNIPPETS = new Set([].concat(...EXTENSIONS.map(extension => extension.snippets)));
+
+// Workspace file declaring the project's own Twig extensions
+const CUSTOM_FILE = '.twig-language.json';
+const DEFAULT_TWIG_VERSION = '3';
+
+const catalogs = new Map();
+const changeEmitter = new vscode.EventEmitter();
+let detected = 'twig';
+let custom = {};
+
+/**
+ * Fired when the active profile changes, e.g. after editing the settings
+ * @type {vscode.Event<void>}
+ */
+const onDidChangeCatalog = changeEmitter.event;
+
+/**
+ * Active profile: the `framework` setting, or the framework detected from
+ * composer.json when it is `auto`
+ * @returns {string} - Key of FRAMEWORKS
+ */
+function getFramework() {
+    const setting = vscode.workspace.getConfiguration('twig-language-2').get('framework', 'auto');
+    return FRAMEWORKS[setting] ? setting : detected;
+}
+
+/**
+ * Twig version of the project, from the `twigVersion` setting, e.g. `3` for
+ * the latest 3.x or `2.12`
+ * @returns {string}
+ */
+function getTwigVersion() {
+    const setting = String(vscode.workspace.getConfiguration('twig-language-2').get('twigVersion', DEFAULT_TWIG_VERSION));
+    return /^\d+(\.\d+)?$/.test(setting) ? setting : DEFAULT_TWIG_VERSION;
+}
+
+/**
+ * Whether the configured Twig version is a version or a later one. A major
+ * version alone stands for its latest release: `3` is at least `3.12`.
+ * @param {string} version - Version, e.g. `3.12`
+ * @returns {boolean}
+ */
+function isTwigVersionAtLeast(version) {
+    const parse = value => {
+        const parts = String(value).split('.');
+        return [Number(parts[0]), parts.length > 1 ? Number(parts[1]) : Infinity];
+    };
+    const [major, minor] = parse(getTwigVersion());
+    const [wantedMajor, wantedMinor] = parse(version);
+    return major > wantedMajor || (major === wantedMajor && minor >= wantedMinor);
+}
+
+/**
+ * Whether an entry exists in the configured Twig version: added by then
+ * (`since`) and not removed yet (`removed`)
+ */
+function isAvailable(entry) {
+    return !(entry.since && !isTwigVersionAtLeast(entry.since)) && !(entry.removed && isTwigVersionAtLeast(entry.removed));
+}
+
+function availableEntries(section) {
+    const entries = {};
+    Object.keys(section || {}).filter(key => isAvailable(section[key])).forEach(key => {
+        entries[key] = section[key];
+    });
+    return entries;
+}
+
+function buildCatalog(framework) {
+    const extension = FRAMEWORKS[framework].extension;
+    const catalog = { framework, label: FRAMEWORKS[framework].label, version: getTwigVersion(), snippets: {} };
+    const php = getPhpExtensions();
+    const vendor = getVendorExtensions();
+    const entries = (found, section) => {
+        const result = {};
+        Object.keys(found[section] || {}).forEach(name => {
+            result[name] = customEntry(section, name, found[section][name]);
+        });
+        return result;
+    };
+
+    // What vendor declares fills the gaps of the built-in catalogs, whose
+    // descriptions are more useful than "Defined in vendor/..."
+    SECTIONS.forEach(section => {
+        catalog[section] = Object.assign({}, entries(vendor, section), availableEntries(CORE[section]),
+            availableEntries(extension && extension[section]), entries(php, section), custom[section]);
+    });
+
+    const ownSnippets = extension ? extension.snippets : [];
+    Object.keys(snippets$3)
+        .filter(key => !FRAMEWORK_SNIPPETS.has(key) || ownSnippets.includes(key))
+        .filter(key => isAvailable(snippets$3[key]))
+        .forEach(key => {
+            catalog.snippets[key] = snippets$3[key];
+        });
+
+    return catalog;
+}
+
+/**
+ * Tags, filters, functions, tests, globals and snippets of the active profile
+ * that exist in the configured Twig version, with the extensions found in the
+ * PHP sources and the declarations of `.twig-language.json`, which take precedence.
+ * Entries have the shape of the `src/hover/*.json` catalogs. The snippets are
+ * only those of the framework or Twig version, the shared ones being static.
+ * @returns {{framework: string, label: string, version: string, tags: object, filters: object, functions: object, tests: object, globals: object, snippets: object}}
+ */
+function getCatalog() {
+    const key = `${getFramework()}@${getTwigVersion()}`;
+    if (!catalogs.has(key)) {
+        catalogs.set(key, buildCatalog(getFramework()));
+    }
+    return catalogs.get(key);
+}
+
+/**
+ * How a core tag, filter, function or test stands in the configured Twig
+ * version: not added yet, deprecated or removed, e.g. the `filter` tag,
+ * removed in Twig 3.0. Names the project defines itself are left alone.
+ * @param {string} section - `tags`, `filters`, `functions` or `tests`
+ * @param {string} name - Key of the entry, e.g. `spaceless` or `for if`
+ * @returns {{change: string, version: string, replacement: string|undefined}|null} - `change`
+ *   is `added`, `deprecated` or `removed`
+ */
+function findVersionChange(section, name) {
+    const has = (catalog, key) => Object.prototype.hasOwnProperty.call(catalog, key);
+    const entry = has(CORE[section], name) ? CORE[section][name] : null;
+    const active = getCatalog()[section];
+    if (!entry || (has(active, name) && active[name] !== entry)) {
+        return null;
+    }
+
+    if (entry.since && !isTwigVersionAtLeast(entry.since)) {
+        return { change: 'added', version: entry.since, replacement: entry.replacement };
+    }
+    if (entry.removed && isTwigVersionAtLeast(entry.removed)) {
+        return { change: 'removed', version: entry.removed, replacement: entry.replacement };
+    }
+    if (entry.deprecated && isTwigVersionAtLeast(entry.deprecated)) {
+        return { change: 'deprecated', version: entry.deprecated, replacement: entry.replacement };
+    }
+    return null;
+}
+
+/**
+ * Entry of a catalog section by name, matching the entry's key or its prefix
+ * @param {object} section - Catalog section, e.g. `getCatalog().filters`
+ * @param {string} name - Name as written in the template
+ * @returns {object|undefined}
+ */
+function findEntry(section, name) {
+    if (Object.prototype.hasOwnProperty.call(section, name)) {
+        return section[name];
+    }
+    const key = Object.keys(section).find(key => section[key].prefix === name || section[key].hover === name);
+    return key ? section[key] : undefined;
+}
+
+/**
+ * Names of a section of the active catalog, as written in templates. Entries
+ * that are snippets rather than names, e.g. `for else` or `trim()`, are left out.
+ * @param {string} section - `tags`, `filters`, `functions` or `tests`
+ * @returns {Set<string>}
+ */
+function getKnownNames(section) {
+    const entries = getCatalog()[section];
+    // Tests may have two words, e.g. `divisible by`
+    const pattern = section === 'tests' ? /^\w+( \w+)?$/ : /^\w+$/;
+    const names = new Set();
+
+    Object.keys(entries).forEach(key => {
+        const entry = entries[key];
+        if (section !== 'tags') {
+            [key, entry.prefix].filter(name => name && pattern.test(name)).forEach(name => names.add(name));
+            return;
+        }
+        if (pattern.test(key) && [].concat(entry.body || []).join('\n').includes(`{% ${key}`)) {
+            names.add(key);
+        }
+        if (entry.end) {
+            names.add(entry.end === true ? `end${key}` : entry.end);
+        }
+    });
+    return names;
+}
+
+/**
+ * Edit distance between two names, counting a swap of two neighbouring
+ * characters as one edit, e.g. `incldue` is one edit away from `include`
+ */
+function editDistance(a, b) {
+    const rows = [];
+    for (let i = 0; i <= a.length; i++) {
+        rows.push([i]);
+    }
+    for (let j = 1; j <= b.length; j++) {
+        rows[0][j] = j;
+    }
+
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+            }
+        }
+    }
+    return rows[a.length][b.length];
+}
+
+/**
+ * Known names closest to an unknown one, e.g. `upper` for `uppper`
+ * @param {Iterable<string>} names - Known names, see getKnownNames()
+ * @param {string} name - Unknown name
+ * @returns {string[]} - At most three names, closest first
+ */
+function suggestNames(names, name) {
+    const limit = Math.max(1, Math.min(3, Math.floor(name.length / 3)));
+
+    return Array.from(names)
+        .map(candidate => ({ candidate, distance: editDistance(name.toLowerCase(), candidate.toLowerCase()) }))
+        .filter(item => item.distance <= limit)
+        .sort((a, b) => a.distance - b.distance || a.candidate.localeCompare(b.candidate))
+        .slice(0, 3)
+        .map(item => item.candidate);
+}
+
+/**
+ * End of the message of an unknown name proposing the closest ones, e.g.
+ * `. Did you mean "upper" or "lower"?`
+ * @param {string[]} suggestions - Names from suggestNames()
+ * @returns {string} - Empty without suggestions
+ */
+function formatSuggestions(suggestions) {
+    if (!suggestions.length) {
+        return '';
+    }
+    const quoted = suggestions.map(suggestion => `"${suggestion}"`);
+    const last = quoted.pop();
+    return `. Did you mean ${quoted.length ? `${quoted.join(', ')} or ${last}` : last}?`;
+}
+
+/**
+ * Frameworks other than the active one defining a name, e.g. `Craft CMS` for
+ * the `nav` tag
+ * @param {string} section - `tags`, `filters`, `functions`, `tests` or `globals`
+ * @param {string} name - Name as written in the template
+ * @returns {string[]} - Framework names
+ */
+function findOtherFrameworks(section, name) {
+    const active = FRAMEWORKS[getFramework()].extension;
+    return EXTENSIONS
+        .filter(extension => extension !== active && findEntry(extension[section], name))
+        .map(extension => extension.name);
+}
+
+/**
+ * Framework a workspace folder uses, from the packages its composer.json requires
+ */
+function detectFolder(folder) {
+    const uri = vscode.Uri.joinPath(folder.uri, 'composer.json');
+
+    return Promise.resolve(vscode.workspace.fs.readFile(uri)).then(content => {
+        const composer = JSON.parse(Buffer.from(content).toString('utf8'));
+        const packages = Object.assign({}, composer['require-dev'], composer.require);
+
+        if (packages['craftcms/cms']) {
+            return 'craft';
+        }
+        if (packages['drupal/core'] || packages['drupal/core-recommended']) {
+            return 'drupal10';
+        }
+        if (packages['symfony/twig-bridge'] || packages['symfony/twig-bundle'] || packages['symfony/framework-bundle']) {
+            return 'symfony';
+        }
+        return null;
+    }).then(null, () => null);
+}
+
+function detectFramework() {
+    return Promise.all((vscode.workspace.workspaceFolders || []).map(detectFolder)).then(found => {
+        const framework = found.find(Boolean) || 'twig';
+        if (framework !== detected) {
+            detected = framework;
+            changeEmitter.fire();
+        }
+    });
+}
+
+/**
+ * Parameter of a catalog entry, written `{"name": ..., "default": ..., "description": ...}`
+ * or `"name = default"`
+ */
+function parseParam(param) {
+    if (param && typeof param === 'object') {
+        return {
+            name: String(param.name),
+            default: param.default === undefined || param.default === null ? null : String(param.default),
+            description: param.description || ''
+        };
+    }
+    const text = String(param);
+    const index = text.indexOf('=');
+    return index < 0
+        ? { name: text.trim(), default: null, description: '' }
+        : { name: text.substring(0, index).trim(), default: text.substring(index + 1).trim(), description: '' };
+}
+
+/**
+ * Parameters named by the placeholders of a body, e.g. `batch(${size}, ${fill})`.
+ * Null when an argument is not a named placeholder, e.g. `date("${m/d/Y}")`.
+ */
+function paramsFromBody(name, body) {
+    const source = Array.isArray(body) ? body.join('\n') : String(body || '');
+    const open = source.indexOf(`${name}(`);
+    const close = source.indexOf(')', open);
+    if (open < 0 || close < 0) {
+        return null;
+    }
+
+    const args = source.substring(open + name.length + 1, close).split(',').map(arg => arg.trim()).filter(Boolean);
+    const params = args.map(arg => arg.match(/^['"]?\$\{(?:\d+:)?([A-Za-z_]\w*)\}['"]?$/));
+    return params.every(Boolean) ? params.map(match => ({ name: match[1], default: null, description: '' })) : null;
+}
+
+/**
+ * Parameters of a filter or function: its `params`, or the placeholders of its body
+ * @param {object} entry - Catalog entry
+ * @param {string} name - Name of the filter or function
+ * @returns {Array<{name: string, default: string|null, description: string}>|null} - Null when unknown
+ */
+function getParameters(entry, name) {
+    return entry.params ? entry.params.map(parseParam) : paramsFromBody(name, entry.body);
+}
+
+/**
+ * Catalog entry for a declaration of `.twig-language.json` or of the PHP sources, e.g.
+ * `"price": {"params": ["currency = 'EUR'"], "description": "..."}`
+ */
+function customEntry(section, name, declaration) {
+    const entry = Object.assign({ prefix: name }, declaration);
+    const params = (declaration.params || []).map(parseParam);
+    if (params.length) {
+        entry.signature = `${name}(${params.map(param => param.default !== null ? `${param.name} = ${param.default}` : param.name).join(', ')})`;
+    }
+
+    if (entry.body || section === 'globals') {
+        return entry;
+    }
+    if (section === 'tags') {
+        entry.body = declaration.end
+            ? [`{% ${name} $1 %}`, '\t$0', `{% ${declaration.end === true ? `end${name}` : declaration.end} %}`]
+            : `{% ${name} $1 %}`;
+    } else if (params.length) {
+        entry.body = `${name}(${params.map(param => `\${${param.name.replace(/^\.{3}/, '')}}`).join(', ')})`;
+    } else {
+        entry.body = name;
+    }
+    return entry;
+}
+
+const isString = value => typeof value === 'string';
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Whether a declaration of `.twig-language.json` has the shape customEntry() expects
+ */
+function isValidDeclaration(declaration) {
+    if (declaration === null) {
+        return true;
+    }
+    if (!isObject(declaration)) {
+        return false;
+    }
+
+    const { params, body, end, description, example } = declaration;
+    return (params === undefined || (Array.isArray(params) && params.every(param => isString(param) || (isObject(param) && isString(param.name))))) &&
+        (body === undefined || isString(body) || (Array.isArray(body) && body.every(isString))) &&
+        (end === undefined || typeof end === 'boolean' || isString(end)) &&
+        [description, example].every(text => text === undefined || isString(text));
+}
+
+/**
+ * Declarations of a `.twig-language.json`, without the invalid ones, which
+ * are reported
+ */
+function readCustomFile(folder) {
+    const uri = vscode.Uri.joinPath(folder.uri, CUSTOM_FILE);
+
+    return Promise.resolve(vscode.workspace.fs.readFile(uri)).then(content => {
+        let file;
+        try {
+            file = JSON.parse(Buffer.from(content).toString('utf8'));
+        } catch (error) {
+            vscode.window.showWarningMessage(`Twig: ${vscode.workspace.asRelativePath(uri)} is not valid JSON (${error.message})`);
+            return null;
+        }
+        if (!isObject(file)) {
+            vscode.window.showWarningMessage(`Twig: ${vscode.workspace.asRelativePath(uri)} must hold an object`);
+            return null;
+        }
+
+        const invalid = [];
+        SECTIONS.filter(section => file[section] !== undefined).forEach(section => {
+            if (!isObject(file[section])) {
+                invalid.push(section);
+                delete file[section];
+                return;
+            }
+            Object.keys(file[section]).filter(name => !isValidDeclaration(file[section][name])).forEach(name => {
+                invalid.push(`${section}.${name}`);
+                delete file[section][name];
+            });
+        });
+        if (invalid.length) {
+            vscode.window.showWarningMessage(`Twig: ${vscode.workspace.asRelativePath(uri)} has invalid declarations, which are ignored: ${invalid.join(', ')}`);
+        }
+        return file;
+    }, () => null);
+}
+
+/**
+ * Read the `.twig-language.json` of every workspace folder, the first folder
+ * winning when two declare the same name
+ */
+function loadCustom() {
+    return Promise.all((vscode.workspace.workspaceFolders || []).map(readCustomFile)).then(files => {
+        custom = {};
+        SECTIONS.forEach(section => {
+            custom[section] = {};
+            files.slice().reverse().forEach(file => {
+                const declarations = file && file[section];
+                if (!declarations) {
+                    return;
+                }
+                Object.keys(declarations).forEach(name => {
+                    custom[section][name] = customEntry(section, name, declarations[name] || {});
+                });
+            });
+        });
+        catalogs.clear();
+        changeEmitter.fire();
+    });
+}
+
+/**
+ * Detect the framework of the workspace, load `.twig-language.json`, scan
+ * the PHP sources and follow changes to the `framework` setting and to the files
+ * @param {vscode.ExtensionContext} context - Extension context
+ */
+function initializeCatalog(context) {
+    context.subscriptions.push(changeEmitter);
+
+    vscode.workspace.onDidChangeConfiguration((event) => {
+        if (event.affectsConfiguration('twig-language-2.framework') || event.affectsConfiguration('twig-language-2.twigVersion')) {
+            changeEmitter.fire();
+        }
+    }, null, context.subscriptions);
+
+    const watcher = vscode.workspace.createFileSystemWatcher('**/composer.json');
+    context.subscriptions.push(watcher);
+    watcher.onDidCreate(detectFramework, null, context.subscriptions);
+    watcher.onDidChange(detectFramework, null, context.subscriptions);
+    watcher.onDidDelete(detectFramework, null, context.subscriptions);
+
+    const customWatcher = vscode.workspace.createFileSystemWatcher(`**/${CUSTOM_FILE}`);
+    context.subscriptions.push(customWatcher);
+    customWatcher.onDidCreate(loadCustom, null, context.subscriptions);
+    customWatcher.onDidChange(loadCustom, null, context.subscriptions);
+    customWatcher.onDidDelete(loadCustom, null, context.subscriptions);
+
+    vscode.workspace.onDidChangeWorkspaceFolders(() => Promise.all([detectFramework(), loadCustom()]), null, context.subscriptions);
+
+    onDidChangePhpExtensions(() => {
+        catalogs.clear();
+        changeEmitter.fire();
+    }, null, context.subscriptions);
+
+    return Promise.all([detectFramework(), loadCustom(), initializePhpExtensions(context)]);
+}
+
+const $el={hover:"$el",description:"Magic property that references the root element of the component.",example:"<div x-data=\"{}\" @click=\"$el.classList.toggle('active')\">\n    Click me\n</div>"};const $refs={hover:"$refs",description:"Magic property that provides access to elements marked with x-ref.",example:"<div x-ref=\"myDiv\"></div>\n<button @click=\"$refs.myDiv.scrollIntoView()\">Scroll</button>"};const $store={hover:"$store",description:"Magic property that provides access to global Alpine stores.",example:"<div x-data=\"{}\">\n    <span x-text=\"$store.user.name\"></span>\n</div>"};const $watch={hover:"$watch",description:"Magic method that watches a component property for changes.",example:"<div x-data=\"{ count: 0 }\" x-init=\"$watch('count', value => console.log(value))\">\n    <button @click=\"count++\">Increment</button>\n</div>"};const $dispatch={hover:"$dispatch",description:"Magic method that dispatches a custom event that can be listened to with x-on or @.",example:"<button @click=\"$dispatch('custom-event', { data: 'value' })\">\n    Dispatch Event\n</button>"};const $nextTick={hover:"$nextTick",description:"Magic method that executes a callback after Alpine has finished updating the DOM.",example:"<div x-data=\"{ count: 0 }\" x-init=\"$nextTick(() => console.log('DOM updated'))\">\n    <span x-text=\"count\"></span>\n</div>"};const $root={hover:"$root",description:"Magic property that references the root Alpine component.",example:"<div x-data=\"{ count: 0 }\">\n    <div x-data=\"{}\">\n        <span x-text=\"$root.count\"></span>\n    </div>\n</div>"};const $data={hover:"$data",description:"Magic property that returns the raw data object for the current component.",example:"<div x-data=\"{ name: 'Alpine' }\">\n    <span x-text=\"JSON.stringify($data)\"></span>\n</div>"};const $id={hover:"$id",description:"Magic method that generates a unique ID based on the provided string.",example:"<label :for=\"$id('input')\">Label</label>\n<input :id=\"$id('input')\" type=\"text\">"};const $persist={hover:"$persist",plugin:"persist",description:"Persist plugin. Magic method that keeps a value in localStorage across page loads.",example:"<div x-data=\"{ count: $persist(0) }\">\n    <button @click=\"count++\">Increment</button>\n</div>"};const $focus={hover:"$focus",plugin:"focus",description:"Focus plugin. Magic object that moves the focus, e.g. `$focus.focus(el)`, `$focus.next()` or `$focus.within($refs.list).first()`.",example:"<button @keydown.down=\"$focus.next()\">Next</button>"};const $anchor={hover:"$anchor",plugin:"anchor",description:"Anchor plugin. Magic property holding the `x` and `y` position computed by x-anchor.",example:"<div x-anchor.no-style=\"$refs.button\" :style=\"{ top: $anchor.y + 'px', left: $anchor.x + 'px' }\">Dropdown</div>"};var alpineArr = {"x-data":{prefix:"x-data",hover:"x-data",description:"Declares a new component scope. The expression is evaluated once and its return value becomes the component's data object.",example:"<div x-data=\"{ open: false, count: 0 }\">\n    <button @click=\"open = !open\">Toggle</button>\n</div>"},"x-init":{prefix:"x-init",hover:"x-init",description:"Runs an expression when a component is initialized. Can be used to run code when an element is added to the DOM.",example:"<div x-data=\"{ count: 0 }\" x-init=\"count = 5\">\n    <span x-text=\"count\"></span>\n</div>"},"x-show":{prefix:"x-show",hover:"x-show",description:"Toggles visibility of an element based on the truthiness of the expression.",example:"<div x-show=\"open\">\n    This element is visible when open is true\n</div>",modifiers:{important:{description:"Hides the element with `display: none !important`."}}},"x-bind":{prefix:"x-bind",hover:"x-bind",description:"Dynamically sets HTML attributes. The attribute name is specified after the colon.",example:"<div x-bind:class=\"{ active: isActive }\">\n    <!-- Shorthand: :class=\"{ active: isActive }\" -->\n</div>",attributes:["class","style","href","src","id","name","value","key","disabled","readonly","checked","selected","hidden","required","placeholder","title","type"],modifiers:{camel:{description:"Binds the camelCase version of the attribute name, e.g. `:view-box.camel` for `viewBox`."}}},"x-on":{prefix:"x-on",hover:"x-on",description:"Attaches an event listener to an element. The event name is specified after the colon.",example:"<button x-on:click=\"handleClick()\">\n    <!-- Shorthand: @click=\"handleClick()\" -->\n</button>",events:["click","dblclick","submit","change","input","focus","blur","keydown","keyup","mouseenter","mouseleave","scroll","resize","load"],modifiers:{prevent:{description:"Calls `event.preventDefault()`."},stop:{description:"Calls `event.stopPropagation()`."},outside:{description:"Listens for the event outside of the element, e.g. to close a dropdown."},away:{description:"Alias of `.outside` from Alpine 2."},window:{description:"Registers the listener on the window object."},document:{description:"Registers the listener on the document object."},once:{description:"Runs the handler only once."},debounce:{description:"Waits until the event has stopped firing for a while, 250ms by default.",values:["250ms","500ms","1s"]},throttle:{description:"Runs the handler at most once per interval, 250ms by default.",values:["250ms","500ms","1s"]},self:{description:"Runs the handler only when the event was dispatched by the element itself."},camel:{description:"Listens for the camelCase version of the event name, e.g. `@custom-event.camel` for `customEvent`."},dot:{description:"Listens for the dotted version of the event name, e.g. `@custom-event.dot` for `custom.event`."},passive:{description:"Registers a passive listener, which never calls `preventDefault()`."},capture:{description:"Runs the handler in the capturing phase."},shift:{description:"Runs the handler only while the Shift key is pressed."},ctrl:{description:"Runs the handler only while the Control key is pressed."},alt:{description:"Runs the handler only while the Alt key is pressed."},meta:{description:"Runs the handler only while the Meta key (Cmd on macOS, Windows key on Windows) is pressed."},cmd:{description:"Runs the handler only while the Cmd key is pressed."},"super":{description:"Runs the handler only while the Super key is pressed."}},keyModifiers:{enter:{description:"Runs the handler only for the Enter key."},"escape":{description:"Runs the handler only for the Escape key."},space:{description:"Runs the handler only for the Space key."},tab:{description:"Runs the handler only for the Tab key."},up:{description:"Runs the handler only for the Up arrow key."},down:{description:"Runs the handler only for the Down arrow key."},left:{description:"Runs the handler only for the Left arrow key."},right:{description:"Runs the handler only for the Right arrow key."},home:{description:"Runs the handler only for the Home key."},end:{description:"Runs the handler only for the End key."},"page-up":{description:"Runs the handler only for the Page Up key."},"page-down":{description:"Runs the handler only for the Page Down key."},backspace:{description:"Runs the handler only for the Backspace key."},"delete":{description:"Runs the handler only for the Delete key."},"caps-lock":{description:"Runs the handler only for the Caps Lock key."},slash:{description:"Runs the handler only for the Slash key."},period:{description:"Runs the handler only for the Period key."},comma:{description:"Runs the handler only for the Comma key."},equal:{description:"Runs the handler only for the Equal key."},minus:{description:"Runs the handler only for the Minus key."}}},"x-model":{prefix:"x-model",hover:"x-model",description:"Creates two-way data bindings. Works with input, textarea, select, and checkbox elements.",example:"<input x-model=\"name\" type=\"text\">\n<span x-text=\"name\"></span>",modifiers:{lazy:{description:"Updates the property on `change` instead of on every keystroke."},change:{description:"Updates the property on the `change` event."},blur:{description:"Updates the property when the input loses focus."},enter:{description:"Updates the property when Enter is pressed."},number:{description:"Casts the value to a number."},boolean:{description:"Casts the value to a boolean."},debounce:{description:"Waits until typing has stopped for a while before updating the property, 250ms by default.",values:["250ms","500ms","1s"]},throttle:{description:"Updates the property at most once per interval, 250ms by default.",values:["250ms","500ms","1s"]},fill:{description:"Initializes an empty property with the `value` attribute of the input."}}},"x-text":{prefix:"x-text",hover:"x-text",description:"Sets the text content of an element to the result of the expression.",example:"<div x-data=\"{ name: 'Alpine.js' }\">\n    <span x-text=\"name\"></span>\n</div>"},"x-html":{prefix:"x-html",hover:"x-html",description:"Sets the inner HTML of an element to the result of the expression. Use with caution to avoid XSS vulnerabilities.",example:"<div x-html=\"htmlContent\"></div>"},"x-ref":{prefix:"x-ref",hover:"x-ref",description:"Creates a reference to an element that can be accessed via $refs.",example:"<div x-ref=\"myElement\"></div>\n<button @click=\"$refs.myElement.scrollIntoView()\">Scroll</button>"},"x-if":{prefix:"x-if",hover:"x-if",description:"Conditionally renders an element. The element is removed from the DOM when false. Must be used on a template tag.",example:"<template x-if=\"open\">\n    <div>This is conditionally rendered</div>\n</template>"},"x-for":{prefix:"x-for",hover:"x-for",description:"Creates a new DOM node for each item in an array. Must be used on a template tag.",example:"<template x-for=\"item in items\" :key=\"item.id\">\n    <div x-text=\"item.name\"></div>\n</template>"},"x-transition":{prefix:"x-transition",hover:"x-transition",description:"Applies transition classes at various stages throughout an element's transition.",example:"<div x-show=\"open\" x-transition>\n    <div x-transition:enter=\"transition ease-out duration-300\">\n        Content\n    </div>\n</div>","arguments":{enter:"Classes applied during the whole entering phase.","enter-start":"Classes added before the element is inserted and removed one frame after.","enter-end":"Classes added one frame after the element is inserted and removed when the transition ends.",leave:"Classes applied during the whole leaving phase.","leave-start":"Classes added when the leaving transition starts and removed after one frame.","leave-end":"Classes added one frame after the leaving transition starts and removed when it ends."},modifiers:{duration:{description:"Duration of the transition, 150ms by default.",values:["500ms"]},delay:{description:"Delay before the transition starts.",values:["50ms"]},opacity:{description:"Transitions the opacity only."},scale:{description:"Transitions the scale only, from 95% by default.",values:["80"]},origin:{description:"Origin of the scale transition, center by default.",values:["top","bottom","left","right"]},"in":{description:"Applies the modifiers that follow to the entering transition only."},out:{description:"Applies the modifiers that follow to the leaving transition only."}}},"x-effect":{prefix:"x-effect",hover:"x-effect",description:"Runs an expression whenever a reactive dependency changes. Similar to x-init but reactive.",example:"<div x-data=\"{ count: 0 }\" x-effect=\"console.log('Count:', count)\">\n    <button @click=\"count++\">Increment</button>\n</div>"},"x-cloak":{prefix:"x-cloak",hover:"x-cloak",description:"Hides elements until Alpine has finished initializing. Useful for preventing flash of unstyled content.",example:"<div x-data=\"{ open: false }\" x-cloak>\n    <div x-show=\"open\">Content</div>\n</div>"},"x-ignore":{prefix:"x-ignore",hover:"x-ignore",description:"Prevents Alpine from initializing on the element and all child elements.",example:"<div x-ignore>\n    <div x-data=\"{}\">This won't be initialized</div>\n</div>"},"x-id":{prefix:"x-id",hover:"x-id",description:"Generates a unique ID based on the provided string. Useful for creating unique IDs for form elements.",example:"<label :for=\"$id('input')\">Label</label>\n<input :id=\"$id('input')\" type=\"text\">"},"x-teleport":{prefix:"x-teleport",hover:"x-teleport",description:"Teleports an element to another part of the DOM. Useful for modals and tooltips.",example:"<div x-teleport=\"body\">\n    This content will be moved to the body\n</div>",modifiers:{prepend:{description:"Inserts the element before the target instead of inside it."},append:{description:"Inserts the element after the target instead of inside it."}}},"x-modelable":{prefix:"x-modelable",hover:"x-modelable",description:"Makes a component property bindable with x-model.",example:"<div x-data=\"{ value: 'Hello' }\" x-modelable=\"value\">\n    <input x-model=\"value\">\n</div>"},"x-intersect":{prefix:"x-intersect",hover:"x-intersect",plugin:"intersect",description:"Intersect plugin. Runs an expression when the element enters the viewport.",example:"<div x-intersect=\"shown = true\">...</div>\n<div x-intersect:leave=\"shown = false\">...</div>","arguments":{enter:"Runs the expression when the element enters the viewport.",leave:"Runs the expression when the element leaves the viewport."},modifiers:{once:{description:"Runs the expression only the first time."},half:{description:"Waits until half of the element is visible."},full:{description:"Waits until the whole element is visible."},threshold:{description:"Percentage of the element that must be visible.",values:["50"]},margin:{description:"Grows or shrinks the viewport, like the CSS margin property.",values:["200px"]}}},"x-collapse":{prefix:"x-collapse",hover:"x-collapse",plugin:"collapse",description:"Collapse plugin. Expands and collapses the height of an element shown and hidden with x-show.",example:"<div x-show=\"expanded\" x-collapse>\n    Content\n</div>",modifiers:{duration:{description:"Duration of the transition.",values:["1000ms"]},min:{description:"Height of the collapsed element instead of 0.",values:["50px"]}}},"x-mask":{prefix:"x-mask",hover:"x-mask",plugin:"mask",description:"Mask plugin. Formats an input as it is typed, `9` for a digit, `a` for a letter and `*` for any character.",example:"<input x-mask=\"99/99/9999\" placeholder=\"MM/DD/YYYY\">\n<input x-mask:dynamic=\"$money($input)\">","arguments":{dynamic:"Computes the mask from a JavaScript expression, e.g. `$money($input)`."}},"x-trap":{prefix:"x-trap",hover:"x-trap",plugin:"focus",description:"Focus plugin. Keeps the focus inside the element while the expression is true.",example:"<div x-show=\"open\" x-trap=\"open\">\n    <input type=\"text\">\n</div>",modifiers:{inert:{description:"Makes the rest of the page inert for screen readers."},noscroll:{description:"Disables scrolling of the rest of the page."},noreturn:{description:"Does not return the focus to the last element when the trap is released."},noautofocus:{description:"Does not focus the first focusable element."}}},"x-anchor":{prefix:"x-anchor",hover:"x-anchor",plugin:"anchor",description:"Anchor plugin. Positions the element next to another element, e.g. a dropdown under its button.",example:"<button x-ref=\"button\">Toggle</button>\n<div x-show=\"open\" x-anchor.bottom-start=\"$refs.button\">Dropdown</div>",modifiers:{bottom:{description:"Places the element below the anchor, centered."},"bottom-start":{description:"Places the element below the anchor, aligned to its start."},"bottom-end":{description:"Places the element below the anchor, aligned to its end."},top:{description:"Places the element above the anchor, centered."},"top-start":{description:"Places the element above the anchor, aligned to its start."},"top-end":{description:"Places the element above the anchor, aligned to its end."},left:{description:"Places the element on the left of the anchor, centered."},"left-start":{description:"Places the element on the left of the anchor, aligned to its start."},"left-end":{description:"Places the element on the left of the anchor, aligned to its end."},right:{description:"Places the element on the right of the anchor, centered."},"right-start":{description:"Places the element on the right of the anchor, aligned to its start."},"right-end":{description:"Places the element on the right of the anchor, aligned to its end."},offset:{description:"Distance between the element and the anchor, in pixels.",values:["10"]},"no-style":{description:"Does not apply the position, so that it can be read from `$anchor`."}}},"x-sort":{prefix:"x-sort",hover:"x-sort",plugin:"sort",description:"Sort plugin. Makes the children of the element sortable by drag and drop. The expression runs with `$item` and `$position` when an item is moved.",example:"<ul x-sort=\"move($item, $position)\">\n    <li x-sort:item=\"1\">foo</li>\n    <li x-sort:item=\"2\">bar</li>\n</ul>","arguments":{item:"Key of a sortable item, passed as `$item`.",handle:"Element dragging its item.",group:"Name of a group of lists items can be dragged between.",ignore:"Element that does not start dragging.",config:"Options passed to SortableJS."},modifiers:{ghost:{description:"Leaves a ghost of the item in its original place while dragging."}}},"x-resize":{prefix:"x-resize",hover:"x-resize",plugin:"resize",description:"Resize plugin. Runs an expression with `$width` and `$height` when the element is resized.",example:"<div x-data=\"{ width: 0 }\" x-resize=\"width = $width\">\n    <span x-text=\"width\"></span>\n</div>",modifiers:{document:{description:"Watches the size of the document instead of the element."}}},$el:$el,$refs:$refs,$store:$store,$watch:$watch,$dispatch:$dispatch,$nextTick:$nextTick,$root:$root,$data:$data,$id:$id,$persist:$persist,$focus:$focus,$anchor:$anchor};
+
+const SCRIPT_GLOB = '**/*.{js,ts}';
+const SCRIPT_EXCLUDE = '**/{node_modules,vendor,var,dist,build}/**';
+// Lines of a registration shown on hover
+const PREVIEW_LINES = 12;
+
+// Key of an object literal entry, e.g. `open:`, `toggle() {`, `get label()`
+// or `'aria-label':`
+const OBJECT_KEY = /^(?:(async|get|set)\s+(?![:(,}]))?(\*\s*)?(?:([A-Za-z_$][\w$]*)|'([^'\\]*)'|"([^"\\]*)")\s*([:(,}]|$)/;
+
+// Value of an object literal entry that is a function
+const FUNCTION_VALUE = /^\s*(?:async\s+)?(?:function\b|(?:\([^()]*\)|[A-Za-z_$][\w$]*)\s*=>)/;
+
+// `Alpine.data('dropdown', ...)` and `Alpine.store('cart', ...)`
+const REGISTRATION = /\bAlpine\.(data|store)\(\s*(['"`])([\w$.-]+)\2\s*,\s*/g;
+
+// Parameters of a function expression, then its body or returned value
+const FUNCTION_HEAD = /^(?:async\s+)?(?:function\s*[\w$]*\s*\(([^)]*)\)|\(([^)]*)\)\s*=>|([\w$]+)\s*=>)\s*/;
+
+// Functions and variables `x-data` can use without `Alpine.data()`
+const GLOBAL_NAME = /\bfunction\s+([A-Za-z_$][\w$]*)\s*\(|\b(?:var|let|const)\s+([A-Za-z_$][\w$]*)\s*=|\bwindow\.([A-Za-z_$][\w$]*)\s*=/g;
+
+/**
+ * Offset after a string literal, or after a comment
+ */
+function skipLiteral(source, start) {
+    const char = source[start];
+    if (char === '/') {
+        const end = source[start + 1] === '/' ? source.indexOf('\n', start) : source.indexOf('*/', start + 2) + 1;
+        return end <= 0 ? source.length : end + 1;
+    }
+    for (let i = start + 1; i < source.length; i++) {
+        if (source[i] === '\\') {
+            i++;
+        } else if (source[i] === char) {
+            return i + 1;
+        }
+    }
+    return source.length;
+}
+
+/**
+ * Offset of the bracket closing the one at an offset
+ */
+function findClosing(source, start) {
+    let depth = 0;
+    let i = start;
+    while (i < source.length) {
+        const char = source[i];
+        if (char === '"' || char === '\'' || char === '`' || (char === '/' && (source[i + 1] === '/' || source[i + 1] === '*'))) {
+            i = skipLiteral(source, i);
+            continue;
+        }
+        if (char === '{' || char === '[' || char === '(') {
+            depth++;
+        } else if (char === '}' || char === ']' || char === ')') {
+            depth--;
+            if (depth === 0) {
+                return i;
+            }
+        }
+        i++;
+    }
+    return source.length;
+}
+
+/**
+ * Properties and methods of an object literal, e.g. the value of `x-data`
+ * @param {string} source - Source starting with the object literal
+ * @param {number} offset - Offset of the source in the document
+ * @returns {Array<{name: string, kind: string, start: number, end: number}>} - `kind` is `property` or `method`
+ */
+function getDataProperties(source, offset) {
+    const properties = [];
+    let i = source.search(/\S/);
+    if (i === -1 || source[i] !== '{') {
+        return properties;
+    }
+
+    let depth = 0;
+    let expectKey = false;
+    while (i < source.length) {
+        const char = source[i];
+        if (depth === 1 && expectKey && /\S/.test(char)) {
+            expectKey = false;
+            const match = OBJECT_KEY.exec(source.substring(i));
+            if (match) {
+                const name = [match[3], match[4], match[5]].find(item => item !== undefined);
+                const start = i + match[0].indexOf(name, (match[1] || '').length + (match[2] || '').length);
+                const isMethod = match[6] === '(' && match[1] !== 'get' && match[1] !== 'set';
+                properties.push({
+                    name,
+                    kind: isMethod || (match[6] === ':' && FUNCTION_VALUE.test(source.substring(i + match[0].length))) ? 'method' : 'property',
+                    start: offset + start,
+                    end: offset + start + name.length
+                });
+                i += match[0].length - match[6].length;
+                continue;
+            }
+        }
+        if (char === '"' || char === '\'' || char === '`' || (char === '/' && (source[i + 1] === '/' || source[i + 1] === '*'))) {
+            i = skipLiteral(source, i);
+            continue;
+        }
+        if (char === '{' || char === '[' || char === '(') {
+            depth++;
+            expectKey = depth === 1;
+        } else if (char === '}' || char === ']' || char === ')') {
+            depth--;
+            if (depth === 0) {
+                break;
+            }
+        } else if (char === ',' && depth === 1) {
+            expectKey = true;
+        }
+        i++;
+    }
+
+    return properties;
+}
+
+/**
+ * Parameters and data object of the function registered as a component:
+ * `() => ({...})`, `function () { return {...} }`, or the name of such a
+ * function declared in the same file
+ */
+function readComponent(text, start) {
+    let index = start;
+    const reference = /^([A-Za-z_$][\w$]*)\s*[,)]/.exec(text.substring(index));
+    if (reference && reference[1] !== 'async') {
+        const name = reference[1].replace(/\$/g, '\\$');
+        const declaration = new RegExp(`\\bfunction\\s+${name}\\s*(?=\\()|\\b(?:const|let|var)\\s+${name}\\s*=\\s*`).exec(text);
+        if (!declaration) {
+            return { params: null, properties: [] };
+        }
+        index = declaration[0].startsWith('function') ? declaration.index : declaration.index + declaration[0].length;
+    }
+
+    const head = FUNCTION_HEAD.exec(text.substring(index));
+    if (!head) {
+        return { params: null, properties: [] };
+    }
+    const params = [head[1], head[2], head[3]].find(item => item !== undefined).trim();
+    let body = index + head[0].length;
+    if (text[body] === '(') {
+        body = text.indexOf('{', body);
+    } else if (text[body] === '{') {
+        const returned = /\breturn\s*(?=\{)/.exec(text.substring(body, findClosing(text, body)));
+        body = returned ? body + returned.index + returned[0].length : -1;
+    }
+    return {
+        params,
+        properties: body < 0 || text[body] !== '{' ? [] : getDataProperties(text.substring(body), body)
+    };
+}
+
+/**
+ * Line and character of an offset
+ */
+function lineAt(text, offset) {
+    const before = text.substring(0, offset);
+    const line = before.split('\n').length - 1;
+    return { line, character: offset - before.lastIndexOf('\n') - 1 };
+}
+
+/**
+ * Alpine components and stores registered in a script, and the functions
+ * and variables `x-data` can use without registration
+ * @param {string} text - JavaScript or TypeScript source, or a template with inline scripts
+ * @returns {{components: Array<object>, stores: Array<object>, globals: string[]}} - Registrations have a `name`, the `start` and `end` offsets of the name, its `line` and `character`, the `properties` of the data object, the `params` of components and a `source` preview
+ */
+function parseScript(text) {
+    const components = [];
+    const stores = [];
+    const globals = [];
+    let match;
+
+    REGISTRATION.lastIndex = 0;
+    while ((match = REGISTRATION.exec(text))) {
+        // Commented out, e.g. `// Alpine.data(...)` or in a docblock
+        if (/\/\/|^\s*\*/.test(text.substring(text.lastIndexOf('\n', match.index) + 1, match.index))) {
+            continue;
+        }
+        const start = match.index + match[0].indexOf(match[3], 'Alpine.store('.length);
+        const value = match.index + match[0].length;
+        const end = findClosing(text, text.indexOf('(', match.index));
+        const registration = Object.assign({
+            name: match[3],
+            start,
+            end: start + match[3].length,
+            source: text.substring(match.index, end + 1).split('\n').slice(0, PREVIEW_LINES).join('\n')
+        }, lineAt(text, start));
+
+        if (match[1] === 'data') {
+            components.push(Object.assign(registration, readComponent(text, value)));
+        } else {
+            registration.properties = getDataProperties(text.substring(value, end), value);
+            stores.push(registration);
+        }
+        registration.properties.forEach(property => Object.assign(property, lineAt(text, property.start)));
+    }
+
+    GLOBAL_NAME.lastIndex = 0;
+    while ((match = GLOBAL_NAME.exec(text))) {
+        globals.push(match[1] || match[2] || match[3]);
+    }
+
+    return { components, stores, globals };
+}
+
+/**
+ * Registrations of the scanned files, with the `uri` and `path` of their file
+ */
+function mergeScripts(files) {
+    const merged = { components: [], stores: [], globals: new Set() };
+    files.forEach(file => {
+        const located = registration => Object.assign({ uri: file.uri, path: file.path }, registration);
+        merged.components.push(...file.components.map(located));
+        merged.stores.push(...file.stores.map(located));
+        file.globals.forEach(name => merged.globals.add(name));
+    });
+    return merged;
+}
+
+// Only files mentioning Alpine are kept
+const scanner = createScanner({
+    include: SCRIPT_GLOB,
+    exclude: SCRIPT_EXCLUDE,
+    excludedPath: /\/(?:node_modules|vendor|var|dist|build)\/|\.min\.js$/,
+    keyword: /\bAlpine\b/,
+    setting: 'alpineComponents',
+    parse: parseScript,
+    merge: mergeScripts
+});
+
+/**
+ * Fired when the components and stores found in the workspace change
+ * @type {vscode.Event<void>}
+ */
+const onDidChangeScripts = scanner.onDidChange;
+
+/**
+ * Components and stores registered in the JavaScript and TypeScript files of
+ * the workspace, see initializeScripts()
+ * @returns {{components: Array<object>, stores: Array<object>, globals: Set<string>}} - Registrations as parseScript() returns them, with the `uri` and `path` of their file
+ */
+function getScripts() {
+    return scanner.get();
+}
+
+/**
+ * Scan the scripts of the workspace for `Alpine.data()` components and
+ * `Alpine.store()` stores, and keep up with changes to them
+ * @param {vscode.ExtensionContext} context - Extension context
+ * @returns {Promise<void>}
+ */
+function initializeScripts(context) {
+    return scanner.initialize(context);
+}
+
+// Directives whose value is not JavaScript: a name, CSS classes, a selector
+// or an input mask
+const NON_EXPRESSION_DIRECTIVES = ['x-ref', 'x-transition', 'x-teleport', 'x-cloak', 'x-ignore', 'x-collapse', 'x-mask', 'x-for'];
+
+// `x-` attributes of browsers and vendors, e.g. `x-apple-data-detectors`
+const VENDOR_ATTRIBUTE = /^x-(?:apple|ms|moz|webkit)-/;
+
+// Any key name can follow a keyboard event, e.g. `@keydown.page-down`
+const KEYBOARD_EVENTS = ['keydown', 'keyup', 'keypress'];
+
+const DEFAULT_PLUGINS = ['anchor', 'collapse', 'focus', 'intersect', 'mask', 'persist', 'resize', 'sort'];
+
+// Attributes of a start tag, on the text where Twig is masked
+const ATTRIBUTE = /([^\s"'<>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+// Same test as Alpine's evaluator for expressions that must run as statements
+const STATEMENT = /^[\n\s]*if.*\(.*\)|^(?:let|const)\s/;
+
+const FOR_ALIAS = /^([\s\S]*?)\s+(?:in|of)\s+([\s\S]*)$/;
+
+// `x-data="dropdown"` or `x-data="dropdown(true)"`
+const COMPONENT_CALL = /^\s*([A-Za-z_$][\w$]*)\s*(?:\([\s\S]*\))?\s*$/;
+
+let AsyncFunction = null;
+let htmlLanguageService$5 = null;
+let documentScripts = { key: null, scripts: null };
+
+/**
+ * Entries of the Alpine catalog, without those of the plugins left out of
+ * `twig-language-2.alpinePlugins`
+ * @returns {object} - Directives and magic properties by name
+ */
+function getAlpineCatalog() {
+    const plugins = vscode.workspace.getConfiguration('twig-language-2').get('alpinePlugins', DEFAULT_PLUGINS);
+    const catalog = {};
+    Object.keys(alpineArr)
+        .filter(key => !alpineArr[key].plugin || plugins.includes(alpineArr[key].plugin))
+        .forEach(key => {
+            catalog[key] = alpineArr[key];
+        });
+    return catalog;
+}
+
+/**
+ * Names of the known Alpine directives, e.g. `x-data`
+ * @returns {Set<string>}
+ */
+function getAlpineDirectives() {
+    return new Set(Object.keys(getAlpineCatalog()).filter(key => key.startsWith('x-')));
+}
+
+/**
+ * Directive of an attribute, e.g. `x-on` for `@click.prevent`
+ * @param {string} name - Attribute name
+ * @returns {?string} - null when the attribute is not an Alpine directive
+ */
+function getDirective(name) {
+    if (name.startsWith('@') || name.startsWith('x-on:')) {
+        return 'x-on';
+    }
+    if (name.startsWith(':')) {
+        return 'x-bind';
+    }
+    return name.startsWith('x-') ? name.split(/[:.]/)[0] : null;
+}
+
+/**
+ * Whether the value of an attribute is a JavaScript expression
+ */
+function isExpression(name) {
+    const directive = getDirective(name);
+    return directive !== null && (!NON_EXPRESSION_DIRECTIVES.includes(directive) || name.startsWith('x-mask:dynamic'));
+}
+
+/**
+ * Attributes of an HTML element with their offsets
+ * @param {string} masked - Document text where Twig is masked, see maskTwig()
+ * @param {object} node - Element, see parseHTMLDocument()
+ * @returns {Array<{name: string, start: number, end: number, value: ?string, valueStart: number}>}
+ */
+function getAttributes(masked, node) {
+    const end = node.startTagEnd === undefined ? node.end : node.startTagEnd;
+    const source = masked.substring(node.start, end);
+    const attributes = [];
+    let match;
+
+    // Skip `<` and the tag name
+    ATTRIBUTE.lastIndex = node.tag.length + 1;
+    while ((match = ATTRIBUTE.exec(source))) {
+        const start = node.start + match.index;
+        const quoted = match[2] !== undefined || match[3] !== undefined;
+        const value = [match[2], match[3], match[4]].find(item => item !== undefined);
+        attributes.push({
+            name: match[1],
+            start,
+            end: start + match[1].length,
+            value: value === undefined ? null : value,
+            valueStart: value === undefined ? -1 : node.start + match.index + match[0].length - value.length - (quoted ? 1 : 0)
+        });
+    }
+
+    return attributes;
+}
+
+/**
+ * Source of an attribute value as Alpine evaluates it: Twig output is
+ * replaced by a variable and entities are decoded
+ * @returns {?string} - null when the value holds Twig tags
+ */
+function toJavaScript(value) {
+    if (/\{[%#]/.test(value)) {
+        return null;
+    }
+    return value
+        .replace(/\{\{[\s\S]*?\}\}/g, '_')
+        .replace(/&quot;/g, '"')
+        .replace(/&(?:#39|apos);/g, '\'')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&amp;/g, '&');
+}
+
+/**
+ * Syntax error of an Alpine expression, compiled the way Alpine does but
+ * never run
+ * @param {string} expression - Attribute value
+ * @returns {?string} - Error message, or null when the expression is valid
+ */
+function findSyntaxError(expression) {
+    const code = STATEMENT.test(expression.trim()) ? `(async () => { ${expression} })()` : expression;
+    if (!AsyncFunction) {
+        AsyncFunction = new Function('return Object.getPrototypeOf(async function () {}).constructor;')();
+    }
+    try {
+        new AsyncFunction('__self', `__self.result = ${code}`);
+        return null;
+    } catch (error) {
+        // The closing brace of the function body is the first token an
+        // unfinished expression trips on
+        const token = /^Unexpected token '(.*)'$/.exec(error.message);
+        return token && !code.includes(token[1]) ? 'Unexpected end of input' : error.message;
+    }
+}
+
+/**
+ * Syntax error of the item and index names of `x-for`, e.g. `(item, index)`
+ */
+function findAliasError(alias) {
+    try {
+        new Function(`return (${alias.trim().replace(/^\(([\s\S]*)\)$/, '$1')}) => 0;`);
+        return null;
+    } catch (error) {
+        return error.message;
+    }
+}
+
+/**
+ * Validate the Alpine directives of an element and its children. Unknown
+ * directives and event modifiers are only reported inside `x-data`, where
+ * Alpine runs: elsewhere `x-` and `@` attributes may belong to other
+ * libraries, e.g. `<my-comp @click.native="go">`.
+ * @param {vscode.TextDocument} document - The document
+ * @param {string} masked - Document text where Twig is masked
+ * @param {object} node - Element, see parseHTMLDocument()
+ * @param {vscode.Diagnostic[]} diagnostics - Diagnostics to add to
+ * @param {boolean} [inComponent] - Whether an ancestor has `x-data`
+ */
+function validateAlpine(document, masked, node, diagnostics, inComponent) {
+    const text = document.getText();
+    const attributes = getAttributes(masked, node);
+    const isComponent = inComponent || attributes.some(attribute => attribute.name === 'x-data');
+    const range = (start, end) => new vscode.Range(document.positionAt(start), document.positionAt(end));
+    const report = (start, end, message, severity) => {
+        const diagnostic = new vscode.Diagnostic(range(start, end), message, severity);
+        diagnostics.push(diagnostic);
+        return diagnostic;
+    };
+
+    attributes.forEach(attribute => {
+        const name = attribute.name;
+        const directive = getDirective(name);
+        if (!directive || VENDOR_ATTRIBUTE.test(name)) {
+            return;
+        }
+
+        const isEvent = directive === 'x-on';
+        if (!getAlpineDirectives().has(directive)) {
+            if (!isComponent) {
+                return;
+            }
+            const suggestions = suggestNames(getAlpineDirectives(), directive);
+            const diagnostic = report(
+                attribute.start,
+                attribute.start + directive.length,
+                `Unknown Alpine directive "${directive}"${formatSuggestions(suggestions)}`,
+                vscode.DiagnosticSeverity.Warning
+            );
+            diagnostic.code = 'unknown-directive';
+            return;
+        }
+
+        if (isEvent && isComponent) {
+            const modifiers = alpineArr['x-on'].modifiers;
+            const parts = name.replace(/^(?:@|x-on:)/, '').split('.');
+            let offset = attribute.end - parts.slice(1).join('.').length;
+            parts.slice(1).forEach((modifier, i) => {
+                const previous = modifiers[parts[i]];
+                const valid = modifiers.hasOwnProperty(modifier) ||
+                    (i > 0 && previous && previous.values && /^[\w-]+$/.test(modifier)) ||
+                    (KEYBOARD_EVENTS.includes(parts[0]) && /^[a-z0-9-]+$/.test(modifier));
+                if (!valid) {
+                    report(offset, offset + modifier.length, `Unknown event modifier ".${modifier}"`, vscode.DiagnosticSeverity.Warning);
+                }
+                offset += modifier.length + 1;
+            });
+        }
+
+        if ((directive === 'x-for' || directive === 'x-if') && node.tag.toLowerCase() !== 'template') {
+            report(attribute.start, attribute.end, `${directive} only works on <template> elements`, vscode.DiagnosticSeverity.Error);
+        } else if (directive === 'x-for' || directive === 'x-if') {
+            const content = node.endTagStart === undefined ? '' : text.substring(node.startTagEnd, node.endTagStart);
+            const roots = (node.children || []).filter(child => child.tag);
+            if (roots.length > 1 && !content.includes('{%')) {
+                report(roots[1].start, roots[1].startTagEnd || roots[1].end, `<template ${directive}> must contain a single root element, Alpine ignores the others`, vscode.DiagnosticSeverity.Warning);
+            }
+        }
+
+        const source = attribute.value === null ? '' : text.substr(attribute.valueStart, attribute.value.length);
+        const value = source.trim() ? toJavaScript(source) : null;
+        if (value === null) {
+            return;
+        }
+        const valueEnd = attribute.valueStart + attribute.value.length;
+
+        if (directive === 'x-for') {
+            const match = FOR_ALIAS.exec(value.trim());
+            const error = match ? findAliasError(match[1]) || findSyntaxError(match[2]) : 'expected "item in items" or "(item, index) in items"';
+            if (error) {
+                report(attribute.valueStart, valueEnd, `Invalid x-for expression: ${error}`, vscode.DiagnosticSeverity.Error);
+            }
+        } else if (isExpression(name)) {
+            const error = findSyntaxError(value);
+            const call = name === 'x-data' && !source.includes('{{') && COMPONENT_CALL.exec(value);
+            if (error) {
+                report(attribute.valueStart, valueEnd, `Invalid JavaScript in ${name}: ${error}`, vscode.DiagnosticSeverity.Error);
+            } else if (call && vscode.workspace.getConfiguration('twig-language-2').get('alpineComponents', true)) {
+                const known = getAlpineComponentNames(document);
+                if (!known.has(call[1]) && !getRegistrations(document).globals.has(call[1])) {
+                    const suggestions = suggestNames(known, call[1]);
+                    const start = attribute.valueStart + source.indexOf(call[1]);
+                    const diagnostic = report(
+                        start,
+                        start + call[1].length,
+                        `Unknown Alpine component "${call[1]}"${formatSuggestions(suggestions)}`,
+                        vscode.DiagnosticSeverity.Warning
+                    );
+                    diagnostic.code = 'unknown-component';
+                }
+            }
+        }
+    });
+
+    (node.children || []).forEach(child => {
+        if (child.tag) {
+            validateAlpine(document, masked, child, diagnostics, isComponent);
+        }
+    });
+}
+
+/**
+ * Components and stores registered in the inline scripts of the document,
+ * then in the scripts of the workspace, see getScripts()
+ * @param {vscode.TextDocument} document - The document
+ * @returns {{components: Array<object>, stores: Array<object>, globals: Set<string>}}
+ */
+function getRegistrations(document) {
+    const key = `${document.uri.toString()}@${document.version}`;
+    if (documentScripts.key !== key) {
+        documentScripts = { key, scripts: parseScript(document.getText()) };
+    }
+    const own = documentScripts.scripts;
+    const workspace = getScripts();
+    const located = registration => Object.assign({ uri: document.uri }, registration);
+
+    return {
+        components: own.components.map(located).concat(workspace.components),
+        stores: own.stores.map(located).concat(workspace.stores),
+        globals: new Set(own.globals.concat(Array.from(workspace.globals)))
+    };
+}
+
+/**
+ * Names of the registered Alpine components, see getRegistrations()
+ * @param {vscode.TextDocument} document - The document
+ * @returns {Set<string>}
+ */
+function getAlpineComponentNames(document) {
+    return new Set(getRegistrations(document).components.map(component => component.name));
+}
+
+/**
+ * Range of a declaration: a name of the document, or a registration and
+ * its properties, which know their line
+ */
+function getDeclarationRange(document, declaration) {
+    return declaration.line === undefined
+        ? new vscode.Range(document.positionAt(declaration.start), document.positionAt(declaration.end))
+        : new vscode.Range(declaration.line, declaration.character, declaration.line, declaration.character + declaration.name.length);
+}
+
+/**
+ * HTML elements of a document where Twig is masked
+ */
+function parseHtml(document) {
+    if (!htmlLanguageService$5) {
+        htmlLanguageService$5 = vscodeHtmlLanguageservice.getLanguageService();
+    }
+    const masked = maskTwig(document.getText(), parseDocument(document));
+    const lsDocument = vscodeLanguageserverTextdocument.TextDocument.create(document.uri.toString(), document.languageId, document.version, masked);
+    return { masked, htmlDocument: htmlLanguageService$5.parseHTMLDocument(lsDocument) };
+}
+
+/**
+ * Attribute value as written, with Twig output replaced by a variable of
+ * the same length so that offsets are kept
+ */
+function getValueSource(text, attribute) {
+    return text.substr(attribute.valueStart, attribute.value.length)
+        .replace(/\{\{[\s\S]*?\}\}/g, twig => '_' + ' '.repeat(twig.length - 1));
+}
+
+/**
+ * Alpine expression under the cursor, e.g. the value of `@click="..."`
+ * @param {vscode.TextDocument} document - The document
+ * @param {number} offset - Cursor offset
+ * @returns {?{node: object, masked: string, attribute: object, source: string}}
+ */
+function findExpressionAt(document, offset) {
+    const { masked, htmlDocument } = parseHtml(document);
+    const node = htmlDocument.findNodeAt(offset);
+    if (!node || !node.tag || offset >= (node.startTagEnd || node.end)) {
+        return null;
+    }
+    const attribute = getAttributes(masked, node).find(item => item.value !== null &&
+        item.valueStart <= offset && offset <= item.valueStart + item.value.length && isExpression(item.name));
+
+    return attribute ? { node, masked, attribute, source: getValueSource(document.getText(), attribute) } : null;
+}
+
+/**
+ * Components around an element, nearest first: the elements with `x-data`
+ * and the properties of their object literal
+ */
+function getScopes(document, masked, node) {
+    const text = document.getText();
+    const scopes = [];
+    for (let element = node; element; element = element.parent) {
+        if (!element.tag) {
+            continue;
+        }
+        const data = getAttributes(masked, element).find(attribute => attribute.name === 'x-data');
+        if (!data) {
+            continue;
+        }
+        const source = data.value === null ? '' : getValueSource(text, data);
+        const call = COMPONENT_CALL.exec(source);
+        const component = call && getRegistrations(document).components.find(item => item.name === call[1]);
+        scopes.push({
+            node: element,
+            properties: component
+                ? component.properties.map(property => Object.assign({ uri: component.uri }, property))
+                : getDataProperties(source, data.valueStart)
+        });
+    }
+    return scopes;
+}
+
+/**
+ * `x-ref` names of the components around an element. A ref belongs to the
+ * closest component, and `$refs` sees those of every enclosing component.
+ */
+function getRefs(masked, scopes) {
+    const refs = [];
+    const collect = (element, isRoot) => {
+        const attributes = getAttributes(masked, element);
+        if (!isRoot && attributes.some(attribute => attribute.name === 'x-data')) {
+            return;
+        }
+        attributes
+            .filter(attribute => attribute.name === 'x-ref' && attribute.value && attribute.value.trim())
+            .forEach(attribute => {
+                const start = attribute.valueStart + attribute.value.search(/\S/);
+                refs.push({ name: attribute.value.trim(), start, end: start + attribute.value.trim().length });
+            });
+        (element.children || []).forEach(child => child.tag && collect(child, false));
+    };
+    scopes.forEach(scope => collect(scope.node, true));
+    return refs;
+}
+
+/**
+ * Completion inside an Alpine expression: the properties and methods of the
+ * enclosing `x-data` objects, nearest first, the magic properties, and the
+ * names after `$refs.` and `$store.`
+ * @param {vscode.TextDocument} document - The document
+ * @param {vscode.Position} position - Cursor position
+ * @returns {?vscode.CompletionItem[]} - null outside of Alpine expressions
+ */
+function getAlpineExpressionCompletions(document, position) {
+    const offset = document.offsetAt(position);
+    const found = findExpressionAt(document, offset);
+    if (!found) {
+        return null;
+    }
+
+    const before = found.source.substring(0, offset - found.attribute.valueStart);
+    const member = /(\$?[\w$]*)\.\s*[\w$]*$/.exec(before);
+    const storeMember = /\$store\s*\.\s*([\w$]+)\s*\.\s*[\w$]*$/.exec(before);
+    const scopes = getScopes(document, found.masked, found.node);
+    const registrations = getRegistrations(document);
+
+    if (member && member[1] === '$refs') {
+        return getRefs(found.masked, scopes).map(ref => {
+            const item = new vscode.CompletionItem(ref.name, vscode.CompletionItemKind.Reference);
+            item.detail = `x-ref="${ref.name}"`;
+            return item;
+        });
+    }
+    if (member && member[1] === '$store') {
+        return registrations.stores.map(store => {
+            const item = new vscode.CompletionItem(store.name, vscode.CompletionItemKind.Module);
+            item.detail = `Alpine.store('${store.name}')`;
+            item.documentation = new vscode.MarkdownString().appendCodeblock(store.source, 'javascript');
+            return item;
+        });
+    }
+    if (storeMember) {
+        const store = registrations.stores.find(item => item.name === storeMember[1]);
+        return (store ? store.properties : []).map(property => {
+            const item = new vscode.CompletionItem(
+                property.name,
+                property.kind === 'method' ? vscode.CompletionItemKind.Method : vscode.CompletionItemKind.Property
+            );
+            item.detail = `${property.kind} of Alpine.store('${store.name}')`;
+            return item;
+        });
+    }
+    if (member) {
+        return [];
+    }
+
+    const items = [];
+
+    // Registered components where `x-data` starts
+    if (found.attribute.name === 'x-data' && /^\s*[\w$]*$/.test(before)) {
+        registrations.components.forEach(component => {
+            const item = new vscode.CompletionItem(component.name, vscode.CompletionItemKind.Class);
+            item.detail = `Alpine.data('${component.name}')${component.path ? ` in ${component.path}` : ''}`;
+            item.documentation = new vscode.MarkdownString().appendCodeblock(component.source, 'javascript');
+            if (component.params) {
+                item.insertText = new vscode.SnippetString(`${component.name}($1)`);
+            }
+            item.sortText = ` ${component.name}`;
+            items.push(item);
+        });
+    }
+
+    const seen = new Set();
+    scopes.forEach((scope, depth) => {
+        scope.properties.filter(property => !seen.has(property.name)).forEach(property => {
+            seen.add(property.name);
+            const item = new vscode.CompletionItem(
+                property.name,
+                property.kind === 'method' ? vscode.CompletionItemKind.Method : vscode.CompletionItemKind.Property
+            );
+            item.detail = `x-data ${property.kind} of <${scope.node.tag}>`;
+            // Nearest scope first
+            item.sortText = `${depth}${property.name}`;
+            items.push(item);
+        });
+    });
+
+    const catalog = getAlpineCatalog();
+    Object.keys(catalog).filter(key => key.startsWith('$')).forEach(key => {
+        const item = new vscode.CompletionItem(key, vscode.CompletionItemKind.Variable);
+        item.documentation = new vscode.MarkdownString(catalog[key].description || '');
+        item.detail = 'Alpine.js magic property';
+        item.sortText = `~${key}`;
+        items.push(item);
+    });
+
+    return items;
+}
+
+/**
+ * Declaration of the name under the cursor in an Alpine expression: the
+ * `x-data` property, the `x-ref` after `$refs.`, the store after `$store.`
+ * and its properties, or the component of `x-data="dropdown"`
+ * @param {vscode.TextDocument} document - The document
+ * @param {vscode.Position} position - Cursor position
+ * @returns {?{start: number, end: number, uri: vscode.Uri, range: vscode.Range}} - Offsets of the name, and the location of its declaration
+ */
+function findAlpineDeclaration(document, position) {
+    const offset = document.offsetAt(position);
+    const found = findExpressionAt(document, offset);
+    if (!found) {
+        return null;
+    }
+
+    const relative = offset - found.attribute.valueStart;
+    const start = relative - /[\w$]*$/.exec(found.source.substring(0, relative))[0].length;
+    const end = relative + /^[\w$]*/.exec(found.source.substring(relative))[0].length;
+    const name = found.source.substring(start, end);
+    if (!name || /^\d/.test(name)) {
+        return null;
+    }
+
+    const before = found.source.substring(0, start);
+    const member = /(\$?[\w$]*)\s*\.\s*$/.exec(before);
+    const storeMember = /\$store\s*\.\s*([\w$]+)\s*\.\s*$/.exec(before);
+    const registrations = getRegistrations(document);
+    const component = registrations.components.find(item => item.name === name);
+    let target;
+    if (found.attribute.name === 'x-data' && !before.trim() && component) {
+        target = component;
+    } else if (member && member[1] === '$refs') {
+        target = getRefs(found.masked, getScopes(document, found.masked, found.node)).find(ref => ref.name === name);
+    } else if (member && member[1] === '$store') {
+        target = registrations.stores.find(store => store.name === name);
+    } else if (storeMember) {
+        const store = registrations.stores.find(item => item.name === storeMember[1]);
+        target = store && store.properties.find(property => property.name === name);
+        target = target && Object.assign({ uri: store.uri }, target);
+    } else if (!member) {
+        const scope = getScopes(document, found.masked, found.node).find(item => item.properties.some(property => property.name === name));
+        target = scope && scope.properties.find(property => property.name === name);
+    }
+
+    return target ? {
+        start: found.attribute.valueStart + start,
+        end: found.attribute.valueStart + end,
+        uri: target.uri || document.uri,
+        range: getDeclarationRange(document, target)
+    } : null;
+}
+
+/**
+ * Parts of a directive attribute name with their offsets, e.g. `@`, `click`
+ * and `prevent` for `@click.prevent`
+ * @param {string} name - Attribute name, possibly still being typed
+ * @returns {?{directive: string, prefix: string, argument: ?string, modifiers: string[]}}
+ */
+function splitDirective(name) {
+    const directive = getDirective(name);
+    if (!directive) {
+        return null;
+    }
+    const match = /^(@|:|x-[\w-]+:?)([^.]*)((?:\.[^.]*)*)$/.exec(name);
+    if (!match) {
+        return null;
+    }
+    const hasArgument = match[1] === '@' || match[1] === ':' || match[1].endsWith(':');
+    return {
+        directive,
+        prefix: match[1],
+        argument: hasArgument ? match[2] : null,
+        modifiers: match[3] ? match[3].substring(1).split('.') : []
+    };
+}
+
+/**
+ * Modifiers that can follow a directive, e.g. the key names after `@keydown`
+ */
+function getModifiers(entry, argument) {
+    if (entry === alpineArr['x-on'] && KEYBOARD_EVENTS.includes(argument)) {
+        return Object.assign({}, entry.modifiers, entry.keyModifiers);
+    }
+    return entry.modifiers || {};
+}
+
+function createCompletion(label, kind, description, detail) {
+    const item = new vscode.CompletionItem(label, kind);
+    item.documentation = new vscode.MarkdownString(description || '');
+    item.detail = detail;
+    return item;
+}
+
+/**
+ * Completion of an Alpine attribute name: the directives of the enabled
+ * plugins and the shorthands, then the event, attribute or transition stage
+ * after `@`, `:` or `x-...:`, and the modifiers of the directive after `.`
+ * @param {vscode.TextDocument} document - The document
+ * @param {vscode.Position} position - Cursor position, in a start tag
+ * @returns {vscode.CompletionItem[]}
+ */
+function getAlpineAttributeCompletions(document, position) {
+    const typed = /[^\s"'<>=]*$/.exec(document.lineAt(position.line).text.substring(0, position.character))[0];
+    const catalog = getAlpineCatalog();
+    const parts = splitDirective(typed);
+    const entry = parts && catalog[parts.directive];
+    const replacing = length => item => {
+        item.range = new vscode.Range(position.translate(0, -length), position);
+        return item;
+    };
+
+    if (entry && parts.modifiers.length) {
+        const modifiers = getModifiers(entry, parts.argument);
+        const typedModifiers = parts.modifiers.slice(0, -1);
+        const last = typedModifiers[typedModifiers.length - 1];
+        const current = replacing(parts.modifiers[parts.modifiers.length - 1].length);
+        if (modifiers.hasOwnProperty(last) && modifiers[last].values) {
+            return modifiers[last].values.map(value => current(createCompletion(value, vscode.CompletionItemKind.Value, modifiers[last].description, `.${last}.${value}`)));
+        }
+        return Object.keys(modifiers)
+            .filter(modifier => !typedModifiers.includes(modifier))
+            .map(modifier => current(createCompletion(modifier, vscode.CompletionItemKind.Module, modifiers[modifier].description, `${parts.directive} modifier`)));
+    }
+
+    if (entry && parts.argument !== null && (typed.includes(':') || parts.argument)) {
+        const current = replacing(parts.prefix.length > 1 ? parts.argument.length : typed.length);
+        const label = name => parts.prefix.length > 1 ? name : `${parts.prefix}${name}`;
+        if (parts.directive === 'x-on') {
+            return entry.events.map(event => current(createCompletion(
+                label(event),
+                vscode.CompletionItemKind.Event,
+                `Alpine.js event handler for \`${event}\``,
+                `${parts.prefix}${event}="handler"`
+            )));
+        }
+        if (parts.directive === 'x-bind') {
+            return entry.attributes.map(attribute => current(createCompletion(
+                label(attribute),
+                vscode.CompletionItemKind.Property,
+                `Alpine.js attribute binding for \`${attribute}\``,
+                `${parts.prefix}${attribute}="value"`
+            )));
+        }
+        const args = entry.arguments || {};
+        return Object.keys(args).map(argument => current(createCompletion(argument, vscode.CompletionItemKind.Property, args[argument], `${parts.prefix}${argument}`)));
+    }
+
+    const items = [];
+    Object.keys(catalog).filter(key => key.startsWith('x-')).forEach(key => {
+        const item = createCompletion(catalog[key].prefix || key, vscode.CompletionItemKind.Property, catalog[key].description, catalog[key].description);
+        if (catalog[key].example) {
+            item.documentation.appendCodeblock(catalog[key].example, 'html');
+        }
+        items.push(item);
+    });
+    catalog['x-on'].events.forEach(event => {
+        items.push(createCompletion(`@${event}`, vscode.CompletionItemKind.Event, `Alpine.js event handler shorthand for \`x-on:${event}\``, `@${event}="handler"`));
+    });
+    catalog['x-bind'].attributes.forEach(attribute => {
+        items.push(createCompletion(`:${attribute}`, vscode.CompletionItemKind.Property, `Alpine.js attribute binding shorthand for \`x-bind:${attribute}\``, `:${attribute}="value"`));
+    });
+    return items.map(replacing(typed.length));
+}
+
+/**
+ * Hover of the part of an Alpine attribute name under the cursor: the
+ * directive, the transition stage or plugin argument, or the modifier, and
+ * of the component named by `x-data`
+ * @param {vscode.TextDocument} document - The document
+ * @param {vscode.Position} position - Cursor position
+ * @returns {?{description: string, example: string}} - Catalog entry
+ */
+function findAlpineHover(document, position) {
+    const offset = document.offsetAt(position);
+
+    // The registration of `x-data="dropdown"`
+    const expression = findExpressionAt(document, offset);
+    const call = expression && expression.attribute.name === 'x-data' && COMPONENT_CALL.exec(expression.source);
+    if (call) {
+        const start = expression.attribute.valueStart + expression.source.indexOf(call[1]);
+        const component = getRegistrations(document).components.find(item => item.name === call[1]);
+        if (component && start <= offset && offset <= start + call[1].length) {
+            return {
+                description: `Alpine.data('${component.name}') component${component.path ? `, defined in ${component.path}:${component.line + 1}` : ''}`,
+                example: component.source
+            };
+        }
+    }
+
+    const { masked, htmlDocument } = parseHtml(document);
+    const node = htmlDocument.findNodeAt(offset);
+    if (!node || !node.tag || offset >= (node.startTagEnd || node.end)) {
+        return null;
+    }
+    const attribute = getAttributes(masked, node).find(item => item.start <= offset && offset <= item.end);
+    const parts = attribute && splitDirective(attribute.name);
+    const entry = parts && getAlpineCatalog()[parts.directive];
+    if (!entry) {
+        return null;
+    }
+
+    let start = attribute.start + parts.prefix.length + (parts.argument || '').length;
+    if (parts.argument && offset > attribute.start + parts.prefix.length && offset <= start && entry.arguments && entry.arguments[parts.argument]) {
+        return { description: `${parts.prefix}${parts.argument}: ${entry.arguments[parts.argument]}`, example: entry.example };
+    }
+
+    const modifiers = getModifiers(entry, parts.argument);
+    let found = null;
+    let previous = null;
+    parts.modifiers.forEach(modifier => {
+        const end = start + 1 + modifier.length;
+        const described = modifiers.hasOwnProperty(modifier) ? modifier : previous;
+        if (offset > start && offset <= end && described && modifiers.hasOwnProperty(described)) {
+            found = { description: `.${described} modifier of ${parts.directive}: ${modifiers[described].description}`, example: '' };
+        }
+        previous = modifier;
+        start = end;
+    });
+
+    return found || entry;
+}
+
+/**
+ * CSS completion, hover and validation in `<style>` elements and `style`
+ * attributes
+ *
+ * The CSS language service works on a copy of the template where everything
+ * but the CSS is blanked, at the same offsets. The value of a `style`
+ * attribute becomes the body of a `__{ }` rule, and Twig inside the CSS is
+ * replaced by something the CSS parser accepts at that place.
+ */
+
+
+// Characters after which Twig output stands for whole declarations or rules,
+// '' being the start of the CSS
+const STATEMENT_BOUNDARY = ['', '{', '}', ';', '"', '\''];
+
+// Declaration accepting any value, standing for printed declarations
+const DECLARATION = '--_:_';
+
+// Same numbering as the Language Server Protocol
+const SNIPPET_FORMAT = 2;
+const DEPRECATED_TAG = 1;
+
+let htmlLanguageService$4 = null;
+let cssLanguageService = null;
+let cached = null;
+
+function blank(text) {
+    return text.replace(/[^\r\n]/g, ' ');
+}
+
+/**
+ * Character before an offset of the CSS, skipping whitespace, or '' at its start
+ */
+function charBefore(source, region, offset) {
+    let i = offset - 1;
+    while (i >= region.start && /\s/.test(source[i])) {
+        i--;
+    }
+    return i < region.start ? '' : source[i];
+}
+
+/**
+ * Character after an offset of the CSS, skipping whitespace, or '' at its end
+ */
+function charAfter(source, region, offset) {
+    let i = offset;
+    while (i < region.end && /\s/.test(source[i])) {
+        i++;
+    }
+    return i < region.end ? source[i] : '';
+}
+
+/**
+ * Replacement for Twig output in CSS, of the same length: an identifier in
+ * selectors and values, e.g. `color: {{ brand.color }};`, a custom property
+ * name before `:`, and where it prints whole declarations a custom property
+ * taking their place
+ * @param {object} region - `<style>` element or `style` attribute of the output
+ */
+function getPlaceholder(source, region, start, end) {
+    const depth = getDepth(source, region, start);
+    let placeholder = '_';
+    if (STATEMENT_BOUNDARY.includes(charBefore(source, region, start))) {
+        const after = charAfter(source, region, end);
+        if (after === ':') {
+            placeholder = depth > 0 ? '--_' : '_';
+        } else if (after !== '{') {
+            placeholder = depth > 0 && end - start >= DECLARATION.length ? DECLARATION : '';
+        }
+    }
+    return placeholder + blank(source.substring(start + placeholder.length, end));
+}
+
+/**
+ * Braces open at an offset of the CSS, 0 where rules go
+ */
+function getDepth(source, region, offset) {
+    // Twig tags and output have as many opening braces as closing ones
+    const braces = source.substring(region.start, offset).replace(/[^{}]/g, '');
+    const opening = braces.replace(/}/g, '').length;
+    return (region.attribute ? 1 : 0) + opening - (braces.length - opening);
+}
+
+/**
+ * Source with Twig tags and comments blanked and Twig output in the CSS
+ * replaced by placeholders, and the ranges of that output
+ */
+function maskTwigStyles(source, template, regions) {
+    const ranges = [];
+    let open = null;
+
+    template.tokens.forEach(token => {
+        if (token.type === TokenType.COMMENT) {
+            ranges.push({ start: token.start, end: token.end, region: null });
+        } else if (token.type === TokenType.BLOCK_START || token.type === TokenType.VAR_START) {
+            open = token;
+        } else if ((token.type === TokenType.BLOCK_END || token.type === TokenType.VAR_END) && open !== null) {
+            const region = open.type === TokenType.VAR_START
+                ? regions.find(item => open.start >= item.start && open.start <= item.end)
+                : null;
+            ranges.push({ start: open.start, end: token.end, region });
+            open = null;
+        }
+    });
+
+    let masked = '';
+    let last = 0;
+    ranges.forEach(({ start, end, region }) => {
+        masked += source.substring(last, start) + (region ? getPlaceholder(source, region, start, end) : blank(source.substring(start, end)));
+        last = end;
+    });
+
+    return { masked: masked + source.substring(last), twig: ranges.filter(range => range.region) };
+}
+
+/**
+ * Content of the `<style>` elements and values of the `style` attributes
+ */
+function findRegions(masked) {
+    const regions = [];
+    const scanner = htmlLanguageService$4.createScanner(masked);
+    let attribute = null;
+    let token = scanner.scan();
+
+    while (token !== vscodeHtmlLanguageservice.TokenType.EOS) {
+        if (token === vscodeHtmlLanguageservice.TokenType.Styles) {
+            regions.push({ start: scanner.getTokenOffset(), end: scanner.getTokenEnd(), attribute: false });
+        } else if (token === vscodeHtmlLanguageservice.TokenType.StartTag) {
+            attribute = null;
+        } else if (token === vscodeHtmlLanguageservice.TokenType.AttributeName) {
+            attribute = scanner.getTokenText().toLowerCase();
+        } else if (token === vscodeHtmlLanguageservice.TokenType.AttributeValue) {
+            if (attribute === 'style') {
+                let start = scanner.getTokenOffset();
+                let end = scanner.getTokenEnd();
+                const quote = masked[start];
+                if (quote === '"' || quote === '\'') {
+                    start++;
+                    if (end > start && masked[end - 1] === quote) {
+                        end--;
+                    }
+                }
+                regions.push({ start, end, attribute: true });
+            }
+            attribute = null;
+        }
+        token = scanner.scan();
+    }
+
+    return regions;
+}
+
+/**
+ * CSS of a document, reusing the last one while its version is unchanged
+ */
+function getStyles(document) {
+    const key = document.uri.toString();
+    if (cached && cached.key === key && cached.version === document.version) {
+        return cached;
+    }
+
+    if (!htmlLanguageService$4) {
+        htmlLanguageService$4 = vscodeHtmlLanguageservice.getLanguageService();
+        cssLanguageService = vscodeCssLanguageservice.getCSSLanguageService();
+    }
+
+    const text = document.getText();
+    const template = parseDocument(document);
+    const regions = findRegions(maskTwig(text, template));
+    const { masked, twig } = maskTwigStyles(text, template, regions);
+
+    // `style="color: red"` becomes `__{color: red}`, the prefix taking the
+    // place of the end of `style="`
+    let css = '';
+    let last = 0;
+    regions.forEach(region => {
+        const prefix = region.attribute ? '__{' : '';
+        const suffix = region.attribute && region.end < text.length ? '}' : '';
+        css += blank(text.substring(last, region.start - prefix.length)) + prefix +
+            masked.substring(region.start, region.end) + suffix;
+        last = region.end + suffix.length;
+    });
+    css += blank(text.substring(last));
+
+    const lsDocument = vscodeLanguageserverTextdocument.TextDocument.create(key, 'css', document.version, css);
+    cached = {
+        key,
+        version: document.version,
+        regions,
+        twig,
+        lsDocument,
+        stylesheet: regions.length ? cssLanguageService.parseStylesheet(lsDocument) : null
+    };
+    return cached;
+}
+
+/**
+ * CSS of a document when a position is in it
+ */
+function getStylesAt(document, position) {
+    const offset = document.offsetAt(position);
+    const styles = getStyles(document);
+    return styles.regions.some(region => offset >= region.start && offset <= region.end) ? styles : null;
+}
+
+function toRange(range) {
+    return new vscode.Range(range.start.line, range.start.character, range.end.line, range.end.character);
+}
+
+function toMarkdown(content) {
+    if (typeof content === 'string') {
+        return content;
+    }
+    return content.kind === 'markdown' ? new vscode.MarkdownString(content.value) : content.value;
+}
+
+function toCompletionItem(item) {
+    const completion = new vscode.CompletionItem(item.label, item.kind ? item.kind - 1 : vscode.CompletionItemKind.Property);
+    const text = item.textEdit ? item.textEdit.newText : item.insertText || item.label;
+
+    completion.insertText = item.insertTextFormat === SNIPPET_FORMAT ? new vscode.SnippetString(text) : text;
+    if (item.textEdit) {
+        completion.range = toRange(item.textEdit.range || item.textEdit.replace);
+    }
+    if (item.detail) {
+        completion.detail = item.detail;
+    }
+    if (item.documentation) {
+        completion.documentation = toMarkdown(item.documentation);
+    }
+    completion.sortText = item.sortText;
+    completion.filterText = item.filterText;
+    if (item.tags && item.tags.includes(DEPRECATED_TAG)) {
+        completion.tags = [vscode.CompletionItemTag.Deprecated];
+    }
+    // Property completions suggest the values right after
+    if (item.command) {
+        completion.command = item.command;
+    }
+    return completion;
+}
+
+/**
+ * CSS completions in a `<style>` element or a `style` attribute
+ * @param {vscode.TextDocument} document - Template
+ * @param {vscode.Position} position - Cursor position
+ * @returns {vscode.CompletionItem[]|null} - Null when the position is not in CSS
+ */
+function getCssCompletions(document, position) {
+    const styles = getStylesAt(document, position);
+    if (!styles) {
+        return null;
+    }
+
+    const list = cssLanguageService.doComplete(styles.lsDocument, { line: position.line, character: position.character }, styles.stylesheet);
+    return list.items.map(toCompletionItem);
+}
+
+/**
+ * Hover for CSS properties, values and selectors
+ * @param {vscode.TextDocument} document - Template
+ * @param {vscode.Position} position - Cursor position
+ * @returns {vscode.Hover|null}
+ */
+function findCssHover(document, position) {
+    const styles = getStylesAt(document, position);
+    if (!styles) {
+        return null;
+    }
+
+    const hover = cssLanguageService.doHover(styles.lsDocument, { line: position.line, character: position.character }, styles.stylesheet);
+    if (!hover || !hover.contents) {
+        return null;
+    }
+    const contents = Array.isArray(hover.contents) ? hover.contents : [hover.contents];
+    return new vscode.Hover(contents.map(toMarkdown), hover.range ? toRange(hover.range) : undefined);
+}
+
+/**
+ * CSS errors and lint warnings, following the `css.validate` and `css.lint.*`
+ * settings. Problems on Twig output are left out, the placeholder not being
+ * what the template prints, and so are empty `style` attributes.
+ * @param {vscode.TextDocument} document - Template
+ * @returns {Array<object>} - Language Server diagnostics
+ */
+function validateCss(document) {
+    const settings = vscode.workspace.getConfiguration('css');
+    const styles = getStyles(document);
+    if (!styles.stylesheet || !settings.get('validate', true)) {
+        return [];
+    }
+
+    const lsDocument = styles.lsDocument;
+    return cssLanguageService.doValidation(lsDocument, styles.stylesheet, { validate: true, lint: settings.get('lint') })
+        .filter(diagnostic => {
+            const start = lsDocument.offsetAt(diagnostic.range.start);
+            const end = lsDocument.offsetAt(diagnostic.range.end);
+            if (diagnostic.code === 'emptyRules' && styles.regions.some(region => region.attribute && end > region.start - 3 && end <= region.start)) {
+                return false;
+            }
+            return !styles.twig.some(range => start <= range.end && end >= range.start);
+        });
+}
+
+// Codes of the diagnostics of unknown names, fixed by provideCodeActions()
+const UNKNOWN_NAME_CODES = {
+    tags: 'unknown-tag',
+    filters: 'unknown-filter',
+    functions: 'unknown-function',
+    tests: 'unknown-test'
+};
+
+let htmlLanguageService$3;
+let diagnosticCollection;
+
+/**
+ * Converts VS Code TextDocument to Language Server TextDocument
+ * @param {vscode.TextDocument} document - VS Code document
+ * @param {string} text - Optional text content (preprocessed)
+ * @returns {TextDocument} - Language Server TextDocument
+ */
+function toLanguageServerDocument(document, text) {
+    return vscodeLanguageserverTextdocument.TextDocument.create(
+        document.uri.toString(),
+        document.languageId,
+        document.version,
+        text || document.getText()
+    );
+}
+
+/**
+ * Converts Language Server Diagnostic to VS Code Diagnostic
+ * @param {any} lsDiagnostic - Language Server diagnostic
+ * @returns {vscode.Diagnostic} - VS Code diagnostic
+ */
+function toVSCodeDiagnostic(lsDiagnostic) {
+    const range = new vscode.Range(
+        lsDiagnostic.range.start.line,
+        lsDiagnostic.range.start.character,
+        lsDiagnostic.range.end.line,
+        lsDiagnostic.range.end.character
+    );
+    
+    const severity = lsDiagnostic.severity === 1 ? vscode.DiagnosticSeverity.Error :
+                     lsDiagnostic.severity === 2 ? vscode.DiagnosticSeverity.Warning :
+                     lsDiagnostic.severity === 3 ? vscode.DiagnosticSeverity.Information :
+                     vscode.DiagnosticSeverity.Hint;
+    
+    return new vscode.Diagnostic(range, lsDiagnostic.message, severity);
+}
+
+/**
+ * Convert offset to position
+ */
+function offsetToPosition(document, offset) {
+    return document.positionAt(offset);
+}
+
+/**
+ * Validates HTML/Twig document and reports diagnostics
+ * @param {vscode.TextDocument} document - The document to validate
+ */
+function validateDocument(document) {
+    if (!htmlLanguageService$3 || !diagnosticCollection) {
+        return;
+    }
+
+    const text = document.getText();
+    const diagnostics = [];
+    const template = parseDocument(document);
+    
+    // Preprocess Twig syntax
+    const processedText = maskTwig(text, template);
+    
+    // Create language server document with preprocessed text
+    const lsDocument = toLanguageServerDocument(document, processedText);
+    
+    // Parse HTML document
+    const htmlDocument = htmlLanguageService$3.parseHTMLDocument(lsDocument);
+    
+    // Validate HTML structure manually
+    const tagStack = [];
+    
+    // Check for unclosed tags
+    htmlDocument.roots.forEach(root => {
+        if (root.tag) {
+            validateNode(root, document, diagnostics, tagStack);
+        }
+    });
+    
+    // Report any remaining unclosed tags
+    tagStack.forEach(tag => {
+        const startPos = offsetToPosition(document, tag.start);
+        const endPos = offsetToPosition(document, tag.end);
+        const range = new vscode.Range(startPos, endPos);
+        diagnostics.push(new vscode.Diagnostic(
+            range,
+            `Unclosed tag: <${tag.name}>`,
+            vscode.DiagnosticSeverity.Error
+        ));
+    });
+    
+    // Report Twig syntax errors and unbalanced block tags
+    template.errors.forEach(error => {
+        const range = new vscode.Range(
+            offsetToPosition(document, error.start),
+            offsetToPosition(document, error.end)
+        );
+        diagnostics.push(new vscode.Diagnostic(range, error.message, vscode.DiagnosticSeverity.Error));
+    });
+    
+    validateNames(document, template, diagnostics);
+
+    // Report Alpine.js syntax errors and misused directives
+    if (vscode.workspace.getConfiguration('twig-language-2').get('alpineValidation', true)) {
+        htmlDocument.roots.forEach(root => {
+            if (root.tag) {
+                validateAlpine(document, processedText, root, diagnostics);
+            }
+        });
+    }
+
+    // Report CSS errors in `<style>` elements and `style` attributes
+    diagnostics.push(...validateCss(document).map(toVSCodeDiagnostic));
+
+    // Report diagnostics
+    diagnosticCollection.set(document.uri, diagnostics);
+}
+
+/**
+ * Diagnostic for a construct the configured Twig version does not have yet,
+ * has deprecated or has removed (twig-language-2.twigVersion)
+ */
+function versionDiagnostic(range, label, section, key) {
+    const found = findVersionChange(section, key);
+    if (!found) {
+        return null;
+    }
+
+    const instead = found.replacement ? `, use ${found.replacement} instead` : '';
+    if (found.change === 'added') {
+        return new vscode.Diagnostic(range, `${label} requires Twig ${found.version} or later (twig-language-2.twigVersion)`, vscode.DiagnosticSeverity.Warning);
+    }
+    if (found.change === 'removed') {
+        return new vscode.Diagnostic(range, `${label} was removed in Twig ${found.version}${instead}`, vscode.DiagnosticSeverity.Error);
+    }
+    const diagnostic = new vscode.Diagnostic(range, `${label} is deprecated since Twig ${found.version}${instead}`, vscode.DiagnosticSeverity.Warning);
+    diagnostic.tags = [vscode.DiagnosticTag.Deprecated];
+    return diagnostic;
+}
+
+/**
+ * Report tags, filters, functions and tests that belong to another framework
+ * than the active profile, e.g. `{% nav %}` in a Symfony project, that the
+ * configured Twig version does not support, or that do not exist. Unknown
+ * names get the closest known ones as suggestions, see provideCodeActions().
+ * @param {vscode.TextDocument} document - The document
+ * @param {object} template - Its template node
+ * @param {vscode.Diagnostic[]} diagnostics - Diagnostics to add to
+ */
+function validateNames(document, template, diagnostics) {
+    const catalog = getCatalog();
+    const checkUnknown = vscode.workspace.getConfiguration('twig-language-2').get('unknownNames', true);
+    const knownTags = getKnownNames('tags');
+    const closing = new Set();
+    Object.keys(PAIRED_TAGS).forEach(name => {
+        closing.add(PAIRED_TAGS[name].end);
+        (PAIRED_TAGS[name].branches || []).forEach(branch => closing.add(branch));
+    });
+
+    // Macros imported by name may shadow functions
+    const imported = new Set();
+    walk(template, node => {
+        if (node.type === 'Tag' && node.name === 'from' && node.imports) {
+            node.imports.forEach(item => imported.add((item.alias || item.name).name));
+        }
+    });
+
+    const report = (kind, section, name, start, end) => {
+        const range = new vscode.Range(offsetToPosition(document, start), offsetToPosition(document, end));
+        const versioned = versionDiagnostic(range, `The "${name}" ${kind}`, section, name);
+        if (versioned) {
+            diagnostics.push(versioned);
+            return;
+        }
+        if (section === 'tags' ? knownTags.has(name) : findEntry(catalog[section], name)) {
+            return;
+        }
+        const frameworks = findOtherFrameworks(section, name);
+        if (frameworks.length) {
+            diagnostics.push(new vscode.Diagnostic(
+                range,
+                `"${name}" is a ${frameworks.join(', ').replace(/, ([^,]*)$/, ' and $1')} ${kind}, not available with the ${catalog.label} profile (twig-language-2.framework)`,
+                vscode.DiagnosticSeverity.Warning
+            ));
+        } else if (checkUnknown) {
+            const suggestions = suggestNames(section === 'tags' ? knownTags : getKnownNames(section), name);
+            const diagnostic = new vscode.Diagnostic(
+                range,
+                `Unknown "${name}" ${kind}${formatSuggestions(suggestions)}`,
+                vscode.DiagnosticSeverity.Warning
+            );
+            diagnostic.code = UNKNOWN_NAME_CODES[section];
+            diagnostics.push(diagnostic);
+        }
+    };
+
+    walk(template, node => {
+        if (node.type === 'Tag' && node.name && !closing.has(node.name)) {
+            report('tag', 'tags', node.name, node.nameStart, node.nameEnd);
+            if (node.name === 'for' && node.condition) {
+                const range = new vscode.Range(offsetToPosition(document, node.condition.start), offsetToPosition(document, node.condition.end));
+                const versioned = versionDiagnostic(range, 'The "if" condition of "for"', 'tags', 'for if');
+                if (versioned) {
+                    diagnostics.push(versioned);
+                }
+            }
+        } else if (node.type === 'Filter') {
+            report('filter', 'filters', node.name, node.nameStart, node.nameEnd);
+        } else if (node.type === 'Test') {
+            report('test', 'tests', node.name, node.nameStart, node.nameEnd);
+        } else if (node.type === 'Call' && node.callee.type === 'Name' && !imported.has(node.callee.name)) {
+            report('function', 'functions', node.callee.name, node.callee.start, node.callee.end);
+        }
+    });
+}
+
+/**
+ * Recursively validate HTML nodes
+ */
+function validateNode(node, document, diagnostics, tagStack) {
+    if (node.tag) {
+        const tagName = node.tag.toLowerCase();
+        
+        // Check if it's a self-closing tag
+        const voidElements = ['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 
+                             'link', 'meta', 'param', 'source', 'track', 'wbr'];
+        
+        if (!voidElements.includes(tagName)) {
+            // Push opening tag
+            tagStack.push({
+                name: tagName,
+                start: node.start,
+                end: node.endTagStart || node.end
+            });
+        }
+        
+        // Validate children
+        if (node.children) {
+            node.children.forEach(child => {
+                if (child.tag) {
+                    validateNode(child, document, diagnostics, tagStack);
+                }
+            });
+        }
+        
+        // Check for closing tag
+        if (!voidElements.includes(tagName)) {
+            if (node.endTagStart !== undefined) {
+                // Tag is closed, remove from stack
+                const lastTag = tagStack.pop();
+                if (lastTag && lastTag.name !== tagName) {
+                    // Mismatched tags
+                    const startPos = offsetToPosition(document, node.start);
+                    const endPos = offsetToPosition(document, node.endTagStart);
+                    const range = new vscode.Range(startPos, endPos);
+                    diagnostics.push(new vscode.Diagnostic(
+                        range,
+                        `Mismatched tag: expected </${lastTag.name}>, found </${tagName}>`,
+                        vscode.DiagnosticSeverity.Error
+                    ));
+                }
+            }
+        }
+    }
+}
+
+/**
+ * Initialize diagnostics provider
+ * @param {vscode.ExtensionContext} context - Extension context
+ */
+function initializeDiagnostics(context) {
+    // Initialize HTML language service
+    htmlLanguageService$3 = vscodeHtmlLanguageservice.getLanguageService({
+        customDataProviders: []
+    });
+    
+    // Create diagnostic collection
+    diagnosticCollection = vscode.languages.createDiagnosticCollection('twig-language-2');
+    context.subscriptions.push(diagnosticCollection);
+    
+    // Validate on document open
+    if (vscode.window.activeTextEditor) {
+        validateDocument(vscode.window.activeTextEditor.document);
+    }
+    
+    // Validate on document change (debounced)
+    let timeout;
+    vscode.workspace.onDidChangeTextDocument((event) => {
+        if (event.document.languageId === 'twig') {
+            clearTimeout(timeout);
+            timeout = setTimeout(() => {
+                validateDocument(event.document);
+            }, 300);
+        }
+    }, null, context.subscriptions);
+    
+    // Validate open documents again when the framework profile changes
+    onDidChangeCatalog(() => {
+        vscode.workspace.textDocuments
+            .filter(document => document.languageId === 'twig')
+            .forEach(validateDocument);
+    }, null, context.subscriptions);
+
+    // Validate open documents again when the components of the workspace change
+    onDidChangeScripts(() => {
+        vscode.workspace.textDocuments
+            .filter(document => document.languageId === 'twig')
+            .forEach(validateDocument);
+    }, null, context.subscriptions);
+
+    vscode.workspace.onDidChangeConfiguration((event) => {
+        if (event.affectsConfiguration('twig-language-2.unknownNames') || event.affectsConfiguration('twig-language-2.alpineValidation') || event.affectsConfiguration('twig-language-2.alpinePlugins') || event.affectsConfiguration('css')) {
+            vscode.workspace.textDocuments
+                .filter(document => document.languageId === 'twig')
+                .forEach(validateDocument);
+        }
+    }, null, context.subscriptions);
+
+    // Validate on document open
+    vscode.workspace.onDidOpenTextDocument((document) => {
+        if (document.languageId === 'twig') {
+            validateDocument(document);
+        }
+    }, null, context.subscriptions);
+}
+
+/**
+ * Quick fixes replacing an unknown tag, filter, function, test, Alpine
+ * directive or Alpine component with the closest known names
+ * @param {vscode.TextDocument} document - The document
+ * @param {vscode.Range} range - Range the actions are asked for
+ * @param {vscode.CodeActionContext} context - Diagnostics at the range
+ * @returns {vscode.CodeAction[]}
+ */
+function provideCodeActions(document, range, context) {
+    const actions = [];
+
+    context.diagnostics.forEach(diagnostic => {
+        const section = Object.keys(UNKNOWN_NAME_CODES).find(key => UNKNOWN_NAME_CODES[key] === diagnostic.code);
+        const names = section ? getKnownNames(section)
+            : diagnostic.code === 'unknown-directive' ? getAlpineDirectives()
+            : diagnostic.code === 'unknown-component' ? getAlpineComponentNames(document)
+            : null;
+        if (!names) {
+            return;
+        }
+
+        suggestNames(names, document.getText(diagnostic.range)).forEach((name, i) => {
+            const action = new vscode.CodeAction(`Change to "${name}"`, vscode.CodeActionKind.QuickFix);
+            action.edit = new vscode.WorkspaceEdit();
+            action.edit.replace(document.uri, diagnostic.range, name);
+            action.diagnostics = [diagnostic];
+            action.isPreferred = i === 0;
+            actions.push(action);
+        });
+    });
+
+    return actions;
+}
+
+// Tags and functions whose first argument names another template
+const TEMPLATE_TAGS = ['extends', 'include', 'embed', 'import', 'from', 'use'];
+const TEMPLATE_FUNCTIONS = ['include', 'source'];
+
+// Craft resolves `_layouts/base` to `_layouts/base.twig`, `_layouts/base/index.html`, ...
+const IMPLICIT_EXTENSIONS = ['.twig', '.html', '.html.twig'];
+const INDEX_FILES = ['index.twig', 'index.html'];
+
+const DEFAULT_TEMPLATE_PATHS = [
+    'templates',
+    'app/Resources/views',
+    'web/themes/*/*/templates',
+    'web/modules/*/*/templates',
+    'web/core/themes/*/templates',
+    'web/core/modules/*/templates',
+    'themes/*/*/templates',
+    'modules/*/*/templates'
+];
+
+// Dependencies, left out of the searches for templates
+const TEMPLATE_EXCLUDE = '**/{node_modules,vendor}/**';
+// Files a template name resolves to at most without a template directory
+const FALLBACK_FILES = 5;
+
+let rootsCache = null;
+// Watchers of the configured template directories, recreated with the settings
+let rootWatchers = [];
+const templateCache = new Map();
+const TEMPLATE_CACHE_SIZE = 200;
+
+/**
+ * Collect template names from a template expression. Only plain strings,
+ * and the strings in conditionals and arrays (`{% include ['a', 'b'] %}`),
+ * are template names; anything computed is skipped.
+ */
+function collectTemplateNames(expr, kind, references) {
+    if (!expr) {
+        return;
+    }
+
+    if (expr.type === 'Literal' && expr.kind === 'string') {
+        references.push({ kind, name: expr.value, start: expr.start, end: expr.end });
+    } else if (expr.type === 'Conditional') {
+        collectTemplateNames(expr.consequent || expr.test, kind, references);
+        collectTemplateNames(expr.alternate, kind, references);
+    } else if (expr.type === 'Array') {
+        expr.elements.forEach(element => collectTemplateNames(element, kind, references));
+    } else if (expr.type === 'Binary' && expr.operator === '??') {
+        collectTemplateNames(expr.left, kind, references);
+        collectTemplateNames(expr.right, kind, references);
+    }
+}
+
+/**
+ * Template names in a template expression, e.g. the parent of `{% extends %}`
+ * @param {object} expr - Expression node
+ * @returns {string[]}
+ */
+function getTemplateNames(expr) {
+    const references = [];
+    collectTemplateNames(expr, null, references);
+    return references.map(reference => reference.name);
+}
+
+/**
+ * Find every reference to another template in a parsed template
+ * @param {object} template - Template node
+ * @returns {Array<{kind: string, name: string, start: number, end: number}>} - References, with the range of the string literal
+ */
+function getTemplateReferences(template) {
+    const references = [];
+
+    walk(template, node => {
+        if (node.type === 'Tag' && TEMPLATE_TAGS.includes(node.name)) {
+            collectTemplateNames(node.template, node.name, references);
+        } else if (node.type === 'Call' && node.callee.type === 'Name' && TEMPLATE_FUNCTIONS.includes(node.callee.name)) {
+            const argument = node.arguments.find(arg => arg.type !== 'NamedArgument' || arg.name === 'template' || arg.name === 'name');
+            if (argument) {
+                collectTemplateNames(argument.type === 'NamedArgument' ? argument.value : argument, node.callee.name, references);
+            }
+        }
+    });
+
+    return references;
+}
+
+function stat(uri) {
+    return Promise.resolve(vscode.workspace.fs.stat(uri)).then(info => info, () => null);
+}
+
+function readDirectory(uri) {
+    return Promise.resolve(vscode.workspace.fs.readDirectory(uri)).then(entries => entries, () => []);
+}
+
+// Expand a configured directory where `*` matches any directory name. The
+// directory matched by the last `*` becomes the root's namespace, so that
+// `web/themes/custom/*/templates` makes a theme's templates available as
+// `@theme_name/...`, the way Drupal registers them.
+function isAbsolute(pattern) {
+    return /^(?:\/|[a-zA-Z]:[\\/])/.test(pattern);
+}
+
+function expandPath(base, pattern, namespace) {
+    let matches = [{ uri: base, namespace }];
+    if (isAbsolute(pattern)) {
+        matches = [{ uri: vscode.Uri.file(pattern), namespace }];
+        pattern = '';
+    }
+
+    let expanded = Promise.resolve(matches);
+    pattern.split(/[\\/]/).filter(Boolean).forEach(segment => {
+        expanded = expanded.then(current => Promise.all(current.map(match => {
+            if (segment !== '*') {
+                return [{ uri: vscode.Uri.joinPath(match.uri, segment), namespace: match.namespace }];
+            }
+            return readDirectory(match.uri).then(entries => entries
+                .filter(([, type]) => type & vscode.FileType.Directory)
+                .map(([name]) => ({ uri: vscode.Uri.joinPath(match.uri, name), namespace: namespace || name })));
+        }))).then(lists => [].concat(...lists));
+    });
+
+    return expanded
+        .then(current => Promise.all(current.map(match => stat(match.uri).then(info => info && info.type & vscode.FileType.Directory ? match : null))))
+        .then(roots => roots.filter(Boolean));
+}
+
+/**
+ * Directories of the `templatePaths` and `templateNamespaces` settings
+ */
+function getConfiguredPaths() {
+    const settings = vscode.workspace.getConfiguration('twig-language-2');
+    const paths = settings.get('templatePaths', DEFAULT_TEMPLATE_PATHS) || [];
+    const namespaces = settings.get('templateNamespaces', {}) || {};
+    const configured = paths.map(path => ({ path, namespace: null, main: true }));
+
+    Object.keys(namespaces).forEach(name => {
+        const namespace = name.replace(/^@/, '');
+        [].concat(namespaces[name]).forEach(path => configured.push({ path, namespace, main: false }));
+    });
+    return configured;
+}
+
+function loadTemplateRoots() {
+    const pending = [];
+
+    (vscode.workspace.workspaceFolders || []).forEach(folder => {
+        getConfiguredPaths().forEach(({ path, namespace, main }) => {
+            pending.push(expandPath(folder.uri, path, namespace).then(roots => roots.map(root => Object.assign(root, { main }))));
+        });
+    });
+
+    return Promise.all(pending).then(lists => [].concat(...lists));
+}
+
+/**
+ * Glob of a configured directory and of its parents, e.g.
+ * `{web,web/themes,web/themes/*}` for `web/themes/*`: a directory created may
+ * match a `*`, e.g. a new theme, and one deleted may be or contain a template
+ * directory
+ */
+function getDirectoryGlob(path) {
+    const segments = path.split(/[\\/]/).filter(Boolean);
+    const globs = segments.map((segment, i) => segments.slice(0, i + 1).join('/'));
+    return globs.length === 1 ? globs[0] : `{${globs.join(',')}}`;
+}
+
+/**
+ * Reload the template directories when they or their parents are created or
+ * deleted. Absolute directories are outside of the workspace and not watched.
+ */
+function watchTemplateRoots() {
+    rootWatchers.forEach(watcher => watcher.dispose());
+    rootWatchers = [];
+
+    const reset = () => {
+        rootsCache = null;
+    };
+    (vscode.workspace.workspaceFolders || []).forEach(folder => {
+        const globs = getConfiguredPaths().filter(({ path }) => !isAbsolute(path)).map(({ path }) => getDirectoryGlob(path));
+        new Set(globs.filter(Boolean)).forEach(glob => {
+            const watcher = vscode.workspace.createFileSystemWatcher(new vscode.RelativePattern(folder, glob), false, true, false);
+            watcher.onDidCreate(reset);
+            watcher.onDidDelete(reset);
+            rootWatchers.push(watcher);
+        });
+    });
+}
+
+/**
+ * Template directories of the workspace, each with an optional namespace
+ * @returns {Promise<Array<{uri: vscode.Uri, namespace: string|null, main: boolean}>>}
+ */
+function getTemplateRoots() {
+    if (!rootsCache) {
+        rootsCache = loadTemplateRoots();
+    }
+    return rootsCache;
+}
+
+/**
+ * Split `@Namespace/path/file.twig` into its namespace and path
+ */
+function parseTemplateName(name) {
+    const match = name.match(/^@!?([^/\\]+)[/\\](.*)$/);
+    if (match) {
+        return { namespace: match[1], path: match[2] };
+    }
+    return { namespace: null, path: name.replace(/^\.?\//, '') };
+}
+
+/**
+ * File names a template name may refer to
+ */
+function candidateFiles(root, path) {
+    const file = vscode.Uri.joinPath(root, path);
+    const lastSegment = path.split('/').pop();
+    if (lastSegment.includes('.')) {
+        return [file];
+    }
+    return [file]
+        .concat(IMPLICIT_EXTENSIONS.map(extension => vscode.Uri.joinPath(root, path + extension)))
+        .concat(INDEX_FILES.map(index => vscode.Uri.joinPath(file, index)));
+}
+
+/**
+ * First of the candidate files that exists
+ */
+function findFirstFile(candidates) {
+    return Promise.all(candidates.map(stat))
+        .then(infos => candidates.find((candidate, i) => infos[i] && infos[i].type & vscode.FileType.File) || null);
+}
+
+/**
+ * Resolve a template name to files, using the configured template directories
+ * and namespaces. Falls back to the files whose path ends with the name when
+ * no directory matches: among `candidates` when given, e.g. the indexed
+ * templates when resolving the names of every template, else with a search
+ * of the workspace.
+ * @param {string} name - Template name as written in the template
+ * @param {vscode.Uri[]} [candidates] - Files to fall back to instead of a workspace search
+ * @returns {Promise<vscode.Uri[]>} - Existing files, best match first
+ */
+function resolveTemplate(name, candidates) {
+    const { namespace, path } = parseTemplateName(name);
+    if (!path) {
+        return Promise.resolve([]);
+    }
+
+    return getTemplateRoots()
+        .then(roots => Promise.all(roots
+            .filter(root => namespace ? root.namespace === namespace : root.main)
+            .map(root => findFirstFile(candidateFiles(root.uri, path)))))
+        .then(files => {
+            const found = new Map();
+            files.filter(Boolean).forEach(file => found.set(file.toString(), file));
+
+            if (!found.size && candidates) {
+                return candidates.filter(uri => uri.path.endsWith(`/${path}`)).slice(0, FALLBACK_FILES);
+            }
+            if (!found.size && !/[*?{}[\]]/.test(path)) {
+                return vscode.workspace.findFiles(`**/${path}`, TEMPLATE_EXCLUDE, FALLBACK_FILES);
+            }
+            return Array.from(found.values());
+        });
+}
+
+/**
+ * Glob of the files handled as Twig: `*.twig` and the extensions associated
+ * with twig in `files.associations` (e.g. `"*.html": "twig"` for Craft)
+ */
+function getTemplateGlob() {
+    const associations = vscode.workspace.getConfiguration('files').get('associations') || {};
+    const extensions = ['twig'];
+
+    Object.keys(associations).forEach(pattern => {
+        const match = associations[pattern] === 'twig' && pattern.match(/^(?:\*\*\/)?\*\.([\w.-]+)$/);
+        if (match && !extensions.includes(match[1])) {
+            extensions.push(match[1]);
+        }
+    });
+
+    return extensions.length === 1 ? '**/*.twig' : `**/*.{${extensions.join(',')}}`;
+}
+
+/**
+ * All template files of the workspace, leaving out dependencies
+ * @returns {Thenable<vscode.Uri[]>}
+ */
+function findTemplateFiles() {
+    return vscode.workspace.findFiles(getTemplateGlob(), TEMPLATE_EXCLUDE);
+}
+
+/**
+ * Parse a template file, from its editor when it is open. Files on disk are
+ * cached until they are modified, keeping the most recently used ones.
+ * @param {vscode.Uri} uri - Template file
+ * @returns {Promise<{uri: vscode.Uri, text: string, template: object}|null>} - Null when the file cannot be read
+ */
+function loadTemplate(uri) {
+    const key = uri.toString();
+    const document = vscode.workspace.textDocuments.find(doc => doc.uri.toString() === key);
+    if (document) {
+        return Promise.resolve({ uri, text: document.getText(), template: parseDocument(document) });
+    }
+
+    return stat(uri).then(info => {
+        if (!info) {
+            return null;
+        }
+
+        const cached = templateCache.get(key);
+        if (cached && cached.mtime === info.mtime) {
+            templateCache.delete(key);
+            templateCache.set(key, cached);
+            return cached.entry;
+        }
+
+        return Promise.resolve(vscode.workspace.fs.readFile(uri)).then(content => {
+            const text = Buffer.from(content).toString('utf8');
+            const entry = { uri, text, template: parse(text) };
+            templateCache.delete(key);
+            templateCache.set(key, { mtime: info.mtime, entry });
+            // Keep the most recently used templates; the index holds what is needed of the others
+            if (templateCache.size > TEMPLATE_CACHE_SIZE) {
+                templateCache.delete(templateCache.keys().next().value);
+            }
+            return entry;
+        }, () => null);
+    });
+}
+
+/**
+ * Convert an offset in a template's text to a position
+ */
+function positionAt(text, offset) {
+    let line = 0;
+    let lineStart = 0;
+    for (let i = text.indexOf('\n'); i !== -1 && i < offset; i = text.indexOf('\n', i + 1)) {
+        line++;
+        lineStart = i + 1;
+    }
+    return new vscode.Position(line, offset - lineStart);
+}
+
+/**
+ * Initialize template resolution
+ * @param {vscode.ExtensionContext} context - Extension context
+ */
+function initializeTemplates(context) {
+    // Template directories are expanded once and reloaded when the settings,
+    // the workspace folders or the directories change
+    vscode.workspace.onDidChangeConfiguration((event) => {
+        if (event.affectsConfiguration('twig-language-2')) {
+            rootsCache = null;
+            watchTemplateRoots();
+        }
+    }, null, context.subscriptions);
+
+    vscode.workspace.onDidChangeWorkspaceFolders(() => {
+        rootsCache = null;
+        watchTemplateRoots();
+    }, null, context.subscriptions);
+
+    watchTemplateRoots();
+    context.subscriptions.push({ dispose: () => rootWatchers.forEach(watcher => watcher.dispose()) });
+}
+
+/**
+ * Comment written right before a tag, used as its documentation
+ */
+function leadingComment(siblings, index, text) {
+    for (let i = index - 1; i >= 0; i--) {
+        const node = siblings[i];
+        if (node.type === 'Comment') {
+            return node.value.trim();
+        }
+        if (node.type !== 'Text' || text.substring(node.start, node.end).trim()) {
+            return '';
+        }
+    }
+    return '';
+}
+
+/**
+ * Macros defined in a template
+ * @param {object} template - Template node
+ * @param {string} text - Template source, for default values and comments
+ * @returns {Array<{name: string, params: Array<{name: string, default: string|null}>, documentation: string, tag: object}>}
+ */
+function getMacros(template, text) {
+    const macros = [];
+
+    walk(template, (node, parent) => {
+        if (node.type !== 'Tag' || node.name !== 'macro' || !node.macroName) {
+            return;
+        }
+        const siblings = parent && parent.body ? parent.body : [];
+        macros.push({
+            name: node.macroName.name,
+            params: (node.params || []).map(param => ({
+                name: param.name,
+                default: param.default ? text.substring(param.default.start, param.default.end) : null
+            })),
+            documentation: leadingComment(siblings, siblings.indexOf(node), text),
+            tag: node
+        });
+        return false;
+    });
+
+    return macros;
+}
+
+/**
+ * Signature of a macro, e.g. `forms.input(name, value = '', type = 'text')`,
+ * with the label range of each parameter
+ */
+function formatMacro(macro, prefix = '') {
+    let label = `${prefix}${macro.name}(`;
+    const params = macro.params.map((param, i) => {
+        if (i) {
+            label += ', ';
+        }
+        const start = label.length;
+        label += param.default !== null ? `${param.name} = ${param.default}` : param.name;
+        return { name: param.name, start, end: label.length };
+    });
+    label += ')';
+    return { label, params };
+}
+
+/**
+ * Import tags visible at an offset. Imports are local to the template, and
+ * imports written inside a macro are local to that macro.
+ * @param {object} template - Template node
+ * @param {number} offset - Source offset
+ * @returns {Array<object>} - `import` and `from` tags
+ */
+function getImports(template, offset) {
+    const imports = [];
+
+    walk(template, node => {
+        if (node.type !== 'Tag') {
+            return;
+        }
+        if (node.name === 'macro' && !(node.start <= offset && offset <= nodeEnd(node))) {
+            return false;
+        }
+        if ((node.name === 'import' && node.alias) || (node.name === 'from' && node.imports)) {
+            imports.push(node);
+        }
+    });
+
+    return imports;
+}
+
+/**
+ * Load the template an import tag refers to. `_self` is the importing
+ * template itself.
+ * @param {{uri: vscode.Uri, text: string, template: object}} importer - Template with the import tag
+ * @param {object} tag - `import` or `from` tag
+ * @returns {Promise<{uri: vscode.Uri, text: string, template: object}|null>}
+ */
+function loadImportedTemplate(importer, tag) {
+    if (tag.template && tag.template.type === 'Name' && tag.template.name === '_self') {
+        return Promise.resolve(importer);
+    }
+
+    const names = getTemplateNames(tag.template);
+    if (!names.length) {
+        return Promise.resolve(null);
+    }
+
+    return resolveTemplate(names[0]).then(uris => uris.length ? loadTemplate(uris[0]) : null);
+}
+
+/**
+ * Load the macros of the template an import tag refers to
+ * @returns {Promise<Array<object>>} - Macros, see getMacros()
+ */
+function loadImportedMacros(document, tag) {
+    const importer = { uri: document.uri, text: document.getText(), template: parseDocument(document) };
+    return loadImportedTemplate(importer, tag).then(loaded => loaded ? getMacros(loaded.template, loaded.text) : []);
+}
+
+/**
+ * Macros available through `{% import ... as alias %}`
+ * @param {vscode.TextDocument} document - The document
+ * @param {number} offset - Offset where the alias is used
+ * @param {string} alias - Import alias
+ * @returns {Promise<Array<object>>} - Macros, see getMacros()
+ */
+function findAliasMacros(document, offset, alias) {
+    const template = parseDocument(document);
+    const tag = getImports(template, offset).reverse().find(node => node.name === 'import' && node.alias.name === alias);
+
+    if (tag) {
+        return loadImportedMacros(document, tag);
+    }
+    if (alias === '_self') {
+        return Promise.resolve(getMacros(template, document.getText()));
+    }
+    return Promise.resolve([]);
+}
+
+/**
+ * Macros imported by name with `{% from ... import name as alias %}`
+ * @param {vscode.TextDocument} document - The document
+ * @param {number} offset - Offset where the macros are used
+ * @returns {Promise<Array<{name: string, macro: object}>>} - Local names with their macro
+ */
+function findImportedMacros(document, offset) {
+    const tags = getImports(parseDocument(document), offset).filter(node => node.name === 'from');
+
+    return Promise.all(tags.map(tag => loadImportedMacros(document, tag).then(macros => tag.imports
+        .map(item => ({
+            name: (item.alias || item.name).name,
+            macro: macros.find(macro => macro.name === item.name.name)
+        }))
+        .filter(item => item.macro))))
+        .then(lists => [].concat(...lists));
+}
+
+const DEFAULT_MAX_FILES = 10000;
+const EXCLUDED_PATH = /\/(?:node_modules|vendor)\//;
+
+let entries = new Map();
+let building = null;
+// Incremented by each build, so that a build replaced by a newer one stops
+let generation = 0;
+// Incremented by each change of the index, for what is cached from it
+let version = 0;
+let statusItem = null;
+let watcher = null;
+
+/**
+ * Keys of a hash literal, e.g. the variables of `with {title: 'Hi'}`
+ */
+function hashKeys$1(expr) {
+    if (!expr || expr.type !== 'Hash') {
+        return [];
+    }
+    return expr.pairs
+        .filter(pair => pair.key.type === 'Literal' && pair.key.kind === 'string')
+        .map(pair => String(pair.key.value));
+}
+
+/**
+ * Templates included with a hash of variables, see findPassedVariables()
+ */
+function getIncludes(template) {
+    const includes = [];
+
+    walk(template, node => {
+        if (node.type === 'Tag' && (node.name === 'include' || node.name === 'embed') && node.variables) {
+            getTemplateNames(node.template).forEach(name => includes.push({ name, keys: hashKeys$1(node.variables) }));
+        } else if (node.type === 'Call' && node.callee.type === 'Name' && node.callee.name === 'include') {
+            const positional = node.arguments.filter(arg => arg.type !== 'NamedArgument');
+            const named = name => node.arguments.find(arg => arg.type === 'NamedArgument' && arg.name === name);
+            const templateArg = named('template') ? named('template').value : positional[0];
+            const variablesArg = named('variables') ? named('variables').value : positional[1];
+            if (variablesArg) {
+                getTemplateNames(templateArg).forEach(name => includes.push({ name, keys: hashKeys$1(variablesArg) }));
+            }
+        }
+    });
+
+    return includes;
+}
+
+/**
+ * Summary of a template kept in the index. Only names and ranges are kept,
+ * not the source or the syntax tree, so that the index stays small.
+ * @param {vscode.Uri} uri - Template file
+ * @param {string} text - Template source
+ * @param {object} template - Template node
+ * @returns {{uri: vscode.Uri, blocks: Array, uses: boolean, macros: Array, imports: Array, references: Array, sets: string[], includes: Array}}
+ */
+function summarizeTemplate(uri, text, template) {
+    const range = node => new vscode.Range(positionAt(text, node.start), positionAt(text, node.end));
+    const blocks = [];
+    const macros = [];
+    const imports = [];
+    const sets = new Set();
+    let uses = false;
+
+    walk(template, node => {
+        if (node.type !== 'Tag') {
+            return;
+        }
+        if (node.name === 'block' && node.blockName) {
+            blocks.push({ name: node.blockName.name, range: range(node.blockName) });
+        } else if (node.name === 'macro' && node.macroName) {
+            macros.push({ name: node.macroName.name, range: range(node.macroName) });
+        } else if (node.name === 'import' || node.name === 'from') {
+            const self = node.template && node.template.type === 'Name' && node.template.name === '_self';
+            imports.push({ kind: node.name, names: self ? ['_self'] : getTemplateNames(node.template) });
+        } else if (node.name === 'use') {
+            uses = true;
+        } else if (node.name === 'set' && node.targets) {
+            node.targets.forEach(target => sets.add(target.name));
+        }
+    });
+
+    return {
+        uri,
+        blocks,
+        uses,
+        macros,
+        imports,
+        references: getTemplateReferences(template).map(reference => ({ kind: reference.kind, name: reference.name, range: range(reference) })),
+        sets: Array.from(sets),
+        includes: getIncludes(template)
+    };
+}
+
+function isIndexed(uri) {
+    return uri.scheme === 'file' && !EXCLUDED_PATH.test(uri.path);
+}
+
+function getMaxFiles() {
+    return vscode.workspace.getConfiguration('twig-language-2').get('indexMaxFiles', DEFAULT_MAX_FILES);
+}
+
+/**
+ * Add or refresh a file, from its editor when it is open
+ * @param {vscode.Uri} uri - Template file
+ * @param {Map} [index] - Index to update, the current one by default
+ */
+function indexFile(uri, index) {
+    const target = index || entries;
+    const key = uri.toString();
+    const document = vscode.workspace.textDocuments.find(doc => doc.uri.toString() === key);
+    if (document) {
+        target.set(key, summarizeTemplate(uri, document.getText(), parseDocument(document)));
+        return Promise.resolve();
+    }
+
+    return Promise.resolve(vscode.workspace.fs.readFile(uri)).then(content => {
+        const text = Buffer.from(content).toString('utf8');
+        target.set(key, summarizeTemplate(uri, text, parse(text)));
+    }, () => {
+        target.delete(key);
+    });
+}
+
+function showProgress(done, total) {
+    if (!statusItem) {
+        return;
+    }
+    if (done >= total) {
+        statusItem.hide();
+        return;
+    }
+    statusItem.text = `$(sync~spin) Indexing Twig templates ${done}/${total}`;
+    statusItem.show();
+}
+
+/**
+ * Index every template of the workspace, in batches. At most `indexMaxFiles`
+ * files are indexed; the rest are left out with a warning in the status bar.
+ * The new index replaces the current one once complete, unless a newer build
+ * started in the meantime, which stops this one.
+ */
+function buildIndex() {
+    const current = ++generation;
+    const built = new Map();
+
+    return Promise.resolve(findTemplateFiles()).then(found => {
+        const uris = found.filter(isIndexed);
+        const indexed = uris.slice(0, getMaxFiles());
+
+        return runInBatches(indexed, uri => indexFile(uri, built), {
+            onProgress: showProgress,
+            isCancelled: () => current !== generation
+        }).then(() => {
+            if (current !== generation) {
+                return;
+            }
+            entries = built;
+            version++;
+            if (statusItem && uris.length > indexed.length) {
+                statusItem.text = `$(warning) Twig: ${indexed.length} of ${uris.length} templates indexed`;
+                statusItem.tooltip = 'Raise "twig-language-2.indexMaxFiles" to index every template';
+                statusItem.show();
+            }
+        });
+    }).then(null, () => {
+        if (current === generation) {
+            entries = new Map();
+            version++;
+        }
+    });
+}
+
+function rebuild() {
+    building = buildIndex();
+    return building;
+}
+
+/**
+ * Summaries of every template of the workspace. The index is built on first
+ * use and kept up to date by the watchers set up in initializeIndex().
+ * @returns {Promise<Array<object>>} - Template summaries, see summarizeTemplate()
+ */
+function getIndexedTemplates() {
+    return (building || rebuild()).then(() => Array.from(entries.values()));
+}
+
+/**
+ * Version of the index, changing whenever a template is indexed again, added
+ * or removed
+ * @returns {number}
+ */
+function getIndexVersion() {
+    return version;
+}
+
+/**
+ * Refresh a file once the index is built. Files beyond `indexMaxFiles` are
+ * left out, as when building it.
+ */
+function update(uri) {
+    if (building && isIndexed(uri)) {
+        building = building.then(() => {
+            if (entries.has(uri.toString()) || entries.size < getMaxFiles()) {
+                return indexFile(uri).then(() => {
+                    version++;
+                });
+            }
+        });
+    }
+}
+
+/**
+ * Watch the templates, with the patterns of the current `files.associations`
+ */
+function watchTemplates() {
+    if (watcher) {
+        watcher.dispose();
+    }
+    watcher = vscode.workspace.createFileSystemWatcher(getTemplateGlob());
+    watcher.onDidCreate(update);
+    watcher.onDidChange(uri => {
+        // Open templates are indexed as they are edited
+        if (!vscode.workspace.textDocuments.some(doc => doc.uri.toString() === uri.toString())) {
+            update(uri);
+        }
+    });
+    watcher.onDidDelete(uri => {
+        if (entries.delete(uri.toString())) {
+            version++;
+        }
+    });
+}
+
+/**
+ * Start indexing the workspace, and keep the index in sync with edits and
+ * with files created, changed or deleted on disk
+ * @param {vscode.ExtensionContext} context - Extension context
+ */
+function initializeIndex(context) {
+    statusItem = vscode.window.createStatusBarItem(vscode.StatusBarAlignment.Left);
+    context.subscriptions.push(statusItem);
+
+    watchTemplates();
+    context.subscriptions.push({ dispose: () => watcher.dispose() });
+
+    // Re-index edited templates (debounced)
+    const timeouts = new Map();
+    vscode.workspace.onDidChangeTextDocument((event) => {
+        const key = event.document.uri.toString();
+        if (event.document.languageId === 'twig' && entries.has(key)) {
+            clearTimeout(timeouts.get(key));
+            timeouts.set(key, setTimeout(() => {
+                timeouts.delete(key);
+                update(event.document.uri);
+            }, 300));
+        }
+    }, null, context.subscriptions);
+
+    // Unsaved edits are dropped from the index when their editor is closed
+    vscode.workspace.onDidCloseTextDocument((document) => {
+        if (entries.has(document.uri.toString())) {
+            update(document.uri);
+        }
+    }, null, context.subscriptions);
+
+    vscode.workspace.onDidChangeConfiguration((event) => {
+        if (event.affectsConfiguration('files.associations')) {
+            watchTemplates();
+        }
+        if (event.affectsConfiguration('twig-language-2.indexMaxFiles') || event.affectsConfiguration('files.associations')) {
+            rebuild();
+        }
+    }, null, context.subscriptions);
+
+    vscode.workspace.onDidChangeWorkspaceFolders(() => {
+        rebuild();
+    }, null, context.subscriptions);
+
+    getIndexedTemplates();
+}
+
+// Tags that start a new variable scope: variables set inside are not visible after them
+const SCOPE_TAGS = ['for', 'macro', 'with', 'embed', 'block'];
+
+/**
+ * Source of an expression node, on one line
+ */
+function sourceOf(text, node) {
+    return text.substring(node.start, node.end).replace(/\s+/g, ' ');
+}
+
+/**
+ * Names defined by a hash literal, e.g. the keys of `with {title: 'Hi'}`
+ */
+function hashKeys(expr) {
+    if (!expr || expr.type !== 'Hash') {
+        return [];
+    }
+    return expr.pairs
+        .filter(pair => pair.key.type === 'Literal' && pair.key.kind === 'string')
+        .map(pair => ({ name: String(pair.key.value), value: pair.value }));
+}
+
+/**
+ * Variables visible at an offset: `{% set %}` before it, loop variables of
+ * the enclosing `{% for %}` tags, macro arguments and the keys passed to
+ * `{% with %}` and `{% embed %}`. Blocks, `with` and `embed` keep what is set
+ * inside to themselves; loops only what did not exist before them, setting a
+ * variable from outside changing it after the loop too. Macros and `only`
+ * see nothing from outside.
+ * @param {object} template - Template node
+ * @param {string} text - Template source
+ * @param {number} offset - Source offset
+ * @returns {{variables: Array<{name: string, kind: string, detail: string}>, isolated: boolean}} - Innermost
+ *   definition of each name, and whether the template's own context is hidden at the offset
+ */
+function getScopeVariables(template, text, offset) {
+    let variables = new Map();
+    let isolated = false;
+
+    function define(name, kind, detail) {
+        variables.delete(name);
+        variables.set(name, { name, kind, detail });
+    }
+
+    function inBody(node) {
+        return node.end <= offset && offset <= (node.endTag ? node.endTag.start : nodeEnd(node));
+    }
+
+    function enterScope(node) {
+        switch (node.name) {
+            case 'for': {
+                const firstBranch = (node.branches || [])[0];
+                const inElse = firstBranch && offset >= firstBranch.start;
+                const inCondition = offset < node.end && node.condition && offset >= node.condition.start;
+                if ((inBody(node) && !inElse) || inCondition) {
+                    const detail = `for ${node.targets.map(target => target.name).join(', ')} in ${node.sequence ? sourceOf(text, node.sequence) : ''}`;
+                    node.targets.forEach(target => define(target.name, 'for', detail));
+                    if (!inCondition) {
+                        define('loop', 'loop', 'loop');
+                    }
+                }
+                break;
+            }
+            case 'macro':
+                variables = new Map();
+                isolated = true;
+                if (inBody(node)) {
+                    (node.params || []).forEach(param => define(param.name, 'macro', param.default ? `${param.name} = ${sourceOf(text, param.default)}` : 'macro argument'));
+                    define('varargs', 'macro', 'extra macro arguments');
+                }
+                break;
+            case 'with':
+            case 'embed':
+                if (inBody(node)) {
+                    if (node.only) {
+                        variables = new Map();
+                        isolated = true;
+                    }
+                    hashKeys(node.variables).forEach(key => define(key.name, node.name, `${node.name} ${key.name}: ${sourceOf(text, key.value)}`));
+                }
+                break;
+        }
+    }
+
+    // `existing` is set in loops before the offset, where only the variables
+    // from outside are changed
+    function collect(nodes, existing) {
+        nodes.forEach(node => {
+            if (node.type !== 'Tag' || node.start >= offset) {
+                return;
+            }
+
+            const contains = offset <= nodeEnd(node);
+            if (node.name === 'set' && node.targets) {
+                if (!contains) {
+                    const detail = node.capture ? 'set' : `set = ${node.values.map(value => sourceOf(text, value)).join(', ')}`;
+                    node.targets
+                        .filter(target => !existing || variables.has(target.name))
+                        .forEach(target => define(target.name, 'set', detail));
+                } else if (node.capture) {
+                    collect(node.body || [], existing);
+                }
+                return;
+            }
+
+            if (SCOPE_TAGS.includes(node.name)) {
+                if (!contains) {
+                    if (node.name === 'for') {
+                        collect(node.body || [], true);
+                    }
+                    return;
+                }
+                enterScope(node);
+            }
+            // What is set in a loop body is not visible in its `else`
+            if (node.name === 'for' && node.branches && node.branches.length && offset >= node.branches[0].start) {
+                node.branches.forEach(branch => collect(branch.body || [], existing));
+                return;
+            }
+            collect(node.body || [], existing);
+            (node.branches || []).forEach(branch => collect(branch.body || [], existing));
+        });
+    }
+
+    collect(template.body);
+    return { variables: Array.from(variables.values()), isolated };
+}
+
+/**
+ * Whether a template name may refer to a file, comparing base names so that
+ * only likely references need to be resolved
+ */
+function mayReferTo(name, fileName) {
+    const baseName = fileName.split('.')[0];
+    return baseName === 'index' || name.split('/').pop().split('.')[0] === baseName;
+}
+
+/**
+ * Variables other templates pass to this one with `{% include ... with {...} %}`,
+ * `{% embed ... with {...} %}` or `include(..., {...})`
+ * @param {vscode.TextDocument} document - The included template
+ * @returns {Promise<Array<{name: string, kind: string, detail: string}>>}
+ */
+function findPassedVariables(document) {
+    const target = document.uri.toString();
+    const fileName = document.uri.path.split('/').pop();
+    const variables = new Map();
+
+    return getIndexedTemplates().then(templates => {
+        // Names are resolved among the indexed templates rather than with a search
+        const candidates = templates.map(entry => entry.uri);
+
+        return Promise.all(templates
+            .filter(entry => entry.uri.toString() !== target)
+            .map(entry => {
+                const includes = entry.includes.filter(include => mayReferTo(include.name, fileName));
+
+                return Promise.all(includes.map(include => resolveTemplate(include.name, candidates).then(found => {
+                    if (!found.some(file => file.toString() === target)) {
+                        return;
+                    }
+                    const from = vscode.workspace.asRelativePath(entry.uri);
+                    include.keys.forEach(name => {
+                        if (!variables.has(name)) {
+                            variables.set(name, { name, kind: 'include', detail: `passed by ${from}` });
+                        }
+                    });
+                })));
+            }));
+    }).then(() => Array.from(variables.values()));
+}
+
+let htmlLanguageService$2;
+
+/**
+ * Get text before cursor on current line
+ */
+function getTextBeforeCursor(document, position) {
+    const line = document.lineAt(position.line);
+    return line.text.substring(0, position.character);
+}
+
+/**
+ * Get text after cursor on current line
+ */
+function getTextAfterCursor(document, position) {
+    const line = document.lineAt(position.line);
+    return line.text.substring(position.character);
+}
+
+/**
+ * Get the tokens of the Twig tag or print statement around the cursor
+ */
+function getTwigTokensAt(document, position) {
+    return findTagTokens(parseDocument(document), document.offsetAt(position));
+}
+
+/**
+ * Check if cursor is at the tag name of a Twig block {% ... %}
+ */
+function isAtTwigTagName(document, position) {
+    const tokens = getTwigTokensAt(document, position);
+    if (!tokens || tokens[0].type !== TokenType.BLOCK_START) {
+        return false;
+    }
+
+    // Either nothing typed yet or the cursor is on the first word
+    const offset = document.offsetAt(position);
+    return tokens.length === 1 || (tokens.length === 2 && tokens[1].type === TokenType.NAME && tokens[1].end >= offset);
+}
+
+/**
+ * Check if cursor is after a pipe | in Twig expression
+ */
+function isAfterPipe(document, position) {
+    const offset = document.offsetAt(position);
+    const tokens = (getTwigTokensAt(document, position) || []).filter(token => token.end <= offset);
+    const last = tokens[tokens.length - 1];
+    const previous = tokens[tokens.length - 2];
+
+    if (!last) {
+        return false;
+    }
+
+    if (last.type === TokenType.PUNCTUATION && last.value === '|') {
+        return true;
+    }
+
+    // Typing the filter name
+    return last.type === TokenType.NAME && last.end === offset &&
+        previous && previous.type === TokenType.PUNCTUATION && previous.value === '|';
+}
+
+/**
+ * Check if cursor is after `is` or `is not`, where a test name goes
+ */
+function isAfterIs(document, position) {
+    const offset = document.offsetAt(position);
+    const tokens = (getTwigTokensAt(document, position) || []).filter(token => token.end <= offset);
+    let last = tokens[tokens.length - 1];
+
+    // Typing the test name
+    if (last && last.type === TokenType.NAME && last.end === offset) {
+        last = tokens[tokens.length - 2];
+    }
+    return Boolean(last) && last.type === TokenType.OPERATOR && (last.value === 'is' || last.value === 'is not');
+}
+
+/**
+ * Name before the dot when the cursor is after `name.`, e.g. `forms.` or `loop.`
+ */
+function getNameBeforeDot(document, position) {
+    const offset = document.offsetAt(position);
+    const tokens = (getTwigTokensAt(document, position) || []).filter(token => token.end <= offset);
+    let i = tokens.length - 1;
+
+    // Typing the macro name
+    if (tokens[i] && tokens[i].type === TokenType.NAME && tokens[i].end === offset) {
+        i--;
+    }
+
+    const dot = tokens[i];
+    const alias = tokens[i - 1];
+    const before = tokens[i - 2];
+    if (!dot || dot.type !== TokenType.PUNCTUATION || dot.value !== '.' || !alias || alias.type !== TokenType.NAME) {
+        return null;
+    }
+    // `foo.forms.` is an attribute, not a variable
+    if (before && before.type === TokenType.PUNCTUATION && (before.value === '.' || before.value === '|')) {
+        return null;
+    }
+    return alias.value;
+}
+
+/**
+ * Check if an offset is between the quotes of a string token, the closing
+ * one being missing while typing
+ */
+function isInString(document, token, offset) {
+    if (offset <= token.start) {
+        return false;
+    }
+    const closed = token.end - token.start > 1 && document.getText().charAt(token.end - 1) === token.quote;
+    return closed ? offset < token.end : offset <= token.end;
+}
+
+/**
+ * Check if cursor is where an expression may start a name, e.g. a function
+ * or macro call, inside {{ }} or after the tag name of {% %}
+ */
+function isAtExpressionName(document, position) {
+    const offset = document.offsetAt(position);
+    const tagTokens = getTwigTokensAt(document, position) || [];
+    // Nothing but text goes inside a string, `#{...}` interpolations included
+    if (tagTokens.some(token => token.type === TokenType.STRING && isInString(document, token, offset))) {
+        return false;
+    }
+
+    const tokens = tagTokens.filter(token => token.end <= offset);
+    if (!tokens.length || (tokens[0].type === TokenType.BLOCK_START && tokens.length < 2) || isAtTwigTagName(document, position)) {
+        return false;
+    }
+
+    let last = tokens[tokens.length - 1];
+    if (last.type === TokenType.NAME && last.end === offset) {
+        last = tokens[tokens.length - 2];
+    }
+    if (last.type === TokenType.PUNCTUATION) {
+        return last.value !== '.' && last.value !== '|' && last.value !== ')' && last.value !== ']';
+    }
+    // A test name follows `is`
+    if (last.type === TokenType.OPERATOR && (last.value === 'is' || last.value === 'is not')) {
+        return false;
+    }
+    return last.type === TokenType.VAR_START || last.type === TokenType.OPERATOR ||
+        (last.type === TokenType.NAME && last === tokens[1] && tokens[0].type === TokenType.BLOCK_START);
+}
+
+/**
+ * Create a completion item for a macro
+ */
+function createMacroCompletion(name, macro) {
+    const item = new vscode.CompletionItem(name, vscode.CompletionItemKind.Function);
+    item.detail = `macro ${formatMacro(macro).label}`;
+    if (macro.documentation) {
+        item.documentation = new vscode.MarkdownString(macro.documentation);
+    }
+    item.insertText = new vscode.SnippetString(`${name}($0)`);
+    item.command = { title: 'Trigger Parameter Hints', command: 'editor.action.triggerParameterHints' };
+    return item;
+}
+
+/**
+ * Create completion items for the macros of an import alias (`forms.`), or
+ * for the macros imported by name with `{% from %}`
+ * @returns {Promise<vscode.CompletionItem[]>}
+ */
+function getMacroCompletions(document, position) {
+    const offset = document.offsetAt(position);
+    const alias = getNameBeforeDot(document, position);
+
+    if (alias && alias !== 'loop') {
+        return findAliasMacros(document, offset, alias)
+            .then(macros => macros.map(macro => createMacroCompletion(macro.name, macro)));
+    }
+    if (isAtExpressionName(document, position)) {
+        return findImportedMacros(document, offset)
+            .then(imported => imported.map(item => createMacroCompletion(item.name, item.macro)));
+    }
+    return Promise.resolve([]);
+}
+
+/**
+ * Create completion items for the variables in scope, or for the attributes
+ * of `loop.` inside a for loop
+ * @returns {Promise<vscode.CompletionItem[]>}
+ */
+function getVariableCompletions(document, position) {
+    const offset = document.offsetAt(position);
+    const { variables, isolated } = getScopeVariables(parseDocument(document), document.getText(), offset);
+
+    if (getNameBeforeDot(document, position) === 'loop') {
+        if (!variables.some(variable => variable.kind === 'loop')) {
+            return Promise.resolve([]);
+        }
+        const properties = twigArr.loop.properties || {};
+        return Promise.resolve(Object.keys(properties).map(name => {
+            const item = new vscode.CompletionItem(name, vscode.CompletionItemKind.Property);
+            item.detail = `loop.${name}`;
+            item.documentation = new vscode.MarkdownString(properties[name]);
+            return item;
+        }));
+    }
+
+    if (!isAtExpressionName(document, position)) {
+        return Promise.resolve([]);
+    }
+
+    // Variables passed by includes are not visible inside macros or `only` scopes
+    return (isolated ? Promise.resolve([]) : findPassedVariables(document)).then(passed => variables.concat(passed.filter(variable => !variables.some(own => own.name === variable.name))).map(variable => {
+        const item = new vscode.CompletionItem(variable.name, vscode.CompletionItemKind.Variable);
+        item.detail = variable.detail;
+        if (variable.kind === 'loop') {
+            item.documentation = new vscode.MarkdownString(twigArr.loop.description);
+        }
+        // Variables in scope come before catalog entries
+        item.sortText = `0${variable.name}`;
+        return item;
+    }));
+}
+
+/**
+ * Check if cursor is inside an HTML tag
+ */
+function isInsideTag(document, position) {
+    const textBefore = getTextBeforeCursor(document, position);
+    const textAfter = getTextAfterCursor(document, position);
+    
+    // Find last < before cursor
+    const lastOpen = textBefore.lastIndexOf('<');
+    const lastClose = textBefore.lastIndexOf('>');
+    
+    // If we have an open < and it's after the last >, we're inside a tag
+    if (lastOpen !== -1 && (lastClose === -1 || lastOpen > lastClose)) {
+        // Check if there's a closing > after cursor
+        return textAfter.includes('>');
+    }
+    
+    return false;
+}
+
+/**
+ * Check if cursor is in attribute position (after space in tag, before = or >)
+ */
+function isInAttributePosition(document, position) {
+    if (!isInsideTag(document, position)) {
+        return false;
+    }
+    
+    const textBefore = getTextBeforeCursor(document, position);
+    const textAfter = getTextAfterCursor(document, position);
+    
+    // Should be after space and before = or >
+    const trimmed = textBefore.trim();
+    return trimmed.length > 0 && (textAfter.startsWith('=') || textAfter.startsWith(' ') || textAfter.startsWith('>'));
+}
+
+/**
+ * Strike out the completion of a construct deprecated in the configured Twig version
+ */
+function markDeprecated(item, section, key) {
+    const found = findVersionChange(section, key);
+    if (found && found.change === 'deprecated') {
+        item.tags = [vscode.CompletionItemTag.Deprecated];
+    }
+    return item;
+}
+
+/**
+ * Create completion items for Twig tags
+ */
+function getTwigTagCompletions() {
+    const items = [];
+    const tags = getCatalog().tags;
+    
+    for (const key in tags) {
+        const twig = tags[key];
+        if (twig.prefix && !twig.prefix.startsWith('{{')) {
+            const item = new vscode.CompletionItem(
+                twig.prefix,
+                vscode.CompletionItemKind.Keyword
+            );
+            item.documentation = new vscode.MarkdownString();
+            item.documentation.appendMarkdown(twig.description || '');
+            if (twig.example) {
+                item.documentation.appendCodeblock(twig.example, 'twig');
+            }
+            item.detail = twig.description;
+            items.push(markDeprecated(item, 'tags', key));
+        }
+    }
+    
+    return items;
+}
+
+/**
+ * Create completion items for Twig filters
+ */
+function getTwigFilterCompletions() {
+    const items = [];
+    const filters = getCatalog().filters;
+    
+    for (const key in filters) {
+        const filter = filters[key];
+        const item = new vscode.CompletionItem(
+            filter.prefix || key,
+            vscode.CompletionItemKind.Function
+        );
+        item.documentation = new vscode.MarkdownString();
+        item.documentation.appendMarkdown(filter.description || '');
+        if (filter.example) {
+            item.documentation.appendCodeblock(filter.example, 'twig');
+        }
+        item.detail = filter.signature || filter.description;
+        item.insertText = filter.prefix || key;
+        items.push(markDeprecated(item, 'filters', key));
+    }
+    
+    return items;
+}
+
+/**
+ * Create completion items for Twig tests, e.g. `divisible by(${number})`
+ */
+function getTwigTestCompletions() {
+    const tests = getCatalog().tests;
+
+    return Object.keys(tests).map(key => {
+        const test = tests[key];
+        const item = new vscode.CompletionItem(key, vscode.CompletionItemKind.Function);
+        item.documentation = new vscode.MarkdownString();
+        item.documentation.appendMarkdown(test.description || '');
+        if (test.example) {
+            item.documentation.appendCodeblock(test.example, 'twig');
+        }
+        item.detail = test.signature || test.description;
+        item.insertText = new vscode.SnippetString(test.body || key);
+        return markDeprecated(item, 'tests', key);
+    });
+}
+
+/**
+ * Create completion items for Twig functions
+ */
+function getTwigFunctionCompletions() {
+    const items = [];
+    const functions = getCatalog().functions;
+    
+    for (const key in functions) {
+        // Keys such as `range set` are variants of a function
+        if (key.includes(' ')) {
+            continue;
+        }
+        const func = functions[key];
+        const item = new vscode.CompletionItem(
+            key,
+            vscode.CompletionItemKind.Function
+        );
+        item.documentation = new vscode.MarkdownString();
+        item.documentation.appendMarkdown(func.description || '');
+        if (func.example) {
+            item.documentation.appendCodeblock(func.example, 'twig');
+        }
+        item.detail = func.signature || func.description;
+        item.insertText = new vscode.SnippetString(`${key}($0)`);
+        items.push(markDeprecated(item, 'functions', key));
+    }
+    
+    return items;
+}
+
+/**
+ * Create completion items for the global variables of the framework profile
+ */
+function getTwigGlobalCompletions() {
+    const globals = getCatalog().globals;
+
+    return Object.keys(globals).map(name => {
+        const item = new vscode.CompletionItem(name, vscode.CompletionItemKind.Variable);
+        item.documentation = new vscode.MarkdownString();
+        item.documentation.appendMarkdown(globals[name].description || '');
+        if (globals[name].example) {
+            item.documentation.appendCodeblock(globals[name].example, 'twig');
+        }
+        item.detail = 'global';
+        return item;
+    });
+}
+
+/**
+ * Create completion items for the snippets of the framework profile and of
+ * the Twig version; the shared snippets are contributed by package.json
+ */
+function getSnippetCompletions() {
+    const snippets = getCatalog().snippets;
+
+    return Object.keys(snippets).map(key => {
+        const snippet = snippets[key];
+        const body = Array.isArray(snippet.body) ? snippet.body.join('\n') : snippet.body;
+        const item = new vscode.CompletionItem(snippet.prefix, vscode.CompletionItemKind.Snippet);
+        item.insertText = new vscode.SnippetString(body);
+        item.detail = snippet.description;
+        item.documentation = new vscode.MarkdownString().appendCodeblock(body, 'twig');
+        return item;
+    });
+}
+
+/**
+ * Provide completion items
+ * @returns {Promise<vscode.CompletionItem[]>}
+ */
+function provideCompletions(document, position, token, context) {
+    const completions = [];
+
+    // Inside an Alpine expression, e.g. `@click="..."`, only its names apply
+    const alpine = getTwigTokensAt(document, position) ? null : getAlpineExpressionCompletions(document, position);
+    if (alpine) {
+        return Promise.resolve(alpine);
+    }
+
+    // Inside a `<style>` element or a `style` attribute
+    const css = getTwigTokensAt(document, position) ? null : getCssCompletions(document, position);
+    if (css) {
+        return Promise.resolve(css);
+    }
+    
+    // Get HTML completions from language service
+    if (htmlLanguageService$2) {
+        const lsDocument = vscodeLanguageserverTextdocument.TextDocument.create(
+            document.uri.toString(),
+            document.languageId,
+            document.version,
+            document.getText()
+        );
+        
+        const htmlCompletions = htmlLanguageService$2.doComplete(
+            lsDocument,
+            { line: position.line, character: position.character },
+            htmlLanguageService$2.parseHTMLDocument(lsDocument)
+        );
+        
+        if (htmlCompletions && htmlCompletions.items) {
+            htmlCompletions.items.forEach(item => {
+                const vscodeItem = new vscode.CompletionItem(
+                    item.label,
+                    item.kind === 5 ? vscode.CompletionItemKind.Property : 
+                    item.kind === 10 ? vscode.CompletionItemKind.Class :
+                    vscode.CompletionItemKind.Text
+                );
+                if (item.documentation) {
+                    vscodeItem.documentation = typeof item.documentation === 'string' 
+                        ? item.documentation 
+                        : item.documentation.value;
+                }
+                if (item.detail) {
+                    vscodeItem.detail = item.detail;
+                }
+                if (item.insertText) {
+                    vscodeItem.insertText = typeof item.insertText === 'string'
+                        ? item.insertText
+                        : item.insertText.value;
+                }
+                completions.push(vscodeItem);
+            });
+        }
+    }
+    
+    // Add Alpine.js completions if in attribute position
+    if (isInAttributePosition(document, position)) {
+        completions.push(...getAlpineAttributeCompletions(document, position));
+    }
+    
+    // Add Twig tag completions at the start of {% %}
+    if (isAtTwigTagName(document, position)) {
+        completions.push(...getTwigTagCompletions());
+    }
+    
+    // Add Twig filter completions if after |
+    if (isAfterPipe(document, position)) {
+        completions.push(...getTwigFilterCompletions());
+    }
+
+    // Add Twig test completions after `is` and `is not`
+    if (isAfterIs(document, position)) {
+        completions.push(...getTwigTestCompletions());
+    }
+
+    // Add functions and global variables where an expression starts
+    if (isAtExpressionName(document, position)) {
+        completions.push(...getTwigFunctionCompletions(), ...getTwigGlobalCompletions());
+    }
+
+    // Add snippets outside of Twig tags
+    if (!getTwigTokensAt(document, position) && !(context && context.triggerCharacter)) {
+        completions.push(...getSnippetCompletions());
+    }
+    
+    // Add variables in scope and macros from imported templates
+    return Promise.all([getVariableCompletions(document, position), getMacroCompletions(document, position)])
+        .then(([variables, macros]) => completions.concat(variables, macros));
+}
+
+/**
+ * Initialize completion provider
+ */
+function initializeCompletions(context, htmlLS) {
+    htmlLanguageService$2 = htmlLS;
+}
+
+/**
+ * Go to the template named by `{% extends %}`, `{% include %}`, `include()`, ...
+ * @param {vscode.TextDocument} document - The document
+ * @param {vscode.Position} position - Cursor position
+ * @returns {Promise<vscode.LocationLink[]|undefined>} - Matching template files
+ */
+function provideTemplateDefinition(document, position) {
+    const offset = document.offsetAt(position);
+    const reference = getTemplateReferences(parseDocument(document))
+        .find(ref => ref.start <= offset && offset <= ref.end);
+
+    if (!reference) {
+        return Promise.resolve(undefined);
+    }
+
+    const origin = new vscode.Range(document.positionAt(reference.start), document.positionAt(reference.end));
+
+    return resolveTemplate(reference.name).then(targets => targets.map(uri => ({
+        originSelectionRange: origin,
+        targetUri: uri,
+        targetRange: new vscode.Range(0, 0, 0, 0)
+    })));
+}
+
+/**
+ * Go from a name in an Alpine expression to its `x-data` property, `x-ref`,
+ * `Alpine.store()` or `Alpine.data()`
+ * @param {vscode.TextDocument} document - The document
+ * @param {vscode.Position} position - Cursor position
+ * @returns {vscode.LocationLink[]|undefined}
+ */
+function provideAlpineDefinition(document, position) {
+    const declaration = findAlpineDeclaration(document, position);
+    if (!declaration) {
+        return undefined;
+    }
+
+    return [{
+        originSelectionRange: new vscode.Range(document.positionAt(declaration.start), document.positionAt(declaration.end)),
+        targetUri: declaration.uri,
+        targetRange: declaration.range,
+        targetSelectionRange: declaration.range
+    }];
+}
+
+/**
+ * Provide definitions
+ */
+function provideDefinition(document, position) {
+    const links = provideAlpineDefinition(document, position);
+    return links ? Promise.resolve(links) : provideTemplateDefinition(document, position);
+}
+
+let htmlLanguageService$1;
+
+// Longest expression shown in a symbol name before it is shortened
+const MAX_EXPRESSION_LENGTH = 40;
+
+/**
+ * Source text of an expression node, shortened for display
+ */
+function expressionText(text, node) {
+    const source = text.substring(node.start, node.end).replace(/\s+/g, ' ');
+    return source.length > MAX_EXPRESSION_LENGTH ? source.substring(0, MAX_EXPRESSION_LENGTH - 1) + '…' : source;
+}
+
+function createSymbol(document, name, detail, kind, start, end, selectionStart, selectionEnd) {
+    const range = new vscode.Range(document.positionAt(start), document.positionAt(end));
+    const selectionRange = new vscode.Range(document.positionAt(selectionStart), document.positionAt(selectionEnd));
+    const symbol = new vscode.DocumentSymbol(name || ' ', detail, kind, range, selectionRange);
+    symbol.children = [];
+    return symbol;
+}
+
+/**
+ * Symbol for a Twig tag, or null for tags that are not shown in the outline
+ */
+function createTagSymbol(document, text, node) {
+    const end = nodeEnd(node);
+
+    switch (node.name) {
+        case 'block':
+            if (node.blockName) {
+                return createSymbol(document, node.blockName.name, 'block', vscode.SymbolKind.Module, node.start, end, node.blockName.start, node.blockName.end);
+            }
+            break;
+        case 'macro':
+            if (node.macroName) {
+                const params = (node.params || []).map(param => param.default ? `${param.name} = ${expressionText(text, param.default)}` : param.name);
+                return createSymbol(document, node.macroName.name, `macro(${params.join(', ')})`, vscode.SymbolKind.Function, node.start, end, node.macroName.start, node.macroName.end);
+            }
+            break;
+        case 'embed':
+            if (node.template) {
+                const name = node.template.type === 'Literal' ? String(node.template.value) : expressionText(text, node.template);
+                return createSymbol(document, name, 'embed', vscode.SymbolKind.Object, node.start, end, node.template.start, node.template.end);
+            }
+            break;
+        case 'set':
+            if (node.targets && node.targets.length) {
+                const first = node.targets[0];
+                const last = node.targets[node.targets.length - 1];
+                const detail = node.capture ? 'set' : `set = ${node.values.map(value => expressionText(text, value)).join(', ')}`;
+                return createSymbol(document, node.targets.map(target => target.name).join(', '), detail, vscode.SymbolKind.Variable, node.start, end, first.start, last.end);
+            }
+            break;
+        case 'for':
+            if (node.targets && node.sequence) {
+                const name = `${node.targets.map(target => target.name).join(', ')} in ${expressionText(text, node.sequence)}`;
+                return createSymbol(document, name, 'for', vscode.SymbolKind.Array, node.start, end, node.targets[0].start, node.sequence.end);
+            }
+            break;
+    }
+
+    return null;
+}
+
+/**
+ * Collect Twig symbols from a list of nodes, nested by tag bodies
+ */
+function collectTwigSymbols(document, text, nodes, symbols) {
+    nodes.forEach(node => {
+        if (node.type !== 'Tag') {
+            return;
+        }
+
+        const symbol = createTagSymbol(document, text, node);
+        const children = symbol ? [] : symbols;
+
+        collectTwigSymbols(document, text, node.body || [], children);
+        (node.branches || []).forEach(branch => collectTwigSymbols(document, text, branch.body || [], children));
+
+        if (symbol) {
+            symbol.children = children;
+            symbols.push(symbol);
+        }
+    });
+}
+
+/**
+ * Value of the id attribute of an element. It is located in the masked markup
+ * and read from the original text, so that `id="row-{{ loop.index }}"` keeps
+ * its Twig part.
+ */
+function elementId(text, masked, node) {
+    const startTag = masked.substring(node.start, node.startTagEnd || node.end);
+    const match = /\sid\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/i.exec(startTag);
+    if (!match) {
+        return null;
+    }
+
+    const value = match[1] !== undefined ? match[1] : match[2] !== undefined ? match[2] : match[3];
+    const quoted = match[3] === undefined;
+    const start = node.start + match.index + match[0].length - value.length - (quoted ? 1 : 0);
+    return text.substring(start, start + value.length).trim().replace(/\s+/g, ' ');
+}
+
+/**
+ * Collect HTML elements that have an id, e.g. `div#main`
+ */
+function collectElementSymbols(document, text, masked, nodes, symbols) {
+    nodes.forEach(node => {
+        const id = node.tag && node.attributes && node.attributes.id ? elementId(text, masked, node) : null;
+        if (id) {
+            symbols.push(createSymbol(document, `${node.tag}#${id}`, '', vscode.SymbolKind.Field, node.start, node.end, node.start, node.startTagEnd || node.end));
+        }
+        collectElementSymbols(document, text, masked, node.children || [], symbols);
+    });
+}
+
+/**
+ * Flatten a symbol tree into a list
+ */
+function flatten(symbols, list) {
+    symbols.forEach(symbol => {
+        list.push(symbol);
+        flatten(symbol.children, list);
+        symbol.children = [];
+    });
+    return list;
+}
+
+/**
+ * Nest symbols by their ranges, so that Twig blocks appear inside the HTML
+ * elements that contain them and the other way around
+ */
+function nestSymbols(document, symbols) {
+    const roots = [];
+    const stack = [];
+    const entries = symbols.map(symbol => ({
+        symbol,
+        start: document.offsetAt(symbol.range.start),
+        end: document.offsetAt(symbol.range.end)
+    }));
+
+    entries
+        .sort((a, b) => a.start - b.start || b.end - a.end)
+        .forEach(entry => {
+            while (stack.length && !(stack[stack.length - 1].start <= entry.start && entry.end <= stack[stack.length - 1].end)) {
+                stack.pop();
+            }
+            (stack.length ? stack[stack.length - 1].symbol.children : roots).push(entry.symbol);
+            stack.push(entry);
+        });
+
+    return roots;
+}
+
+/**
+ * Provide the outline of blocks, macros, embeds, variables and loops
+ * @param {vscode.TextDocument} document - The document
+ * @returns {vscode.DocumentSymbol[]} - Symbol tree
+ */
+function provideDocumentSymbols(document) {
+    const text = document.getText();
+    const template = parseDocument(document);
+    const twigSymbols = [];
+    const elementSymbols = [];
+
+    collectTwigSymbols(document, text, template.body, twigSymbols);
+
+    if (htmlLanguageService$1) {
+        const masked = maskTwig(text, template);
+        const lsDocument = vscodeLanguageserverTextdocument.TextDocument.create(
+            document.uri.toString(),
+            document.languageId,
+            document.version,
+            masked
+        );
+        collectElementSymbols(document, text, masked, htmlLanguageService$1.parseHTMLDocument(lsDocument).roots, elementSymbols);
+    }
+
+    if (!elementSymbols.length) {
+        return twigSymbols;
+    }
+    return nestSymbols(document, flatten(twigSymbols, []).concat(elementSymbols));
+}
+
+/**
+ * Initialize document symbol provider
+ */
+function initializeSymbols(context, htmlLS) {
+    htmlLanguageService$1 = htmlLS;
+}
+
+// Parent blocks of the blocks of the workspace templates, by template and
+// block offset, kept while the index and the template directories are unchanged
+let parentCache = { version: null, roots: null, parents: new Map() };
+
+/**
+ * Block definitions of a template. Blocks inside `{% embed %}` override the
+ * embedded template's blocks, so they carry the embed tag they belong to.
+ * @param {object} template - Template node
+ * @returns {Array<{name: string, tag: object, embed: object|null}>}
+ */
+function getBlocks(template) {
+    const blocks = [];
+
+    function collect(nodes, embed) {
+        nodes.forEach(node => {
+            if (node.type !== 'Tag') {
+                return;
+            }
+            if (node.name === 'block' && node.blockName) {
+                blocks.push({ name: node.blockName.name, tag: node, embed });
+            }
+
+            const inner = node.name === 'embed' ? node : embed;
+            collect(node.body || [], inner);
+            (node.branches || []).forEach(branch => collect(branch.body || [], inner));
+        });
+    }
+
+    collect(template.body, null);
+    return blocks;
+}
+
+/**
+ * Tags of a template outside of any embed
+ */
+function findTemplateTags(template, name) {
+    const tags = [];
+    walk(template, node => {
+        if (node.type === 'Tag' && node.name === 'embed') {
+            return false;
+        }
+        if (node.type === 'Tag' && node.name === name) {
+            tags.push(node);
+        }
+    });
+    return tags;
+}
+
+/**
+ * Templates where a block may be defined before the given template: first
+ * the templates pulled in with `{% use %}` (taking `with a as b` aliases into
+ * account), then the parent named by `{% extends %}`
+ */
+function getBlockSources(template, blockName, embed) {
+    if (embed) {
+        return getTemplateNames(embed.template).map(name => ({ name, blockName }));
+    }
+
+    const sources = [];
+    findTemplateTags(template, 'use').forEach(tag => {
+        const alias = (tag.aliases || []).find(item => item.alias.name === blockName);
+        getTemplateNames(tag.template).forEach(name => sources.push({ name, blockName: alias ? alias.name.name : blockName }));
+    });
+    findTemplateTags(template, 'extends').forEach(tag => {
+        getTemplateNames(tag.template).forEach(name => sources.push({ name, blockName }));
+    });
+    return sources;
+}
+
+/**
+ * Find the definition a block overrides, following `{% use %}` and the extends chain
+ * @param {object} template - Template node defining the block
+ * @param {string} blockName - Block name
+ * @param {object|null} embed - Embed tag the block belongs to
+ * @returns {Promise<{uri: vscode.Uri, text: string, block: object}|null>}
+ */
+function findParentBlock(template, blockName, embed, visited = new Set()) {
+    const sources = getBlockSources(template, blockName, embed);
+
+    function next(index) {
+        if (index >= sources.length) {
+            return Promise.resolve(null);
+        }
+
+        const source = sources[index];
+        return resolveTemplate(source.name)
+            .then(uris => uris.length && !visited.has(uris[0].toString()) ? loadTemplate(uris[0]) : null)
+            .then(loaded => {
+                if (!loaded) {
+                    return next(index + 1);
+                }
+                visited.add(loaded.uri.toString());
+
+                const block = getBlocks(loaded.template).find(item => !item.embed && item.name === source.blockName);
+                if (block) {
+                    return { uri: loaded.uri, text: loaded.text, block };
+                }
+                return findParentBlock(loaded.template, source.blockName, null, visited)
+                    .then(found => found || next(index + 1));
+            });
+    }
+
+    return next(0);
+}
+
+/**
+ * findParentBlock() for a block of a workspace template, cached
+ */
+function findCachedParentBlock(loaded, block) {
+    const roots = getTemplateRoots();
+    if (parentCache.version !== getIndexVersion() || parentCache.roots !== roots) {
+        parentCache = { version: getIndexVersion(), roots, parents: new Map() };
+    }
+
+    const key = `${loaded.uri.toString()}#${block.tag.start}`;
+    if (!parentCache.parents.has(key)) {
+        parentCache.parents.set(key, findParentBlock(loaded.template, block.name, block.embed));
+    }
+    return parentCache.parents.get(key);
+}
+
+/**
+ * Whether a block calls `parent()`, leaving out nested blocks
+ */
+function callsParent(tag) {
+    let found = false;
+    (tag.body || []).forEach(child => walk(child, node => {
+        if (node.type === 'Tag' && node.name === 'block') {
+            return false;
+        }
+        if (node.type === 'Call' && node.callee.type === 'Name' && node.callee.name === 'parent') {
+            found = true;
+        }
+    }));
+    return found;
+}
+
+/**
+ * Blocks in other workspace templates that override blocks of this one
+ * @returns {Promise<Map<string, vscode.Location[]>>} - Locations by block name
+ */
+function findOverrides(document, names) {
+    const overrides = new Map();
+    const target = document.uri.toString();
+
+    // Only templates defining a block of the same name, or renaming blocks with `{% use %}`, can override one
+    const mayOverride = entry => entry.blocks.length > 0 && (entry.uses || entry.blocks.some(block => names.has(block.name)));
+
+    return getIndexedTemplates().then(templates => Promise.all(templates
+        .filter(entry => entry.uri.toString() !== target && mayOverride(entry))
+        .map(entry => loadTemplate(entry.uri).then(loaded => {
+            if (!loaded) {
+                return null;
+            }
+            // Blocks are compared after resolving, since `{% use %}` may rename them
+            return Promise.all(getBlocks(loaded.template).map(block => findCachedParentBlock(loaded, block).then(parent => {
+                if (!parent || parent.uri.toString() !== target || !names.has(parent.block.name)) {
+                    return;
+                }
+                const name = parent.block.name;
+                const nameNode = block.tag.blockName;
+                const range = new vscode.Range(positionAt(loaded.text, nameNode.start), positionAt(loaded.text, nameNode.end));
+                if (!overrides.has(name)) {
+                    overrides.set(name, []);
+                }
+                overrides.get(name).push(new vscode.Location(loaded.uri, range));
+            })));
+        }))
+    )).then(() => {
+        overrides.forEach(locations => locations.sort((a, b) => a.uri.toString().localeCompare(b.uri.toString()) || a.range.start.line - b.range.start.line));
+        return overrides;
+    });
+}
+
+/**
+ * Provide "overrides parent block" and "overridden in N templates" lenses
+ * @param {vscode.TextDocument} document - The document
+ * @returns {Promise<vscode.CodeLens[]>}
+ */
+function provideCodeLenses(document) {
+    const template = parseDocument(document);
+    const blocks = getBlocks(template);
+    if (!blocks.length) {
+        return Promise.resolve([]);
+    }
+
+    const ownBlocks = new Set(blocks.filter(block => !block.embed).map(block => block.name));
+    const nameRange = block => new vscode.Range(
+        document.positionAt(block.tag.blockName.start),
+        document.positionAt(block.tag.blockName.end)
+    );
+
+    const parentLenses = Promise.all(blocks.map(block => findParentBlock(template, block.name, block.embed).then(parent => {
+        if (!parent) {
+            return null;
+        }
+        const range = nameRange(block);
+        const nameNode = parent.block.tag.blockName;
+        const location = new vscode.Location(parent.uri, new vscode.Range(positionAt(parent.text, nameNode.start), positionAt(parent.text, nameNode.end)));
+        return new vscode.CodeLens(range, {
+            title: callsParent(block.tag) ? 'overrides parent block, calls parent()' : 'overrides parent block',
+            command: 'editor.action.goToLocations',
+            arguments: [document.uri, range.start, [location], 'goto', '']
+        });
+    })));
+
+    const overrideLenses = findOverrides(document, ownBlocks).then(overrides => blocks
+        .filter(block => !block.embed && overrides.has(block.name))
+        .map(block => {
+            const range = nameRange(block);
+            const locations = overrides.get(block.name);
+            return new vscode.CodeLens(range, {
+                title: `overridden in ${locations.length} template${locations.length === 1 ? '' : 's'}`,
+                command: 'editor.action.showReferences',
+                arguments: [document.uri, range.start, locations]
+            });
+        }));
+
+    return Promise.all([parentLenses, overrideLenses])
+        .then(([parents, overrides]) => parents.filter(Boolean).concat(overrides));
+}
+
+const NAME_PATTERN = /^[a-zA-Z_\x7f-\uffff][a-zA-Z0-9_\x7f-\uffff]*$/;
+
+/**
+ * Whether a Name node is a variable, rather than the name of a function,
+ * block, macro or import alias
+ */
+function isVariable(node, parent) {
+    if (!parent) {
+        return true;
+    }
+    if (parent.type === 'Call') {
+        return parent.callee !== node;
+    }
+    if (parent.type === 'Tag') {
+        return parent.blockName !== node && parent.macroName !== node && parent.alias !== node;
+    }
+    return parent.type !== 'ImportedName' && parent.type !== 'Arrow';
+}
+
+/**
+ * Symbol under the cursor: a block or macro name, a macro call, a name in
+ * `{% from ... import %}` or its alias, or a variable
+ */
+function findSymbol(template, offset) {
+    const within = (start, end) => start <= offset && offset <= end;
+    let symbol = null;
+
+    walk(template, (node, parent) => {
+        if (node.start === undefined || !within(node.start, nodeEnd(node))) {
+            return node.type === 'Template';
+        }
+
+        if (node.type === 'Tag' && (node.name === 'block' || node.name === 'endblock') && node.blockName && within(node.blockName.start, node.blockName.end)) {
+            symbol = { kind: 'block', name: node.blockName.name, node: node.blockName, tag: node };
+        } else if (node.type === 'Tag' && (node.name === 'macro' || node.name === 'endmacro') && node.macroName && within(node.macroName.start, node.macroName.end)) {
+            symbol = { kind: 'macro', name: node.macroName.name, node: node.macroName };
+        } else if (node.type === 'GetAttr' && !node.computed && node.object.type === 'Name' && within(node.propertyStart, node.propertyEnd)) {
+            symbol = { kind: 'macroCall', name: node.property, alias: node.object.name, node: { start: node.propertyStart, end: node.propertyEnd } };
+        } else if (node.type === 'Call' && node.callee.type === 'Name' && within(node.callee.start, node.callee.end)) {
+            symbol = { kind: 'importedCall', name: node.callee.name, node: node.callee };
+        } else if (node.type === 'ImportedName' && parent && parent.name === 'from' && within(node.name.start, node.name.end)) {
+            symbol = { kind: 'importedName', name: node.name.name, node: node.name, tag: parent };
+        } else if (node.type === 'ImportedName' && parent && parent.name === 'from' && node.alias && within(node.alias.start, node.alias.end)) {
+            symbol = { kind: 'alias', name: node.alias.name, node: node.alias, tag: parent };
+        } else if (node.type === 'Name' && isVariable(node, parent)) {
+            symbol = { kind: 'variable', name: node.name, node };
+        }
+    });
+
+    return symbol;
+}
+
+/**
+ * The template being edited, in the shape loadTemplate() returns
+ */
+function currentTemplate(document) {
+    return { uri: document.uri, text: document.getText(), template: parseDocument(document) };
+}
+
+/**
+ * The current document and the templates of the workspace whose summary in
+ * the index passes a filter
+ * @returns {Promise<Array<{uri: vscode.Uri, text: string, template: object}>>}
+ */
+function loadTemplates(document, filter) {
+    const current = currentTemplate(document);
+    const key = document.uri.toString();
+
+    return getIndexedTemplates()
+        .then(entries => Promise.all(entries.filter(entry => entry.uri.toString() !== key && filter(entry)).map(entry => loadTemplate(entry.uri))))
+        .then(templates => [current].concat(templates.filter(Boolean)));
+}
+
+/**
+ * Text edits of one template, as offsets
+ */
+function createEdits(loaded) {
+    return { loaded, edits: [] };
+}
+
+/*
+ * Blocks
+ */
+
+/**
+ * The definition at the top of the inheritance chain of a block
+ * @returns {Promise<{uri: vscode.Uri, block: object}>}
+ */
+function findRootBlock(loaded, block, visited = new Set()) {
+    visited.add(loaded.uri.toString());
+    return findParentBlock(loaded.template, block.name, block.embed).then(parent => {
+        if (!parent || visited.has(parent.uri.toString())) {
+            return { uri: loaded.uri, block };
+        }
+        return loadTemplate(parent.uri).then(next => next
+            ? findRootBlock(next, parent.block, visited)
+            : { uri: parent.uri, block: parent.block });
+    });
+}
+
+function rootKey(root) {
+    return `${root.uri.toString()}#${root.block.tag.start}`;
+}
+
+/**
+ * Blocks sharing the root definition of a block, in every template
+ */
+function findBlockFamily(document, symbol) {
+    const current = currentTemplate(document);
+    const opener = getBlocks(current.template).find(block => block.tag === symbol.tag || block.tag.endTag === symbol.tag);
+    if (!opener) {
+        return Promise.resolve([]);
+    }
+
+    return findRootBlock(current, opener).then(root => {
+        const key = rootKey(root);
+        // Blocks renamed with `{% use %}` are part of the family under another name
+        const filter = entry => entry.uses || entry.blocks.some(block => block.name === symbol.name);
+        return loadTemplates(document, filter).then(templates => Promise.all(templates.map(loaded => Promise.all(
+            getBlocks(loaded.template).map(block => findRootBlock(loaded, block).then(found => rootKey(found) === key ? block : null))
+        ).then(blocks => ({ loaded, blocks: blocks.filter(Boolean) })))));
+    }).then(families => families.filter(family => family.blocks.length));
+}
+
+/**
+ * Rename a block in every template of its inheritance chain: the block and
+ * endblock names, `{% use ... with name as alias %}` and `block('name')`
+ */
+function renameBlock(document, symbol) {
+    return findBlockFamily(document, symbol).then(families => families.map(({ loaded, blocks }) => {
+        const result = createEdits(loaded);
+        blocks.filter(block => block.name === symbol.name).forEach(block => {
+            result.edits.push(block.tag.blockName);
+            if (block.tag.endTag && block.tag.endTag.blockName) {
+                result.edits.push(block.tag.endTag.blockName);
+            }
+        });
+
+        walk(loaded.template, node => {
+            if (node.type === 'Tag' && node.name === 'use') {
+                (node.aliases || []).filter(item => item.name.name === symbol.name).forEach(item => result.edits.push(item.name));
+            } else if (node.type === 'Call' && node.callee.type === 'Name' && node.callee.name === 'block' && node.arguments.length === 1) {
+                const arg = node.arguments[0];
+                if (arg.type === 'Literal' && arg.kind === 'string' && arg.quote && arg.value === symbol.name) {
+                    result.edits.push({ start: arg.start + 1, end: arg.end - 1 });
+                }
+            }
+        });
+        return result;
+    }));
+}
+
+/*
+ * Macros
+ */
+
+/**
+ * Template and name of the macro a symbol refers to
+ * @returns {Promise<{uri: vscode.Uri, name: string}|null>}
+ */
+function findMacroDefinition(document, offset, symbol) {
+    const current = currentTemplate(document);
+    const imports = getImports(current.template, offset).reverse();
+    let found;
+
+    if (symbol.kind === 'macro') {
+        found = Promise.resolve({ loaded: current, name: symbol.name });
+    } else if (symbol.kind === 'macroCall') {
+        const tag = imports.find(node => node.name === 'import' && node.alias.name === symbol.alias);
+        if (!tag && symbol.alias !== '_self') {
+            return Promise.resolve(null);
+        }
+        found = (tag ? loadImportedTemplate(current, tag) : Promise.resolve(current)).then(loaded => ({ loaded, name: symbol.name }));
+    } else if (symbol.kind === 'importedCall' || symbol.kind === 'importedName') {
+        let tag = symbol.tag;
+        let item = tag && tag.imports.find(entry => entry.name === symbol.node);
+        if (!tag) {
+            tag = imports.find(node => node.name === 'from' && node.imports.some(entry => (entry.alias || entry.name).name === symbol.name));
+            item = tag && tag.imports.find(entry => (entry.alias || entry.name).name === symbol.name);
+        }
+        if (!tag) {
+            return Promise.resolve(null);
+        }
+        found = loadImportedTemplate(current, tag).then(loaded => ({ loaded, name: item.name.name }));
+    } else {
+        return Promise.resolve(null);
+    }
+
+    return found.then(({ loaded, name }) => loaded && getMacros(loaded.template, loaded.text).some(macro => macro.name === name)
+        ? { uri: loaded.uri, name }
+        : null);
+}
+
+/**
+ * Rename a macro: its definition, `alias.macro()` calls through
+ * `{% import %}` and the names imported with `{% from %}`
+ */
+function renameMacro(document, definition) {
+    const target = definition.uri.toString();
+
+    const filter = entry => entry.imports.length || entry.uri.toString() === target;
+
+    return loadTemplates(document, filter).then(templates => Promise.all(templates.map(loaded => {
+        const result = createEdits(loaded);
+        const self = loaded.uri.toString() === target;
+        if (self) {
+            getMacros(loaded.template, loaded.text).filter(macro => macro.name === definition.name).forEach(macro => {
+                result.edits.push(macro.tag.macroName);
+                if (macro.tag.endTag && macro.tag.endTag.macroName) {
+                    result.edits.push(macro.tag.endTag.macroName);
+                }
+            });
+        }
+
+        const tags = getImports(loaded.template, Infinity);
+        walk(loaded.template, node => {
+            if (node.type === 'Tag' && node.name === 'macro') {
+                getImports(loaded.template, node.start + 1).filter(tag => !tags.includes(tag)).forEach(tag => tags.push(tag));
+            }
+        });
+
+        return Promise.all(tags.map(tag => loadImportedTemplate(loaded, tag)
+            .then(imported => imported && imported.uri.toString() === target ? tag : null)))
+            .then(matching => {
+                const imports = matching.filter(Boolean);
+                if (!imports.length && !self) {
+                    return result;
+                }
+
+                imports.filter(tag => tag.name === 'from').forEach(tag => tag.imports
+                    .filter(item => item.name.name === definition.name)
+                    .forEach(item => result.edits.push(item.name)));
+
+                walk(loaded.template, node => {
+                    const visible = () => getImports(loaded.template, node.start).reverse();
+                    if (node.type === 'GetAttr' && !node.computed && node.object.type === 'Name' && node.property === definition.name) {
+                        const tag = visible().find(item => item.name === 'import' && item.alias.name === node.object.name);
+                        if ((tag && imports.includes(tag)) || (!tag && self && node.object.name === '_self')) {
+                            result.edits.push({ start: node.propertyStart, end: node.propertyEnd });
+                        }
+                    } else if (node.type === 'Call' && node.callee.type === 'Name' && node.callee.name === definition.name) {
+                        // Only names imported without an alias are called by the macro's own name
+                        const tag = visible().find(item => item.name === 'from' && item.imports.some(entry => (entry.alias || entry.name).name === node.callee.name));
+                        if (tag && imports.includes(tag) && tag.imports.some(entry => !entry.alias && entry.name.name === definition.name)) {
+                            result.edits.push(node.callee);
+                        }
+                    }
+                });
+                return result;
+            });
+    })));
+}
+
+/**
+ * Tag importing a macro under an alias, `{% from ... import name as alias %}`,
+ * when a call uses that alias
+ */
+function findAliasTag(template, offset, name) {
+    return getImports(template, offset).reverse().find(tag => tag.name === 'from'
+        && tag.imports.some(item => (item.alias || item.name).name === name)
+        && tag.imports.some(item => item.alias && item.alias.name === name));
+}
+
+/**
+ * Rename the alias of an imported macro and the calls using it, leaving the
+ * macro itself alone
+ */
+function renameAlias(document, symbol) {
+    const result = createEdits(currentTemplate(document));
+    const item = symbol.tag.imports.find(entry => entry.alias && entry.alias.name === symbol.name);
+    result.edits.push(item.alias);
+
+    walk(result.loaded.template, node => {
+        if (node.type === 'Call' && node.callee.type === 'Name' && node.callee.name === symbol.name
+            && findAliasTag(result.loaded.template, node.start, symbol.name) === symbol.tag) {
+            result.edits.push(node.callee);
+        }
+    });
+    return [result];
+}
+
+/*
+ * Variables
+ */
+
+/**
+ * Whether a `{% set %}` of a name is written directly in a scope, outside
+ * the nested scopes, and before an offset when one is given
+ */
+function setsIn(scope, name, before = Infinity) {
+    let found = false;
+    const roots = scope.type === 'Template' ? scope.body : (scope.body || []);
+    roots.forEach(root => walk(root, node => {
+        if (node.type !== 'Tag' || node.start >= before) {
+            return;
+        }
+        if (SCOPE_TAGS.includes(node.name)) {
+            return false;
+        }
+        if (node.name === 'set' && (node.targets || []).some(target => target.name === name)) {
+            found = true;
+        }
+    }));
+    return found;
+}
+
+/**
+ * Whether a name exists before a loop, set or looped over by the scopes
+ * around it
+ */
+function existsBefore(path, index, name) {
+    const loop = path[index];
+    for (let i = index - 1; i >= 0; i--) {
+        const node = path[i];
+        if (node.type !== 'Template' && !(node.type === 'Tag' && SCOPE_TAGS.includes(node.name))) {
+            continue;
+        }
+        if (setsIn(node, name, loop.start) || (node.name === 'for' && node.targets.some(target => target.name === name))) {
+            return true;
+        }
+        if (node.name === 'macro' || ((node.name === 'with' || node.name === 'embed') && node.only)) {
+            return false;
+        }
+    }
+    return false;
+}
+
+/**
+ * Scope of the variable used at an offset: the innermost loop it is a loop
+ * variable of, or the innermost scope setting it. Blocks, `with`, `embed`
+ * and macros are scopes of their own; a loop is only the scope of the names
+ * first set inside it, setting a variable from outside changing that one.
+ * Macro arguments and variables from the context have no scope in the
+ * template.
+ * @param {object} template - Template node
+ * @param {string} name - Variable name
+ * @param {number} offset - Offset of the variable
+ * @returns {{node: object, loop: boolean}|null} - Template or tag of the scope, and whether the
+ *   variable is a target of that loop
+ */
+function findVariableScope(template, name, offset) {
+    const path = findNodePath(template, offset);
+
+    for (let i = path.length - 1; i >= 0; i--) {
+        const node = path[i];
+        if (node.type !== 'Template' && !(node.type === 'Tag' && SCOPE_TAGS.includes(node.name))) {
+            continue;
+        }
+
+        if (node.name === 'for') {
+            const elseStart = node.branches && node.branches.length ? node.branches[0].start : Infinity;
+            const inSequence = node.sequence && node.sequence.start <= offset && offset <= node.sequence.end;
+            if (offset >= elseStart || inSequence) {
+                continue;
+            }
+            if (node.targets.some(target => target.name === name)) {
+                return { node, loop: true };
+            }
+            if (setsIn(node, name) && !existsBefore(path, i, name)) {
+                return { node, loop: false };
+            }
+            continue;
+        }
+        if (setsIn(node, name)) {
+            return { node, loop: false };
+        }
+        if (node.name === 'macro' || ((node.name === 'with' || node.name === 'embed') && node.only)) {
+            return null;
+        }
+    }
+    return null;
+}
+
+/**
+ * Occurrences of a variable in its scope, leaving out macros, loops
+ * redefining it or setting it first and `only` scopes. Names in shorthand hashes (`{ name }`)
+ * are flagged: renaming them must keep the key.
+ */
+function findVariableOccurrences(scope, name) {
+    const occurrences = [];
+    const tag = scope.node;
+    let roots;
+    if (tag.type === 'Template') {
+        roots = tag.body;
+    } else if (scope.loop) {
+        roots = tag.targets.concat(tag.condition || [], tag.body || []);
+    } else {
+        roots = tag.body || [];
+    }
+
+    function visit(root) {
+        walk(root, (node, parent) => {
+            if (node.type === 'Tag' && node.name === 'macro') {
+                return false;
+            }
+            if (node.type === 'Tag' && (node.name === 'with' || node.name === 'embed') && node.only) {
+                return false;
+            }
+            // Loops setting the name first have a variable of their own
+            if (node.type === 'Tag' && node.name === 'for' && (node.targets.some(target => target.name === name) ||
+                (node !== tag && !scope.loop && setsIn(node, name) && !setsIn(tag, name, node.start)))) {
+                visit(node.sequence);
+                (node.branches || []).forEach(branch => (branch.body || []).forEach(visit));
+                return false;
+            }
+            if (node.type === 'Arrow' && node.params.some(param => param.name === name)) {
+                return false;
+            }
+            if (node.type === 'Name' && node.name === name && isVariable(node, parent)) {
+                occurrences.push({ start: node.start, end: node.end, shorthand: Boolean(parent && parent.type === 'Pair' && parent.shorthand) });
+            }
+        });
+    }
+
+    roots.forEach(root => root && visit(root));
+    return occurrences;
+}
+
+/*
+ * Provider
+ */
+
+/**
+ * Resolve the symbol at a position to what renaming it changes
+ * @returns {Promise<{symbol: object, definition: object|null, scope: object|null}>}
+ */
+function resolveSymbol(document, position) {
+    const offset = document.offsetAt(position);
+    const template = parseDocument(document);
+    const symbol = findSymbol(template, offset);
+    const reject = message => Promise.reject(new Error(message));
+
+    if (!symbol) {
+        return reject('Only blocks, macros and variables can be renamed.');
+    }
+    if (symbol.kind === 'block' || symbol.kind === 'alias') {
+        return Promise.resolve({ symbol });
+    }
+    if (symbol.kind === 'importedCall') {
+        const tag = findAliasTag(template, offset, symbol.name);
+        if (tag) {
+            return Promise.resolve({ symbol: Object.assign({}, symbol, { kind: 'alias', tag }) });
+        }
+    }
+    if (symbol.kind === 'variable') {
+        const scope = findVariableScope(template, symbol.name, offset);
+        return scope
+            ? Promise.resolve({ symbol, scope })
+            : reject(`"${symbol.name}" is not set in this template.`);
+    }
+    return findMacroDefinition(document, offset, symbol).then(definition => definition
+        ? { symbol, definition }
+        : reject(symbol.kind === 'importedCall' ? 'Only blocks, macros and variables can be renamed.' : `Macro "${symbol.name}" was not found.`));
+}
+
+/**
+ * Range and current name of the symbol to rename
+ * @param {vscode.TextDocument} document - The document
+ * @param {vscode.Position} position - Cursor position
+ * @returns {Promise<{range: vscode.Range, placeholder: string}>}
+ */
+function prepareRename(document, position) {
+    return resolveSymbol(document, position).then(({ symbol }) => {
+        const range = new vscode.Range(document.positionAt(symbol.node.start), document.positionAt(symbol.node.end));
+        return { range, placeholder: document.getText(range) };
+    });
+}
+
+/**
+ * Rename a block across its inheritance chain, a macro across its imports,
+ * or a variable within its scope. Edits spanning several files are marked
+ * for confirmation, so that they are shown in the refactor preview first.
+ * @param {vscode.TextDocument} document - The document
+ * @param {vscode.Position} position - Cursor position
+ * @param {string} newName - New name
+ * @returns {Promise<vscode.WorkspaceEdit>}
+ */
+function provideRenameEdits(document, position, newName) {
+    if (!NAME_PATTERN.test(newName)) {
+        return Promise.reject(new Error(`"${newName}" is not a valid Twig name.`));
+    }
+
+    return resolveSymbol(document, position).then(({ symbol, definition, scope }) => {
+        if (symbol.kind === 'variable') {
+            const result = createEdits(currentTemplate(document));
+            findVariableOccurrences(scope, symbol.name).forEach(occurrence => result.edits.push(
+                occurrence.shorthand ? Object.assign({ text: `${symbol.name}: ${newName}` }, occurrence) : occurrence
+            ));
+            return [result];
+        }
+        if (symbol.kind === 'block') {
+            return renameBlock(document, symbol);
+        }
+        if (symbol.kind === 'alias') {
+            return renameAlias(document, symbol);
+        }
+        return renameMacro(document, definition);
+    }).then(results => {
+        const changed = results.filter(result => result.edits.length);
+        const metadata = changed.length > 1
+            ? { needsConfirmation: true, label: `Rename "${resultName(changed)}" to "${newName}"` }
+            : undefined;
+        const edit = new vscode.WorkspaceEdit();
+
+        changed.forEach(({ loaded, edits }) => {
+            const seen = new Set();
+            edits.filter(item => !seen.has(item.start) && seen.add(item.start)).forEach(item => {
+                const range = new vscode.Range(positionAt(loaded.text, item.start), positionAt(loaded.text, item.end));
+                edit.replace(loaded.uri, range, item.text || newName, metadata);
+            });
+        });
+        return edit;
+    });
+}
+
+/**
+ * Name being renamed, read back from the first edit
+ */
+function resultName(results) {
+    const { loaded, edits } = results[0];
+    return loaded.text.substring(edits[0].start, edits[0].end);
+}
+
+/**
+ * Templates to find the references of: the template named by the string
+ * under the cursor, or else the document itself
+ */
+function findTargets(document, position, candidates) {
+    const offset = document.offsetAt(position);
+    const reference = getTemplateReferences(parseDocument(document))
+        .find(ref => ref.start <= offset && offset <= ref.end);
+
+    return reference ? resolveTemplate(reference.name, candidates) : Promise.resolve([document.uri]);
+}
+
+/**
+ * Find every `{% extends %}`, `{% include %}`, `{% embed %}`, `{% import %}`,
+ * `{% from %}`, `{% use %}`, `include()` and `source()` naming a template.
+ * Names are resolved like go to definition does, so `@Namespace/...` forms
+ * and Craft-style names without an extension are found too.
+ * @param {vscode.TextDocument} document - The document
+ * @param {vscode.Position} position - Cursor position
+ * @returns {Promise<vscode.Location[]>}
+ */
+function provideReferences(document, position) {
+    return getIndexedTemplates().then(templates => {
+        // Each name is resolved once per search, however many templates use
+        // it, and among the indexed templates rather than with a search
+        const candidates = templates.map(entry => entry.uri);
+        const resolved = new Map();
+        const resolve = name => {
+            if (!resolved.has(name)) {
+                resolved.set(name, resolveTemplate(name, candidates).then(uris => uris.map(uri => uri.toString())));
+            }
+            return resolved.get(name);
+        };
+
+        return findTargets(document, position, candidates).then(targets => {
+            const keys = new Set(targets.map(uri => uri.toString()));
+            if (!keys.size) {
+                return [];
+            }
+            return Promise.all([].concat(...templates.map(entry => entry.references
+                .map(reference => resolve(reference.name).then(found => found.some(key => keys.has(key)) ? new vscode.Location(entry.uri, reference.range) : null)))));
+        });
+    }).then(locations => locations
+        .filter(Boolean)
+        .sort((a, b) => a.uri.toString().localeCompare(b.uri.toString()) || a.range.start.line - b.range.start.line || a.range.start.character - b.range.start.character));
+}
+
+/**
+ * Find the call whose argument list contains the cursor: the tokens naming
+ * the callee, and the index of the argument being typed
+ * @param {Array} tokens - Tag tokens before the cursor
+ * @returns {{callee: Array, argument: number, named: string|null}|null}
+ */
+function findOpenCall(tokens) {
+    let depth = 0;
+    let argument = 0;
+    let argumentStart = tokens.length;
+
+    for (let i = tokens.length - 1; i > 0; i--) {
+        const token = tokens[i];
+        if (token.type !== TokenType.PUNCTUATION) {
+            continue;
+        }
+
+        if (token.value === ')' || token.value === ']' || token.value === '}') {
+            depth++;
+        } else if (token.value === '[' || token.value === '{') {
+            if (depth) {
+                depth--;
+                continue;
+            }
+            // Inside an array or hash argument: its commas don't separate arguments
+            argument = 0;
+            argumentStart = tokens.length;
+        } else if (token.value === '(') {
+            if (depth) {
+                depth--;
+                continue;
+            }
+
+            if (argument === 0) {
+                argumentStart = i + 1;
+            }
+
+            // `name = value` or `name: value` selects a parameter by name
+            const first = tokens[argumentStart];
+            const next = tokens[argumentStart + 1];
+            const named = first && first.type === TokenType.NAME && next &&
+                ((next.type === TokenType.OPERATOR && next.value === '=') || (next.type === TokenType.PUNCTUATION && next.value === ':'))
+                ? first.value : null;
+
+            return { callee: tokens.slice(0, i), argument, named };
+        } else if (token.value === ',' && !depth) {
+            if (argument === 0) {
+                argumentStart = i + 1;
+            }
+            argument++;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Macro being called: `alias.macro(` through `{% import %}`, or `macro(`
+ * through `{% from ... import %}`
+ * @returns {Promise<{prefix: string, macro: object}|null>}
+ */
+function findCalledMacro(document, offset, callee) {
+    const name = callee[callee.length - 1];
+    const dot = callee[callee.length - 2];
+    const alias = callee[callee.length - 3];
+    if (!name || name.type !== TokenType.NAME) {
+        return Promise.resolve(null);
+    }
+
+    if (dot && dot.type === TokenType.PUNCTUATION && dot.value === '.') {
+        const before = callee[callee.length - 4];
+        if (!alias || alias.type !== TokenType.NAME || (before && before.type === TokenType.PUNCTUATION && (before.value === '.' || before.value === '|'))) {
+            return Promise.resolve(null);
+        }
+        return findAliasMacros(document, offset, alias.value).then(macros => {
+            const macro = macros.find(item => item.name === name.value);
+            return macro ? { prefix: `${alias.value}.`, macro } : null;
+        });
+    }
+
+    if (dot && dot.type === TokenType.PUNCTUATION && dot.value === '|') {
+        return Promise.resolve(null);
+    }
+    return findImportedMacros(document, offset).then(imported => {
+        const item = imported.find(entry => entry.name === name.value);
+        return item ? { prefix: '', macro: Object.assign({}, item.macro, { name: item.name }) } : null;
+    });
+}
+
+/**
+ * Filter or function of the catalog being called: `|name(` or `name(`
+ * @returns {{name: string, entry: object}|null}
+ */
+function findCalledBuiltin(callee) {
+    const name = callee[callee.length - 1];
+    const before = callee[callee.length - 2];
+    if (!name || name.type !== TokenType.NAME) {
+        return null;
+    }
+
+    const catalog = getCatalog();
+    const isPunctuation = value => before && before.type === TokenType.PUNCTUATION && before.value === value;
+    if (isPunctuation('.')) {
+        return null;
+    }
+    const entry = findEntry(isPunctuation('|') ? catalog.filters : catalog.functions, name.value);
+    return entry ? { name: name.value, entry } : null;
+}
+
+/**
+ * Signature of a filter or function, with the documentation of its parameters
+ */
+function builtinSignature(found) {
+    const params = getParameters(found.entry, found.name);
+    if (!params) {
+        return null;
+    }
+
+    const { label, params: ranges } = formatMacro({ name: found.name, params });
+    const signature = new vscode.SignatureInformation(label, found.entry.description ? new vscode.MarkdownString(found.entry.description) : undefined);
+    signature.parameters = ranges.map((range, i) => new vscode.ParameterInformation(
+        [range.start, range.end],
+        params[i].description ? new vscode.MarkdownString(params[i].description) : undefined
+    ));
+    return { signature, params };
+}
+
+/**
+ * Index of the parameter an argument goes to: by name for named arguments,
+ * and the variadic parameter for the extra arguments
+ */
+function activeParameter(params, call) {
+    if (call.named) {
+        return params.findIndex(param => param.name === call.named);
+    }
+    const last = params.length - 1;
+    return last >= 0 && call.argument > last && params[last].name.startsWith('...') ? last : call.argument;
+}
+
+/**
+ * Provide signature help for macro calls and for the filters and functions
+ * of the catalog
+ * @param {vscode.TextDocument} document - The document
+ * @param {vscode.Position} position - Cursor position
+ * @returns {Promise<vscode.SignatureHelp|null>}
+ */
+function provideSignatureHelp(document, position) {
+    const offset = document.offsetAt(position);
+    const tokens = (findTagTokens(parseDocument(document), offset) || []).filter(token => token.end <= offset);
+    const call = findOpenCall(tokens);
+    if (!call) {
+        return Promise.resolve(null);
+    }
+
+    // Imported macros shadow functions of the same name
+    return findCalledMacro(document, offset, call.callee).then(found => {
+        const help = new vscode.SignatureHelp();
+        help.activeSignature = 0;
+
+        if (found) {
+            const { label, params } = formatMacro(found.macro, found.prefix);
+            const signature = new vscode.SignatureInformation(label, found.macro.documentation ? new vscode.MarkdownString(found.macro.documentation) : undefined);
+            signature.parameters = params.map(param => new vscode.ParameterInformation([param.start, param.end]));
+            help.signatures = [signature];
+            help.activeParameter = activeParameter(params, call);
+            return help;
+        }
+
+        const builtin = findCalledBuiltin(call.callee);
+        const described = builtin && builtinSignature(builtin);
+        if (!described) {
+            return null;
+        }
+        help.signatures = [described.signature];
+        help.activeParameter = activeParameter(described.params, call);
+        return help;
+    });
+}
+
+/**
+ * Formatting of Twig expressions: spacing inside Twig delimiters, array and
+ * hash literals, and quotes of string literals. Expressions are rewritten in
+ * place; everything that is not changed keeps its original text.
+ */
+
+// Names inside tags that are keywords rather than functions, e.g. `with (vars)`
+const TAG_KEYWORDS = ['with', 'only', 'as', 'import', 'from', 'ignore', 'missing', 'if', 'else'];
+
+// Operators written without spaces around them
+const TIGHT_OPERATORS = ['..', '...'];
+
+const UNARY_OPERATORS = ['-', '+'];
+
+/**
+ * Spacing of a Twig tag, following the Twig coding standards: one space
+ * inside the delimiters and around operators, none inside parentheses and
+ * brackets or around `.`, `..` and `|`, and one after `,` and the `:` of
+ * hashes. Line breaks and the text of strings are kept as they are; their
+ * `#{...}` interpolations are spaced like hashes.
+ * @param {string} source - Template source
+ * @param {Array} tokens - Tokens of the tag, from its start to its end delimiter
+ * @param {object} settings - Formatter settings: `pipeSpacing`, `bracePadding`
+ * @param {string} [padding] - Space inside the delimiters, one by default
+ * @returns {string} - Tag source
+ */
+function formatTagSpacing(source, tokens, settings, padding) {
+    const start = tokens[0];
+    const end = tokens[tokens.length - 1];
+    const tagName = start.type === TokenType.BLOCK_START && tokens[1].type === TokenType.NAME ? tokens[1] : null;
+    const pad = settings.bracePadding ? ' ' : '';
+    const pipe = settings.pipeSpacing ? ' ' : '';
+    // Open brackets, with the number of `?` waiting for their `:`
+    const brackets = [{ char: null, ternaries: 0 }];
+    const unary = new Set();
+
+    function isOperand(token) {
+        return token.type === TokenType.NAME || token.type === TokenType.NUMBER || token.type === TokenType.STRING ||
+            (token.type === TokenType.PUNCTUATION && /^[)\]}]$/.test(token.value));
+    }
+
+    function gap(previous, next, index) {
+        const bracket = brackets[brackets.length - 1];
+        const punct = (token, chars) => token.type === TokenType.PUNCTUATION && chars.includes(token.value);
+        const isOperator = (token, values) => token.type === TokenType.OPERATOR && (!values || values.includes(token.value));
+        // `name=value` arguments of calls, but `name = value` defaults of macros
+        const tightEquals = bracket.char === '(' && (!tagName || tagName.value !== 'macro');
+
+        if (previous === start || next === end) {
+            return padding === undefined ? ' ' : padding;
+        }
+        if (punct(previous, '(') || punct(previous, '[') || punct(next, ')') || punct(next, ']')) {
+            return '';
+        }
+        if (punct(previous, '{') && punct(next, '}')) {
+            return '';
+        }
+        if (punct(previous, '{') || punct(next, '}')) {
+            return pad;
+        }
+        if (punct(next, ',')) {
+            return '';
+        }
+        if (punct(previous, ',')) {
+            return ' ';
+        }
+        if (punct(previous, '.') || punct(next, '.')) {
+            return '';
+        }
+        if (punct(previous, '|') || punct(next, '|')) {
+            return pipe;
+        }
+        if (punct(previous, '?') && punct(next, ':')) {
+            // `?:`
+            return '';
+        }
+        if (punct(next, ':')) {
+            return next.ternary ? ' ' : '';
+        }
+        if (punct(previous, ':')) {
+            return previous.ternary || bracket.char !== '[' ? ' ' : '';
+        }
+        if (punct(previous, '?') || punct(next, '?')) {
+            return ' ';
+        }
+        if (punct(next, '(')) {
+            return previous.type === TokenType.NAME && previous !== tagName && !TAG_KEYWORDS.includes(previous.value) ? '' : ' ';
+        }
+        if (punct(next, '[')) {
+            return isOperand(previous) && previous !== tagName ? '' : ' ';
+        }
+        if (isOperator(previous, TIGHT_OPERATORS) || isOperator(next, TIGHT_OPERATORS)) {
+            return '';
+        }
+        if (unary.has(index - 1)) {
+            return '';
+        }
+        if ((isOperator(previous, ['=']) || isOperator(next, ['='])) && tightEquals) {
+            return '';
+        }
+        return ' ';
+    }
+
+    let text = source.substring(start.start, start.end);
+    for (let i = 1; i < tokens.length; i++) {
+        const previous = tokens[i - 1];
+        const token = tokens[i];
+        const bracket = brackets[brackets.length - 1];
+
+        if (token.type === TokenType.OPERATOR && UNARY_OPERATORS.includes(token.value) &&
+            (previous === start || previous === tagName || previous.type === TokenType.OPERATOR ||
+                (previous.type === TokenType.PUNCTUATION && !isOperand(previous)))) {
+            unary.add(i);
+        }
+        if (token.type === TokenType.PUNCTUATION && token.value === '?' && !(tokens[i + 1] && tokens[i + 1].value === ':')) {
+            bracket.ternaries++;
+        } else if (token.type === TokenType.PUNCTUATION && token.value === ':' && bracket.ternaries && previous.value !== '?') {
+            bracket.ternaries--;
+            token.ternary = true;
+        }
+
+        // Line breaks stay, and so do adjacent strings (`'it''s'`)
+        const written = source.substring(previous.end, token.start);
+        const kept = written.includes('\n') || (!written && previous.type === TokenType.STRING && token.type === TokenType.STRING);
+        text += kept ? written : gap(previous, token, i);
+        if (token.type === TokenType.STRING && token.parts) {
+            text += formatInterpolations(source, token, settings);
+        } else {
+            text += token.type === TokenType.OPERATOR && /\s/.test(source.substring(token.start, token.end))
+                ? token.value
+                : source.substring(token.start, token.end);
+        }
+
+        if (token.type === TokenType.PUNCTUATION && '([{'.includes(token.value)) {
+            brackets.push({ char: token.value, ternaries: 0 });
+        } else if (token.type === TokenType.PUNCTUATION && ')]}'.includes(token.value) && brackets.length > 1) {
+            brackets.pop();
+        }
+    }
+    return text;
+}
+
+/**
+ * String literal with the spacing of its `#{...}` interpolations normalised:
+ * none inside the braces, unless `bracePadding` is set, as for hashes, or
+ * a hash starts the expression
+ */
+function formatInterpolations(source, token, settings) {
+    let text = '';
+    let last = token.start;
+
+    token.parts.forEach(part => {
+        if (part.type !== 'interpolation' || !part.tokens.length || source[part.end - 1] !== '}') {
+            return;
+        }
+        const open = { type: TokenType.PUNCTUATION, value: '#{', start: part.start, end: part.start + 2 };
+        const close = { type: TokenType.PUNCTUATION, value: '}', start: part.end - 1, end: part.end };
+        // `#{ {a: 1}|length }` rather than `#{{a: 1}|length}`
+        const first = part.tokens[0];
+        const padded = settings.bracePadding || (first.type === TokenType.PUNCTUATION && first.value === '{');
+        text += source.substring(last, part.start) +
+            formatTagSpacing(source, [open].concat(part.tokens, [close]), settings, padded ? ' ' : '');
+        last = part.end;
+    });
+
+    return text + source.substring(last, token.end);
+}
+
+/**
+ * Normalise the spacing inside Twig delimiters, keeping whitespace control
+ * modifiers (`{{-`, `~}}`), line breaks and string contents. Tags the lexer
+ * reports errors in are left alone.
+ * @param {string} source - Template source
+ * @param {object} settings - Formatter settings (`twig-language-2.*`)
+ * @returns {string} - Source with normalised Twig spacing
+ */
+function formatSpacing(source, settings) {
+    const { tokens, errors } = tokenize(source);
+    const hasError = (start, end) => errors.some(error => error.start < end && error.end > start);
+    let result = '';
+    let last = 0;
+
+    for (let i = 0; i < tokens.length; i++) {
+        const token = tokens[i];
+
+        if (token.type === TokenType.COMMENT) {
+            const content = token.value.trim();
+            if (content && !token.value.includes('\n') && !hasError(token.start, token.end)) {
+                result += source.substring(last, token.start) + `{#${token.trimLeft} ${content} ${token.trimRight}#}`;
+                last = token.end;
+            }
+            continue;
+        }
+        if (token.type !== TokenType.BLOCK_START && token.type !== TokenType.VAR_START) {
+            continue;
+        }
+
+        let end = i + 1;
+        while (tokens[end].type !== TokenType.BLOCK_END && tokens[end].type !== TokenType.VAR_END) {
+            end++;
+        }
+        const close = tokens[end];
+        if (!close.missing && !hasError(token.start, close.end)) {
+            result += source.substring(last, token.start) + formatTagSpacing(source, tokens.slice(i, end + 1), settings);
+            last = close.end;
+        }
+        i = end;
+    }
+
+    return result + source.substring(last);
+}
+
+/**
+ * Whether any of the settings changes the layout of array and hash literals
+ */
+function hasLayoutSettings(settings) {
+    return settings.formatArray === 'indent' || settings.formatArray === 'inline' ||
+        settings.formatObject === 'indent' || settings.formatObject === 'inline' ||
+        settings.endComma === 'always' || settings.endComma === 'never' ||
+        Boolean(settings.objectSort || settings.bracePadding || settings.vertical);
+}
+
+/**
+ * String literal with its quotes converted, when that does not need escaping
+ */
+function convertQuotes(source, node, quote) {
+    const raw = source.substring(node.start + 1, node.end - 1);
+    if (!node.quote || node.quote === quote || raw.includes(quote) || raw.includes('\\') || (quote === '"' && raw.includes('#{'))) {
+        return null;
+    }
+    return quote + raw + quote;
+}
+
+function lineIndent$1(source, offset) {
+    const lineStart = source.lastIndexOf('\n', offset - 1) + 1;
+    return source.substring(lineStart).match(/^[ \t]*/)[0];
+}
+
+/**
+ * Rewrite Twig array and hash literals and string quotes following the
+ * formatter settings
+ * @param {object} template - Template node parsed from the source
+ * @param {string} source - Template source
+ * @param {object} settings - Formatter settings (`twig-language-2.*`)
+ * @param {string} indentUnit - One level of indentation
+ * @param {function(number): string|null} placement - Where an offset is: `'attribute'` inside an
+ *   HTML tag, `'script'` in a script or style, or null. Literals there stay on one line and
+ *   keep their quotes.
+ * @returns {string} - Source with the expressions rewritten
+ */
+function formatExpressions(template, source, settings, indentUnit, placement) {
+    const layout = hasLayoutSettings(settings);
+    const quote = settings.quoteConvert === 'single' ? '\'' : settings.quoteConvert === 'double' ? '"' : null;
+    if (!layout && !quote) {
+        return source;
+    }
+
+    /**
+     * Nodes directly below a node that are rewritten: literals and strings
+     */
+    function rewrittenChildren(node) {
+        const children = [];
+        walk(node, child => {
+            if (child === node) {
+                return;
+            }
+            if (child.type === 'Array' || child.type === 'Hash' || (child.type === 'Literal' && child.kind === 'string')) {
+                children.push(child);
+                return false;
+            }
+        });
+        return children.sort((a, b) => a.start - b.start);
+    }
+
+    /**
+     * Text of a node with the rewritten nodes below it replaced
+     */
+    function render(node, indent, multiline, quotes) {
+        if (layout && (node.type === 'Array' || node.type === 'Hash')) {
+            return renderLiteral(node, indent, multiline, quotes);
+        }
+        if (node.type === 'Literal' && node.kind === 'string') {
+            return (quotes && convertQuotes(source, node, quote)) || source.substring(node.start, node.end);
+        }
+
+        let text = '';
+        let last = node.start;
+        rewrittenChildren(node).forEach(child => {
+            text += source.substring(last, child.start) + render(child, indent, multiline, quotes);
+            last = child.end;
+        });
+        return text + source.substring(last, node.end);
+    }
+
+    /**
+     * Key of a hash pair as written, with the parentheses of computed keys
+     */
+    function keyText(pair) {
+        const before = source.substring(0, pair.key.start).replace(/\s+$/, '');
+        if (before.endsWith('(')) {
+            const close = source.indexOf(')', pair.key.end);
+            return source.substring(before.length - 1, close + 1);
+        }
+        return source.substring(pair.key.start, pair.key.end);
+    }
+
+    function sortKey(item) {
+        return item.node.type === 'Pair' && item.node.key.type === 'Literal' && !item.computed ? String(item.node.key.value) : null;
+    }
+
+    function renderLiteral(node, indent, multiline, quotes) {
+        const original = source.substring(node.start, node.end);
+        const isHash = node.type === 'Hash';
+        const nodes = isHash ? node.pairs : node.elements;
+        if (!nodes.length) {
+            return original;
+        }
+
+        const mode = isHash ? settings.formatObject : settings.formatArray;
+        // By default a literal stays on several lines when it starts a new line after its bracket
+        const lines = multiline && (mode === 'indent' || (mode !== 'inline' && /^.[ \t]*\r?\n/.test(original)));
+        const innerIndent = lines ? indent + indentUnit : indent;
+
+        let items = nodes.map(item => {
+            if (item.type !== 'Pair') {
+                return { node: item, key: null, value: render(item, innerIndent, multiline, quotes) };
+            }
+            const key = keyText(item);
+            return {
+                node: item,
+                key,
+                computed: key.startsWith('('),
+                value: item.shorthand ? null : render(item.value, innerIndent, multiline, quotes)
+            };
+        });
+
+        if (isHash && settings.objectSort && items.every(item => sortKey(item) !== null)) {
+            items = items.slice().sort((a, b) => sortKey(a).localeCompare(sortKey(b)));
+        }
+
+        const lastEnd = nodes[nodes.length - 1].end;
+        const hadComma = source.substring(lastEnd, node.end - 1).includes(',');
+        const open = original.charAt(0);
+        const close = original.charAt(original.length - 1);
+
+        if (!lines) {
+            const pad = settings.bracePadding || /^[[{]\s/.test(original) ? ' ' : '';
+            const comma = settings.endComma === 'none' && hadComma ? ',' : '';
+            const body = items.map(item => item.key === null ? item.value : item.value === null ? item.key : `${item.key}: ${item.value}`).join(', ');
+            return `${open}${pad}${body}${comma}${pad}${close}`;
+        }
+
+        const width = settings.vertical ? Math.max(...items.map(item => item.key && item.value !== null ? item.key.length : 0)) : 0;
+        const comma = settings.endComma === 'always' || (settings.endComma !== 'never' && hadComma) ? ',' : '';
+        const body = items.map(item => {
+            if (item.key === null) {
+                return innerIndent + item.value;
+            }
+            if (item.value === null) {
+                return innerIndent + item.key;
+            }
+            return `${innerIndent}${item.key}:${' '.repeat(Math.max(width - item.key.length, 0) + 1)}${item.value}`;
+        });
+        return `${open}\n${body.join(',\n')}${comma}\n${indent}${close}`;
+    }
+
+    // Outermost literals and strings, rewritten from the end so offsets stay valid.
+    // Quotes in HTML tags and scripts are left alone: the Twig may be inside
+    // an attribute value or a string.
+    let result = source;
+    rewrittenChildren(template).reverse().forEach(node => {
+        const place = placement(node.start);
+        const text = render(node, lineIndent$1(source, node.start), !place, Boolean(quote) && !place);
+        result = result.substring(0, node.start) + text + result.substring(node.end);
+    });
+    return result;
+}
+
+/**
+ * Formatting of the code in `<script>` and `<style>` elements
+ *
+ * js-beautify formats the code; the settings it has an option for are mapped
+ * to that option. The others (sorting, trailing commas, quotes, alignment, ...)
+ * are applied to its output here, working on tokens so that strings, comments
+ * and regular expressions are never touched.
+ */
+
+// Script types that are formatted as JavaScript
+const SCRIPT_TYPES = ['', 'module', 'text/javascript', 'application/javascript', 'text/ecmascript', 'application/ecmascript'];
+
+// Keywords after which `/` starts a regular expression and `[`/`{` a literal
+const EXPRESSION_KEYWORDS = ['return', 'typeof', 'instanceof', 'in', 'of', 'new', 'delete', 'void', 'throw', 'case', 'do', 'else', 'yield', 'await'];
+
+const DECLARATION_KEYWORDS = ['var', 'let', 'const'];
+
+const PUNCTUATION = /\.\.\.|\?\?=?|\?\.(?!\d)|=>|[=!]==?|<<=?|>>>?=?|[<>]=?|&&=?|\|\|=?|\*\*=?|\+\+|--|[-+*/%&|^]=|[\s\S]/y;
+
+/**
+ * js-beautify brace style for the `braceStyle`, `braces` and `elseLine` settings
+ */
+function getBraceStyle(settings) {
+    let style = settings.braceStyle && settings.braceStyle !== 'none' ? settings.braceStyle : null;
+    if (!style) {
+        style = settings.braces ? 'expand' : settings.elseLine ? 'end-expand' : 'none';
+    } else if (settings.elseLine && style.startsWith('collapse')) {
+        style = style.replace('collapse', 'end-expand');
+    }
+    return style.replace('-preserve-inline', ',preserve-inline');
+}
+
+/**
+ * js-beautify options for scripts
+ * @param {object} settings - Formatter settings (`twig-language-2.*`)
+ * @returns {object}
+ */
+function getScriptOptions(settings) {
+    return {
+        brace_style: getBraceStyle(settings),
+        space_in_paren: Boolean(settings.bracePadding),
+        break_chained_methods: settings.methodChain > 0,
+        space_after_named_function: Boolean(settings.functionName),
+        space_after_anon_function: settings.space !== false,
+        keep_array_indentation: Boolean(settings.neverFlatten),
+        // Also puts `case` at the level of its `switch`
+        jslint_happy: Boolean(settings.noCaseIndent),
+        // Keep conditional expressions broken before `?` and `:`
+        operator_position: settings.ternaryLine === false ? 'preserve-newline' : 'before-newline'
+    };
+}
+
+/**
+ * js-beautify options for styles
+ * @param {object} settings - Formatter settings (`twig-language-2.*`)
+ * @returns {object}
+ */
+function getStyleOptions(settings) {
+    return {
+        brace_style: settings.braces || settings.braceStyle === 'expand' ? 'expand' : 'collapse',
+        newline_between_rules: Boolean(settings.cssInsertLines)
+    };
+}
+
+/**
+ * Whether a `<script>` start tag holds JavaScript
+ */
+function isJavaScript(startTag) {
+    const type = startTag.match(/\stype\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/i);
+    return !type || SCRIPT_TYPES.includes((type[1] || type[2] || type[3] || '').trim().toLowerCase());
+}
+
+/**
+ * Split code into tokens: whitespace, comments, strings, regular expressions,
+ * words and punctuation. In styles there are no regular expressions, template
+ * strings or line comments, and words run up to the next punctuation.
+ */
+function scanCode(text, script) {
+    const tokens = [];
+    let pos = 0;
+    let last = null;
+
+    function push(type, end) {
+        const token = { type, value: text.substring(pos, end), start: pos, end };
+        tokens.push(token);
+        if (type !== 'space' && type !== 'comment') {
+            last = token;
+        }
+        pos = end;
+    }
+
+    function scanQuoted(quote) {
+        let end = pos + 1;
+        let braces = 0;
+        while (end < text.length) {
+            const char = text[end];
+            if (char === '\\') {
+                end += 2;
+                continue;
+            }
+            if (quote === '`' && char === '$' && text[end + 1] === '{') {
+                braces++;
+                end += 2;
+                continue;
+            }
+            if (braces && char === '{') {
+                braces++;
+            } else if (braces && char === '}') {
+                braces--;
+            } else if (!braces && char === quote) {
+                return end + 1;
+            } else if (!braces && char === '\n' && quote !== '`') {
+                return end;
+            }
+            end++;
+        }
+        return text.length;
+    }
+
+    function scanRegex() {
+        let end = pos + 1;
+        let inClass = false;
+        while (end < text.length && text[end] !== '\n') {
+            const char = text[end];
+            if (char === '\\') {
+                end += 2;
+                continue;
+            }
+            if (char === '[') {
+                inClass = true;
+            } else if (char === ']') {
+                inClass = false;
+            } else if (char === '/' && !inClass) {
+                return end + 1 + text.substring(end + 1).match(/^[a-z]*/)[0].length;
+            }
+            end++;
+        }
+        return -1;
+    }
+
+    function regexAllowed() {
+        return !last ||
+            (last.type === 'punct' && !/^[)\]}]$/.test(last.value)) ||
+            (last.type === 'word' && EXPRESSION_KEYWORDS.includes(last.value));
+    }
+
+    while (pos < text.length) {
+        const char = text[pos];
+        const rest = text.substring(pos, pos + 2);
+
+        if (/\s/.test(char)) {
+            push('space', pos + text.substring(pos).match(/^\s+/)[0].length);
+        } else if (rest === '/*') {
+            const close = text.indexOf('*/', pos + 2);
+            push('comment', close < 0 ? text.length : close + 2);
+        } else if (script && rest === '//') {
+            const close = text.indexOf('\n', pos);
+            push('comment', close < 0 ? text.length : close);
+        } else if (char === '"' || char === '\'' || (script && char === '`')) {
+            push('string', scanQuoted(char));
+        } else if (script && char === '/' && regexAllowed() && scanRegex() > 0) {
+            push('regex', scanRegex());
+        } else if (script ? /[\w$]/.test(char) : /[^\s{}();:,"'/]/.test(char)) {
+            const word = text.substring(pos).match(script ? /^[\w$]+/ : /^[^\s{}();:,"'/]+/)[0];
+            push('word', pos + word.length);
+        } else {
+            PUNCTUATION.lastIndex = pos;
+            push('punct', pos + PUNCTUATION.exec(text)[0].length);
+        }
+    }
+
+    return tokens;
+}
+
+/**
+ * Tokens that are neither whitespace nor comments, with matching brackets
+ * linked through `close`
+ */
+function codeTokens(tokens) {
+    const code = tokens.filter(token => token.type !== 'space' && token.type !== 'comment');
+    const stack = [];
+    code.forEach((token, index) => {
+        token.index = index;
+        if (token.type !== 'punct') {
+            return;
+        }
+        if (token.value === '(' || token.value === '[' || token.value === '{') {
+            stack.push(token);
+        } else if (token.value === ')' || token.value === ']' || token.value === '}') {
+            const open = stack.pop();
+            if (open) {
+                open.close = index;
+            }
+        }
+    });
+    return code;
+}
+
+/**
+ * Apply replacements `{start, end, text}`, skipping any that overlap one
+ * applied before
+ */
+function applyEdits(text, edits) {
+    let result = text;
+    let limit = Infinity;
+    edits.sort((a, b) => b.start - a.start).forEach(edit => {
+        if (edit.end > limit) {
+            return;
+        }
+        result = result.substring(0, edit.start) + edit.text + result.substring(edit.end);
+        limit = edit.start;
+    });
+    return result;
+}
+
+function lineIndent(text, offset) {
+    const lineStart = text.lastIndexOf('\n', offset - 1) + 1;
+    return text.substring(lineStart).match(/^[ \t]*/)[0];
+}
+
+/**
+ * Split the tokens between two indexes at the separators at their own level
+ * @returns {Array<Array>} - Code tokens of each part; empty parts are dropped
+ */
+function splitTokens(code, from, to, separator) {
+    const parts = [];
+    let part = [];
+    for (let i = from; i < to; i++) {
+        const token = code[i];
+        if (token.type === 'punct' && token.value === separator) {
+            parts.push(part);
+            part = [];
+            continue;
+        }
+        if (token.close !== undefined) {
+            part = part.concat(code.slice(i, token.close + 1));
+            i = token.close;
+            continue;
+        }
+        part.push(token);
+    }
+    parts.push(part);
+    return parts.filter(item => item.length);
+}
+
+/**
+ * Whether `[` or `{` at an index starts an array or object literal rather
+ * than an index or a block
+ */
+function isLiteral(code, index) {
+    const token = code[index];
+    const previous = code[index - 1];
+    if (token.close === undefined) {
+        return false;
+    }
+    if (previous && previous.type === 'word' && EXPRESSION_KEYWORDS.includes(previous.value)) {
+        return true;
+    }
+    if (token.value === '[') {
+        return !previous || (previous.type === 'punct' && !/^[)\]}]$/.test(previous.value));
+    }
+    return Boolean(previous) && previous.type === 'punct' && !/^([)\]};{]|=>)$/.test(previous.value);
+}
+
+/**
+ * Whether the entries of an object literal are all `key: value`
+ */
+function isPlainObject(code, open) {
+    const entries = splitTokens(code, open.index + 1, open.close, ',');
+    return entries.every(entry => entry.length > 2 && (entry[0].type === 'word' || entry[0].type === 'string') &&
+        entry[1].type === 'punct' && entry[1].value === ':');
+}
 
-let htmlLanguageService$2;
-let diagnosticCollection;
+/**
+ * Put parts of the text in a new order, each taking the place of another
+ * part, with what is between them unchanged
+ * @param {string} text - Text
+ * @param {Array<{start: number, end: number}>} slots - Parts, in order
+ * @param {Array<number>} order - Index of the part to put in each slot
+ */
+function permute(text, slots, order) {
+    return order.map((from, to) => ({ start: slots[to].start, end: slots[to].end, text: text.substring(slots[from].start, slots[from].end) }));
+}
+
+function sortOrder(keys) {
+    return keys.map((key, index) => index).sort((a, b) => keys[a] < keys[b] ? -1 : keys[a] > keys[b] ? 1 : a - b);
+}
+
+function unquote(token) {
+    return token.type === 'string' ? token.value.slice(1, -1) : token.value;
+}
 
 /**
- * Preprocesses Twig syntax to HTML comments to avoid false positives
- * @param {string} source - Original Twig source
- * @returns {string} - Preprocessed HTML
+ * Insert a blank line after `{` and before `}` when they end or start a line
  */
-function preprocessTwig(source) {
-    // Replace Twig blocks {% ... %} with HTML comments
-    let processed = source.replace(/\{%[\s\S]*?%\}/g, (match) => {
-        // Count newlines to preserve line numbers
-        const newlines = (match.match(/\n/g) || []).length;
-        return `<!-- TWIG_BLOCK ${newlines} -->`;
+function braceLineEdits(tokens) {
+    const edits = [];
+    tokens.forEach((token, index) => {
+        const next = tokens[index + 1];
+        const previous = tokens[index - 1];
+        if (token.type !== 'space' || !/^[^\n]*\n[^\n]*$/.test(token.value) || !next || !previous) {
+            return;
+        }
+        const afterOpen = previous.type === 'punct' && previous.value === '{';
+        const beforeClose = next.type === 'punct' && next.value === '}';
+        if (afterOpen !== beforeClose) {
+            edits.push({ start: token.start, end: token.start, text: '\n' });
+        }
     });
-    
-    // Replace Twig expressions {{ ... }} with HTML comments
-    processed = processed.replace(/\{\{[\s\S]*?\}\}/g, (match) => {
-        const newlines = (match.match(/\n/g) || []).length;
-        return `<!-- TWIG_EXPR ${newlines} -->`;
+    return edits;
+}
+
+/**
+ * Vertically align the values of consecutive lines matching a pattern. The
+ * pattern captures the indentation, the key and the value.
+ */
+function alignLines(text, pattern, join, excluded) {
+    const lines = text.split('\n');
+    let offset = 0;
+    let group = [];
+
+    function flush() {
+        if (group.length > 1) {
+            const width = Math.max(...group.map(item => item.match[2].length));
+            group.forEach(item => {
+                lines[item.line] = join(item.match[1], item.match[2], ' '.repeat(width - item.match[2].length), item.match[3]);
+            });
+        }
+        group = [];
+    }
+
+    lines.forEach((line, index) => {
+        const match = excluded(offset) ? null : line.match(pattern);
+        if (!match || (group.length && match[1] !== group[0].match[1])) {
+            flush();
+        }
+        if (match) {
+            group.push({ line: index, match });
+        }
+        offset += line.length + 1;
     });
-    
-    return processed;
+    flush();
+
+    return lines.join('\n');
 }
 
 /**
- * Converts VS Code TextDocument to Language Server TextDocument
- * @param {vscode.TextDocument} document - VS Code document
- * @param {string} text - Optional text content (preprocessed)
- * @returns {TextDocument} - Language Server TextDocument
+ * Whether an offset is inside a string or comment spanning several lines
  */
-function toLanguageServerDocument(document, text) {
-    return vscodeLanguageserverTextdocument.TextDocument.create(
-        document.uri.toString(),
-        document.languageId,
-        document.version,
-        text || document.getText()
-    );
+function inMultilineToken(tokens, offset) {
+    return tokens.some(token => (token.type === 'string' || token.type === 'comment') && token.start < offset && offset < token.end);
 }
 
 /**
- * Convert offset to position
+ * Whether there is a comment between two offsets
  */
-function offsetToPosition(document, offset) {
-    return document.positionAt(offset);
+function hasComment(tokens, start, end) {
+    return tokens.some(token => token.type === 'comment' && token.start >= start && token.end <= end);
 }
 
 /**
- * Validates HTML/Twig document and reports diagnostics
- * @param {vscode.TextDocument} document - The document to validate
+ * Sort the keys of object literals. Objects are sorted one at a time from
+ * the last one, so that nested objects are sorted before the object holding
+ * them; sorting does not change the length of the text.
  */
-function validateDocument(document) {
-    if (!htmlLanguageService$2 || !diagnosticCollection) {
-        return;
-    }
+function sortObjects(text, tokens, code) {
+    let result = text;
+    code.filter(token => token.type === 'punct' && token.value === '{' && isLiteral(code, token.index) && isPlainObject(code, token))
+        .reverse()
+        .forEach(open => {
+            const entries = splitTokens(code, open.index + 1, open.close, ',');
+            if (entries.length < 2 || hasComment(tokens, open.end, code[open.close].start)) {
+                return;
+            }
+            const slots = entries.map(entry => ({ start: entry[0].start, end: entry[entry.length - 1].end }));
+            result = applyEdits(result, permute(result, slots, sortOrder(entries.map(entry => unquote(entry[0])))));
+        });
+    return result;
+}
 
-    const text = document.getText();
-    const diagnostics = [];
-    
-    // Preprocess Twig syntax
-    const processedText = preprocessTwig(text);
-    
-    // Create language server document with preprocessed text
-    const lsDocument = toLanguageServerDocument(document, processedText);
-    
-    // Parse HTML document
-    const htmlDocument = htmlLanguageService$2.parseHTMLDocument(lsDocument);
-    
-    // Validate HTML structure manually
-    const tagStack = [];
-    
-    // Check for unclosed tags
-    htmlDocument.roots.forEach(root => {
-        if (root.tag) {
-            validateNode(root, document, diagnostics, tagStack);
+/**
+ * Add or remove the trailing comma of array and object literals spanning
+ * several lines
+ */
+function endCommaEdits(text, code, endComma) {
+    const edits = [];
+
+    code.forEach(token => {
+        if (token.type !== 'punct' || (token.value !== '[' && token.value !== '{') || !isLiteral(code, token.index) ||
+            (token.value === '{' && !isPlainObject(code, token))) {
+            return;
+        }
+        const close = code[token.close];
+        const last = code[token.close - 1];
+        if (last === token || !text.substring(token.start, close.start).includes('\n')) {
+            return;
+        }
+        const hasComma = last.type === 'punct' && last.value === ',';
+        const after = code[token.close + 1];
+        // `[a, ...rest] = value` can't end with a comma
+        const assigned = after && after.type === 'punct' && after.value === '=';
+        if (endComma === 'never' && hasComma) {
+            edits.push({ start: last.start, end: last.end, text: '' });
+        } else if (endComma === 'always' && !hasComma && !assigned) {
+            edits.push({ start: last.end, end: last.end, text: ',' });
         }
     });
-    
-    // Report any remaining unclosed tags
-    tagStack.forEach(tag => {
-        const startPos = offsetToPosition(document, tag.start);
-        const endPos = offsetToPosition(document, tag.end);
-        const range = new vscode.Range(startPos, endPos);
-        diagnostics.push(new vscode.Diagnostic(
-            range,
-            `Unclosed tag: <${tag.name}>`,
-            vscode.DiagnosticSeverity.Error
-        ));
-    });
-    
-    // Report diagnostics
-    diagnosticCollection.set(document.uri, diagnostics);
+
+    return edits;
 }
 
 /**
- * Recursively validate HTML nodes
+ * Convert the quotes of strings that contain neither the new quote nor escapes
  */
-function validateNode(node, document, diagnostics, tagStack) {
-    if (node.tag) {
-        const tagName = node.tag.toLowerCase();
-        
-        // Check if it's a self-closing tag
-        const voidElements = ['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 
-                             'link', 'meta', 'param', 'source', 'track', 'wbr'];
-        
-        if (!voidElements.includes(tagName)) {
-            // Push opening tag
-            tagStack.push({
-                name: tagName,
-                start: node.start,
-                end: node.endTagStart || node.end
-            });
+function quoteEdits(code, quote) {
+    return code
+        .filter(token => token.type === 'string' && token.value[0] !== '`' && token.value[0] !== quote)
+        .filter(token => {
+            const raw = token.value.slice(1, -1);
+            // Twig printed inside the string may contain any quote
+            return !raw.includes(quote) && !raw.includes('\\') && !raw.includes('twig_language_format');
+        })
+        .map(token => ({ start: token.start, end: token.end, text: quote + token.value.slice(1, -1) + quote }));
+}
+
+/**
+ * Put `?` and `:` of conditional expressions at the start of a new line
+ */
+function ternaryEdits(text, tokens, code, indentUnit) {
+    const edits = [];
+
+    function breakBefore(token) {
+        const previous = tokens[tokens.indexOf(token) - 1];
+        if (previous && previous.type === 'space' && !previous.value.includes('\n')) {
+            edits.push({ start: previous.start, end: previous.end, text: `\n${lineIndent(text, token.start)}${indentUnit}` });
         }
-        
-        // Validate children
-        if (node.children) {
-            node.children.forEach(child => {
-                if (child.tag) {
-                    validateNode(child, document, diagnostics, tagStack);
-                }
-            });
+    }
+
+    code.forEach((token, index) => {
+        if (token.type !== 'punct' || token.value !== '?') {
+            return;
         }
-        
-        // Check for closing tag
-        if (!voidElements.includes(tagName)) {
-            if (node.endTagStart !== undefined) {
-                // Tag is closed, remove from stack
-                const lastTag = tagStack.pop();
-                if (lastTag && lastTag.name !== tagName) {
-                    // Mismatched tags
-                    const startPos = offsetToPosition(document, node.start);
-                    const endPos = offsetToPosition(document, node.endTagStart);
-                    const range = new vscode.Range(startPos, endPos);
-                    diagnostics.push(new vscode.Diagnostic(
-                        range,
-                        `Mismatched tag: expected </${lastTag.name}>, found </${tagName}>`,
-                        vscode.DiagnosticSeverity.Error
-                    ));
-                }
+        let nested = 0;
+        for (let i = index + 1; i < code.length; i++) {
+            const next = code[i];
+            if (next.close !== undefined) {
+                i = next.close;
+                continue;
+            }
+            if (next.type !== 'punct') {
+                continue;
             }
+            if (next.value === '?') {
+                nested++;
+            } else if (next.value === ':' && nested) {
+                nested--;
+            } else if (next.value === ':') {
+                breakBefore(token);
+                breakBefore(next);
+                break;
+            } else if (/^[,;)\]}]$/.test(next.value)) {
+                break;
+            }
+        }
+    });
+
+    return edits;
+}
+
+/**
+ * Statement starting at a `var`, `let` or `const` keyword: its declarators
+ * and the `;` ending it
+ */
+function getDeclaration(code, index) {
+    const keyword = code[index];
+    const previous = code[index - 1];
+    if (keyword.type !== 'word' || !DECLARATION_KEYWORDS.includes(keyword.value) ||
+        (previous && !(previous.type === 'punct' && /^[;{}]$/.test(previous.value)))) {
+        return null;
+    }
+
+    for (let i = index + 1; i < code.length; i++) {
+        const token = code[i];
+        if (token.close !== undefined) {
+            i = token.close;
+        } else if (token.type === 'punct' && token.value === ';') {
+            return { keyword, declarators: splitTokens(code, index + 1, i, ','), end: token };
+        } else if (token.type === 'punct' && /^[)\]}]$/.test(token.value)) {
+            return null;
         }
     }
+    return null;
 }
 
 /**
- * Initialize diagnostics provider
- * @param {vscode.ExtensionContext} context - Extension context
+ * Declare each variable in its own statement, or consecutive variables of
+ * the same kind in one statement
  */
-function initializeDiagnostics(context) {
-    // Initialize HTML language service
-    htmlLanguageService$2 = vscodeHtmlLanguageservice.getLanguageService({
-        customDataProviders: []
-    });
-    
-    // Create diagnostic collection
-    diagnosticCollection = vscode.languages.createDiagnosticCollection('twig-language-2');
-    context.subscriptions.push(diagnosticCollection);
-    
-    // Validate on document open
-    if (vscode.window.activeTextEditor) {
-        validateDocument(vscode.window.activeTextEditor.document);
+function variableListEdits(text, code, mode, indentUnit) {
+    const edits = [];
+    const declarations = code.map((token, index) => getDeclaration(code, index)).filter(Boolean);
+    const source = declarator => text.substring(declarator[0].start, declarator[declarator.length - 1].end);
+
+    if (mode === 'each') {
+        declarations.filter(declaration => declaration.declarators.length > 1).forEach(declaration => {
+            const indent = lineIndent(text, declaration.keyword.start);
+            edits.push({
+                start: declaration.keyword.start,
+                end: declaration.end.end,
+                text: declaration.declarators.map(declarator => `${declaration.keyword.value} ${source(declarator)};`).join(`\n${indent}`)
+            });
+        });
+        return edits;
     }
-    
-    // Validate on document change (debounced)
-    let timeout;
-    vscode.workspace.onDidChangeTextDocument((event) => {
-        if (event.document.languageId === 'twig') {
-            clearTimeout(timeout);
-            timeout = setTimeout(() => {
-                validateDocument(event.document);
-            }, 300);
+
+    // Runs of declarations separated by nothing but whitespace
+    let run = [];
+    const flush = () => {
+        if (run.length > 1) {
+            const first = run[0];
+            const indent = lineIndent(text, first.keyword.start) + indentUnit;
+            const declarators = [].concat(...run.map(declaration => declaration.declarators));
+            edits.push({
+                start: first.keyword.start,
+                end: run[run.length - 1].end.end,
+                text: `${first.keyword.value} ${declarators.map(source).join(`,\n${indent}`)};`
+            });
         }
-    }, null, context.subscriptions);
-    
-    // Validate on document open
-    vscode.workspace.onDidOpenTextDocument((document) => {
-        if (document.languageId === 'twig') {
-            validateDocument(document);
+        run = [];
+    };
+    declarations.forEach(declaration => {
+        const previous = run[run.length - 1];
+        const between = previous ? text.substring(previous.end.end, declaration.keyword.start) : '';
+        if (previous && (previous.keyword.value !== declaration.keyword.value || /\S/.test(between))) {
+            flush();
         }
-    }, null, context.subscriptions);
+        run.push(declaration);
+    });
+    flush();
+
+    return edits;
+}
+
+/**
+ * Apply the settings js-beautify has no option for to a beautified script
+ * @param {string} text - Script content, as formatted by js-beautify
+ * @param {object} settings - Formatter settings (`twig-language-2.*`)
+ * @param {string} indentUnit - One level of indentation
+ * @returns {string}
+ */
+function formatScript(text, settings, indentUnit) {
+    let result = text;
+    let tokens = scanCode(result, true);
+    let code = codeTokens(tokens);
+    const rescan = () => {
+        tokens = scanCode(result, true);
+        code = codeTokens(tokens);
+    };
+
+    if (settings.objectSort) {
+        result = sortObjects(result, tokens, code);
+    }
+    if (settings.endComma === 'always' || settings.endComma === 'never') {
+        rescan();
+        result = applyEdits(result, endCommaEdits(result, code, settings.endComma));
+    }
+    if (settings.quoteConvert === 'single' || settings.quoteConvert === 'double') {
+        rescan();
+        result = applyEdits(result, quoteEdits(code, settings.quoteConvert === 'single' ? '\'' : '"'));
+    }
+    if (settings.variableList === 'each' || settings.variableList === 'list') {
+        rescan();
+        result = applyEdits(result, variableListEdits(result, code, settings.variableList, indentUnit));
+    }
+    if (settings.ternaryLine === false) {
+        rescan();
+        result = applyEdits(result, ternaryEdits(result, tokens, code, indentUnit));
+    }
+    if (settings.braceLine) {
+        rescan();
+        result = applyEdits(result, braceLineEdits(tokens));
+    }
+    if (settings.vertical) {
+        rescan();
+        const excluded = offset => inMultilineToken(tokens, offset);
+        result = alignLines(result, /^(\s*)((?:(?:var|let|const)\s+)?[\w$.]+)\s*=(?![=>])\s*(\S.*)$/, (indent, key, pad, value) => `${indent}${key}${pad} = ${value}`, excluded);
+        result = alignLines(result, /^(\s*)((?!case\b|default\b)[\w$]+|'[^'\\]*'|"[^"\\]*")\s*:(?!:)\s*(\S.*)$/, (indent, key, pad, value) => `${indent}${key}: ${pad}${value}`, excluded);
+    }
+
+    return result;
 }
 
-const $el={hover:"$el",description:"Magic property that references the root element of the component.",example:"<div x-data=\"{}\" @click=\"$el.classList.toggle('active')\">\n    Click me\n</div>"};const $refs={hover:"$refs",description:"Magic property that provides access to elements marked with x-ref.",example:"<div x-ref=\"myDiv\"></div>\n<button @click=\"$refs.myDiv.scrollIntoView()\">Scroll</button>"};const $store={hover:"$store",description:"Magic property that provides access to global Alpine stores.",example:"<div x-data=\"{}\">\n    <span x-text=\"$store.user.name\"></span>\n</div>"};const $watch={hover:"$watch",description:"Magic method that watches a component property for changes.",example:"<div x-data=\"{ count: 0 }\" x-init=\"$watch('count', value => console.log(value))\">\n    <button @click=\"count++\">Increment</button>\n</div>"};const $dispatch={hover:"$dispatch",description:"Magic method that dispatches a custom event that can be listened to with x-on or @.",example:"<button @click=\"$dispatch('custom-event', { data: 'value' })\">\n    Dispatch Event\n</button>"};const $nextTick={hover:"$nextTick",description:"Magic method that executes a callback after Alpine has finished updating the DOM.",example:"<div x-data=\"{ count: 0 }\" x-init=\"$nextTick(() => console.log('DOM updated'))\">\n    <span x-text=\"count\"></span>\n</div>"};const $root={hover:"$root",description:"Magic property that references the root Alpine component.",example:"<div x-data=\"{ count: 0 }\">\n    <div x-data=\"{}\">\n        <span x-text=\"$root.count\"></span>\n    </div>\n</div>"};const $data={hover:"$data",description:"Magic property that returns the raw data object for the current component.",example:"<div x-data=\"{ name: 'Alpine' }\">\n    <span x-text=\"JSON.stringify($data)\"></span>\n</div>"};const $id={hover:"$id",description:"Magic method that generates a unique ID based on the provided string.",example:"<label :for=\"$id('input')\">Label</label>\n<input :id=\"$id('input')\" type=\"text\">"};var alpineArr = {"x-data":{prefix:"x-data",hover:"x-data",description:"Declares a new component scope. The expression is evaluated once and its return value becomes the component's data object.",example:"<div x-data=\"{ open: false, count: 0 }\">\n    <button @click=\"open = !open\">Toggle</button>\n</div>"},"x-init":{prefix:"x-init",hover:"x-init",description:"Runs an expression when a component is initialized. Can be used to run code when an element is added to the DOM.",example:"<div x-data=\"{ count: 0 }\" x-init=\"count = 5\">\n    <span x-text=\"count\"></span>\n</div>"},"x-show":{prefix:"x-show",hover:"x-show",description:"Toggles visibility of an element based on the truthiness of the expression.",example:"<div x-show=\"open\">\n    This element is visible when open is true\n</div>"},"x-bind":{prefix:"x-bind",hover:"x-bind",description:"Dynamically sets HTML attributes. The attribute name is specified after the colon.",example:"<div x-bind:class=\"{ active: isActive }\">\n    <!-- Shorthand: :class=\"{ active: isActive }\" -->\n</div>"},"x-on":{prefix:"x-on",hover:"x-on",description:"Attaches an event listener to an element. The event name is specified after the colon.",example:"<button x-on:click=\"handleClick()\">\n    <!-- Shorthand: @click=\"handleClick()\" -->\n</button>"},"x-model":{prefix:"x-model",hover:"x-model",description:"Creates two-way data bindings. Works with input, textarea, select, and checkbox elements.",example:"<input x-model=\"name\" type=\"text\">\n<span x-text=\"name\"></span>"},"x-text":{prefix:"x-text",hover:"x-text",description:"Sets the text content of an element to the result of the expression.",example:"<div x-data=\"{ name: 'Alpine.js' }\">\n    <span x-text=\"name\"></span>\n</div>"},"x-html":{prefix:"x-html",hover:"x-html",description:"Sets the inner HTML of an element to the result of the expression. Use with caution to avoid XSS vulnerabilities.",example:"<div x-html=\"htmlContent\"></div>"},"x-ref":{prefix:"x-ref",hover:"x-ref",description:"Creates a reference to an element that can be accessed via $refs.",example:"<div x-ref=\"myElement\"></div>\n<button @click=\"$refs.myElement.scrollIntoView()\">Scroll</button>"},"x-if":{prefix:"x-if",hover:"x-if",description:"Conditionally renders an element. The element is removed from the DOM when false. Must be used on a template tag.",example:"<template x-if=\"open\">\n    <div>This is conditionally rendered</div>\n</template>"},"x-for":{prefix:"x-for",hover:"x-for",description:"Creates a new DOM node for each item in an array. Must be used on a template tag.",example:"<template x-for=\"item in items\" :key=\"item.id\">\n    <div x-text=\"item.name\"></div>\n</template>"},"x-transition":{prefix:"x-transition",hover:"x-transition",description:"Applies transition classes at various stages throughout an element's transition.",example:"<div x-show=\"open\" x-transition>\n    <div x-transition:enter=\"transition ease-out duration-300\">\n        Content\n    </div>\n</div>"},"x-effect":{prefix:"x-effect",hover:"x-effect",description:"Runs an expression whenever a reactive dependency changes. Similar to x-init but reactive.",example:"<div x-data=\"{ count: 0 }\" x-effect=\"console.log('Count:', count)\">\n    <button @click=\"count++\">Increment</button>\n</div>"},"x-cloak":{prefix:"x-cloak",hover:"x-cloak",description:"Hides elements until Alpine has finished initializing. Useful for preventing flash of unstyled content.",example:"<div x-data=\"{ open: false }\" x-cloak>\n    <div x-show=\"open\">Content</div>\n</div>"},"x-ignore":{prefix:"x-ignore",hover:"x-ignore",description:"Prevents Alpine from initializing on the element and all child elements.",example:"<div x-ignore>\n    <div x-data=\"{}\">This won't be initialized</div>\n</div>"},"x-id":{prefix:"x-id",hover:"x-id",description:"Generates a unique ID based on the provided string. Useful for creating unique IDs for form elements.",example:"<label :for=\"$id('input')\">Label</label>\n<input :id=\"$id('input')\" type=\"text\">"},"x-teleport":{prefix:"x-teleport",hover:"x-teleport",description:"Teleports an element to another part of the DOM. Useful for modals and tooltips.",example:"<div x-teleport=\"body\">\n    This content will be moved to the body\n</div>"},"x-modelable":{prefix:"x-modelable",hover:"x-modelable",description:"Makes a component property bindable with x-model.",example:"<div x-data=\"{ value: 'Hello' }\" x-modelable=\"value\">\n    <input x-model=\"value\">\n</div>"},$el:$el,$refs:$refs,$store:$store,$watch:$watch,$dispatch:$dispatch,$nextTick:$nextTick,$root:$root,$data:$data,$id:$id};
+/**
+ * Apply the settings js-beautify has no option for to a beautified style
+ * @param {string} text - Style content, as formatted by js-beautify
+ * @param {object} settings - Formatter settings (`twig-language-2.*`)
+ * @returns {string}
+ */
+function formatStyle(text, settings) {
+    let result = text;
+    let tokens = scanCode(result, false);
+    const code = codeTokens(tokens);
+    const edits = [];
 
-const show={prefix:"show",body:"{{ $1 }}",description:"{{ }}"};const execute={prefix:"execute",body:"{% $1 %}",description:"{% %}"};const autoescape={prefix:"autoescape",body:["{% autoescape %}","\t$1","{% endautoescape %}"],description:"Whether automatic escaping is enabled or not, you can mark a section of a template to be escaped or not by using the autoescape tag",example:"{% autoescape %}\n    Everything will be automatically escaped in this block\n    using the HTML strategy\n{% endautoescape %}\n\n{% autoescape 'html' %}\n    Everything will be automatically escaped in this block\n    using the HTML strategy\n{% endautoescape %}\n\n{% autoescape 'js' %}\n    Everything will be automatically escaped in this block\n    using the js escaping strategy\n{% endautoescape %}\n\n{% autoescape false %}\n    Everything will be outputted as is in this block\n{% endautoescape %}"};const block$1={prefix:"block",body:["{% block ${name} %}","\t$1","{% endblock ${name} %}"],description:"When a template uses inheritance and if you want to print a block multiple times, use the block function"};const embed={prefix:"embed",body:["{% embed \"${filename}.twig\" %}","\t$1","{% endembed  %}"],description:"The embed tag combines the behaviour of include and extends. It allows you to include another template's contents, just like include does. But it also allows you to override any block defined inside the included template, like when extending a template"};const filter={prefix:"filter",body:["{% filter ${filter name} %}","\t$1","{% endfilter  %}"],description:"Filter sections allow you to apply regular Twig filters on a block of template data. Just wrap the code in the special filter section",example:"{% filter lower | escape %}\n    <strong>SOME TEXT</strong>\n{% endfilter %}\n\n{# outputs \"&lt;strong&gt;some text&lt;/strong&gt;\" #}"};const flush={prefix:"flush",body:["{% flush %}"],description:"The flush tag tells Twig to flush the output buffer",example:"{% flush %}"};const loop={prefix:"loop",body:"loop.",description:"special variables inside of a for loop block"};const _self={prefix:"_self",body:"_self",description:"To import macros from the current file, use the special _self variable for the source"};const include$1={prefix:"include",body:"{% include \"${filename}.twig\" %}",description:"The include statement includes a template and returns the rendered content of that file into the current namespace"};const macro={prefix:"macro",body:["{% macro ${name}($1) %}","\t$2","{% endmacro %}"],description:"Twig snippets"};const sandbox={prefix:"sandbox",body:["{% sandbox %}","\t$1","{% endsandbox %}"],description:"The sandbox tag can be used to enable the sandboxing mode for an included template, when sandboxing is not enabled globally for the Twig environment"};const set={prefix:"set",body:["{% set ${name} = ${value} %}$1"],description:"Assign values to variables"};const spaceless={prefix:"spaceless",body:["{% spaceless %}","\t$1","{% endspaceless %}"],description:"Use the spaceless tag to remove whitespace between HTML tags, not whitespace within HTML tags or whitespace in plain text"};const use={prefix:"use",body:"{% use \"${filename}.twig\" %}",description:"Twig snippets"};const verbatim={prefix:"verbatim",body:["{% verbatim %}","\t$1","{% endverbatim %}"],description:"The verbatim tag marks sections as being raw text that should not be parsed. For example to put Twig syntax as example into a template you can use this snippet"};var twigArr = {show:show,execute:execute,autoescape:autoescape,block:block$1,"do":{prefix:"do",body:["{% do $1 %}"],description:"The do tag works exactly like the regular variable expression ({{ ... }}) just that it doesn't print anything",example:"{% do 1 + 2 %}"},embed:embed,"extends":{prefix:"extends",body:"{% extends \"${filename}.twig\" %}",description:"Twig snippets"},filter:filter,flush:flush,"for":{prefix:"for",body:["{% for ${row} in ${array} %}","\t$1","{% endfor %}"],description:"Loop over each item in a sequence"},"for if":{prefix:"for if",body:["{% for ${row} in ${array} if ${condition} %}","\t$1","{% endfor %}"],description:"Loop over each item in a sequence"},"for else":{prefix:"for else",body:["{% for ${row} in ${array} %}","\t$1","{% else %}","\t$2","{% endfor %}"],description:"Loop over each item in a sequence"},"for if else":{prefix:"for if else",body:["{% for ${row} in ${array} if ${condition} %}","\t$1","{% else %}","\t$2","{% endfor %}"],description:"Loop over each item in a sequence"},loop:loop,"if":{prefix:"if",body:["{% if ${condition} %}","\t$1","{% endif %}"],description:"The if statement in Twig is comparable with the if statements of PHP"},"if else":{prefix:"if else",body:["{% if ${condition} %}","\t$1","{% else %}","\t$2","{% endif %}"],description:"The if statement in Twig is comparable with the if statements of PHP"},"else":{prefix:"else",body:"{% else %}",description:"The if statement in Twig is comparable with the if statements of PHP"},"else if":{prefix:"else if",body:"{% elseif ${condition} %}",description:"The if statement in Twig is comparable with the if statements of PHP"},"import":{prefix:"import",body:"{% import \"${filename}.twig\" as ${alias}%}",description:"Twig supports putting often used code into macros. These macros can go into different templates and get imported from there."},_self:_self,include:include$1,macro:macro,sandbox:sandbox,set:set,"set block":{prefix:"set (block)",body:["{% set ${name} %}","\t$1","{% endset %}"],description:"Inside code blocks you can also assign values to variables. Assignments use the set tag and can have multiple targets"},spaceless:spaceless,use:use,verbatim:verbatim};
+    code.forEach(token => {
+        if (settings.noLeadZero && token.type === 'word' && /^[-+]?0+\.\d/.test(token.value)) {
+            edits.push({ start: token.start, end: token.end, text: token.value.replace(/^([-+]?)0+\./, '$1.') });
+        }
 
-const abs={text:"abs",body:"abs",description:"filter returns the absolute value"};const batch={prefix:"batch",body:"batch(${size}, ${fill})",text:"batch(size, fill)",description:"filter \"batches\" items by returning a list of lists with the given number of items. A second parameter can be provided and used to fill in missing items"};const capitalize={text:"capitalize",body:"capitalize",description:"filter capitalizes a value. The first character will be uppercase, all others lowercase"};const convert_encoding={prefix:"convert_encoding",body:"convert_encoding('${to}', '${from}')",text:"convert_encoding('to', 'from')",description:"filter converts a string from one encoding to another. The first argument is the expected output charset and the second one is the input charset"};const date$1={prefix:"date",body:"date(\"${m/d/Y}\")",text:"date(\"m/d/Y\")",description:"filter formats a date to a given format"};const date_modify={prefix:"date_modify",body:"date_modify(\"${+1 day}\")",text:"date_modify(\"+1 day\")",description:"filter modifies a date with a given modifier string"};const first={text:"first",body:"first",description:"filter returns the first \"element\" of a sequence, a mapping, or a string"};const format={prefix:"format",body:"format($1)",text:"format()",description:"filter formats a given string by replacing the placeholders (placeholders follows the sprintf notation)",example:"{% set foo = \"foo\" %}\n{{ \"I like %s and %s.\"| format(foo, \"bar\") }}\n\n{# outputs I like foo and bar #}"};const join={prefix:"join",body:"join${('optional')}",text:"join",description:"filter returns a string which is the concatenation of the items of a sequence"};const json_encode={prefix:"json_encode",body:"json_encode()",text:"json_encode()",description:"filter returns the JSON representation of a value. Internally, Twig uses the PHP json_encode function."};const keys={text:"keys",body:"keys",description:"filter returns the keys of an array. It is useful when you want to iterate over the keys of an array"};const last={text:"last",body:"last",description:"filter returns the last \"element\" of a sequence, a mapping, or a string"};const length={text:"length",body:"length",description:"filter returns the number of items of a sequence or mapping, or the length of a string"};const lower={text:"lower",body:"lower",description:"filter converts a value to lowercase"};const merge={prefix:"merge",body:"merge(${array})",text:"merge(array)",description:"filter merges an array with another array"};const nl2br={text:"nl2br",body:"nl2br",description:"filter inserts HTML line breaks before all newlines in a string"};const number_format={prefix:"number_format",body:"number_format(${0}, '${.}', '${,}')",text:"number_format",description:"filter formats numbers. It is a wrapper around PHP's number_format function"};const raw={text:"raw",body:"raw",description:"filter marks the value as being \"safe\", which means that in an environment with automatic escaping enabled this variable will not be escaped if raw is the last filter applied to it."};const replace={prefix:"replace",body:"replace('${search}' : '${replace}')",text:"replace('search' : 'replace')",description:"filter formats a given string by replacing the placeholders."};const reverse={text:"reverse",body:"reverse",description:"filter reverses a sequence, a mapping, or a string"};const round={prefix:"round",body:"${0} | round(1, '${floor}')",text:"round",description:"filter rounds a number to a given precision"};const slice={prefix:"slice",body:"slice(${start}, ${length})",text:"slice(start, length)",description:"filter extracts a slice of a sequence, a mapping, or a string"};const sort={text:"sort",body:"sort",description:"filter sorts an array"};const split={prefix:"split",body:"split('$1')",text:"split('')",description:"filter splits a string by the given delimiter and returns a list of strings"};const striptags={text:"striptags",body:"striptags",description:"filter strips SGML/XML tags and replace adjacent whitespace by one space"};const title={text:"title",body:"title",description:"filter returns a titlecased version of the value. Words will start with uppercase letters, all remaining characters are lowercase"};const trim={text:"trim",body:"trim",description:"filter strips whitespace (or other characters) from the beginning and end of a string"};const upper={text:"upper",body:"upper",description:"filter converts a value to uppercase"};const url_encode={text:"url_encode",body:"url_encode",description:"filter percent encodes a given string as URL segment or an array as query string"};var snippetsArr = {abs:abs,batch:batch,capitalize:capitalize,convert_encoding:convert_encoding,date:date$1,date_modify:date_modify,"default":{prefix:"default",body:"default('${default value}')",text:"default('default value')",description:"filter returns the passed default value if the value is undefined or empty, otherwise the value of the variable"},"escape":{text:"escape",body:"escape",description:"filter escapes a string for safe insertion into the final output. It supports different escaping strategies depending on the template context"},first:first,format:format,join:join,json_encode:json_encode,keys:keys,last:last,length:length,lower:lower,merge:merge,nl2br:nl2br,number_format:number_format,raw:raw,replace:replace,reverse:reverse,round:round,slice:slice,"slice [] notation":{prefix:"slice [] notation",body:"[${start}:${length}]",description:"filter extracts a slice of a sequence, a mapping, or a string"},sort:sort,split:split,striptags:striptags,title:title,trim:trim,"trim()":{prefix:"trim()",body:"trim('$1')",description:"filter strips whitespace (or other characters) from the beginning and end of a string"},upper:upper,url_encode:url_encode};
+        // Blocks holding nothing but declarations
+        if (token.type !== 'punct' || token.value !== '{' || token.close === undefined ||
+            code.slice(token.index + 1, token.close).some(inner => inner.type === 'punct' && /^[{}]$/.test(inner.value)) ||
+            tokens.some(inner => inner.type === 'comment' && inner.start > token.start && inner.end < code[token.close].start)) {
+            return;
+        }
+        const declarations = splitTokens(code, token.index + 1, token.close, ';');
+        if (!declarations.length || !declarations.every(declaration => declaration.some(inner => inner.value === ':'))) {
+            return;
+        }
+        const slots = declarations.map(declaration => ({ start: declaration[0].start, end: declaration[declaration.length - 1].end }));
 
-const attribute={prefix:"attribute",body:"{{ attribute($1) }}$2",description:"The attribute function can be used to access a \"dynamic\" attribute of a variable",example:""};const block={prefix:"block",body:"{{ block('${block name}') }}$1",description:"When a template uses inheritance and if you want to print a block multiple times, use the block function",example:""};const constant={prefix:"constant",body:"{{ constant('${const name}') }}$1",description:"constant returns the constant value for a given string",example:"{{ some_date | date(constant('DATE_W3C')) }}\n{{ constant('Namespace\\Classname::CONSTANT_NAME') }}"};const cycle={prefix:"cycle",body:"{{ cycle(${array}, ${position}) }}$1",description:"The cycle function cycles on an array of values",example:""};const date={prefix:"date",body:"{% set ${currentDate} = date($1) %}$2",description:"Converts an argument to a date to allow date comparison",example:"{% date() %}\n{% date('-2days') %}\n{% date('-2days', 'Europe/Paris') %}"};const dump={prefix:"dump",body:"{{ dump(${array}) }}$1",description:"(function) dumps information about a template variable. This is mostly useful to debug a template that does not behave as expected by introspecting its variables",example:""};const include={prefix:"include function",body:"{{ include('${filename}.twig') }}$1",description:"(function) returns the rendered content of a template",example:""};const max={prefix:"max",body:"{% set ${result} = max(${array}) %}$1",description:"(function) returns the biggest value of a sequence or a set of values",example:"{{ max(1, 3, 2) }}\n{# returns \"3\" #}\n\n{{ max({2: \"e\", 3: \"a\", 1: \"b\", 5: \"d\", 4: \"c\"}) }}\n{# returns \"e\" #}"};const min={prefix:"min",body:"{% set ${result} = min(${array}) %}$1",description:"(function) returns the lowest value of a sequence or a set of values",example:"{{ min(1, 3, 2) }}\n{# returns \"1\" #}\n\n{{ min({2: \"e\", 3: \"a\", 1: \"b\", 5: \"d\", 4: \"c\"}) }}\n{# returns \"a\" #}"};const parent={prefix:"parent",body:"{{ parent() }}",description:"(function) return the content of the block as defined in the base template",example:"{% extends \"base.html\" %}\n\n{% block sidebar %}\n\t<h3>Table Of Contents</h3>\n\t...\n\t{{ parent() }}\n{% endblock %}"};const random={prefix:"random",hover:"",body:"{% set ${result} = random($1) %}$2",description:"(function) returns a random value depending on the supplied parameter type",example:"{{ random(['apple', 'orange', 'citrus']) }}\n{# example output: orange #}\n\n{{ random('ABC') }}\n{# example output: C #}\n\n{{ random() }}\n{# example output: 15386094 (works as the native PHP mt_rand function) #}\n\n{{ random(5) }}\n{# example output: 3 #}"};const range={prefix:"range",body:"range(${low}, ${high}, ${step})",description:"(function) Returns an array of elements from low to high, inclusive",example:"{% set result = range(0, 6, 2) %}\n{% dump(result) %}\n{# output: array(0, 2, 4, 6) #}"};const source={prefix:"source",body:"{{ source('${template}.twig') }}$1",description:"(function) returns the content of a template without rendering it",example:""};const template_from_string={prefix:"template_from_string",body:"{{ include(template_from_string(\"$1\")) }}$2",description:"(function) loads a template from a string",example:"{{ include(template_from_string(\"Hello {{ name }}\")) }}"};var functionsArr = {attribute:attribute,block:block,constant:constant,cycle:cycle,date:date,dump:dump,include:include,max:max,min:min,parent:parent,random:random,"range set":{prefix:"range set",body:"{% set ${result} = range(${low}, ${high}, ${step}) %}$1",description:"(function) Returns an array of elements from low to high, inclusive",example:"{% set result = range(0, 6, 2) %}\n{% dump(result) %}\n{# output: array(0, 2, 4, 6) #}"},range:range,source:source,template_from_string:template_from_string};
+        // Declarations keep their order: sorting them would change the cascade,
+        // e.g. `margin-top: 0; margin: 8px`
+        if (settings.compressedCss) {
+            const compressed = slots.map(slot => text.substring(slot.start, slot.end)
+                .replace(/^([^:]*?)\s*:\s*/, '$1:')
+                .replace(/\s+/g, ' '));
+            edits.push({ start: token.start, end: code[token.close].end, text: `{${compressed.join(';')}}` });
+        }
+    });
+    result = applyEdits(result, edits);
 
-let htmlLanguageService$1;
+    if (settings.braceLine && !settings.compressedCss) {
+        result = applyEdits(result, braceLineEdits(scanCode(result, false)));
+    }
+    if (settings.vertical && !settings.compressedCss) {
+        tokens = scanCode(result, false);
+        result = alignLines(result, /^(\s*)(-{0,2}[\w-]+)\s*:\s*(\S.*;)\s*$/, (indent, key, pad, value) => `${indent}${key}: ${pad}${value}`, offset => inMultilineToken(tokens, offset));
+    }
+
+    return result;
+}
 
 /**
- * Get text before cursor on current line
+ * Twig aware formatting
+ *
+ * js-beautify formats the markup, but it sees Twig tags as plain text: the
+ * content of `{% if %}`, `{% for %}` or `{% block %}` is not indented and a
+ * tag that opens an element in each branch of an `{% if %}` throws off the
+ * indentation of everything after it. The beautified text is therefore
+ * indented again here, with HTML elements and Twig tags both counting as
+ * levels. Twig comments, `{% verbatim %}` blocks and Twig tags that span
+ * several lines are hidden from js-beautify and put back unchanged.
+ *
+ * The formatter settings js-beautify has no option for are applied around
+ * it: to Twig array and hash literals before, and to markup, scripts and
+ * styles after. The spacing inside Twig delimiters is normalised first.
  */
-function getTextBeforeCursor(document, position) {
-    const line = document.lineAt(position.line);
-    return line.text.substring(0, position.character);
+
+const VOID_ELEMENTS = [
+    'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link',
+    'meta', 'param', 'source', 'track', 'wbr', '!doctype'
+];
+
+// Elements whose content is formatted by js-beautify as a whole, or kept as is
+const SCRIPT_ELEMENTS = ['script', 'style'];
+const PREFORMATTED_ELEMENTS = ['pre', 'textarea'];
+
+const RAW_TAGS = ['verbatim', 'raw'];
+
+const NESTED_BRANCH_TAGS = ['switch'];
+
+const PLACEHOLDER = 'twig-language-format';
+
+function leadingWhitespace(line) {
+    return line.match(/^[ \t]*/)[0];
 }
 
 /**
- * Get text after cursor on current line
+ * Indentation of the line containing an offset
  */
-function getTextAfterCursor(document, position) {
-    const line = document.lineAt(position.line);
-    return line.text.substring(position.character);
+function lineIndentAt(text, offset) {
+    const lineStart = text.lastIndexOf('\n', offset - 1) + 1;
+    return leadingWhitespace(text.substring(lineStart, offset + 1)).length;
 }
 
 /**
- * Check if cursor is inside a Twig block {% ... %}
+ * Replace Twig comments, verbatim blocks, multi-line Twig tags and multi-line
+ * attribute values (e.g. `x-data="{ ... }"`) with single-line placeholders
+ * that js-beautify leaves alone. In scripts and styles every Twig part is
+ * replaced, by a comment or, for `{{ }}`, by an identifier, so that they are
+ * formatted as code. With `preserveComment`, HTML comments are hidden as well.
+ * Paired Twig tags written on one line around markup are hidden too, so that
+ * js-beautify does not break the line.
+ * @returns {{text: string, protectedParts: Array<{original: string, shift: boolean, indent: number}>}}
  */
-function isInsideTwigBlock(document, position) {
-    const text = document.getText();
-    const offset = document.offsetAt(position);
-    const beforeText = text.substring(0, offset);
-    const afterText = text.substring(offset);
-    
-    // Find last {% before cursor
-    const lastOpen = beforeText.lastIndexOf('{%');
-    const lastClose = beforeText.lastIndexOf('%}');
-    
-    // If we have an open {% and it's after the last %}, we're inside
-    if (lastOpen !== -1 && (lastClose === -1 || lastOpen > lastClose)) {
-        // Check if there's a closing %} after cursor
-        const nextClose = afterText.indexOf('%}');
-        return nextClose !== -1;
+function protectParts(source, settings) {
+    const template = parse(source);
+    const tokens = template.tokens;
+    const markup = scanMarkup(maskTwig(source, template));
+    const scripts = markup.regions.filter(region => region.script);
+    const inScript = start => scripts.some(region => region.start <= start && start < region.end);
+    const ranges = markup.attributes.map(range => Object.assign({ shift: true, attribute: true }, range));
+
+    if (settings.preserveComment) {
+        markup.regions.filter(region => region.comment).forEach(region => ranges.push({ start: region.start, end: region.end, shift: false }));
     }
-    
-    return false;
+
+    for (let i = 0; i < tokens.length; i++) {
+        const token = tokens[i];
+
+        if (token.type === TokenType.COMMENT) {
+            ranges.push({ start: token.start, end: token.end, shift: false });
+            continue;
+        }
+        if (token.type !== TokenType.BLOCK_START && token.type !== TokenType.VAR_START) {
+            continue;
+        }
+
+        let end = i + 1;
+        while (tokens[end].type !== TokenType.BLOCK_END && tokens[end].type !== TokenType.VAR_END) {
+            end++;
+        }
+
+        // `{% verbatim %}` up to and including `{% endverbatim %}`
+        const name = tokens[i + 1];
+        if (token.type === TokenType.BLOCK_START && name.type === TokenType.NAME && RAW_TAGS.includes(name.value)) {
+            let close = end + 1;
+            while (close < tokens.length - 1 && !(tokens[close].type === TokenType.BLOCK_START &&
+                tokens[close + 1].type === TokenType.NAME && tokens[close + 1].value === `end${name.value}`)) {
+                close++;
+            }
+            while (close < tokens.length - 1 && tokens[close].type !== TokenType.BLOCK_END) {
+                close++;
+            }
+            ranges.push({ start: token.start, end: tokens[close].end, shift: false });
+            i = close;
+            continue;
+        }
+
+        const multiline = source.substring(token.start, tokens[end].end).includes('\n');
+        if (multiline || inScript(token.start)) {
+            ranges.push({ start: token.start, end: tokens[end].end, shift: multiline });
+        }
+        i = end;
+    }
+
+    // A paired tag written on one line with markup inside, e.g.
+    // `{% if loop.last %}</ul>{% endif %}`, stays on that line
+    const tags = markup.regions.filter(region => region.tag);
+    const visit = nodes => nodes.forEach(node => {
+        if (node.type !== 'Tag') {
+            return;
+        }
+        const pair = node.endTag ? source.substring(node.start, node.outerEnd) : '';
+        if (pair.includes('<') && !pair.includes('\n') && !inScript(node.start) &&
+            !tags.some(region => region.start < node.start && node.start < region.end)) {
+            ranges.push({ start: node.start, end: node.outerEnd, shift: false });
+            return;
+        }
+        visit(node.body || []);
+        (node.branches || []).forEach(branch => visit(branch.body || []));
+    });
+    visit(template.body);
+
+    // Parts inside another one (Twig in an attribute value) go with it
+    ranges.sort((a, b) => a.start - b.start || b.end - a.end);
+    const protectedParts = [];
+    let text = '';
+    let last = 0;
+
+    ranges.forEach(range => {
+        if (range.start < last) {
+            return;
+        }
+        const index = protectedParts.length;
+        let placeholder = `{# ${PLACEHOLDER}-${index} #}`;
+        if (range.attribute || (inScript(range.start) && source.startsWith('{{', range.start))) {
+            placeholder = `${PLACEHOLDER.replace(/-/g, '_')}_${index}`;
+        } else if (inScript(range.start)) {
+            placeholder = `/* ${PLACEHOLDER}-${index} */`;
+        }
+        text += source.substring(last, range.start) + placeholder;
+        protectedParts.push({ original: source.substring(range.start, range.end), shift: range.shift, indent: lineIndentAt(source, range.start) });
+        last = range.end;
+    });
+
+    return { text: text + source.substring(last), protectedParts };
 }
 
 /**
- * Check if cursor is after a pipe | in Twig expression
+ * Put the protected parts back. Returns the ranges they take in the result:
+ * lines inside them are not indented again, but multi-line tags move along
+ * with their first line.
  */
-function isAfterPipe(document, position) {
-    getTextBeforeCursor(document, position);
-    // Check if there's a | before cursor and we're inside {{ }}
-    const beforeText = document.getText().substring(0, document.offsetAt(position));
-    const lastOpen = beforeText.lastIndexOf('{{');
-    const lastClose = beforeText.lastIndexOf('}}');
-    
-    if (lastOpen !== -1 && (lastClose === -1 || lastOpen > lastClose)) {
-        const exprText = beforeText.substring(lastOpen);
-        return exprText.includes('|');
+function restoreTwig(text, protectedParts) {
+    const regions = [];
+    const pattern = new RegExp(`\\{# ${PLACEHOLDER}-(\\d+) #\\}|/\\* ${PLACEHOLDER}-(\\d+) \\*/|${PLACEHOLDER.replace(/-/g, '_')}_(\\d+)`, 'g');
+    let result = '';
+    let last = 0;
+    let match;
+
+    while ((match = pattern.exec(text))) {
+        const part = protectedParts[Number(match[1] || match[2] || match[3])];
+        result += text.substring(last, match.index);
+        regions.push({ start: result.length, end: result.length + part.original.length, shift: part.shift, indent: part.indent });
+        result += part.original;
+        last = match.index + match[0].length;
     }
-    
-    return false;
+
+    return { text: result + text.substring(last), regions };
 }
 
 /**
- * Check if cursor is inside an HTML tag
+ * Find HTML tags in markup with Twig masked out. Returns the depth changes
+ * they cause, the ranges whose lines are not indented like markup (multi-line
+ * start tags and script/style content move with their first line, comments
+ * and preformatted content are kept as they are) and multi-line attribute values.
  */
-function isInsideTag(document, position) {
-    const textBefore = getTextBeforeCursor(document, position);
-    const textAfter = getTextAfterCursor(document, position);
-    
-    // Find last < before cursor
-    const lastOpen = textBefore.lastIndexOf('<');
-    const lastClose = textBefore.lastIndexOf('>');
-    
-    // If we have an open < and it's after the last >, we're inside a tag
-    if (lastOpen !== -1 && (lastClose === -1 || lastOpen > lastClose)) {
-        // Check if there's a closing > after cursor
-        return textAfter.includes('>');
+function scanMarkup(masked) {
+    const events = [];
+    const regions = [];
+    const attributes = [];
+    const tagPattern = /<!--[\s\S]*?(?:-->|$)|<(\/?)([a-zA-Z!][\w:.-]*)(?:"[^"]*"|'[^']*'|[^'">])*>/g;
+    let match;
+
+    while ((match = tagPattern.exec(masked))) {
+        const start = match.index;
+        const end = start + match[0].length;
+
+        if (!match[2]) {
+            regions.push({ start, end, shift: false, anchor: start, comment: true });
+            continue;
+        }
+
+        const name = match[2].toLowerCase();
+        regions.push({ start, end, shift: true, anchor: start, tag: true });
+
+        const valuePattern = /=\s*("[^"]*"|'[^']*')/g;
+        let value;
+        while ((value = valuePattern.exec(match[0]))) {
+            if (value[1].includes('\n')) {
+                const valueStart = start + value.index + value[0].length - value[1].length;
+                attributes.push({ start: valueStart, end: valueStart + value[1].length });
+            }
+        }
+
+        if (match[1]) {
+            events.push({ offset: start, type: 'close', source: 'html' });
+            continue;
+        }
+        if (VOID_ELEMENTS.includes(name) || match[0].endsWith('/>')) {
+            continue;
+        }
+        events.push({ offset: start, type: 'open', source: 'html' });
+
+        // Skip the content of script, style, pre and textarea
+        if (SCRIPT_ELEMENTS.includes(name) || PREFORMATTED_ELEMENTS.includes(name)) {
+            const closePattern = new RegExp(`</${name}\\s*>`, 'ig');
+            closePattern.lastIndex = end;
+            const close = closePattern.exec(masked);
+            const contentEnd = close ? close.index : masked.length;
+            // The whitespace before `</pre>` is content too
+            const script = SCRIPT_ELEMENTS.includes(name);
+            const code = name === 'style' ? 'css' : name === 'script' && isJavaScript(match[0]) ? 'js' : null;
+            regions.push({ start: end, end: script ? contentEnd : contentEnd + 1, shift: script, script, code, anchor: start });
+            tagPattern.lastIndex = contentEnd;
+        }
     }
-    
-    return false;
+
+    return { events, regions, attributes };
 }
 
 /**
- * Check if cursor is in attribute position (after space in tag, before = or >)
+ * Apply the settings js-beautify has no option for to the content of
+ * scripts and styles
  */
-function isInAttributePosition(document, position) {
-    if (!isInsideTag(document, position)) {
-        return false;
+function formatCode(text, settings, indentUnit) {
+    const regions = scanMarkup(maskTwig(text, parse(text))).regions.filter(region => region.code);
+    let result = text;
+
+    regions.reverse().forEach(region => {
+        const content = result.substring(region.start, region.end);
+        const formatted = region.code === 'js' ? formatScript(content, settings, indentUnit) : formatStyle(content, settings);
+        result = result.substring(0, region.start) + formatted + result.substring(region.end);
+    });
+    return result;
+}
+
+/**
+ * Convert the quotes of an attribute value, unless it contains the new
+ * quote or Twig
+ */
+function convertAttributeQuotes(value, quote) {
+    const raw = value.slice(1, -1);
+    if (value[0] === quote || raw.includes(quote) || /\{[{%#]/.test(raw) || raw.includes(PLACEHOLDER.replace(/-/g, '_'))) {
+        return value;
     }
-    
-    const textBefore = getTextBeforeCursor(document, position);
-    const textAfter = getTextAfterCursor(document, position);
-    
-    // Should be after space and before = or >
-    const trimmed = textBefore.trim();
-    return trimmed.length > 0 && (textAfter.startsWith('=') || textAfter.startsWith(' ') || textAfter.startsWith('>'));
+    return quote + raw + quote;
 }
 
 /**
- * Create completion items for Alpine.js directives
+ * Attributes of a start tag, or null when the tag has more than attributes
+ * (Twig, or anything not understood)
  */
-function getAlpineCompletions() {
-    const items = [];
-    
-    for (const key in alpineArr) {
-        const alpine = alpineArr[key];
-        const item = new vscode.CompletionItem(
-            alpine.prefix || key,
-            vscode.CompletionItemKind.Property
-        );
-        item.documentation = new vscode.MarkdownString();
-        item.documentation.appendMarkdown(alpine.description || '');
-        if (alpine.example) {
-            item.documentation.appendCodeblock(alpine.example, 'html');
-        }
-        item.detail = alpine.description;
-        items.push(item);
+function parseAttributes(tag) {
+    const match = tag.match(/^<([\w:.-]+)((?:\s+[^\s"'<>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*\/?>$/);
+    if (!match || /\{[{%#]/.test(tag)) {
+        return null;
     }
-    
-    // Add Alpine shorthand completions
-    const shorthandEvents = ['click', 'submit', 'change', 'input', 'focus', 'blur', 'keydown', 'keyup'];
-    shorthandEvents.forEach(event => {
-        const item = new vscode.CompletionItem(
-            `@${event}`,
-            vscode.CompletionItemKind.Event
-        );
-        item.documentation = new vscode.MarkdownString(`Alpine.js event handler shorthand for \`x-on:${event}\``);
-        item.detail = `@${event}="handler"`;
-        items.push(item);
-    });
-    
-    const shorthandBinds = ['class', 'style', 'href', 'src', 'id', 'name', 'value', 'disabled', 'readonly'];
-    shorthandBinds.forEach(attr => {
-        const item = new vscode.CompletionItem(
-            `:${attr}`,
-            vscode.CompletionItemKind.Property
-        );
-        item.documentation = new vscode.MarkdownString(`Alpine.js attribute binding shorthand for \`x-bind:${attr}\``);
-        item.detail = `:${attr}="value"`;
-        items.push(item);
-    });
-    
-    // Add modifiers
-    const modifiers = ['prevent', 'stop', 'once', 'self', 'window', 'document', 'debounce', 'throttle'];
-    modifiers.forEach(mod => {
-        const item = new vscode.CompletionItem(
-            `.${mod}`,
-            vscode.CompletionItemKind.Module
-        );
-        item.documentation = new vscode.MarkdownString(`Alpine.js event modifier: \`.${mod}\``);
-        item.detail = `Event modifier: ${mod}`;
-        items.push(item);
-    });
-    
-    return items;
+    const attributes = match[2].match(/[^\s"'<>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?/g) || [];
+    return { name: match[1], attributes };
 }
 
 /**
- * Create completion items for Twig tags
+ * Apply the markup settings: attribute quotes and order, the space before
+ * `/>`, and text content on its own line
  */
-function getTwigTagCompletions() {
-    const items = [];
-    
-    for (const key in twigArr) {
-        const twig = twigArr[key];
-        if (twig.prefix && !twig.prefix.startsWith('{{')) {
-            const item = new vscode.CompletionItem(
-                twig.prefix,
-                vscode.CompletionItemKind.Keyword
-            );
-            item.documentation = new vscode.MarkdownString();
-            item.documentation.appendMarkdown(twig.description || '');
-            if (twig.example) {
-                item.documentation.appendCodeblock(twig.example, 'twig');
-            }
-            item.detail = twig.description;
-            items.push(item);
+function formatMarkup(text, settings) {
+    const quote = settings.quoteConvert === 'single' ? '\'' : settings.quoteConvert === 'double' ? '"' : null;
+    const markup = scanMarkup(maskTwig(text, parse(text)));
+    let result = text;
+
+    markup.regions.filter(region => region.tag).reverse().forEach(region => {
+        let tag = result.substring(region.start, region.end);
+        if (tag.startsWith('</')) {
+            return;
+        }
+
+        const parsed = settings.objectSort && !tag.includes('\n') ? parseAttributes(tag) : null;
+        if (parsed && parsed.attributes.length > 1) {
+            const attributes = parsed.attributes.slice().sort((a, b) => {
+                const nameA = a.split('=')[0].trim().toLowerCase();
+                const nameB = b.split('=')[0].trim().toLowerCase();
+                return nameA < nameB ? -1 : nameA > nameB ? 1 : 0;
+            });
+            tag = `<${parsed.name} ${attributes.join(' ')}${tag.match(/\s*\/?>$/)[0]}`;
+        }
+        if (quote) {
+            tag = tag.replace(/(=\s*)("[^"]*"|'[^']*')/g, (all, equals, value) => equals + convertAttributeQuotes(value, quote));
+        }
+        if (settings.spaceClose) {
+            tag = tag.replace(/([^\s/])\/>$/, '$1 />');
         }
+        result = result.substring(0, region.start) + tag + result.substring(region.end);
+    });
+
+    if (!settings.forceIndent) {
+        return result;
     }
-    
-    return items;
+
+    // `<p>text</p>` becomes three lines, except where whitespace matters
+    const kept = scanMarkup(maskTwig(result, parse(result))).regions.filter(region => !region.tag);
+    let offset = 0;
+    return result.split('\n').map(line => {
+        const lineStart = offset;
+        offset += line.length + 1;
+        const match = line.match(/^([ \t]*)(<([a-zA-Z][\w:.-]*)(?:"[^"]*"|'[^']*'|[^'">])*>)([^<]*\S[^<]*)(<\/\3\s*>)\s*$/);
+        if (!match || PREFORMATTED_ELEMENTS.concat(SCRIPT_ELEMENTS).includes(match[3].toLowerCase()) ||
+            kept.some(region => region.start < lineStart && lineStart < region.end)) {
+            return line;
+        }
+        return `${match[1]}${match[2]}\n${match[1]}${match[4].trim()}\n${match[1]}${match[5]}`;
+    }).join('\n');
 }
 
 /**
- * Create completion items for Twig filters
+ * Depth changes caused by paired Twig tags. Only tags that are properly
+ * closed count, and tags inside HTML tags (attributes) are ignored.
  */
-function getTwigFilterCompletions() {
-    const items = [];
-    
-    for (const key in snippetsArr) {
-        const filter = snippetsArr[key];
-        const item = new vscode.CompletionItem(
-            filter.prefix || key,
-            vscode.CompletionItemKind.Function
-        );
-        item.documentation = new vscode.MarkdownString();
-        item.documentation.appendMarkdown(filter.description || '');
-        if (filter.example) {
-            item.documentation.appendCodeblock(filter.example, 'twig');
-        }
-        item.detail = filter.description;
-        item.insertText = filter.prefix || key;
-        items.push(item);
+function scanTwig(template, ignored) {
+    const events = [];
+
+    function visit(nodes) {
+        nodes.forEach(node => {
+            if (node.type !== 'Tag') {
+                return;
+            }
+            const skip = ignored.some(region => region.start < node.start && node.start < region.end);
+            if (node.endTag && !skip) {
+                events.push({ offset: node.start, type: 'open', source: 'twig', node });
+                (node.branches || []).forEach(branch => events.push({ offset: branch.start, type: 'middle', source: 'twig', node }));
+                events.push({ offset: node.endTag.start, type: 'close', source: 'twig', node });
+            }
+            visit(node.body || []);
+            (node.branches || []).forEach(branch => visit(branch.body || []));
+        });
     }
-    
-    return items;
+
+    visit(template.body);
+    return events;
 }
 
 /**
- * Provide completion items
+ * Indent markup and Twig tags by their nesting
+ * @param {string} text - Beautified template
+ * @param {Array} twigRegions - Ranges of restored Twig parts
+ * @param {string} indentUnit - One level of indentation
+ * @param {object} settings - Formatter settings: `indentLevel`, `comments` and `commentLine`
+ * @returns {string}
  */
-function provideCompletions(document, position, token, context) {
-    const completions = [];
-    
-    // Get HTML completions from language service
-    if (htmlLanguageService$1) {
-        const lsDocument = vscodeLanguageserverTextdocument.TextDocument.create(
-            document.uri.toString(),
-            document.languageId,
-            document.version,
-            document.getText()
-        );
-        
-        const htmlCompletions = htmlLanguageService$1.doComplete(
-            lsDocument,
-            { line: position.line, character: position.character },
-            htmlLanguageService$1.parseHTMLDocument(lsDocument)
-        );
-        
-        if (htmlCompletions && htmlCompletions.items) {
-            htmlCompletions.items.forEach(item => {
-                const vscodeItem = new vscode.CompletionItem(
-                    item.label,
-                    item.kind === 5 ? vscode.CompletionItemKind.Property : 
-                    item.kind === 10 ? vscode.CompletionItemKind.Class :
-                    vscode.CompletionItemKind.Text
-                );
-                if (item.documentation) {
-                    vscodeItem.documentation = typeof item.documentation === 'string' 
-                        ? item.documentation 
-                        : item.documentation.value;
-                }
-                if (item.detail) {
-                    vscodeItem.detail = item.detail;
+function indentTemplate(text, twigRegions, indentUnit, settings) {
+    const template = parse(text);
+    const markup = scanMarkup(maskTwig(text, template));
+    const tagRegions = markup.regions.filter(region => region.tag);
+    const contentRegions = markup.regions.filter(region => !region.tag && region.shift);
+    const events = markup.events
+        .concat(scanTwig(template, tagRegions.concat(contentRegions)))
+        .sort((a, b) => a.offset - b.offset);
+
+    // Twig parts first: a multi-line Twig tag inside an HTML tag moves with itself
+    const regions = twigRegions.map(region => Object.assign({ anchor: region.start }, region)).concat(markup.regions);
+
+    const lines = text.split('\n');
+    const comments = [];
+    const baseLevel = Math.max(settings.indentLevel || 0, 0);
+    const newIndents = new Map();
+    const frames = [];
+    let depth = 0;
+    let offset = 0;
+    let next = 0;
+
+    const output = lines.map((line, index) => {
+        const lineStart = offset;
+        const lineEnd = offset + line.length;
+        offset = lineEnd + 1;
+
+        const region = regions.find(item => item.start < lineStart && lineStart < item.end);
+        const firstChar = lineStart + leadingWhitespace(line).length;
+        let level = depth;
+
+        const first = events[next];
+        if (first && first.offset === firstChar && !region) {
+            if (first.source === 'twig' && first.type !== 'open') {
+                const frame = frames[frames.length - 1];
+                level = !frame ? 0 : first.type === 'middle' ? frame.base + frame.inner - 1 : frame.base;
+            } else if (first.type === 'close') {
+                level = Math.max(depth - 1, 0);
+            }
+        }
+
+        while (next < events.length && events[next].offset <= lineEnd) {
+            const event = events[next++];
+            if (event.source === 'html') {
+                depth = Math.max(depth + (event.type === 'open' ? 1 : -1), 0);
+            } else if (event.type === 'open') {
+                // `{% case %}` tags are indented inside `{% switch %}`
+                const inner = NESTED_BRANCH_TAGS.includes(event.node.name) ? 2 : 1;
+                frames.push({ base: depth, inner, delta: null, skip: inner - 1 });
+                depth += inner;
+            } else if (frames.length) {
+                // Elements opened or closed in an `if` are expected to be
+                // opened or closed in its other branches as well
+                const frame = frames[frames.length - 1];
+                if (frame.skip) {
+                    frame.skip--;
+                } else if (frame.delta === null) {
+                    frame.delta = depth - frame.base - frame.inner;
                 }
-                if (item.insertText) {
-                    vscodeItem.insertText = typeof item.insertText === 'string'
-                        ? item.insertText
-                        : item.insertText.value;
+                depth = event.type === 'middle' ? frame.base + frame.inner : Math.max(frame.base + (frame.delta || 0), 0);
+                if (event.type === 'close') {
+                    frames.pop();
                 }
-                completions.push(vscodeItem);
-            });
+            }
         }
+
+        let result;
+        if (region && (!region.shift || !line.trim())) {
+            result = line;
+        } else if (region) {
+            // Move with the line the region starts on
+            const anchorIndent = region.indent !== undefined ? region.indent : lineIndentAt(text, region.anchor);
+            const shift = (newIndents.has(region.anchor) ? newIndents.get(region.anchor) : anchorIndent) - anchorIndent;
+            result = shift >= 0
+                ? indentUnit.charAt(0).repeat(shift) + line
+                : line.substring(Math.min(-shift, leadingWhitespace(line).length));
+        } else {
+            const content = line.replace(/^[ \t]+/, '');
+            const comment = /^(<!--|\{#)/.test(content);
+            if (comment) {
+                comments.push(index);
+            }
+            result = content.trim() ? indentUnit.repeat(settings.comments && comment ? 0 : level + baseLevel) + content : content.replace(/[ \t]+/g, '');
+        }
+
+        regions.forEach(item => {
+            if (lineStart <= item.anchor && item.anchor <= lineEnd) {
+                newIndents.set(item.anchor, leadingWhitespace(result).length);
+            }
+        });
+        return result;
+    });
+
+    // A blank line above comments that don't follow another comment
+    if (settings.commentLine) {
+        comments.reverse().forEach(index => {
+            const previous = index > 0 ? output[index - 1].trim() : '';
+            if (previous && !/^(<!--|\{#)|(-->|#\})$/.test(previous)) {
+                output.splice(index, 0, '');
+            }
+        });
     }
-    
-    // Add Alpine.js completions if in attribute position
-    if (isInAttributePosition(document, position)) {
-        completions.push(...getAlpineCompletions());
-    }
-    
-    // Add Twig tag completions if inside {% %}
-    if (isInsideTwigBlock(document, position)) {
-        completions.push(...getTwigTagCompletions());
-    }
-    
-    // Add Twig filter completions if after |
-    if (isAfterPipe(document, position)) {
-        completions.push(...getTwigFilterCompletions());
-    }
-    
-    return completions;
+
+    return output.join('\n');
 }
 
 /**
- * Initialize completion provider
+ * Format a Twig template
+ * @param {string} source - Template source
+ * @param {object} options - js-beautify html options
+ * @param {object} [settings] - Formatter settings (`twig-language-2.*`)
+ * @returns {string} - Formatted template
  */
-function initializeCompletions(context, htmlLS) {
-    htmlLanguageService$1 = htmlLS;
+function formatTwig(source, options, settings = {}) {
+    const indentUnit = options.indent_with_tabs ? '\t' : (options.indent_char || ' ').repeat(options.indent_size);
+    const spaced = formatSpacing(source, settings);
+
+    // Literals in HTML tags, scripts and styles are kept on one line
+    const template = parse(spaced);
+    const markup = scanMarkup(maskTwig(spaced, template));
+    const placement = offset => {
+        const region = markup.regions.find(item => (item.tag || item.script) && item.start <= offset && offset < item.end);
+        return !region ? null : region.tag ? 'attribute' : 'script';
+    };
+    const expressions = formatExpressions(template, spaced, settings, indentUnit, placement);
+
+    const { text, protectedParts } = protectParts(expressions, settings);
+    const beautified = formatMarkup(formatCode(jsBeautify.html(text, options), settings, indentUnit), settings);
+    const restored = restoreTwig(beautified, protectedParts);
+
+    return indentTemplate(restored.text, restored.regions, indentUnit, settings);
 }
 
 const editor = vscode.workspace.getConfiguration('editor');
@@ -481,12 +8370,56 @@ let htmlLanguageService;
 function createHover(snippet, type) {
     const example = typeof snippet.example == 'undefined' ? '' : snippet.example;
     const description = typeof snippet.description == 'undefined' ? '' : snippet.description;
+    // Filters and functions of the project carry their signature
+    const signature = typeof snippet.signature == 'undefined' ? '' : snippet.signature + '\n\n';
     return new vscode.Hover({
         language: type,
-        value: description + '\n\n' + example
+        value: signature + description + '\n\n' + example
     });
 }
 
+function findSnippet(catalog, word) {
+    for (const snippet in catalog) {
+        if (snippet == word || catalog[snippet].prefix == word || catalog[snippet].hover == word) {
+            return catalog[snippet]
+        }
+    }
+}
+
+/**
+ * Hover entry for the filter, function, tag, test or global variable under the
+ * cursor, from the catalog of the active framework profile
+ */
+function findTwigSnippet(document, position) {
+    const offset = document.offsetAt(position);
+    const path = findNodePath(parseDocument(document), offset);
+    const catalog = getCatalog();
+
+    for (let i = path.length - 1; i > 0; i--) {
+        const node = path[i];
+
+        if (node.type === 'Filter' && node.nameStart <= offset && offset <= node.nameEnd) {
+            return findEntry(catalog.filters, node.name);
+        }
+
+        if (node.type === 'Call' && node.callee.type === 'Name' && node.callee.start <= offset && offset <= node.callee.end) {
+            return findEntry(catalog.functions, node.callee.name);
+        }
+
+        if (node.type === 'Tag' && node.nameStart <= offset && offset <= node.nameEnd) {
+            return findEntry(catalog.tags, node.name);
+        }
+
+        if (node.type === 'Test' && node.nameStart <= offset && offset <= node.nameEnd) {
+            return findEntry(catalog.tests, node.name);
+        }
+
+        if (node.type === 'Name' && path[i - 1].callee !== node) {
+            return findEntry(catalog.globals, node.name);
+        }
+    }
+}
+
 function formatDocument(document, range) {
     const result = [];
     let source = document.getText(range);
@@ -521,17 +8454,21 @@ function formatDocument(document, range) {
         indent_head_inner_html: true,
         indent_handlebars: true,
         indent_scripts: 'normal',
-        brace_style: config.braceStyle || 'collapse',
-        unformatted: config.unformatted ? config.unformatted.split(',').map(s => s.trim()) : ['code', 'pre', 'textarea'],
+        unformatted: typeof config.unformatted === 'string' && config.unformatted.trim()
+            ? config.unformatted.split(',').map(s => s.trim()).filter(Boolean)
+            : ['code', 'pre', 'textarea'],
         content_unformatted: ['pre', 'textarea'],
         extra_liners: ['head', 'body', '/html'],
         inline: [],  // Treat no tags as inline to prevent collapsing
         void_elements: [],  // Let js-beautify use defaults
-        templating: ['auto']  // Enable templating language support
+        templating: ['auto'],  // Enable templating language support
+        js: getScriptOptions(config),
+        css: getStyleOptions(config)
     };
 
-    // Format with js-beautify
-    const output = jsBeautify.html(source, options);
+    // Format with js-beautify, then indent the Twig structure and apply
+    // the settings js-beautify has no option for
+    const output = formatTwig(source, options, config);
 
     result.push(vscode.TextEdit.replace(range, output));
     return result;
@@ -546,6 +8483,12 @@ function activate(context) {
         customDataProviders: []
     });
 
+    // Tags, filters, functions, tests and globals of the framework profile
+    initializeCatalog(context);
+
+    // Alpine components and stores registered in the workspace scripts
+    initializeScripts(context);
+
     // Initialize diagnostics
     if (config.validation !== false) {
         initializeDiagnostics(context);
@@ -558,12 +8501,86 @@ function activate(context) {
         context.subscriptions.push(
             vscode.languages.registerCompletionItemProvider('twig', {
                 provideCompletionItems(document, position, token, context) {
-                    return provideCompletions(document, position);
+                    return provideCompletions(document, position, token, context);
+                }
+            }, '.')
+        );
+
+        context.subscriptions.push(
+            vscode.languages.registerSignatureHelpProvider('twig', {
+                provideSignatureHelp(document, position) {
+                    return provideSignatureHelp(document, position);
+                }
+            }, '(', ',')
+        );
+    }
+
+    // Go to definition for template references
+    initializeTemplates(context);
+
+    // Background index of the workspace templates, for the cross-file features
+    initializeIndex(context);
+
+    context.subscriptions.push(
+        vscode.languages.registerDefinitionProvider('twig', {
+            provideDefinition(document, position) {
+                return provideDefinition(document, position);
+            }
+        })
+    );
+
+    // Templates extending, including, embedding or importing a template
+    context.subscriptions.push(
+        vscode.languages.registerReferenceProvider('twig', {
+            provideReferences(document, position) {
+                return provideReferences(document, position);
+            }
+        })
+    );
+
+    // Outline of blocks, macros, variables and loops
+    initializeSymbols(context, htmlLanguageService);
+
+    context.subscriptions.push(
+        vscode.languages.registerDocumentSymbolProvider('twig', {
+            provideDocumentSymbols(document) {
+                return provideDocumentSymbols(document);
+            }
+        })
+    );
+
+    // Navigation between overridden blocks of the template inheritance chain
+    if (config.codeLens !== false) {
+        context.subscriptions.push(
+            vscode.languages.registerCodeLensProvider('twig', {
+                provideCodeLenses(document) {
+                    return provideCodeLenses(document);
                 }
             })
         );
     }
 
+    // Rename blocks, macros and variables
+    context.subscriptions.push(
+        vscode.languages.registerRenameProvider('twig', {
+            prepareRename(document, position) {
+                return prepareRename(document, position);
+            },
+            provideRenameEdits(document, position, newName) {
+                return provideRenameEdits(document, position, newName);
+            }
+        })
+    );
+
+    // Quick fixes for unknown tags, filters, functions, tests and Alpine names
+    context.subscriptions.push(
+        vscode.languages.registerCodeActionsProvider('twig', {
+            provideCodeActions(document, range, context) {
+                return provideCodeActions(document, range, context);
+            }
+        }, { providedCodeActionKinds: [vscode.CodeActionKind.QuickFix] })
+    );
+
     registerDocType('twig');
 
     function registerDocType(type) {
@@ -581,27 +8598,28 @@ function activate(context) {
                     
                     const word = document.getText(range);
 
-                    for (const snippet in snippetsArr) {
-                        if (snippetsArr[snippet].prefix == word || snippetsArr[snippet].hover == word) {
-                            return createHover(snippetsArr[snippet], type)
-                        }
+                    // Filters, functions and tags share names (`date`, `block`, ...),
+                    // so pick the catalog from the Twig syntax under the cursor first
+                    const twigSnippet = findTwigSnippet(document, position);
+                    if (twigSnippet) {
+                        return createHover(twigSnippet, type)
                     }
 
-                    for (const snippet in functionsArr) {
-                        if (functionsArr[snippet].prefix == word || functionsArr[snippet].hover == word) {
-                            return createHover(functionsArr[snippet], type)
-                        }
+                    const alpineSnippet = findAlpineHover(document, position);
+                    if (alpineSnippet) {
+                        return createHover(alpineSnippet, type)
                     }
 
-                    for (const snippet in twigArr) {
-                        if (twigArr[snippet].prefix == word || twigArr[snippet].hover == word) {
-                            return createHover(twigArr[snippet], type)
-                        }
+                    const cssHover = findCssHover(document, position);
+                    if (cssHover) {
+                        return cssHover;
                     }
 
-                    for (const snippet in alpineArr) {
-                        if (alpineArr[snippet].prefix == word || alpineArr[snippet].hover == word) {
-                            return createHover(alpineArr[snippet], type)
+                    const { filters, functions, tags } = getCatalog();
+                    for (const catalog of [filters, functions, tags, getAlpineCatalog()]) {
+                        const snippet = findSnippet(catalog, word);
+                        if (snippet) {
+                            return createHover(snippet, type)
                         }
                     }
 
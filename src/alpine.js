@@ -0,0 +1,723 @@
+import vscode from 'vscode';
+import { getLanguageService } from 'vscode-html-languageservice';
+import { TextDocument } from 'vscode-languageserver-textdocument';
+import alpineArr from './hover/alpine.json';
+import { suggestNames, formatSuggestions } from './catalog';
+import { parseDocument, maskTwig } from './parser';
+import { getDataProperties, parseScript, getScripts } from './scripts';
+
+// Directives whose value is not JavaScript: a name, CSS classes, a selector
+// or an input mask
+const NON_EXPRESSION_DIRECTIVES = ['x-ref', 'x-transition', 'x-teleport', 'x-cloak', 'x-ignore', 'x-collapse', 'x-mask', 'x-for'];
+
+// `x-` attributes of browsers and vendors, e.g. `x-apple-data-detectors`
+const VENDOR_ATTRIBUTE = /^x-(?:apple|ms|moz|webkit)-/;
+
+// Any key name can follow a keyboard event, e.g. `@keydown.page-down`
+const KEYBOARD_EVENTS = ['keydown', 'keyup', 'keypress'];
+
+const DEFAULT_PLUGINS = ['anchor', 'collapse', 'focus', 'intersect', 'mask', 'persist', 'resize', 'sort'];
+
+// Attributes of a start tag, on the text where Twig is masked
+const ATTRIBUTE = /([^\s"'<>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+// Same test as Alpine's evaluator for expressions that must run as statements
+const STATEMENT = /^[\n\s]*if.*\(.*\)|^(?:let|const)\s/;
+
+const FOR_ALIAS = /^([\s\S]*?)\s+(?:in|of)\s+([\s\S]*)$/;
+
+// `x-data="dropdown"` or `x-data="dropdown(true)"`
+const COMPONENT_CALL = /^\s*([A-Za-z_$][\w$]*)\s*(?:\([\s\S]*\))?\s*$/;
+
+let AsyncFunction = null;
+let htmlLanguageService = null;
+let documentScripts = { key: null, scripts: null };
+
+/**
+ * Entries of the Alpine catalog, without those of the plugins left out of
+ * `twig-language-2.alpinePlugins`
+ * @returns {object} - Directives and magic properties by name
+ */
+export function getAlpineCatalog() {
+    const plugins = vscode.workspace.getConfiguration('twig-language-2').get('alpinePlugins', DEFAULT_PLUGINS);
+    const catalog = {};
+    Object.keys(alpineArr)
+        .filter(key => !alpineArr[key].plugin || plugins.includes(alpineArr[key].plugin))
+        .forEach(key => {
+            catalog[key] = alpineArr[key];
+        });
+    return catalog;
+}
+
+/**
+ * Names of the known Alpine directives, e.g. `x-data`
+ * @returns {Set<string>}
+ */
+export function getAlpineDirectives() {
+    return new Set(Object.keys(getAlpineCatalog()).filter(key => key.startsWith('x-')));
+}
+
+/**
+ * Directive of an attribute, e.g. `x-on` for `@click.prevent`
+ * @param {string} name - Attribute name
+ * @returns {?string} - null when the attribute is not an Alpine directive
+ */
+function getDirective(name) {
+    if (name.startsWith('@') || name.startsWith('x-on:')) {
+        return 'x-on';
+    }
+    if (name.startsWith(':')) {
+        return 'x-bind';
+    }
+    return name.startsWith('x-') ? name.split(/[:.]/)[0] : null;
+}
+
+/**
+ * Whether the value of an attribute is a JavaScript expression
+ */
+function isExpression(name) {
+    const directive = getDirective(name);
+    return directive !== null && (!NON_EXPRESSION_DIRECTIVES.includes(directive) || name.startsWith('x-mask:dynamic'));
+}
+
+/**
+ * Attributes of an HTML element with their offsets
+ * @param {string} masked - Document text where Twig is masked, see maskTwig()
+ * @param {object} node - Element, see parseHTMLDocument()
+ * @returns {Array<{name: string, start: number, end: number, value: ?string, valueStart: number}>}
+ */
+export function getAttributes(masked, node) {
+    const end = node.startTagEnd === undefined ? node.end : node.startTagEnd;
+    const source = masked.substring(node.start, end);
+    const attributes = [];
+    let match;
+
+    // Skip `<` and the tag name
+    ATTRIBUTE.lastIndex = node.tag.length + 1;
+    while ((match = ATTRIBUTE.exec(source))) {
+        const start = node.start + match.index;
+        const quoted = match[2] !== undefined || match[3] !== undefined;
+        const value = [match[2], match[3], match[4]].find(item => item !== undefined);
+        attributes.push({
+            name: match[1],
+            start,
+            end: start + match[1].length,
+            value: value === undefined ? null : value,
+            valueStart: value === undefined ? -1 : node.start + match.index + match[0].length - value.length - (quoted ? 1 : 0)
+        });
+    }
+
+    return attributes;
+}
+
+/**
+ * Source of an attribute value as Alpine evaluates it: Twig output is
+ * replaced by a variable and entities are decoded
+ * @returns {?string} - null when the value holds Twig tags
+ */
+function toJavaScript(value) {
+    if (/\{[%#]/.test(value)) {
+        return null;
+    }
+    return value
+        .replace(/\{\{[\s\S]*?\}\}/g, '_')
+        .replace(/&quot;/g, '"')
+        .replace(/&(?:#39|apos);/g, '\'')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&amp;/g, '&');
+}
+
+/**
+ * Syntax error of an Alpine expression, compiled the way Alpine does but
+ * never run
+ * @param {string} expression - Attribute value
+ * @returns {?string} - Error message, or null when the expression is valid
+ */
+function findSyntaxError(expression) {
+    const code = STATEMENT.test(expression.trim()) ? `(async () => { ${expression} })()` : expression;
+    if (!AsyncFunction) {
+        AsyncFunction = new Function('return Object.getPrototypeOf(async function () {}).constructor;')();
+    }
+    try {
+        new AsyncFunction('__self', `__self.result = ${code}`);
+        return null;
+    } catch (error) {
+        // The closing brace of the function body is the first token an
+        // unfinished expression trips on
+        const token = /^Unexpected token '(.*)'$/.exec(error.message);
+        return token && !code.includes(token[1]) ? 'Unexpected end of input' : error.message;
+    }
+}
+
+/**
+ * Syntax error of the item and index names of `x-for`, e.g. `(item, index)`
+ */
+function findAliasError(alias) {
+    try {
+        new Function(`return (${alias.trim().replace(/^\(([\s\S]*)\)$/, '$1')}) => 0;`);
+        return null;
+    } catch (error) {
+        return error.message;
+    }
+}
+
+/**
+ * Validate the Alpine directives of an element and its children. Unknown
+ * directives and event modifiers are only reported inside `x-data`, where
+ * Alpine runs: elsewhere `x-` and `@` attributes may belong to other
+ * libraries, e.g. `<my-comp @click.native="go">`.
+ * @param {vscode.TextDocument} document - The document
+ * @param {string} masked - Document text where Twig is masked
+ * @param {object} node - Element, see parseHTMLDocument()
+ * @param {vscode.Diagnostic[]} diagnostics - Diagnostics to add to
+ * @param {boolean} [inComponent] - Whether an ancestor has `x-data`
+ */
+export function validateAlpine(document, masked, node, diagnostics, inComponent) {
+    const text = document.getText();
+    const attributes = getAttributes(masked, node);
+    const isComponent = inComponent || attributes.some(attribute => attribute.name === 'x-data');
+    const range = (start, end) => new vscode.Range(document.positionAt(start), document.positionAt(end));
+    const report = (start, end, message, severity) => {
+        const diagnostic = new vscode.Diagnostic(range(start, end), message, severity);
+        diagnostics.push(diagnostic);
+        return diagnostic;
+    };
+
+    attributes.forEach(attribute => {
+        const name = attribute.name;
+        const directive = getDirective(name);
+        if (!directive || VENDOR_ATTRIBUTE.test(name)) {
+            return;
+        }
+
+        const isEvent = directive === 'x-on';
+        if (!getAlpineDirectives().has(directive)) {
+            if (!isComponent) {
+                return;
+            }
+            const suggestions = suggestNames(getAlpineDirectives(), directive);
+            const diagnostic = report(
+                attribute.start,
+                attribute.start + directive.length,
+                `Unknown Alpine directive "${directive}"${formatSuggestions(suggestions)}`,
+                vscode.DiagnosticSeverity.Warning
+            );
+            diagnostic.code = 'unknown-directive';
+            return;
+        }
+
+        if (isEvent && isComponent) {
+            const modifiers = alpineArr['x-on'].modifiers;
+            const parts = name.replace(/^(?:@|x-on:)/, '').split('.');
+            let offset = attribute.end - parts.slice(1).join('.').length;
+            parts.slice(1).forEach((modifier, i) => {
+                const previous = modifiers[parts[i]];
+                const valid = modifiers.hasOwnProperty(modifier) ||
+                    (i > 0 && previous && previous.values && /^[\w-]+$/.test(modifier)) ||
+                    (KEYBOARD_EVENTS.includes(parts[0]) && /^[a-z0-9-]+$/.test(modifier));
+                if (!valid) {
+                    report(offset, offset + modifier.length, `Unknown event modifier ".${modifier}"`, vscode.DiagnosticSeverity.Warning);
+                }
+                offset += modifier.length + 1;
+            });
+        }
+
+        if ((directive === 'x-for' || directive === 'x-if') && node.tag.toLowerCase() !== 'template') {
+            report(attribute.start, attribute.end, `${directive} only works on <template> elements`, vscode.DiagnosticSeverity.Error);
+        } else if (directive === 'x-for' || directive === 'x-if') {
+            const content = node.endTagStart === undefined ? '' : text.substring(node.startTagEnd, node.endTagStart);
+            const roots = (node.children || []).filter(child => child.tag);
+            if (roots.length > 1 && !content.includes('{%')) {
+                report(roots[1].start, roots[1].startTagEnd || roots[1].end, `<template ${directive}> must contain a single root element, Alpine ignores the others`, vscode.DiagnosticSeverity.Warning);
+            }
+        }
+
+        const source = attribute.value === null ? '' : text.substr(attribute.valueStart, attribute.value.length);
+        const value = source.trim() ? toJavaScript(source) : null;
+        if (value === null) {
+            return;
+        }
+        const valueEnd = attribute.valueStart + attribute.value.length;
+
+        if (directive === 'x-for') {
+            const match = FOR_ALIAS.exec(value.trim());
+            const error = match ? findAliasError(match[1]) || findSyntaxError(match[2]) : 'expected "item in items" or "(item, index) in items"';
+            if (error) {
+                report(attribute.valueStart, valueEnd, `Invalid x-for expression: ${error}`, vscode.DiagnosticSeverity.Error);
+            }
+        } else if (isExpression(name)) {
+            const error = findSyntaxError(value);
+            const call = name === 'x-data' && !source.includes('{{') && COMPONENT_CALL.exec(value);
+            if (error) {
+                report(attribute.valueStart, valueEnd, `Invalid JavaScript in ${name}: ${error}`, vscode.DiagnosticSeverity.Error);
+            } else if (call && vscode.workspace.getConfiguration('twig-language-2').get('alpineComponents', true)) {
+                const known = getAlpineComponentNames(document);
+                if (!known.has(call[1]) && !getRegistrations(document).globals.has(call[1])) {
+                    const suggestions = suggestNames(known, call[1]);
+                    const start = attribute.valueStart + source.indexOf(call[1]);
+                    const diagnostic = report(
+                        start,
+                        start + call[1].length,
+                        `Unknown Alpine component "${call[1]}"${formatSuggestions(suggestions)}`,
+                        vscode.DiagnosticSeverity.Warning
+                    );
+                    diagnostic.code = 'unknown-component';
+                }
+            }
+        }
+    });
+
+    (node.children || []).forEach(child => {
+        if (child.tag) {
+            validateAlpine(document, masked, child, diagnostics, isComponent);
+        }
+    });
+}
+
+/**
+ * Components and stores registered in the inline scripts of the document,
+ * then in the scripts of the workspace, see getScripts()
+ * @param {vscode.TextDocument} document - The document
+ * @returns {{components: Array<object>, stores: Array<object>, globals: Set<string>}}
+ */
+function getRegistrations(document) {
+    const key = `${document.uri.toString()}@${document.version}`;
+    if (documentScripts.key !== key) {
+        documentScripts = { key, scripts: parseScript(document.getText()) };
+    }
+    const own = documentScripts.scripts;
+    const workspace = getScripts();
+    const located = registration => Object.assign({ uri: document.uri }, registration);
+
+    return {
+        components: own.components.map(located).concat(workspace.components),
+        stores: own.stores.map(located).concat(workspace.stores),
+        globals: new Set(own.globals.concat(Array.from(workspace.globals)))
+    };
+}
+
+/**
+ * Names of the registered Alpine components, see getRegistrations()
+ * @param {vscode.TextDocument} document - The document
+ * @returns {Set<string>}
+ */
+export function getAlpineComponentNames(document) {
+    return new Set(getRegistrations(document).components.map(component => component.name));
+}
+
+/**
+ * Range of a declaration: a name of the document, or a registration and
+ * its properties, which know their line
+ */
+function getDeclarationRange(document, declaration) {
+    return declaration.line === undefined
+        ? new vscode.Range(document.positionAt(declaration.start), document.positionAt(declaration.end))
+        : new vscode.Range(declaration.line, declaration.character, declaration.line, declaration.character + declaration.name.length);
+}
+
+/**
+ * HTML elements of a document where Twig is masked
+ */
+function parseHtml(document) {
+    if (!htmlLanguageService) {
+        htmlLanguageService = getLanguageService();
+    }
+    const masked = maskTwig(document.getText(), parseDocument(document));
+    const lsDocument = TextDocument.create(document.uri.toString(), document.languageId, document.version, masked);
+    return { masked, htmlDocument: htmlLanguageService.parseHTMLDocument(lsDocument) };
+}
+
+/**
+ * Attribute value as written, with Twig output replaced by a variable of
+ * the same length so that offsets are kept
+ */
+function getValueSource(text, attribute) {
+    return text.substr(attribute.valueStart, attribute.value.length)
+        .replace(/\{\{[\s\S]*?\}\}/g, twig => '_' + ' '.repeat(twig.length - 1));
+}
+
+/**
+ * Alpine expression under the cursor, e.g. the value of `@click="..."`
+ * @param {vscode.TextDocument} document - The document
+ * @param {number} offset - Cursor offset
+ * @returns {?{node: object, masked: string, attribute: object, source: string}}
+ */
+function findExpressionAt(document, offset) {
+    const { masked, htmlDocument } = parseHtml(document);
+    const node = htmlDocument.findNodeAt(offset);
+    if (!node || !node.tag || offset >= (node.startTagEnd || node.end)) {
+        return null;
+    }
+    const attribute = getAttributes(masked, node).find(item => item.value !== null &&
+        item.valueStart <= offset && offset <= item.valueStart + item.value.length && isExpression(item.name));
+
+    return attribute ? { node, masked, attribute, source: getValueSource(document.getText(), attribute) } : null;
+}
+
+/**
+ * Components around an element, nearest first: the elements with `x-data`
+ * and the properties of their object literal
+ */
+function getScopes(document, masked, node) {
+    const text = document.getText();
+    const scopes = [];
+    for (let element = node; element; element = element.parent) {
+        if (!element.tag) {
+            continue;
+        }
+        const data = getAttributes(masked, element).find(attribute => attribute.name === 'x-data');
+        if (!data) {
+            continue;
+        }
+        const source = data.value === null ? '' : getValueSource(text, data);
+        const call = COMPONENT_CALL.exec(source);
+        const component = call && getRegistrations(document).components.find(item => item.name === call[1]);
+        scopes.push({
+            node: element,
+            properties: component
+                ? component.properties.map(property => Object.assign({ uri: component.uri }, property))
+                : getDataProperties(source, data.valueStart)
+        });
+    }
+    return scopes;
+}
+
+/**
+ * `x-ref` names of the components around an element. A ref belongs to the
+ * closest component, and `$refs` sees those of every enclosing component.
+ */
+function getRefs(masked, scopes) {
+    const refs = [];
+    const collect = (element, isRoot) => {
+        const attributes = getAttributes(masked, element);
+        if (!isRoot && attributes.some(attribute => attribute.name === 'x-data')) {
+            return;
+        }
+        attributes
+            .filter(attribute => attribute.name === 'x-ref' && attribute.value && attribute.value.trim())
+            .forEach(attribute => {
+                const start = attribute.valueStart + attribute.value.search(/\S/);
+                refs.push({ name: attribute.value.trim(), start, end: start + attribute.value.trim().length });
+            });
+        (element.children || []).forEach(child => child.tag && collect(child, false));
+    };
+    scopes.forEach(scope => collect(scope.node, true));
+    return refs;
+}
+
+/**
+ * Completion inside an Alpine expression: the properties and methods of the
+ * enclosing `x-data` objects, nearest first, the magic properties, and the
+ * names after `$refs.` and `$store.`
+ * @param {vscode.TextDocument} document - The document
+ * @param {vscode.Position} position - Cursor position
+ * @returns {?vscode.CompletionItem[]} - null outside of Alpine expressions
+ */
+export function getAlpineExpressionCompletions(document, position) {
+    const offset = document.offsetAt(position);
+    const found = findExpressionAt(document, offset);
+    if (!found) {
+        return null;
+    }
+
+    const before = found.source.substring(0, offset - found.attribute.valueStart);
+    const member = /(\$?[\w$]*)\.\s*[\w$]*$/.exec(before);
+    const storeMember = /\$store\s*\.\s*([\w$]+)\s*\.\s*[\w$]*$/.exec(before);
+    const scopes = getScopes(document, found.masked, found.node);
+    const registrations = getRegistrations(document);
+
+    if (member && member[1] === '$refs') {
+        return getRefs(found.masked, scopes).map(ref => {
+            const item = new vscode.CompletionItem(ref.name, vscode.CompletionItemKind.Reference);
+            item.detail = `x-ref="${ref.name}"`;
+            return item;
+        });
+    }
+    if (member && member[1] === '$store') {
+        return registrations.stores.map(store => {
+            const item = new vscode.CompletionItem(store.name, vscode.CompletionItemKind.Module);
+            item.detail = `Alpine.store('${store.name}')`;
+            item.documentation = new vscode.MarkdownString().appendCodeblock(store.source, 'javascript');
+            return item;
+        });
+    }
+    if (storeMember) {
+        const store = registrations.stores.find(item => item.name === storeMember[1]);
+        return (store ? store.properties : []).map(property => {
+            const item = new vscode.CompletionItem(
+                property.name,
+                property.kind === 'method' ? vscode.CompletionItemKind.Method : vscode.CompletionItemKind.Property
+            );
+            item.detail = `${property.kind} of Alpine.store('${store.name}')`;
+            return item;
+        });
+    }
+    if (member) {
+        return [];
+    }
+
+    const items = [];
+
+    // Registered components where `x-data` starts
+    if (found.attribute.name === 'x-data' && /^\s*[\w$]*$/.test(before)) {
+        registrations.components.forEach(component => {
+            const item = new vscode.CompletionItem(component.name, vscode.CompletionItemKind.Class);
+            item.detail = `Alpine.data('${component.name}')${component.path ? ` in ${component.path}` : ''}`;
+            item.documentation = new vscode.MarkdownString().appendCodeblock(component.source, 'javascript');
+            if (component.params) {
+                item.insertText = new vscode.SnippetString(`${component.name}($1)`);
+            }
+            item.sortText = ` ${component.name}`;
+            items.push(item);
+        });
+    }
+
+    const seen = new Set();
+    scopes.forEach((scope, depth) => {
+        scope.properties.filter(property => !seen.has(property.name)).forEach(property => {
+            seen.add(property.name);
+            const item = new vscode.CompletionItem(
+                property.name,
+                property.kind === 'method' ? vscode.CompletionItemKind.Method : vscode.CompletionItemKind.Property
+            );
+            item.detail = `x-data ${property.kind} of <${scope.node.tag}>`;
+            // Nearest scope first
+            item.sortText = `${depth}${property.name}`;
+            items.push(item);
+        });
+    });
+
+    const catalog = getAlpineCatalog();
+    Object.keys(catalog).filter(key => key.startsWith('$')).forEach(key => {
+        const item = new vscode.CompletionItem(key, vscode.CompletionItemKind.Variable);
+        item.documentation = new vscode.MarkdownString(catalog[key].description || '');
+        item.detail = 'Alpine.js magic property';
+        item.sortText = `~${key}`;
+        items.push(item);
+    });
+
+    return items;
+}
+
+/**
+ * Declaration of the name under the cursor in an Alpine expression: the
+ * `x-data` property, the `x-ref` after `$refs.`, the store after `$store.`
+ * and its properties, or the component of `x-data="dropdown"`
+ * @param {vscode.TextDocument} document - The document
+ * @param {vscode.Position} position - Cursor position
+ * @returns {?{start: number, end: number, uri: vscode.Uri, range: vscode.Range}} - Offsets of the name, and the location of its declaration
+ */
+export function findAlpineDeclaration(document, position) {
+    const offset = document.offsetAt(position);
+    const found = findExpressionAt(document, offset);
+    if (!found) {
+        return null;
+    }
+
+    const relative = offset - found.attribute.valueStart;
+    const start = relative - /[\w$]*$/.exec(found.source.substring(0, relative))[0].length;
+    const end = relative + /^[\w$]*/.exec(found.source.substring(relative))[0].length;
+    const name = found.source.substring(start, end);
+    if (!name || /^\d/.test(name)) {
+        return null;
+    }
+
+    const before = found.source.substring(0, start);
+    const member = /(\$?[\w$]*)\s*\.\s*$/.exec(before);
+    const storeMember = /\$store\s*\.\s*([\w$]+)\s*\.\s*$/.exec(before);
+    const registrations = getRegistrations(document);
+    const component = registrations.components.find(item => item.name === name);
+    let target;
+    if (found.attribute.name === 'x-data' && !before.trim() && component) {
+        target = component;
+    } else if (member && member[1] === '$refs') {
+        target = getRefs(found.masked, getScopes(document, found.masked, found.node)).find(ref => ref.name === name);
+    } else if (member && member[1] === '$store') {
+        target = registrations.stores.find(store => store.name === name);
+    } else if (storeMember) {
+        const store = registrations.stores.find(item => item.name === storeMember[1]);
+        target = store && store.properties.find(property => property.name === name);
+        target = target && Object.assign({ uri: store.uri }, target);
+    } else if (!member) {
+        const scope = getScopes(document, found.masked, found.node).find(item => item.properties.some(property => property.name === name));
+        target = scope && scope.properties.find(property => property.name === name);
+    }
+
+    return target ? {
+        start: found.attribute.valueStart + start,
+        end: found.attribute.valueStart + end,
+        uri: target.uri || document.uri,
+        range: getDeclarationRange(document, target)
+    } : null;
+}
+
+/**
+ * Parts of a directive attribute name with their offsets, e.g. `@`, `click`
+ * and `prevent` for `@click.prevent`
+ * @param {string} name - Attribute name, possibly still being typed
+ * @returns {?{directive: string, prefix: string, argument: ?string, modifiers: string[]}}
+ */
+function splitDirective(name) {
+    const directive = getDirective(name);
+    if (!directive) {
+        return null;
+    }
+    const match = /^(@|:|x-[\w-]+:?)([^.]*)((?:\.[^.]*)*)$/.exec(name);
+    if (!match) {
+        return null;
+    }
+    const hasArgument = match[1] === '@' || match[1] === ':' || match[1].endsWith(':');
+    return {
+        directive,
+        prefix: match[1],
+        argument: hasArgument ? match[2] : null,
+        modifiers: match[3] ? match[3].substring(1).split('.') : []
+    };
+}
+
+/**
+ * Modifiers that can follow a directive, e.g. the key names after `@keydown`
+ */
+function getModifiers(entry, argument) {
+    if (entry === alpineArr['x-on'] && KEYBOARD_EVENTS.includes(argument)) {
+        return Object.assign({}, entry.modifiers, entry.keyModifiers);
+    }
+    return entry.modifiers || {};
+}
+
+function createCompletion(label, kind, description, detail) {
+    const item = new vscode.CompletionItem(label, kind);
+    item.documentation = new vscode.MarkdownString(description || '');
+    item.detail = detail;
+    return item;
+}
+
+/**
+ * Completion of an Alpine attribute name: the directives of the enabled
+ * plugins and the shorthands, then the event, attribute or transition stage
+ * after `@`, `:` or `x-...:`, and the modifiers of the directive after `.`
+ * @param {vscode.TextDocument} document - The document
+ * @param {vscode.Position} position - Cursor position, in a start tag
+ * @returns {vscode.CompletionItem[]}
+ */
+export function getAlpineAttributeCompletions(document, position) {
+    const typed = /[^\s"'<>=]*$/.exec(document.lineAt(position.line).text.substring(0, position.character))[0];
+    const catalog = getAlpineCatalog();
+    const parts = splitDirective(typed);
+    const entry = parts && catalog[parts.directive];
+    const replacing = length => item => {
+        item.range = new vscode.Range(position.translate(0, -length), position);
+        return item;
+    };
+
+    if (entry && parts.modifiers.length) {
+        const modifiers = getModifiers(entry, parts.argument);
+        const typedModifiers = parts.modifiers.slice(0, -1);
+        const last = typedModifiers[typedModifiers.length - 1];
+        const current = replacing(parts.modifiers[parts.modifiers.length - 1].length);
+        if (modifiers.hasOwnProperty(last) && modifiers[last].values) {
+            return modifiers[last].values.map(value => current(createCompletion(value, vscode.CompletionItemKind.Value, modifiers[last].description, `.${last}.${value}`)));
+        }
+        return Object.keys(modifiers)
+            .filter(modifier => !typedModifiers.includes(modifier))
+            .map(modifier => current(createCompletion(modifier, vscode.CompletionItemKind.Module, modifiers[modifier].description, `${parts.directive} modifier`)));
+    }
+
+    if (entry && parts.argument !== null && (typed.includes(':') || parts.argument)) {
+        const current = replacing(parts.prefix.length > 1 ? parts.argument.length : typed.length);
+        const label = name => parts.prefix.length > 1 ? name : `${parts.prefix}${name}`;
+        if (parts.directive === 'x-on') {
+            return entry.events.map(event => current(createCompletion(
+                label(event),
+                vscode.CompletionItemKind.Event,
+                `Alpine.js event handler for \`${event}\``,
+                `${parts.prefix}${event}="handler"`
+            )));
+        }
+        if (parts.directive === 'x-bind') {
+            return entry.attributes.map(attribute => current(createCompletion(
+                label(attribute),
+                vscode.CompletionItemKind.Property,
+                `Alpine.js attribute binding for \`${attribute}\``,
+                `${parts.prefix}${attribute}="value"`
+            )));
+        }
+        const args = entry.arguments || {};
+        return Object.keys(args).map(argument => current(createCompletion(argument, vscode.CompletionItemKind.Property, args[argument], `${parts.prefix}${argument}`)));
+    }
+
+    const items = [];
+    Object.keys(catalog).filter(key => key.startsWith('x-')).forEach(key => {
+        const item = createCompletion(catalog[key].prefix || key, vscode.CompletionItemKind.Property, catalog[key].description, catalog[key].description);
+        if (catalog[key].example) {
+            item.documentation.appendCodeblock(catalog[key].example, 'html');
+        }
+        items.push(item);
+    });
+    catalog['x-on'].events.forEach(event => {
+        items.push(createCompletion(`@${event}`, vscode.CompletionItemKind.Event, `Alpine.js event handler shorthand for \`x-on:${event}\``, `@${event}="handler"`));
+    });
+    catalog['x-bind'].attributes.forEach(attribute => {
+        items.push(createCompletion(`:${attribute}`, vscode.CompletionItemKind.Property, `Alpine.js attribute binding shorthand for \`x-bind:${attribute}\``, `:${attribute}="value"`));
+    });
+    return items.map(replacing(typed.length));
+}
+
+/**
+ * Hover of the part of an Alpine attribute name under the cursor: the
+ * directive, the transition stage or plugin argument, or the modifier, and
+ * of the component named by `x-data`
+ * @param {vscode.TextDocument} document - The document
+ * @param {vscode.Position} position - Cursor position
+ * @returns {?{description: string, example: string}} - Catalog entry
+ */
+export function findAlpineHover(document, position) {
+    const offset = document.offsetAt(position);
+
+    // The registration of `x-data="dropdown"`
+    const expression = findExpressionAt(document, offset);
+    const call = expression && expression.attribute.name === 'x-data' && COMPONENT_CALL.exec(expression.source);
+    if (call) {
+        const start = expression.attribute.valueStart + expression.source.indexOf(call[1]);
+        const component = getRegistrations(document).components.find(item => item.name === call[1]);
+        if (component && start <= offset && offset <= start + call[1].length) {
+            return {
+                description: `Alpine.data('${component.name}') component${component.path ? `, defined in ${component.path}:${component.line + 1}` : ''}`,
+                example: component.source
+            };
+        }
+    }
+
+    const { masked, htmlDocument } = parseHtml(document);
+    const node = htmlDocument.findNodeAt(offset);
+    if (!node || !node.tag || offset >= (node.startTagEnd || node.end)) {
+        return null;
+    }
+    const attribute = getAttributes(masked, node).find(item => item.start <= offset && offset <= item.end);
+    const parts = attribute && splitDirective(attribute.name);
+    const entry = parts && getAlpineCatalog()[parts.directive];
+    if (!entry) {
+        return null;
+    }
+
+    let start = attribute.start + parts.prefix.length + (parts.argument || '').length;
+    if (parts.argument && offset > attribute.start + parts.prefix.length && offset <= start && entry.arguments && entry.arguments[parts.argument]) {
+        return { description: `${parts.prefix}${parts.argument}: ${entry.arguments[parts.argument]}`, example: entry.example };
+    }
+
+    const modifiers = getModifiers(entry, parts.argument);
+    let found = null;
+    let previous = null;
+    parts.modifiers.forEach(modifier => {
+        const end = start + 1 + modifier.length;
+        const described = modifiers.hasOwnProperty(modifier) ? modifier : previous;
+        if (offset > start && offset <= end && described && modifiers.hasOwnProperty(described)) {
+            found = { description: `.${described} modifier of ${parts.directive}: ${modifiers[described].description}`, example: '' };
+        }
+        previous = modifier;
+        start = end;
+    });
+
+    return found || entry;
+}
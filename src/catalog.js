@@ -0,0 +1,509 @@
+import vscode from 'vscode';
+import filters from './hover/filters.json';
+import functions from './hover/functions.json';
+import tags from './hover/twig.json';
+import tests from './hover/tests.json';
+import globals from './hover/globals.json';
+import snippets from './snippets/profiles.json';
+import craft from './frameworks/craft.json';
+import symfony from './frameworks/symfony.json';
+import drupal from './frameworks/drupal.json';
+import { getPhpExtensions, getVendorExtensions, initializePhpExtensions, onDidChangePhpExtensions } from './php';
+
+// Profiles of the `framework` setting: core Twig, plus what a framework adds
+export const FRAMEWORKS = {
+    twig: { label: 'Twig', extension: null },
+    craft: { label: 'Craft CMS', extension: craft },
+    symfony: { label: 'Symfony', extension: symfony },
+    drupal10: { label: 'Drupal 10', extension: drupal }
+};
+
+const SECTIONS = ['tags', 'filters', 'functions', 'tests', 'globals'];
+const CORE = { tags, filters, functions, tests, globals };
+const EXTENSIONS = [craft, symfony, drupal];
+
+// Snippets that belong to a framework; the others of `snippets/profiles.json`
+// depend on the Twig version. The snippets every profile has are contributed
+// by package.json from `snippets/snippets.json`.
+const FRAMEWORK_SNIPPETS = new Set([].concat(...EXTENSIONS.map(extension => extension.snippets)));
+
+// Workspace file declaring the project's own Twig extensions
+const CUSTOM_FILE = '.twig-language.json';
+const DEFAULT_TWIG_VERSION = '3';
+
+const catalogs = new Map();
+const changeEmitter = new vscode.EventEmitter();
+let detected = 'twig';
+let custom = {};
+
+/**
+ * Fired when the active profile changes, e.g. after editing the settings
+ * @type {vscode.Event<void>}
+ */
+export const onDidChangeCatalog = changeEmitter.event;
+
+/**
+ * Active profile: the `framework` setting, or the framework detected from
+ * composer.json when it is `auto`
+ * @returns {string} - Key of FRAMEWORKS
+ */
+export function getFramework() {
+    const setting = vscode.workspace.getConfiguration('twig-language-2').get('framework', 'auto');
+    return FRAMEWORKS[setting] ? setting : detected;
+}
+
+/**
+ * Twig version of the project, from the `twigVersion` setting, e.g. `3` for
+ * the latest 3.x or `2.12`
+ * @returns {string}
+ */
+export function getTwigVersion() {
+    const setting = String(vscode.workspace.getConfiguration('twig-language-2').get('twigVersion', DEFAULT_TWIG_VERSION));
+    return /^\d+(\.\d+)?$/.test(setting) ? setting : DEFAULT_TWIG_VERSION;
+}
+
+/**
+ * Whether the configured Twig version is a version or a later one. A major
+ * version alone stands for its latest release: `3` is at least `3.12`.
+ * @param {string} version - Version, e.g. `3.12`
+ * @returns {boolean}
+ */
+export function isTwigVersionAtLeast(version) {
+    const parse = value => {
+        const parts = String(value).split('.');
+        return [Number(parts[0]), parts.length > 1 ? Number(parts[1]) : Infinity];
+    };
+    const [major, minor] = parse(getTwigVersion());
+    const [wantedMajor, wantedMinor] = parse(version);
+    return major > wantedMajor || (major === wantedMajor && minor >= wantedMinor);
+}
+
+/**
+ * Whether an entry exists in the configured Twig version: added by then
+ * (`since`) and not removed yet (`removed`)
+ */
+function isAvailable(entry) {
+    return !(entry.since && !isTwigVersionAtLeast(entry.since)) && !(entry.removed && isTwigVersionAtLeast(entry.removed));
+}
+
+function availableEntries(section) {
+    const entries = {};
+    Object.keys(section || {}).filter(key => isAvailable(section[key])).forEach(key => {
+        entries[key] = section[key];
+    });
+    return entries;
+}
+
+function buildCatalog(framework) {
+    const extension = FRAMEWORKS[framework].extension;
+    const catalog = { framework, label: FRAMEWORKS[framework].label, version: getTwigVersion(), snippets: {} };
+    const php = getPhpExtensions();
+    const vendor = getVendorExtensions();
+    const entries = (found, section) => {
+        const result = {};
+        Object.keys(found[section] || {}).forEach(name => {
+            result[name] = customEntry(section, name, found[section][name]);
+        });
+        return result;
+    };
+
+    // What vendor declares fills the gaps of the built-in catalogs, whose
+    // descriptions are more useful than "Defined in vendor/..."
+    SECTIONS.forEach(section => {
+        catalog[section] = Object.assign({}, entries(vendor, section), availableEntries(CORE[section]),
+            availableEntries(extension && extension[section]), entries(php, section), custom[section]);
+    });
+
+    const ownSnippets = extension ? extension.snippets : [];
+    Object.keys(snippets)
+        .filter(key => !FRAMEWORK_SNIPPETS.has(key) || ownSnippets.includes(key))
+        .filter(key => isAvailable(snippets[key]))
+        .forEach(key => {
+            catalog.snippets[key] = snippets[key];
+        });
+
+    return catalog;
+}
+
+/**
+ * Tags, filters, functions, tests, globals and snippets of the active profile
+ * that exist in the configured Twig version, with the extensions found in the
+ * PHP sources and the declarations of `.twig-language.json`, which take precedence.
+ * Entries have the shape of the `src/hover/*.json` catalogs. The snippets are
+ * only those of the framework or Twig version, the shared ones being static.
+ * @returns {{framework: string, label: string, version: string, tags: object, filters: object, functions: object, tests: object, globals: object, snippets: object}}
+ */
+export function getCatalog() {
+    const key = `${getFramework()}@${getTwigVersion()}`;
+    if (!catalogs.has(key)) {
+        catalogs.set(key, buildCatalog(getFramework()));
+    }
+    return catalogs.get(key);
+}
+
+/**
+ * How a core tag, filter, function or test stands in the configured Twig
+ * version: not added yet, deprecated or removed, e.g. the `filter` tag,
+ * removed in Twig 3.0. Names the project defines itself are left alone.
+ * @param {string} section - `tags`, `filters`, `functions` or `tests`
+ * @param {string} name - Key of the entry, e.g. `spaceless` or `for if`
+ * @returns {{change: string, version: string, replacement: string|undefined}|null} - `change`
+ *   is `added`, `deprecated` or `removed`
+ */
+export function findVersionChange(section, name) {
+    const has = (catalog, key) => Object.prototype.hasOwnProperty.call(catalog, key);
+    const entry = has(CORE[section], name) ? CORE[section][name] : null;
+    const active = getCatalog()[section];
+    if (!entry || (has(active, name) && active[name] !== entry)) {
+        return null;
+    }
+
+    if (entry.since && !isTwigVersionAtLeast(entry.since)) {
+        return { change: 'added', version: entry.since, replacement: entry.replacement };
+    }
+    if (entry.removed && isTwigVersionAtLeast(entry.removed)) {
+        return { change: 'removed', version: entry.removed, replacement: entry.replacement };
+    }
+    if (entry.deprecated && isTwigVersionAtLeast(entry.deprecated)) {
+        return { change: 'deprecated', version: entry.deprecated, replacement: entry.replacement };
+    }
+    return null;
+}
+
+/**
+ * Entry of a catalog section by name, matching the entry's key or its prefix
+ * @param {object} section - Catalog section, e.g. `getCatalog().filters`
+ * @param {string} name - Name as written in the template
+ * @returns {object|undefined}
+ */
+export function findEntry(section, name) {
+    if (Object.prototype.hasOwnProperty.call(section, name)) {
+        return section[name];
+    }
+    const key = Object.keys(section).find(key => section[key].prefix === name || section[key].hover === name);
+    return key ? section[key] : undefined;
+}
+
+/**
+ * Names of a section of the active catalog, as written in templates. Entries
+ * that are snippets rather than names, e.g. `for else` or `trim()`, are left out.
+ * @param {string} section - `tags`, `filters`, `functions` or `tests`
+ * @returns {Set<string>}
+ */
+export function getKnownNames(section) {
+    const entries = getCatalog()[section];
+    // Tests may have two words, e.g. `divisible by`
+    const pattern = section === 'tests' ? /^\w+( \w+)?$/ : /^\w+$/;
+    const names = new Set();
+
+    Object.keys(entries).forEach(key => {
+        const entry = entries[key];
+        if (section !== 'tags') {
+            [key, entry.prefix].filter(name => name && pattern.test(name)).forEach(name => names.add(name));
+            return;
+        }
+        if (pattern.test(key) && [].concat(entry.body || []).join('\n').includes(`{% ${key}`)) {
+            names.add(key);
+        }
+        if (entry.end) {
+            names.add(entry.end === true ? `end${key}` : entry.end);
+        }
+    });
+    return names;
+}
+
+/**
+ * Edit distance between two names, counting a swap of two neighbouring
+ * characters as one edit, e.g. `incldue` is one edit away from `include`
+ */
+function editDistance(a, b) {
+    const rows = [];
+    for (let i = 0; i <= a.length; i++) {
+        rows.push([i]);
+    }
+    for (let j = 1; j <= b.length; j++) {
+        rows[0][j] = j;
+    }
+
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+            }
+        }
+    }
+    return rows[a.length][b.length];
+}
+
+/**
+ * Known names closest to an unknown one, e.g. `upper` for `uppper`
+ * @param {Iterable<string>} names - Known names, see getKnownNames()
+ * @param {string} name - Unknown name
+ * @returns {string[]} - At most three names, closest first
+ */
+export function suggestNames(names, name) {
+    const limit = Math.max(1, Math.min(3, Math.floor(name.length / 3)));
+
+    return Array.from(names)
+        .map(candidate => ({ candidate, distance: editDistance(name.toLowerCase(), candidate.toLowerCase()) }))
+        .filter(item => item.distance <= limit)
+        .sort((a, b) => a.distance - b.distance || a.candidate.localeCompare(b.candidate))
+        .slice(0, 3)
+        .map(item => item.candidate);
+}
+
+/**
+ * End of the message of an unknown name proposing the closest ones, e.g.
+ * `. Did you mean "upper" or "lower"?`
+ * @param {string[]} suggestions - Names from suggestNames()
+ * @returns {string} - Empty without suggestions
+ */
+export function formatSuggestions(suggestions) {
+    if (!suggestions.length) {
+        return '';
+    }
+    const quoted = suggestions.map(suggestion => `"${suggestion}"`);
+    const last = quoted.pop();
+    return `. Did you mean ${quoted.length ? `${quoted.join(', ')} or ${last}` : last}?`;
+}
+
+/**
+ * Frameworks other than the active one defining a name, e.g. `Craft CMS` for
+ * the `nav` tag
+ * @param {string} section - `tags`, `filters`, `functions`, `tests` or `globals`
+ * @param {string} name - Name as written in the template
+ * @returns {string[]} - Framework names
+ */
+export function findOtherFrameworks(section, name) {
+    const active = FRAMEWORKS[getFramework()].extension;
+    return EXTENSIONS
+        .filter(extension => extension !== active && findEntry(extension[section], name))
+        .map(extension => extension.name);
+}
+
+/**
+ * Framework a workspace folder uses, from the packages its composer.json requires
+ */
+function detectFolder(folder) {
+    const uri = vscode.Uri.joinPath(folder.uri, 'composer.json');
+
+    return Promise.resolve(vscode.workspace.fs.readFile(uri)).then(content => {
+        const composer = JSON.parse(Buffer.from(content).toString('utf8'));
+        const packages = Object.assign({}, composer['require-dev'], composer.require);
+
+        if (packages['craftcms/cms']) {
+            return 'craft';
+        }
+        if (packages['drupal/core'] || packages['drupal/core-recommended']) {
+            return 'drupal10';
+        }
+        if (packages['symfony/twig-bridge'] || packages['symfony/twig-bundle'] || packages['symfony/framework-bundle']) {
+            return 'symfony';
+        }
+        return null;
+    }).then(null, () => null);
+}
+
+function detectFramework() {
+    return Promise.all((vscode.workspace.workspaceFolders || []).map(detectFolder)).then(found => {
+        const framework = found.find(Boolean) || 'twig';
+        if (framework !== detected) {
+            detected = framework;
+            changeEmitter.fire();
+        }
+    });
+}
+
+/**
+ * Parameter of a catalog entry, written `{"name": ..., "default": ..., "description": ...}`
+ * or `"name = default"`
+ */
+function parseParam(param) {
+    if (param && typeof param === 'object') {
+        return {
+            name: String(param.name),
+            default: param.default === undefined || param.default === null ? null : String(param.default),
+            description: param.description || ''
+        };
+    }
+    const text = String(param);
+    const index = text.indexOf('=');
+    return index < 0
+        ? { name: text.trim(), default: null, description: '' }
+        : { name: text.substring(0, index).trim(), default: text.substring(index + 1).trim(), description: '' };
+}
+
+/**
+ * Parameters named by the placeholders of a body, e.g. `batch(${size}, ${fill})`.
+ * Null when an argument is not a named placeholder, e.g. `date("${m/d/Y}")`.
+ */
+function paramsFromBody(name, body) {
+    const source = Array.isArray(body) ? body.join('\n') : String(body || '');
+    const open = source.indexOf(`${name}(`);
+    const close = source.indexOf(')', open);
+    if (open < 0 || close < 0) {
+        return null;
+    }
+
+    const args = source.substring(open + name.length + 1, close).split(',').map(arg => arg.trim()).filter(Boolean);
+    const params = args.map(arg => arg.match(/^['"]?\$\{(?:\d+:)?([A-Za-z_]\w*)\}['"]?$/));
+    return params.every(Boolean) ? params.map(match => ({ name: match[1], default: null, description: '' })) : null;
+}
+
+/**
+ * Parameters of a filter or function: its `params`, or the placeholders of its body
+ * @param {object} entry - Catalog entry
+ * @param {string} name - Name of the filter or function
+ * @returns {Array<{name: string, default: string|null, description: string}>|null} - Null when unknown
+ */
+export function getParameters(entry, name) {
+    return entry.params ? entry.params.map(parseParam) : paramsFromBody(name, entry.body);
+}
+
+/**
+ * Catalog entry for a declaration of `.twig-language.json` or of the PHP sources, e.g.
+ * `"price": {"params": ["currency = 'EUR'"], "description": "..."}`
+ */
+function customEntry(section, name, declaration) {
+    const entry = Object.assign({ prefix: name }, declaration);
+    const params = (declaration.params || []).map(parseParam);
+    if (params.length) {
+        entry.signature = `${name}(${params.map(param => param.default !== null ? `${param.name} = ${param.default}` : param.name).join(', ')})`;
+    }
+
+    if (entry.body || section === 'globals') {
+        return entry;
+    }
+    if (section === 'tags') {
+        entry.body = declaration.end
+            ? [`{% ${name} $1 %}`, '\t$0', `{% ${declaration.end === true ? `end${name}` : declaration.end} %}`]
+            : `{% ${name} $1 %}`;
+    } else if (params.length) {
+        entry.body = `${name}(${params.map(param => `\${${param.name.replace(/^\.{3}/, '')}}`).join(', ')})`;
+    } else {
+        entry.body = name;
+    }
+    return entry;
+}
+
+const isString = value => typeof value === 'string';
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Whether a declaration of `.twig-language.json` has the shape customEntry() expects
+ */
+function isValidDeclaration(declaration) {
+    if (declaration === null) {
+        return true;
+    }
+    if (!isObject(declaration)) {
+        return false;
+    }
+
+    const { params, body, end, description, example } = declaration;
+    return (params === undefined || (Array.isArray(params) && params.every(param => isString(param) || (isObject(param) && isString(param.name))))) &&
+        (body === undefined || isString(body) || (Array.isArray(body) && body.every(isString))) &&
+        (end === undefined || typeof end === 'boolean' || isString(end)) &&
+        [description, example].every(text => text === undefined || isString(text));
+}
+
+/**
+ * Declarations of a `.twig-language.json`, without the invalid ones, which
+ * are reported
+ */
+function readCustomFile(folder) {
+    const uri = vscode.Uri.joinPath(folder.uri, CUSTOM_FILE);
+
+    return Promise.resolve(vscode.workspace.fs.readFile(uri)).then(content => {
+        let file;
+        try {
+            file = JSON.parse(Buffer.from(content).toString('utf8'));
+        } catch (error) {
+            vscode.window.showWarningMessage(`Twig: ${vscode.workspace.asRelativePath(uri)} is not valid JSON (${error.message})`);
+            return null;
+        }
+        if (!isObject(file)) {
+            vscode.window.showWarningMessage(`Twig: ${vscode.workspace.asRelativePath(uri)} must hold an object`);
+            return null;
+        }
+
+        const invalid = [];
+        SECTIONS.filter(section => file[section] !== undefined).forEach(section => {
+            if (!isObject(file[section])) {
+                invalid.push(section);
+                delete file[section];
+                return;
+            }
+            Object.keys(file[section]).filter(name => !isValidDeclaration(file[section][name])).forEach(name => {
+                invalid.push(`${section}.${name}`);
+                delete file[section][name];
+            });
+        });
+        if (invalid.length) {
+            vscode.window.showWarningMessage(`Twig: ${vscode.workspace.asRelativePath(uri)} has invalid declarations, which are ignored: ${invalid.join(', ')}`);
+        }
+        return file;
+    }, () => null);
+}
+
+/**
+ * Read the `.twig-language.json` of every workspace folder, the first folder
+ * winning when two declare the same name
+ */
+function loadCustom() {
+    return Promise.all((vscode.workspace.workspaceFolders || []).map(readCustomFile)).then(files => {
+        custom = {};
+        SECTIONS.forEach(section => {
+            custom[section] = {};
+            files.slice().reverse().forEach(file => {
+                const declarations = file && file[section];
+                if (!declarations) {
+                    return;
+                }
+                Object.keys(declarations).forEach(name => {
+                    custom[section][name] = customEntry(section, name, declarations[name] || {});
+                });
+            });
+        });
+        catalogs.clear();
+        changeEmitter.fire();
+    });
+}
+
+/**
+ * Detect the framework of the workspace, load `.twig-language.json`, scan
+ * the PHP sources and follow changes to the `framework` setting and to the files
+ * @param {vscode.ExtensionContext} context - Extension context
+ */
+export function initializeCatalog(context) {
+    context.subscriptions.push(changeEmitter);
+
+    vscode.workspace.onDidChangeConfiguration((event) => {
+        if (event.affectsConfiguration('twig-language-2.framework') || event.affectsConfiguration('twig-language-2.twigVersion')) {
+            changeEmitter.fire();
+        }
+    }, null, context.subscriptions);
+
+    const watcher = vscode.workspace.createFileSystemWatcher('**/composer.json');
+    context.subscriptions.push(watcher);
+    watcher.onDidCreate(detectFramework, null, context.subscriptions);
+    watcher.onDidChange(detectFramework, null, context.subscriptions);
+    watcher.onDidDelete(detectFramework, null, context.subscriptions);
+
+    const customWatcher = vscode.workspace.createFileSystemWatcher(`**/${CUSTOM_FILE}`);
+    context.subscriptions.push(customWatcher);
+    customWatcher.onDidCreate(loadCustom, null, context.subscriptions);
+    customWatcher.onDidChange(loadCustom, null, context.subscriptions);
+    customWatcher.onDidDelete(loadCustom, null, context.subscriptions);
+
+    vscode.workspace.onDidChangeWorkspaceFolders(() => Promise.all([detectFramework(), loadCustom()]), null, context.subscriptions);
+
+    onDidChangePhpExtensions(() => {
+        catalogs.clear();
+        changeEmitter.fire();
+    }, null, context.subscriptions);
+
+    return Promise.all([detectFramework(), loadCustom(), initializePhpExtensions(context)]);
+}
@@ -1,10 +1,14 @@
 import vscode from 'vscode';
 import { getLanguageService } from 'vscode-html-languageservice';
 import { TextDocument } from 'vscode-languageserver-textdocument';
-import alpineArr from './hover/alpine.json';
 import twigArr from './hover/twig.json';
-import snippetsArr from './hover/filters.json';
-import functionsArr from './hover/functions.json';
+import { getCatalog, findVersionChange } from './catalog';
+import { TokenType } from './lexer';
+import { parseDocument, findTagTokens } from './parser';
+import { formatMacro, findAliasMacros, findImportedMacros } from './macros';
+import { getScopeVariables, findPassedVariables } from './variables';
+import { getAlpineExpressionCompletions, getAlpineAttributeCompletions } from './alpine';
+import { getCssCompletions } from './css';
 
 let htmlLanguageService;
 
@@ -25,44 +29,204 @@ function getTextAfterCursor(document, position) {
 }
 
 /**
- * Check if cursor is inside a Twig block {% ... %}
+ * Get the tokens of the Twig tag or print statement around the cursor
  */
-function isInsideTwigBlock(document, position) {
-    const text = document.getText();
-    const offset = document.offsetAt(position);
-    const beforeText = text.substring(0, offset);
-    const afterText = text.substring(offset);
-    
-    // Find last {% before cursor
-    const lastOpen = beforeText.lastIndexOf('{%');
-    const lastClose = beforeText.lastIndexOf('%}');
-    
-    // If we have an open {% and it's after the last %}, we're inside
-    if (lastOpen !== -1 && (lastClose === -1 || lastOpen > lastClose)) {
-        // Check if there's a closing %} after cursor
-        const nextClose = afterText.indexOf('%}');
-        return nextClose !== -1;
+function getTwigTokensAt(document, position) {
+    return findTagTokens(parseDocument(document), document.offsetAt(position));
+}
+
+/**
+ * Check if cursor is at the tag name of a Twig block {% ... %}
+ */
+function isAtTwigTagName(document, position) {
+    const tokens = getTwigTokensAt(document, position);
+    if (!tokens || tokens[0].type !== TokenType.BLOCK_START) {
+        return false;
     }
-    
-    return false;
+
+    // Either nothing typed yet or the cursor is on the first word
+    const offset = document.offsetAt(position);
+    return tokens.length === 1 || (tokens.length === 2 && tokens[1].type === TokenType.NAME && tokens[1].end >= offset);
 }
 
 /**
  * Check if cursor is after a pipe | in Twig expression
  */
 function isAfterPipe(document, position) {
-    const textBefore = getTextBeforeCursor(document, position);
-    // Check if there's a | before cursor and we're inside {{ }}
-    const beforeText = document.getText().substring(0, document.offsetAt(position));
-    const lastOpen = beforeText.lastIndexOf('{{');
-    const lastClose = beforeText.lastIndexOf('}}');
-    
-    if (lastOpen !== -1 && (lastClose === -1 || lastOpen > lastClose)) {
-        const exprText = beforeText.substring(lastOpen);
-        return exprText.includes('|');
+    const offset = document.offsetAt(position);
+    const tokens = (getTwigTokensAt(document, position) || []).filter(token => token.end <= offset);
+    const last = tokens[tokens.length - 1];
+    const previous = tokens[tokens.length - 2];
+
+    if (!last) {
+        return false;
     }
-    
-    return false;
+
+    if (last.type === TokenType.PUNCTUATION && last.value === '|') {
+        return true;
+    }
+
+    // Typing the filter name
+    return last.type === TokenType.NAME && last.end === offset &&
+        previous && previous.type === TokenType.PUNCTUATION && previous.value === '|';
+}
+
+/**
+ * Check if cursor is after `is` or `is not`, where a test name goes
+ */
+function isAfterIs(document, position) {
+    const offset = document.offsetAt(position);
+    const tokens = (getTwigTokensAt(document, position) || []).filter(token => token.end <= offset);
+    let last = tokens[tokens.length - 1];
+
+    // Typing the test name
+    if (last && last.type === TokenType.NAME && last.end === offset) {
+        last = tokens[tokens.length - 2];
+    }
+    return Boolean(last) && last.type === TokenType.OPERATOR && (last.value === 'is' || last.value === 'is not');
+}
+
+/**
+ * Name before the dot when the cursor is after `name.`, e.g. `forms.` or `loop.`
+ */
+function getNameBeforeDot(document, position) {
+    const offset = document.offsetAt(position);
+    const tokens = (getTwigTokensAt(document, position) || []).filter(token => token.end <= offset);
+    let i = tokens.length - 1;
+
+    // Typing the macro name
+    if (tokens[i] && tokens[i].type === TokenType.NAME && tokens[i].end === offset) {
+        i--;
+    }
+
+    const dot = tokens[i];
+    const alias = tokens[i - 1];
+    const before = tokens[i - 2];
+    if (!dot || dot.type !== TokenType.PUNCTUATION || dot.value !== '.' || !alias || alias.type !== TokenType.NAME) {
+        return null;
+    }
+    // `foo.forms.` is an attribute, not a variable
+    if (before && before.type === TokenType.PUNCTUATION && (before.value === '.' || before.value === '|')) {
+        return null;
+    }
+    return alias.value;
+}
+
+/**
+ * Check if an offset is between the quotes of a string token, the closing
+ * one being missing while typing
+ */
+function isInString(document, token, offset) {
+    if (offset <= token.start) {
+        return false;
+    }
+    const closed = token.end - token.start > 1 && document.getText().charAt(token.end - 1) === token.quote;
+    return closed ? offset < token.end : offset <= token.end;
+}
+
+/**
+ * Check if cursor is where an expression may start a name, e.g. a function
+ * or macro call, inside {{ }} or after the tag name of {% %}
+ */
+function isAtExpressionName(document, position) {
+    const offset = document.offsetAt(position);
+    const tagTokens = getTwigTokensAt(document, position) || [];
+    // Nothing but text goes inside a string, `#{...}` interpolations included
+    if (tagTokens.some(token => token.type === TokenType.STRING && isInString(document, token, offset))) {
+        return false;
+    }
+
+    const tokens = tagTokens.filter(token => token.end <= offset);
+    if (!tokens.length || (tokens[0].type === TokenType.BLOCK_START && tokens.length < 2) || isAtTwigTagName(document, position)) {
+        return false;
+    }
+
+    let last = tokens[tokens.length - 1];
+    if (last.type === TokenType.NAME && last.end === offset) {
+        last = tokens[tokens.length - 2];
+    }
+    if (last.type === TokenType.PUNCTUATION) {
+        return last.value !== '.' && last.value !== '|' && last.value !== ')' && last.value !== ']';
+    }
+    // A test name follows `is`
+    if (last.type === TokenType.OPERATOR && (last.value === 'is' || last.value === 'is not')) {
+        return false;
+    }
+    return last.type === TokenType.VAR_START || last.type === TokenType.OPERATOR ||
+        (last.type === TokenType.NAME && last === tokens[1] && tokens[0].type === TokenType.BLOCK_START);
+}
+
+/**
+ * Create a completion item for a macro
+ */
+function createMacroCompletion(name, macro) {
+    const item = new vscode.CompletionItem(name, vscode.CompletionItemKind.Function);
+    item.detail = `macro ${formatMacro(macro).label}`;
+    if (macro.documentation) {
+        item.documentation = new vscode.MarkdownString(macro.documentation);
+    }
+    item.insertText = new vscode.SnippetString(`${name}($0)`);
+    item.command = { title: 'Trigger Parameter Hints', command: 'editor.action.triggerParameterHints' };
+    return item;
+}
+
+/**
+ * Create completion items for the macros of an import alias (`forms.`), or
+ * for the macros imported by name with `{% from %}`
+ * @returns {Promise<vscode.CompletionItem[]>}
+ */
+function getMacroCompletions(document, position) {
+    const offset = document.offsetAt(position);
+    const alias = getNameBeforeDot(document, position);
+
+    if (alias && alias !== 'loop') {
+        return findAliasMacros(document, offset, alias)
+            .then(macros => macros.map(macro => createMacroCompletion(macro.name, macro)));
+    }
+    if (isAtExpressionName(document, position)) {
+        return findImportedMacros(document, offset)
+            .then(imported => imported.map(item => createMacroCompletion(item.name, item.macro)));
+    }
+    return Promise.resolve([]);
+}
+
+/**
+ * Create completion items for the variables in scope, or for the attributes
+ * of `loop.` inside a for loop
+ * @returns {Promise<vscode.CompletionItem[]>}
+ */
+function getVariableCompletions(document, position) {
+    const offset = document.offsetAt(position);
+    const { variables, isolated } = getScopeVariables(parseDocument(document), document.getText(), offset);
+
+    if (getNameBeforeDot(document, position) === 'loop') {
+        if (!variables.some(variable => variable.kind === 'loop')) {
+            return Promise.resolve([]);
+        }
+        const properties = twigArr.loop.properties || {};
+        return Promise.resolve(Object.keys(properties).map(name => {
+            const item = new vscode.CompletionItem(name, vscode.CompletionItemKind.Property);
+            item.detail = `loop.${name}`;
+            item.documentation = new vscode.MarkdownString(properties[name]);
+            return item;
+        }));
+    }
+
+    if (!isAtExpressionName(document, position)) {
+        return Promise.resolve([]);
+    }
+
+    // Variables passed by includes are not visible inside macros or `only` scopes
+    return (isolated ? Promise.resolve([]) : findPassedVariables(document)).then(passed => variables.concat(passed.filter(variable => !variables.some(own => own.name === variable.name))).map(variable => {
+        const item = new vscode.CompletionItem(variable.name, vscode.CompletionItemKind.Variable);
+        item.detail = variable.detail;
+        if (variable.kind === 'loop') {
+            item.documentation = new vscode.MarkdownString(twigArr.loop.description);
+        }
+        // Variables in scope come before catalog entries
+        item.sortText = `0${variable.name}`;
+        return item;
+    }));
 }
 
 /**
@@ -102,62 +266,14 @@ function isInAttributePosition(document, position) {
 }
 
 /**
- * Create completion items for Alpine.js directives
+ * Strike out the completion of a construct deprecated in the configured Twig version
  */
-function getAlpineCompletions() {
-    const items = [];
-    
-    for (const key in alpineArr) {
-        const alpine = alpineArr[key];
-        const item = new vscode.CompletionItem(
-            alpine.prefix || key,
-            vscode.CompletionItemKind.Property
-        );
-        item.documentation = new vscode.MarkdownString();
-        item.documentation.appendMarkdown(alpine.description || '');
-        if (alpine.example) {
-            item.documentation.appendCodeblock(alpine.example, 'html');
-        }
-        item.detail = alpine.description;
-        items.push(item);
+function markDeprecated(item, section, key) {
+    const found = findVersionChange(section, key);
+    if (found && found.change === 'deprecated') {
+        item.tags = [vscode.CompletionItemTag.Deprecated];
     }
-    
-    // Add Alpine shorthand completions
-    const shorthandEvents = ['click', 'submit', 'change', 'input', 'focus', 'blur', 'keydown', 'keyup'];
-    shorthandEvents.forEach(event => {
-        const item = new vscode.CompletionItem(
-            `@${event}`,
-            vscode.CompletionItemKind.Event
-        );
-        item.documentation = new vscode.MarkdownString(`Alpine.js event handler shorthand for \`x-on:${event}\``);
-        item.detail = `@${event}="handler"`;
-        items.push(item);
-    });
-    
-    const shorthandBinds = ['class', 'style', 'href', 'src', 'id', 'name', 'value', 'disabled', 'readonly'];
-    shorthandBinds.forEach(attr => {
-        const item = new vscode.CompletionItem(
-            `:${attr}`,
-            vscode.CompletionItemKind.Property
-        );
-        item.documentation = new vscode.MarkdownString(`Alpine.js attribute binding shorthand for \`x-bind:${attr}\``);
-        item.detail = `:${attr}="value"`;
-        items.push(item);
-    });
-    
-    // Add modifiers
-    const modifiers = ['prevent', 'stop', 'once', 'self', 'window', 'document', 'debounce', 'throttle'];
-    modifiers.forEach(mod => {
-        const item = new vscode.CompletionItem(
-            `.${mod}`,
-            vscode.CompletionItemKind.Module
-        );
-        item.documentation = new vscode.MarkdownString(`Alpine.js event modifier: \`.${mod}\``);
-        item.detail = `Event modifier: ${mod}`;
-        items.push(item);
-    });
-    
-    return items;
+    return item;
 }
 
 /**
@@ -165,9 +281,10 @@ function getAlpineCompletions() {
  */
 function getTwigTagCompletions() {
     const items = [];
+    const tags = getCatalog().tags;
     
-    for (const key in twigArr) {
-        const twig = twigArr[key];
+    for (const key in tags) {
+        const twig = tags[key];
         if (twig.prefix && !twig.prefix.startsWith('{{')) {
             const item = new vscode.CompletionItem(
                 twig.prefix,
@@ -179,7 +296,7 @@ function getTwigTagCompletions() {
                 item.documentation.appendCodeblock(twig.example, 'twig');
             }
             item.detail = twig.description;
-            items.push(item);
+            items.push(markDeprecated(item, 'tags', key));
         }
     }
     
@@ -191,9 +308,10 @@ function getTwigTagCompletions() {
  */
 function getTwigFilterCompletions() {
     const items = [];
+    const filters = getCatalog().filters;
     
-    for (const key in snippetsArr) {
-        const filter = snippetsArr[key];
+    for (const key in filters) {
+        const filter = filters[key];
         const item = new vscode.CompletionItem(
             filter.prefix || key,
             vscode.CompletionItemKind.Function
@@ -203,24 +321,49 @@ function getTwigFilterCompletions() {
         if (filter.example) {
             item.documentation.appendCodeblock(filter.example, 'twig');
         }
-        item.detail = filter.description;
+        item.detail = filter.signature || filter.description;
         item.insertText = filter.prefix || key;
-        items.push(item);
+        items.push(markDeprecated(item, 'filters', key));
     }
     
     return items;
 }
 
+/**
+ * Create completion items for Twig tests, e.g. `divisible by(${number})`
+ */
+function getTwigTestCompletions() {
+    const tests = getCatalog().tests;
+
+    return Object.keys(tests).map(key => {
+        const test = tests[key];
+        const item = new vscode.CompletionItem(key, vscode.CompletionItemKind.Function);
+        item.documentation = new vscode.MarkdownString();
+        item.documentation.appendMarkdown(test.description || '');
+        if (test.example) {
+            item.documentation.appendCodeblock(test.example, 'twig');
+        }
+        item.detail = test.signature || test.description;
+        item.insertText = new vscode.SnippetString(test.body || key);
+        return markDeprecated(item, 'tests', key);
+    });
+}
+
 /**
  * Create completion items for Twig functions
  */
 function getTwigFunctionCompletions() {
     const items = [];
+    const functions = getCatalog().functions;
     
-    for (const key in functionsArr) {
-        const func = functionsArr[key];
+    for (const key in functions) {
+        // Keys such as `range set` are variants of a function
+        if (key.includes(' ')) {
+            continue;
+        }
+        const func = functions[key];
         const item = new vscode.CompletionItem(
-            func.prefix || key,
+            key,
             vscode.CompletionItemKind.Function
         );
         item.documentation = new vscode.MarkdownString();
@@ -228,18 +371,68 @@ function getTwigFunctionCompletions() {
         if (func.example) {
             item.documentation.appendCodeblock(func.example, 'twig');
         }
-        item.detail = func.description;
-        items.push(item);
+        item.detail = func.signature || func.description;
+        item.insertText = new vscode.SnippetString(`${key}($0)`);
+        items.push(markDeprecated(item, 'functions', key));
     }
     
     return items;
 }
 
+/**
+ * Create completion items for the global variables of the framework profile
+ */
+function getTwigGlobalCompletions() {
+    const globals = getCatalog().globals;
+
+    return Object.keys(globals).map(name => {
+        const item = new vscode.CompletionItem(name, vscode.CompletionItemKind.Variable);
+        item.documentation = new vscode.MarkdownString();
+        item.documentation.appendMarkdown(globals[name].description || '');
+        if (globals[name].example) {
+            item.documentation.appendCodeblock(globals[name].example, 'twig');
+        }
+        item.detail = 'global';
+        return item;
+    });
+}
+
+/**
+ * Create completion items for the snippets of the framework profile and of
+ * the Twig version; the shared snippets are contributed by package.json
+ */
+function getSnippetCompletions() {
+    const snippets = getCatalog().snippets;
+
+    return Object.keys(snippets).map(key => {
+        const snippet = snippets[key];
+        const body = Array.isArray(snippet.body) ? snippet.body.join('\n') : snippet.body;
+        const item = new vscode.CompletionItem(snippet.prefix, vscode.CompletionItemKind.Snippet);
+        item.insertText = new vscode.SnippetString(body);
+        item.detail = snippet.description;
+        item.documentation = new vscode.MarkdownString().appendCodeblock(body, 'twig');
+        return item;
+    });
+}
+
 /**
  * Provide completion items
+ * @returns {Promise<vscode.CompletionItem[]>}
  */
 export function provideCompletions(document, position, token, context) {
     const completions = [];
+
+    // Inside an Alpine expression, e.g. `@click="..."`, only its names apply
+    const alpine = getTwigTokensAt(document, position) ? null : getAlpineExpressionCompletions(document, position);
+    if (alpine) {
+        return Promise.resolve(alpine);
+    }
+
+    // Inside a `<style>` element or a `style` attribute
+    const css = getTwigTokensAt(document, position) ? null : getCssCompletions(document, position);
+    if (css) {
+        return Promise.resolve(css);
+    }
     
     // Get HTML completions from language service
     if (htmlLanguageService) {
@@ -284,11 +477,11 @@ export function provideCompletions(document, position, token, context) {
     
     // Add Alpine.js completions if in attribute position
     if (isInAttributePosition(document, position)) {
-        completions.push(...getAlpineCompletions());
+        completions.push(...getAlpineAttributeCompletions(document, position));
     }
     
-    // Add Twig tag completions if inside {% %}
-    if (isInsideTwigBlock(document, position)) {
+    // Add Twig tag completions at the start of {% %}
+    if (isAtTwigTagName(document, position)) {
         completions.push(...getTwigTagCompletions());
     }
     
@@ -296,8 +489,25 @@ export function provideCompletions(document, position, token, context) {
     if (isAfterPipe(document, position)) {
         completions.push(...getTwigFilterCompletions());
     }
+
+    // Add Twig test completions after `is` and `is not`
+    if (isAfterIs(document, position)) {
+        completions.push(...getTwigTestCompletions());
+    }
+
+    // Add functions and global variables where an expression starts
+    if (isAtExpressionName(document, position)) {
+        completions.push(...getTwigFunctionCompletions(), ...getTwigGlobalCompletions());
+    }
+
+    // Add snippets outside of Twig tags
+    if (!getTwigTokensAt(document, position) && !(context && context.triggerCharacter)) {
+        completions.push(...getSnippetCompletions());
+    }
     
-    return completions;
+    // Add variables in scope and macros from imported templates
+    return Promise.all([getVariableCompletions(document, position), getMacroCompletions(document, position)])
+        .then(([variables, macros]) => completions.concat(variables, macros));
 }
 
 /**
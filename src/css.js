@@ -0,0 +1,309 @@
+/**
+ * CSS completion, hover and validation in `<style>` elements and `style`
+ * attributes
+ *
+ * The CSS language service works on a copy of the template where everything
+ * but the CSS is blanked, at the same offsets. The value of a `style`
+ * attribute becomes the body of a `__{ }` rule, and Twig inside the CSS is
+ * replaced by something the CSS parser accepts at that place.
+ */
+
+import vscode from 'vscode';
+import { getLanguageService, TokenType } from 'vscode-html-languageservice';
+import { getCSSLanguageService } from 'vscode-css-languageservice';
+import { TextDocument } from 'vscode-languageserver-textdocument';
+import { TokenType as TwigTokenType } from './lexer';
+import { parseDocument, maskTwig } from './parser';
+
+// Characters after which Twig output stands for whole declarations or rules,
+// '' being the start of the CSS
+const STATEMENT_BOUNDARY = ['', '{', '}', ';', '"', '\''];
+
+// Declaration accepting any value, standing for printed declarations
+const DECLARATION = '--_:_';
+
+// Same numbering as the Language Server Protocol
+const SNIPPET_FORMAT = 2;
+const DEPRECATED_TAG = 1;
+
+let htmlLanguageService = null;
+let cssLanguageService = null;
+let cached = null;
+
+function blank(text) {
+    return text.replace(/[^\r\n]/g, ' ');
+}
+
+/**
+ * Character before an offset of the CSS, skipping whitespace, or '' at its start
+ */
+function charBefore(source, region, offset) {
+    let i = offset - 1;
+    while (i >= region.start && /\s/.test(source[i])) {
+        i--;
+    }
+    return i < region.start ? '' : source[i];
+}
+
+/**
+ * Character after an offset of the CSS, skipping whitespace, or '' at its end
+ */
+function charAfter(source, region, offset) {
+    let i = offset;
+    while (i < region.end && /\s/.test(source[i])) {
+        i++;
+    }
+    return i < region.end ? source[i] : '';
+}
+
+/**
+ * Replacement for Twig output in CSS, of the same length: an identifier in
+ * selectors and values, e.g. `color: {{ brand.color }};`, a custom property
+ * name before `:`, and where it prints whole declarations a custom property
+ * taking their place
+ * @param {object} region - `<style>` element or `style` attribute of the output
+ */
+function getPlaceholder(source, region, start, end) {
+    const depth = getDepth(source, region, start);
+    let placeholder = '_';
+    if (STATEMENT_BOUNDARY.includes(charBefore(source, region, start))) {
+        const after = charAfter(source, region, end);
+        if (after === ':') {
+            placeholder = depth > 0 ? '--_' : '_';
+        } else if (after !== '{') {
+            placeholder = depth > 0 && end - start >= DECLARATION.length ? DECLARATION : '';
+        }
+    }
+    return placeholder + blank(source.substring(start + placeholder.length, end));
+}
+
+/**
+ * Braces open at an offset of the CSS, 0 where rules go
+ */
+function getDepth(source, region, offset) {
+    // Twig tags and output have as many opening braces as closing ones
+    const braces = source.substring(region.start, offset).replace(/[^{}]/g, '');
+    const opening = braces.replace(/}/g, '').length;
+    return (region.attribute ? 1 : 0) + opening - (braces.length - opening);
+}
+
+/**
+ * Source with Twig tags and comments blanked and Twig output in the CSS
+ * replaced by placeholders, and the ranges of that output
+ */
+function maskTwigStyles(source, template, regions) {
+    const ranges = [];
+    let open = null;
+
+    template.tokens.forEach(token => {
+        if (token.type === TwigTokenType.COMMENT) {
+            ranges.push({ start: token.start, end: token.end, region: null });
+        } else if (token.type === TwigTokenType.BLOCK_START || token.type === TwigTokenType.VAR_START) {
+            open = token;
+        } else if ((token.type === TwigTokenType.BLOCK_END || token.type === TwigTokenType.VAR_END) && open !== null) {
+            const region = open.type === TwigTokenType.VAR_START
+                ? regions.find(item => open.start >= item.start && open.start <= item.end)
+                : null;
+            ranges.push({ start: open.start, end: token.end, region });
+            open = null;
+        }
+    });
+
+    let masked = '';
+    let last = 0;
+    ranges.forEach(({ start, end, region }) => {
+        masked += source.substring(last, start) + (region ? getPlaceholder(source, region, start, end) : blank(source.substring(start, end)));
+        last = end;
+    });
+
+    return { masked: masked + source.substring(last), twig: ranges.filter(range => range.region) };
+}
+
+/**
+ * Content of the `<style>` elements and values of the `style` attributes
+ */
+function findRegions(masked) {
+    const regions = [];
+    const scanner = htmlLanguageService.createScanner(masked);
+    let attribute = null;
+    let token = scanner.scan();
+
+    while (token !== TokenType.EOS) {
+        if (token === TokenType.Styles) {
+            regions.push({ start: scanner.getTokenOffset(), end: scanner.getTokenEnd(), attribute: false });
+        } else if (token === TokenType.StartTag) {
+            attribute = null;
+        } else if (token === TokenType.AttributeName) {
+            attribute = scanner.getTokenText().toLowerCase();
+        } else if (token === TokenType.AttributeValue) {
+            if (attribute === 'style') {
+                let start = scanner.getTokenOffset();
+                let end = scanner.getTokenEnd();
+                const quote = masked[start];
+                if (quote === '"' || quote === '\'') {
+                    start++;
+                    if (end > start && masked[end - 1] === quote) {
+                        end--;
+                    }
+                }
+                regions.push({ start, end, attribute: true });
+            }
+            attribute = null;
+        }
+        token = scanner.scan();
+    }
+
+    return regions;
+}
+
+/**
+ * CSS of a document, reusing the last one while its version is unchanged
+ */
+function getStyles(document) {
+    const key = document.uri.toString();
+    if (cached && cached.key === key && cached.version === document.version) {
+        return cached;
+    }
+
+    if (!htmlLanguageService) {
+        htmlLanguageService = getLanguageService();
+        cssLanguageService = getCSSLanguageService();
+    }
+
+    const text = document.getText();
+    const template = parseDocument(document);
+    const regions = findRegions(maskTwig(text, template));
+    const { masked, twig } = maskTwigStyles(text, template, regions);
+
+    // `style="color: red"` becomes `__{color: red}`, the prefix taking the
+    // place of the end of `style="`
+    let css = '';
+    let last = 0;
+    regions.forEach(region => {
+        const prefix = region.attribute ? '__{' : '';
+        const suffix = region.attribute && region.end < text.length ? '}' : '';
+        css += blank(text.substring(last, region.start - prefix.length)) + prefix +
+            masked.substring(region.start, region.end) + suffix;
+        last = region.end + suffix.length;
+    });
+    css += blank(text.substring(last));
+
+    const lsDocument = TextDocument.create(key, 'css', document.version, css);
+    cached = {
+        key,
+        version: document.version,
+        regions,
+        twig,
+        lsDocument,
+        stylesheet: regions.length ? cssLanguageService.parseStylesheet(lsDocument) : null
+    };
+    return cached;
+}
+
+/**
+ * CSS of a document when a position is in it
+ */
+function getStylesAt(document, position) {
+    const offset = document.offsetAt(position);
+    const styles = getStyles(document);
+    return styles.regions.some(region => offset >= region.start && offset <= region.end) ? styles : null;
+}
+
+function toRange(range) {
+    return new vscode.Range(range.start.line, range.start.character, range.end.line, range.end.character);
+}
+
+function toMarkdown(content) {
+    if (typeof content === 'string') {
+        return content;
+    }
+    return content.kind === 'markdown' ? new vscode.MarkdownString(content.value) : content.value;
+}
+
+function toCompletionItem(item) {
+    const completion = new vscode.CompletionItem(item.label, item.kind ? item.kind - 1 : vscode.CompletionItemKind.Property);
+    const text = item.textEdit ? item.textEdit.newText : item.insertText || item.label;
+
+    completion.insertText = item.insertTextFormat === SNIPPET_FORMAT ? new vscode.SnippetString(text) : text;
+    if (item.textEdit) {
+        completion.range = toRange(item.textEdit.range || item.textEdit.replace);
+    }
+    if (item.detail) {
+        completion.detail = item.detail;
+    }
+    if (item.documentation) {
+        completion.documentation = toMarkdown(item.documentation);
+    }
+    completion.sortText = item.sortText;
+    completion.filterText = item.filterText;
+    if (item.tags && item.tags.includes(DEPRECATED_TAG)) {
+        completion.tags = [vscode.CompletionItemTag.Deprecated];
+    }
+    // Property completions suggest the values right after
+    if (item.command) {
+        completion.command = item.command;
+    }
+    return completion;
+}
+
+/**
+ * CSS completions in a `<style>` element or a `style` attribute
+ * @param {vscode.TextDocument} document - Template
+ * @param {vscode.Position} position - Cursor position
+ * @returns {vscode.CompletionItem[]|null} - Null when the position is not in CSS
+ */
+export function getCssCompletions(document, position) {
+    const styles = getStylesAt(document, position);
+    if (!styles) {
+        return null;
+    }
+
+    const list = cssLanguageService.doComplete(styles.lsDocument, { line: position.line, character: position.character }, styles.stylesheet);
+    return list.items.map(toCompletionItem);
+}
+
+/**
+ * Hover for CSS properties, values and selectors
+ * @param {vscode.TextDocument} document - Template
+ * @param {vscode.Position} position - Cursor position
+ * @returns {vscode.Hover|null}
+ */
+export function findCssHover(document, position) {
+    const styles = getStylesAt(document, position);
+    if (!styles) {
+        return null;
+    }
+
+    const hover = cssLanguageService.doHover(styles.lsDocument, { line: position.line, character: position.character }, styles.stylesheet);
+    if (!hover || !hover.contents) {
+        return null;
+    }
+    const contents = Array.isArray(hover.contents) ? hover.contents : [hover.contents];
+    return new vscode.Hover(contents.map(toMarkdown), hover.range ? toRange(hover.range) : undefined);
+}
+
+/**
+ * CSS errors and lint warnings, following the `css.validate` and `css.lint.*`
+ * settings. Problems on Twig output are left out, the placeholder not being
+ * what the template prints, and so are empty `style` attributes.
+ * @param {vscode.TextDocument} document - Template
+ * @returns {Array<object>} - Language Server diagnostics
+ */
+export function validateCss(document) {
+    const settings = vscode.workspace.getConfiguration('css');
+    const styles = getStyles(document);
+    if (!styles.stylesheet || !settings.get('validate', true)) {
+        return [];
+    }
+
+    const lsDocument = styles.lsDocument;
+    return cssLanguageService.doValidation(lsDocument, styles.stylesheet, { validate: true, lint: settings.get('lint') })
+        .filter(diagnostic => {
+            const start = lsDocument.offsetAt(diagnostic.range.start);
+            const end = lsDocument.offsetAt(diagnostic.range.end);
+            if (diagnostic.code === 'emptyRules' && styles.regions.some(region => region.attribute && end > region.start - 3 && end <= region.start)) {
+                return false;
+            }
+            return !styles.twig.some(range => start <= range.end && end >= range.start);
+        });
+}
@@ -0,0 +1,57 @@
+import vscode from 'vscode';
+import { parseDocument } from './parser';
+import { getTemplateReferences, resolveTemplate } from './templates';
+import { findAlpineDeclaration } from './alpine';
+
+/**
+ * Go to the template named by `{% extends %}`, `{% include %}`, `include()`, ...
+ * @param {vscode.TextDocument} document - The document
+ * @param {vscode.Position} position - Cursor position
+ * @returns {Promise<vscode.LocationLink[]|undefined>} - Matching template files
+ */
+function provideTemplateDefinition(document, position) {
+    const offset = document.offsetAt(position);
+    const reference = getTemplateReferences(parseDocument(document))
+        .find(ref => ref.start <= offset && offset <= ref.end);
+
+    if (!reference) {
+        return Promise.resolve(undefined);
+    }
+
+    const origin = new vscode.Range(document.positionAt(reference.start), document.positionAt(reference.end));
+
+    return resolveTemplate(reference.name).then(targets => targets.map(uri => ({
+        originSelectionRange: origin,
+        targetUri: uri,
+        targetRange: new vscode.Range(0, 0, 0, 0)
+    })));
+}
+
+/**
+ * Go from a name in an Alpine expression to its `x-data` property, `x-ref`,
+ * `Alpine.store()` or `Alpine.data()`
+ * @param {vscode.TextDocument} document - The document
+ * @param {vscode.Position} position - Cursor position
+ * @returns {vscode.LocationLink[]|undefined}
+ */
+function provideAlpineDefinition(document, position) {
+    const declaration = findAlpineDeclaration(document, position);
+    if (!declaration) {
+        return undefined;
+    }
+
+    return [{
+        originSelectionRange: new vscode.Range(document.positionAt(declaration.start), document.positionAt(declaration.end)),
+        targetUri: declaration.uri,
+        targetRange: declaration.range,
+        targetSelectionRange: declaration.range
+    }];
+}
+
+/**
+ * Provide definitions
+ */
+export function provideDefinition(document, position) {
+    const links = provideAlpineDefinition(document, position);
+    return links ? Promise.resolve(links) : provideTemplateDefinition(document, position);
+}
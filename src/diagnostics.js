@@ -1,32 +1,23 @@
 import vscode from 'vscode';
 import { getLanguageService } from 'vscode-html-languageservice';
 import { TextDocument } from 'vscode-languageserver-textdocument';
+import { parseDocument, maskTwig, walk, PAIRED_TAGS } from './parser';
+import { getCatalog, findEntry, findOtherFrameworks, findVersionChange, getKnownNames, suggestNames, formatSuggestions, onDidChangeCatalog } from './catalog';
+import { validateAlpine, getAlpineDirectives, getAlpineComponentNames } from './alpine';
+import { onDidChangeScripts } from './scripts';
+import { validateCss } from './css';
+
+// Codes of the diagnostics of unknown names, fixed by provideCodeActions()
+const UNKNOWN_NAME_CODES = {
+    tags: 'unknown-tag',
+    filters: 'unknown-filter',
+    functions: 'unknown-function',
+    tests: 'unknown-test'
+};
 
 let htmlLanguageService;
 let diagnosticCollection;
 
-/**
- * Preprocesses Twig syntax to HTML comments to avoid false positives
- * @param {string} source - Original Twig source
- * @returns {string} - Preprocessed HTML
- */
-function preprocessTwig(source) {
-    // Replace Twig blocks {% ... %} with HTML comments
-    let processed = source.replace(/\{%[\s\S]*?%\}/g, (match) => {
-        // Count newlines to preserve line numbers
-        const newlines = (match.match(/\n/g) || []).length;
-        return `<!-- TWIG_BLOCK ${newlines} -->`;
-    });
-    
-    // Replace Twig expressions {{ ... }} with HTML comments
-    processed = processed.replace(/\{\{[\s\S]*?\}\}/g, (match) => {
-        const newlines = (match.match(/\n/g) || []).length;
-        return `<!-- TWIG_EXPR ${newlines} -->`;
-    });
-    
-    return processed;
-}
-
 /**
  * Converts VS Code TextDocument to Language Server TextDocument
  * @param {vscode.TextDocument} document - VS Code document
@@ -81,9 +72,10 @@ function validateDocument(document) {
 
     const text = document.getText();
     const diagnostics = [];
+    const template = parseDocument(document);
     
     // Preprocess Twig syntax
-    const processedText = preprocessTwig(text);
+    const processedText = maskTwig(text, template);
     
     // Create language server document with preprocessed text
     const lsDocument = toLanguageServerDocument(document, processedText);
@@ -113,10 +105,131 @@ function validateDocument(document) {
         ));
     });
     
+    // Report Twig syntax errors and unbalanced block tags
+    template.errors.forEach(error => {
+        const range = new vscode.Range(
+            offsetToPosition(document, error.start),
+            offsetToPosition(document, error.end)
+        );
+        diagnostics.push(new vscode.Diagnostic(range, error.message, vscode.DiagnosticSeverity.Error));
+    });
+    
+    validateNames(document, template, diagnostics);
+
+    // Report Alpine.js syntax errors and misused directives
+    if (vscode.workspace.getConfiguration('twig-language-2').get('alpineValidation', true)) {
+        htmlDocument.roots.forEach(root => {
+            if (root.tag) {
+                validateAlpine(document, processedText, root, diagnostics);
+            }
+        });
+    }
+
+    // Report CSS errors in `<style>` elements and `style` attributes
+    diagnostics.push(...validateCss(document).map(toVSCodeDiagnostic));
+
     // Report diagnostics
     diagnosticCollection.set(document.uri, diagnostics);
 }
 
+/**
+ * Diagnostic for a construct the configured Twig version does not have yet,
+ * has deprecated or has removed (twig-language-2.twigVersion)
+ */
+function versionDiagnostic(range, label, section, key) {
+    const found = findVersionChange(section, key);
+    if (!found) {
+        return null;
+    }
+
+    const instead = found.replacement ? `, use ${found.replacement} instead` : '';
+    if (found.change === 'added') {
+        return new vscode.Diagnostic(range, `${label} requires Twig ${found.version} or later (twig-language-2.twigVersion)`, vscode.DiagnosticSeverity.Warning);
+    }
+    if (found.change === 'removed') {
+        return new vscode.Diagnostic(range, `${label} was removed in Twig ${found.version}${instead}`, vscode.DiagnosticSeverity.Error);
+    }
+    const diagnostic = new vscode.Diagnostic(range, `${label} is deprecated since Twig ${found.version}${instead}`, vscode.DiagnosticSeverity.Warning);
+    diagnostic.tags = [vscode.DiagnosticTag.Deprecated];
+    return diagnostic;
+}
+
+/**
+ * Report tags, filters, functions and tests that belong to another framework
+ * than the active profile, e.g. `{% nav %}` in a Symfony project, that the
+ * configured Twig version does not support, or that do not exist. Unknown
+ * names get the closest known ones as suggestions, see provideCodeActions().
+ * @param {vscode.TextDocument} document - The document
+ * @param {object} template - Its template node
+ * @param {vscode.Diagnostic[]} diagnostics - Diagnostics to add to
+ */
+export function validateNames(document, template, diagnostics) {
+    const catalog = getCatalog();
+    const checkUnknown = vscode.workspace.getConfiguration('twig-language-2').get('unknownNames', true);
+    const knownTags = getKnownNames('tags');
+    const closing = new Set();
+    Object.keys(PAIRED_TAGS).forEach(name => {
+        closing.add(PAIRED_TAGS[name].end);
+        (PAIRED_TAGS[name].branches || []).forEach(branch => closing.add(branch));
+    });
+
+    // Macros imported by name may shadow functions
+    const imported = new Set();
+    walk(template, node => {
+        if (node.type === 'Tag' && node.name === 'from' && node.imports) {
+            node.imports.forEach(item => imported.add((item.alias || item.name).name));
+        }
+    });
+
+    const report = (kind, section, name, start, end) => {
+        const range = new vscode.Range(offsetToPosition(document, start), offsetToPosition(document, end));
+        const versioned = versionDiagnostic(range, `The "${name}" ${kind}`, section, name);
+        if (versioned) {
+            diagnostics.push(versioned);
+            return;
+        }
+        if (section === 'tags' ? knownTags.has(name) : findEntry(catalog[section], name)) {
+            return;
+        }
+        const frameworks = findOtherFrameworks(section, name);
+        if (frameworks.length) {
+            diagnostics.push(new vscode.Diagnostic(
+                range,
+                `"${name}" is a ${frameworks.join(', ').replace(/, ([^,]*)$/, ' and $1')} ${kind}, not available with the ${catalog.label} profile (twig-language-2.framework)`,
+                vscode.DiagnosticSeverity.Warning
+            ));
+        } else if (checkUnknown) {
+            const suggestions = suggestNames(section === 'tags' ? knownTags : getKnownNames(section), name);
+            const diagnostic = new vscode.Diagnostic(
+                range,
+                `Unknown "${name}" ${kind}${formatSuggestions(suggestions)}`,
+                vscode.DiagnosticSeverity.Warning
+            );
+            diagnostic.code = UNKNOWN_NAME_CODES[section];
+            diagnostics.push(diagnostic);
+        }
+    };
+
+    walk(template, node => {
+        if (node.type === 'Tag' && node.name && !closing.has(node.name)) {
+            report('tag', 'tags', node.name, node.nameStart, node.nameEnd);
+            if (node.name === 'for' && node.condition) {
+                const range = new vscode.Range(offsetToPosition(document, node.condition.start), offsetToPosition(document, node.condition.end));
+                const versioned = versionDiagnostic(range, 'The "if" condition of "for"', 'tags', 'for if');
+                if (versioned) {
+                    diagnostics.push(versioned);
+                }
+            }
+        } else if (node.type === 'Filter') {
+            report('filter', 'filters', node.name, node.nameStart, node.nameEnd);
+        } else if (node.type === 'Test') {
+            report('test', 'tests', node.name, node.nameStart, node.nameEnd);
+        } else if (node.type === 'Call' && node.callee.type === 'Name' && !imported.has(node.callee.name)) {
+            report('function', 'functions', node.callee.name, node.callee.start, node.callee.end);
+        }
+    });
+}
+
 /**
  * Recursively validate HTML nodes
  */
@@ -197,6 +310,28 @@ export function initializeDiagnostics(context) {
         }
     }, null, context.subscriptions);
     
+    // Validate open documents again when the framework profile changes
+    onDidChangeCatalog(() => {
+        vscode.workspace.textDocuments
+            .filter(document => document.languageId === 'twig')
+            .forEach(validateDocument);
+    }, null, context.subscriptions);
+
+    // Validate open documents again when the components of the workspace change
+    onDidChangeScripts(() => {
+        vscode.workspace.textDocuments
+            .filter(document => document.languageId === 'twig')
+            .forEach(validateDocument);
+    }, null, context.subscriptions);
+
+    vscode.workspace.onDidChangeConfiguration((event) => {
+        if (event.affectsConfiguration('twig-language-2.unknownNames') || event.affectsConfiguration('twig-language-2.alpineValidation') || event.affectsConfiguration('twig-language-2.alpinePlugins') || event.affectsConfiguration('css')) {
+            vscode.workspace.textDocuments
+                .filter(document => document.languageId === 'twig')
+                .forEach(validateDocument);
+        }
+    }, null, context.subscriptions);
+
     // Validate on document open
     vscode.workspace.onDidOpenTextDocument((document) => {
         if (document.languageId === 'twig') {
@@ -204,3 +339,37 @@ export function initializeDiagnostics(context) {
         }
     }, null, context.subscriptions);
 }
+
+/**
+ * Quick fixes replacing an unknown tag, filter, function, test, Alpine
+ * directive or Alpine component with the closest known names
+ * @param {vscode.TextDocument} document - The document
+ * @param {vscode.Range} range - Range the actions are asked for
+ * @param {vscode.CodeActionContext} context - Diagnostics at the range
+ * @returns {vscode.CodeAction[]}
+ */
+export function provideCodeActions(document, range, context) {
+    const actions = [];
+
+    context.diagnostics.forEach(diagnostic => {
+        const section = Object.keys(UNKNOWN_NAME_CODES).find(key => UNKNOWN_NAME_CODES[key] === diagnostic.code);
+        const names = section ? getKnownNames(section)
+            : diagnostic.code === 'unknown-directive' ? getAlpineDirectives()
+            : diagnostic.code === 'unknown-component' ? getAlpineComponentNames(document)
+            : null;
+        if (!names) {
+            return;
+        }
+
+        suggestNames(names, document.getText(diagnostic.range)).forEach((name, i) => {
+            const action = new vscode.CodeAction(`Change to "${name}"`, vscode.CodeActionKind.QuickFix);
+            action.edit = new vscode.WorkspaceEdit();
+            action.edit.replace(document.uri, diagnostic.range, name);
+            action.diagnostics = [diagnostic];
+            action.isPreferred = i === 0;
+            actions.push(action);
+        });
+    });
+
+    return actions;
+}
@@ -0,0 +1,642 @@
+/**
+ * Formatting of the code in `<script>` and `<style>` elements
+ *
+ * js-beautify formats the code; the settings it has an option for are mapped
+ * to that option. The others (sorting, trailing commas, quotes, alignment, ...)
+ * are applied to its output here, working on tokens so that strings, comments
+ * and regular expressions are never touched.
+ */
+
+// Script types that are formatted as JavaScript
+const SCRIPT_TYPES = ['', 'module', 'text/javascript', 'application/javascript', 'text/ecmascript', 'application/ecmascript'];
+
+// Keywords after which `/` starts a regular expression and `[`/`{` a literal
+const EXPRESSION_KEYWORDS = ['return', 'typeof', 'instanceof', 'in', 'of', 'new', 'delete', 'void', 'throw', 'case', 'do', 'else', 'yield', 'await'];
+
+const DECLARATION_KEYWORDS = ['var', 'let', 'const'];
+
+const PUNCTUATION = /\.\.\.|\?\?=?|\?\.(?!\d)|=>|[=!]==?|<<=?|>>>?=?|[<>]=?|&&=?|\|\|=?|\*\*=?|\+\+|--|[-+*/%&|^]=|[\s\S]/y;
+
+/**
+ * js-beautify brace style for the `braceStyle`, `braces` and `elseLine` settings
+ */
+function getBraceStyle(settings) {
+    let style = settings.braceStyle && settings.braceStyle !== 'none' ? settings.braceStyle : null;
+    if (!style) {
+        style = settings.braces ? 'expand' : settings.elseLine ? 'end-expand' : 'none';
+    } else if (settings.elseLine && style.startsWith('collapse')) {
+        style = style.replace('collapse', 'end-expand');
+    }
+    return style.replace('-preserve-inline', ',preserve-inline');
+}
+
+/**
+ * js-beautify options for scripts
+ * @param {object} settings - Formatter settings (`twig-language-2.*`)
+ * @returns {object}
+ */
+export function getScriptOptions(settings) {
+    return {
+        brace_style: getBraceStyle(settings),
+        space_in_paren: Boolean(settings.bracePadding),
+        break_chained_methods: settings.methodChain > 0,
+        space_after_named_function: Boolean(settings.functionName),
+        space_after_anon_function: settings.space !== false,
+        keep_array_indentation: Boolean(settings.neverFlatten),
+        // Also puts `case` at the level of its `switch`
+        jslint_happy: Boolean(settings.noCaseIndent),
+        // Keep conditional expressions broken before `?` and `:`
+        operator_position: settings.ternaryLine === false ? 'preserve-newline' : 'before-newline'
+    };
+}
+
+/**
+ * js-beautify options for styles
+ * @param {object} settings - Formatter settings (`twig-language-2.*`)
+ * @returns {object}
+ */
+export function getStyleOptions(settings) {
+    return {
+        brace_style: settings.braces || settings.braceStyle === 'expand' ? 'expand' : 'collapse',
+        newline_between_rules: Boolean(settings.cssInsertLines)
+    };
+}
+
+/**
+ * Whether a `<script>` start tag holds JavaScript
+ */
+export function isJavaScript(startTag) {
+    const type = startTag.match(/\stype\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/i);
+    return !type || SCRIPT_TYPES.includes((type[1] || type[2] || type[3] || '').trim().toLowerCase());
+}
+
+/**
+ * Split code into tokens: whitespace, comments, strings, regular expressions,
+ * words and punctuation. In styles there are no regular expressions, template
+ * strings or line comments, and words run up to the next punctuation.
+ */
+function scanCode(text, script) {
+    const tokens = [];
+    let pos = 0;
+    let last = null;
+
+    function push(type, end) {
+        const token = { type, value: text.substring(pos, end), start: pos, end };
+        tokens.push(token);
+        if (type !== 'space' && type !== 'comment') {
+            last = token;
+        }
+        pos = end;
+    }
+
+    function scanQuoted(quote) {
+        let end = pos + 1;
+        let braces = 0;
+        while (end < text.length) {
+            const char = text[end];
+            if (char === '\\') {
+                end += 2;
+                continue;
+            }
+            if (quote === '`' && char === '$' && text[end + 1] === '{') {
+                braces++;
+                end += 2;
+                continue;
+            }
+            if (braces && char === '{') {
+                braces++;
+            } else if (braces && char === '}') {
+                braces--;
+            } else if (!braces && char === quote) {
+                return end + 1;
+            } else if (!braces && char === '\n' && quote !== '`') {
+                return end;
+            }
+            end++;
+        }
+        return text.length;
+    }
+
+    function scanRegex() {
+        let end = pos + 1;
+        let inClass = false;
+        while (end < text.length && text[end] !== '\n') {
+            const char = text[end];
+            if (char === '\\') {
+                end += 2;
+                continue;
+            }
+            if (char === '[') {
+                inClass = true;
+            } else if (char === ']') {
+                inClass = false;
+            } else if (char === '/' && !inClass) {
+                return end + 1 + text.substring(end + 1).match(/^[a-z]*/)[0].length;
+            }
+            end++;
+        }
+        return -1;
+    }
+
+    function regexAllowed() {
+        return !last ||
+            (last.type === 'punct' && !/^[)\]}]$/.test(last.value)) ||
+            (last.type === 'word' && EXPRESSION_KEYWORDS.includes(last.value));
+    }
+
+    while (pos < text.length) {
+        const char = text[pos];
+        const rest = text.substring(pos, pos + 2);
+
+        if (/\s/.test(char)) {
+            push('space', pos + text.substring(pos).match(/^\s+/)[0].length);
+        } else if (rest === '/*') {
+            const close = text.indexOf('*/', pos + 2);
+            push('comment', close < 0 ? text.length : close + 2);
+        } else if (script && rest === '//') {
+            const close = text.indexOf('\n', pos);
+            push('comment', close < 0 ? text.length : close);
+        } else if (char === '"' || char === '\'' || (script && char === '`')) {
+            push('string', scanQuoted(char));
+        } else if (script && char === '/' && regexAllowed() && scanRegex() > 0) {
+            push('regex', scanRegex());
+        } else if (script ? /[\w$]/.test(char) : /[^\s{}();:,"'/]/.test(char)) {
+            const word = text.substring(pos).match(script ? /^[\w$]+/ : /^[^\s{}();:,"'/]+/)[0];
+            push('word', pos + word.length);
+        } else {
+            PUNCTUATION.lastIndex = pos;
+            push('punct', pos + PUNCTUATION.exec(text)[0].length);
+        }
+    }
+
+    return tokens;
+}
+
+/**
+ * Tokens that are neither whitespace nor comments, with matching brackets
+ * linked through `close`
+ */
+function codeTokens(tokens) {
+    const code = tokens.filter(token => token.type !== 'space' && token.type !== 'comment');
+    const stack = [];
+    code.forEach((token, index) => {
+        token.index = index;
+        if (token.type !== 'punct') {
+            return;
+        }
+        if (token.value === '(' || token.value === '[' || token.value === '{') {
+            stack.push(token);
+        } else if (token.value === ')' || token.value === ']' || token.value === '}') {
+            const open = stack.pop();
+            if (open) {
+                open.close = index;
+            }
+        }
+    });
+    return code;
+}
+
+/**
+ * Apply replacements `{start, end, text}`, skipping any that overlap one
+ * applied before
+ */
+function applyEdits(text, edits) {
+    let result = text;
+    let limit = Infinity;
+    edits.sort((a, b) => b.start - a.start).forEach(edit => {
+        if (edit.end > limit) {
+            return;
+        }
+        result = result.substring(0, edit.start) + edit.text + result.substring(edit.end);
+        limit = edit.start;
+    });
+    return result;
+}
+
+function lineIndent(text, offset) {
+    const lineStart = text.lastIndexOf('\n', offset - 1) + 1;
+    return text.substring(lineStart).match(/^[ \t]*/)[0];
+}
+
+/**
+ * Split the tokens between two indexes at the separators at their own level
+ * @returns {Array<Array>} - Code tokens of each part; empty parts are dropped
+ */
+function splitTokens(code, from, to, separator) {
+    const parts = [];
+    let part = [];
+    for (let i = from; i < to; i++) {
+        const token = code[i];
+        if (token.type === 'punct' && token.value === separator) {
+            parts.push(part);
+            part = [];
+            continue;
+        }
+        if (token.close !== undefined) {
+            part = part.concat(code.slice(i, token.close + 1));
+            i = token.close;
+            continue;
+        }
+        part.push(token);
+    }
+    parts.push(part);
+    return parts.filter(item => item.length);
+}
+
+/**
+ * Whether `[` or `{` at an index starts an array or object literal rather
+ * than an index or a block
+ */
+function isLiteral(code, index) {
+    const token = code[index];
+    const previous = code[index - 1];
+    if (token.close === undefined) {
+        return false;
+    }
+    if (previous && previous.type === 'word' && EXPRESSION_KEYWORDS.includes(previous.value)) {
+        return true;
+    }
+    if (token.value === '[') {
+        return !previous || (previous.type === 'punct' && !/^[)\]}]$/.test(previous.value));
+    }
+    return Boolean(previous) && previous.type === 'punct' && !/^([)\]};{]|=>)$/.test(previous.value);
+}
+
+/**
+ * Whether the entries of an object literal are all `key: value`
+ */
+function isPlainObject(code, open) {
+    const entries = splitTokens(code, open.index + 1, open.close, ',');
+    return entries.every(entry => entry.length > 2 && (entry[0].type === 'word' || entry[0].type === 'string') &&
+        entry[1].type === 'punct' && entry[1].value === ':');
+}
+
+/**
+ * Put parts of the text in a new order, each taking the place of another
+ * part, with what is between them unchanged
+ * @param {string} text - Text
+ * @param {Array<{start: number, end: number}>} slots - Parts, in order
+ * @param {Array<number>} order - Index of the part to put in each slot
+ */
+function permute(text, slots, order) {
+    return order.map((from, to) => ({ start: slots[to].start, end: slots[to].end, text: text.substring(slots[from].start, slots[from].end) }));
+}
+
+function sortOrder(keys) {
+    return keys.map((key, index) => index).sort((a, b) => keys[a] < keys[b] ? -1 : keys[a] > keys[b] ? 1 : a - b);
+}
+
+function unquote(token) {
+    return token.type === 'string' ? token.value.slice(1, -1) : token.value;
+}
+
+/**
+ * Insert a blank line after `{` and before `}` when they end or start a line
+ */
+function braceLineEdits(tokens) {
+    const edits = [];
+    tokens.forEach((token, index) => {
+        const next = tokens[index + 1];
+        const previous = tokens[index - 1];
+        if (token.type !== 'space' || !/^[^\n]*\n[^\n]*$/.test(token.value) || !next || !previous) {
+            return;
+        }
+        const afterOpen = previous.type === 'punct' && previous.value === '{';
+        const beforeClose = next.type === 'punct' && next.value === '}';
+        if (afterOpen !== beforeClose) {
+            edits.push({ start: token.start, end: token.start, text: '\n' });
+        }
+    });
+    return edits;
+}
+
+/**
+ * Vertically align the values of consecutive lines matching a pattern. The
+ * pattern captures the indentation, the key and the value.
+ */
+function alignLines(text, pattern, join, excluded) {
+    const lines = text.split('\n');
+    let offset = 0;
+    let group = [];
+
+    function flush() {
+        if (group.length > 1) {
+            const width = Math.max(...group.map(item => item.match[2].length));
+            group.forEach(item => {
+                lines[item.line] = join(item.match[1], item.match[2], ' '.repeat(width - item.match[2].length), item.match[3]);
+            });
+        }
+        group = [];
+    }
+
+    lines.forEach((line, index) => {
+        const match = excluded(offset) ? null : line.match(pattern);
+        if (!match || (group.length && match[1] !== group[0].match[1])) {
+            flush();
+        }
+        if (match) {
+            group.push({ line: index, match });
+        }
+        offset += line.length + 1;
+    });
+    flush();
+
+    return lines.join('\n');
+}
+
+/**
+ * Whether an offset is inside a string or comment spanning several lines
+ */
+function inMultilineToken(tokens, offset) {
+    return tokens.some(token => (token.type === 'string' || token.type === 'comment') && token.start < offset && offset < token.end);
+}
+
+/**
+ * Whether there is a comment between two offsets
+ */
+function hasComment(tokens, start, end) {
+    return tokens.some(token => token.type === 'comment' && token.start >= start && token.end <= end);
+}
+
+/**
+ * Sort the keys of object literals. Objects are sorted one at a time from
+ * the last one, so that nested objects are sorted before the object holding
+ * them; sorting does not change the length of the text.
+ */
+function sortObjects(text, tokens, code) {
+    let result = text;
+    code.filter(token => token.type === 'punct' && token.value === '{' && isLiteral(code, token.index) && isPlainObject(code, token))
+        .reverse()
+        .forEach(open => {
+            const entries = splitTokens(code, open.index + 1, open.close, ',');
+            if (entries.length < 2 || hasComment(tokens, open.end, code[open.close].start)) {
+                return;
+            }
+            const slots = entries.map(entry => ({ start: entry[0].start, end: entry[entry.length - 1].end }));
+            result = applyEdits(result, permute(result, slots, sortOrder(entries.map(entry => unquote(entry[0])))));
+        });
+    return result;
+}
+
+/**
+ * Add or remove the trailing comma of array and object literals spanning
+ * several lines
+ */
+function endCommaEdits(text, code, endComma) {
+    const edits = [];
+
+    code.forEach(token => {
+        if (token.type !== 'punct' || (token.value !== '[' && token.value !== '{') || !isLiteral(code, token.index) ||
+            (token.value === '{' && !isPlainObject(code, token))) {
+            return;
+        }
+        const close = code[token.close];
+        const last = code[token.close - 1];
+        if (last === token || !text.substring(token.start, close.start).includes('\n')) {
+            return;
+        }
+        const hasComma = last.type === 'punct' && last.value === ',';
+        const after = code[token.close + 1];
+        // `[a, ...rest] = value` can't end with a comma
+        const assigned = after && after.type === 'punct' && after.value === '=';
+        if (endComma === 'never' && hasComma) {
+            edits.push({ start: last.start, end: last.end, text: '' });
+        } else if (endComma === 'always' && !hasComma && !assigned) {
+            edits.push({ start: last.end, end: last.end, text: ',' });
+        }
+    });
+
+    return edits;
+}
+
+/**
+ * Convert the quotes of strings that contain neither the new quote nor escapes
+ */
+function quoteEdits(code, quote) {
+    return code
+        .filter(token => token.type === 'string' && token.value[0] !== '`' && token.value[0] !== quote)
+        .filter(token => {
+            const raw = token.value.slice(1, -1);
+            // Twig printed inside the string may contain any quote
+            return !raw.includes(quote) && !raw.includes('\\') && !raw.includes('twig_language_format');
+        })
+        .map(token => ({ start: token.start, end: token.end, text: quote + token.value.slice(1, -1) + quote }));
+}
+
+/**
+ * Put `?` and `:` of conditional expressions at the start of a new line
+ */
+function ternaryEdits(text, tokens, code, indentUnit) {
+    const edits = [];
+
+    function breakBefore(token) {
+        const previous = tokens[tokens.indexOf(token) - 1];
+        if (previous && previous.type === 'space' && !previous.value.includes('\n')) {
+            edits.push({ start: previous.start, end: previous.end, text: `\n${lineIndent(text, token.start)}${indentUnit}` });
+        }
+    }
+
+    code.forEach((token, index) => {
+        if (token.type !== 'punct' || token.value !== '?') {
+            return;
+        }
+        let nested = 0;
+        for (let i = index + 1; i < code.length; i++) {
+            const next = code[i];
+            if (next.close !== undefined) {
+                i = next.close;
+                continue;
+            }
+            if (next.type !== 'punct') {
+                continue;
+            }
+            if (next.value === '?') {
+                nested++;
+            } else if (next.value === ':' && nested) {
+                nested--;
+            } else if (next.value === ':') {
+                breakBefore(token);
+                breakBefore(next);
+                break;
+            } else if (/^[,;)\]}]$/.test(next.value)) {
+                break;
+            }
+        }
+    });
+
+    return edits;
+}
+
+/**
+ * Statement starting at a `var`, `let` or `const` keyword: its declarators
+ * and the `;` ending it
+ */
+function getDeclaration(code, index) {
+    const keyword = code[index];
+    const previous = code[index - 1];
+    if (keyword.type !== 'word' || !DECLARATION_KEYWORDS.includes(keyword.value) ||
+        (previous && !(previous.type === 'punct' && /^[;{}]$/.test(previous.value)))) {
+        return null;
+    }
+
+    for (let i = index + 1; i < code.length; i++) {
+        const token = code[i];
+        if (token.close !== undefined) {
+            i = token.close;
+        } else if (token.type === 'punct' && token.value === ';') {
+            return { keyword, declarators: splitTokens(code, index + 1, i, ','), end: token };
+        } else if (token.type === 'punct' && /^[)\]}]$/.test(token.value)) {
+            return null;
+        }
+    }
+    return null;
+}
+
+/**
+ * Declare each variable in its own statement, or consecutive variables of
+ * the same kind in one statement
+ */
+function variableListEdits(text, code, mode, indentUnit) {
+    const edits = [];
+    const declarations = code.map((token, index) => getDeclaration(code, index)).filter(Boolean);
+    const source = declarator => text.substring(declarator[0].start, declarator[declarator.length - 1].end);
+
+    if (mode === 'each') {
+        declarations.filter(declaration => declaration.declarators.length > 1).forEach(declaration => {
+            const indent = lineIndent(text, declaration.keyword.start);
+            edits.push({
+                start: declaration.keyword.start,
+                end: declaration.end.end,
+                text: declaration.declarators.map(declarator => `${declaration.keyword.value} ${source(declarator)};`).join(`\n${indent}`)
+            });
+        });
+        return edits;
+    }
+
+    // Runs of declarations separated by nothing but whitespace
+    let run = [];
+    const flush = () => {
+        if (run.length > 1) {
+            const first = run[0];
+            const indent = lineIndent(text, first.keyword.start) + indentUnit;
+            const declarators = [].concat(...run.map(declaration => declaration.declarators));
+            edits.push({
+                start: first.keyword.start,
+                end: run[run.length - 1].end.end,
+                text: `${first.keyword.value} ${declarators.map(source).join(`,\n${indent}`)};`
+            });
+        }
+        run = [];
+    };
+    declarations.forEach(declaration => {
+        const previous = run[run.length - 1];
+        const between = previous ? text.substring(previous.end.end, declaration.keyword.start) : '';
+        if (previous && (previous.keyword.value !== declaration.keyword.value || /\S/.test(between))) {
+            flush();
+        }
+        run.push(declaration);
+    });
+    flush();
+
+    return edits;
+}
+
+/**
+ * Apply the settings js-beautify has no option for to a beautified script
+ * @param {string} text - Script content, as formatted by js-beautify
+ * @param {object} settings - Formatter settings (`twig-language-2.*`)
+ * @param {string} indentUnit - One level of indentation
+ * @returns {string}
+ */
+export function formatScript(text, settings, indentUnit) {
+    let result = text;
+    let tokens = scanCode(result, true);
+    let code = codeTokens(tokens);
+    const rescan = () => {
+        tokens = scanCode(result, true);
+        code = codeTokens(tokens);
+    };
+
+    if (settings.objectSort) {
+        result = sortObjects(result, tokens, code);
+    }
+    if (settings.endComma === 'always' || settings.endComma === 'never') {
+        rescan();
+        result = applyEdits(result, endCommaEdits(result, code, settings.endComma));
+    }
+    if (settings.quoteConvert === 'single' || settings.quoteConvert === 'double') {
+        rescan();
+        result = applyEdits(result, quoteEdits(code, settings.quoteConvert === 'single' ? '\'' : '"'));
+    }
+    if (settings.variableList === 'each' || settings.variableList === 'list') {
+        rescan();
+        result = applyEdits(result, variableListEdits(result, code, settings.variableList, indentUnit));
+    }
+    if (settings.ternaryLine === false) {
+        rescan();
+        result = applyEdits(result, ternaryEdits(result, tokens, code, indentUnit));
+    }
+    if (settings.braceLine) {
+        rescan();
+        result = applyEdits(result, braceLineEdits(tokens));
+    }
+    if (settings.vertical) {
+        rescan();
+        const excluded = offset => inMultilineToken(tokens, offset);
+        result = alignLines(result, /^(\s*)((?:(?:var|let|const)\s+)?[\w$.]+)\s*=(?![=>])\s*(\S.*)$/, (indent, key, pad, value) => `${indent}${key}${pad} = ${value}`, excluded);
+        result = alignLines(result, /^(\s*)((?!case\b|default\b)[\w$]+|'[^'\\]*'|"[^"\\]*")\s*:(?!:)\s*(\S.*)$/, (indent, key, pad, value) => `${indent}${key}: ${pad}${value}`, excluded);
+    }
+
+    return result;
+}
+
+/**
+ * Apply the settings js-beautify has no option for to a beautified style
+ * @param {string} text - Style content, as formatted by js-beautify
+ * @param {object} settings - Formatter settings (`twig-language-2.*`)
+ * @returns {string}
+ */
+export function formatStyle(text, settings) {
+    let result = text;
+    let tokens = scanCode(result, false);
+    const code = codeTokens(tokens);
+    const edits = [];
+
+    code.forEach(token => {
+        if (settings.noLeadZero && token.type === 'word' && /^[-+]?0+\.\d/.test(token.value)) {
+            edits.push({ start: token.start, end: token.end, text: token.value.replace(/^([-+]?)0+\./, '$1.') });
+        }
+
+        // Blocks holding nothing but declarations
+        if (token.type !== 'punct' || token.value !== '{' || token.close === undefined ||
+            code.slice(token.index + 1, token.close).some(inner => inner.type === 'punct' && /^[{}]$/.test(inner.value)) ||
+            tokens.some(inner => inner.type === 'comment' && inner.start > token.start && inner.end < code[token.close].start)) {
+            return;
+        }
+        const declarations = splitTokens(code, token.index + 1, token.close, ';');
+        if (!declarations.length || !declarations.every(declaration => declaration.some(inner => inner.value === ':'))) {
+            return;
+        }
+        const slots = declarations.map(declaration => ({ start: declaration[0].start, end: declaration[declaration.length - 1].end }));
+
+        // Declarations keep their order: sorting them would change the cascade,
+        // e.g. `margin-top: 0; margin: 8px`
+        if (settings.compressedCss) {
+            const compressed = slots.map(slot => text.substring(slot.start, slot.end)
+                .replace(/^([^:]*?)\s*:\s*/, '$1:')
+                .replace(/\s+/g, ' '));
+            edits.push({ start: token.start, end: code[token.close].end, text: `{${compressed.join(';')}}` });
+        }
+    });
+    result = applyEdits(result, edits);
+
+    if (settings.braceLine && !settings.compressedCss) {
+        result = applyEdits(result, braceLineEdits(scanCode(result, false)));
+    }
+    if (settings.vertical && !settings.compressedCss) {
+        tokens = scanCode(result, false);
+        result = alignLines(result, /^(\s*)(-{0,2}[\w-]+)\s*:\s*(\S.*;)\s*$/, (indent, key, pad, value) => `${indent}${key}: ${pad}${value}`, offset => inMultilineToken(tokens, offset));
+    }
+
+    return result;
+}
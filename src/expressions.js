@@ -0,0 +1,380 @@
+import { tokenize, TokenType } from './lexer';
+import { walk } from './parser';
+
+/**
+ * Formatting of Twig expressions: spacing inside Twig delimiters, array and
+ * hash literals, and quotes of string literals. Expressions are rewritten in
+ * place; everything that is not changed keeps its original text.
+ */
+
+// Names inside tags that are keywords rather than functions, e.g. `with (vars)`
+const TAG_KEYWORDS = ['with', 'only', 'as', 'import', 'from', 'ignore', 'missing', 'if', 'else'];
+
+// Operators written without spaces around them
+const TIGHT_OPERATORS = ['..', '...'];
+
+const UNARY_OPERATORS = ['-', '+'];
+
+/**
+ * Spacing of a Twig tag, following the Twig coding standards: one space
+ * inside the delimiters and around operators, none inside parentheses and
+ * brackets or around `.`, `..` and `|`, and one after `,` and the `:` of
+ * hashes. Line breaks and the text of strings are kept as they are; their
+ * `#{...}` interpolations are spaced like hashes.
+ * @param {string} source - Template source
+ * @param {Array} tokens - Tokens of the tag, from its start to its end delimiter
+ * @param {object} settings - Formatter settings: `pipeSpacing`, `bracePadding`
+ * @param {string} [padding] - Space inside the delimiters, one by default
+ * @returns {string} - Tag source
+ */
+function formatTagSpacing(source, tokens, settings, padding) {
+    const start = tokens[0];
+    const end = tokens[tokens.length - 1];
+    const tagName = start.type === TokenType.BLOCK_START && tokens[1].type === TokenType.NAME ? tokens[1] : null;
+    const pad = settings.bracePadding ? ' ' : '';
+    const pipe = settings.pipeSpacing ? ' ' : '';
+    // Open brackets, with the number of `?` waiting for their `:`
+    const brackets = [{ char: null, ternaries: 0 }];
+    const unary = new Set();
+
+    function isOperand(token) {
+        return token.type === TokenType.NAME || token.type === TokenType.NUMBER || token.type === TokenType.STRING ||
+            (token.type === TokenType.PUNCTUATION && /^[)\]}]$/.test(token.value));
+    }
+
+    function gap(previous, next, index) {
+        const bracket = brackets[brackets.length - 1];
+        const punct = (token, chars) => token.type === TokenType.PUNCTUATION && chars.includes(token.value);
+        const isOperator = (token, values) => token.type === TokenType.OPERATOR && (!values || values.includes(token.value));
+        // `name=value` arguments of calls, but `name = value` defaults of macros
+        const tightEquals = bracket.char === '(' && (!tagName || tagName.value !== 'macro');
+
+        if (previous === start || next === end) {
+            return padding === undefined ? ' ' : padding;
+        }
+        if (punct(previous, '(') || punct(previous, '[') || punct(next, ')') || punct(next, ']')) {
+            return '';
+        }
+        if (punct(previous, '{') && punct(next, '}')) {
+            return '';
+        }
+        if (punct(previous, '{') || punct(next, '}')) {
+            return pad;
+        }
+        if (punct(next, ',')) {
+            return '';
+        }
+        if (punct(previous, ',')) {
+            return ' ';
+        }
+        if (punct(previous, '.') || punct(next, '.')) {
+            return '';
+        }
+        if (punct(previous, '|') || punct(next, '|')) {
+            return pipe;
+        }
+        if (punct(previous, '?') && punct(next, ':')) {
+            // `?:`
+            return '';
+        }
+        if (punct(next, ':')) {
+            return next.ternary ? ' ' : '';
+        }
+        if (punct(previous, ':')) {
+            return previous.ternary || bracket.char !== '[' ? ' ' : '';
+        }
+        if (punct(previous, '?') || punct(next, '?')) {
+            return ' ';
+        }
+        if (punct(next, '(')) {
+            return previous.type === TokenType.NAME && previous !== tagName && !TAG_KEYWORDS.includes(previous.value) ? '' : ' ';
+        }
+        if (punct(next, '[')) {
+            return isOperand(previous) && previous !== tagName ? '' : ' ';
+        }
+        if (isOperator(previous, TIGHT_OPERATORS) || isOperator(next, TIGHT_OPERATORS)) {
+            return '';
+        }
+        if (unary.has(index - 1)) {
+            return '';
+        }
+        if ((isOperator(previous, ['=']) || isOperator(next, ['='])) && tightEquals) {
+            return '';
+        }
+        return ' ';
+    }
+
+    let text = source.substring(start.start, start.end);
+    for (let i = 1; i < tokens.length; i++) {
+        const previous = tokens[i - 1];
+        const token = tokens[i];
+        const bracket = brackets[brackets.length - 1];
+
+        if (token.type === TokenType.OPERATOR && UNARY_OPERATORS.includes(token.value) &&
+            (previous === start || previous === tagName || previous.type === TokenType.OPERATOR ||
+                (previous.type === TokenType.PUNCTUATION && !isOperand(previous)))) {
+            unary.add(i);
+        }
+        if (token.type === TokenType.PUNCTUATION && token.value === '?' && !(tokens[i + 1] && tokens[i + 1].value === ':')) {
+            bracket.ternaries++;
+        } else if (token.type === TokenType.PUNCTUATION && token.value === ':' && bracket.ternaries && previous.value !== '?') {
+            bracket.ternaries--;
+            token.ternary = true;
+        }
+
+        // Line breaks stay, and so do adjacent strings (`'it''s'`)
+        const written = source.substring(previous.end, token.start);
+        const kept = written.includes('\n') || (!written && previous.type === TokenType.STRING && token.type === TokenType.STRING);
+        text += kept ? written : gap(previous, token, i);
+        if (token.type === TokenType.STRING && token.parts) {
+            text += formatInterpolations(source, token, settings);
+        } else {
+            text += token.type === TokenType.OPERATOR && /\s/.test(source.substring(token.start, token.end))
+                ? token.value
+                : source.substring(token.start, token.end);
+        }
+
+        if (token.type === TokenType.PUNCTUATION && '([{'.includes(token.value)) {
+            brackets.push({ char: token.value, ternaries: 0 });
+        } else if (token.type === TokenType.PUNCTUATION && ')]}'.includes(token.value) && brackets.length > 1) {
+            brackets.pop();
+        }
+    }
+    return text;
+}
+
+/**
+ * String literal with the spacing of its `#{...}` interpolations normalised:
+ * none inside the braces, unless `bracePadding` is set, as for hashes, or
+ * a hash starts the expression
+ */
+function formatInterpolations(source, token, settings) {
+    let text = '';
+    let last = token.start;
+
+    token.parts.forEach(part => {
+        if (part.type !== 'interpolation' || !part.tokens.length || source[part.end - 1] !== '}') {
+            return;
+        }
+        const open = { type: TokenType.PUNCTUATION, value: '#{', start: part.start, end: part.start + 2 };
+        const close = { type: TokenType.PUNCTUATION, value: '}', start: part.end - 1, end: part.end };
+        // `#{ {a: 1}|length }` rather than `#{{a: 1}|length}`
+        const first = part.tokens[0];
+        const padded = settings.bracePadding || (first.type === TokenType.PUNCTUATION && first.value === '{');
+        text += source.substring(last, part.start) +
+            formatTagSpacing(source, [open].concat(part.tokens, [close]), settings, padded ? ' ' : '');
+        last = part.end;
+    });
+
+    return text + source.substring(last, token.end);
+}
+
+/**
+ * Normalise the spacing inside Twig delimiters, keeping whitespace control
+ * modifiers (`{{-`, `~}}`), line breaks and string contents. Tags the lexer
+ * reports errors in are left alone.
+ * @param {string} source - Template source
+ * @param {object} settings - Formatter settings (`twig-language-2.*`)
+ * @returns {string} - Source with normalised Twig spacing
+ */
+export function formatSpacing(source, settings) {
+    const { tokens, errors } = tokenize(source);
+    const hasError = (start, end) => errors.some(error => error.start < end && error.end > start);
+    let result = '';
+    let last = 0;
+
+    for (let i = 0; i < tokens.length; i++) {
+        const token = tokens[i];
+
+        if (token.type === TokenType.COMMENT) {
+            const content = token.value.trim();
+            if (content && !token.value.includes('\n') && !hasError(token.start, token.end)) {
+                result += source.substring(last, token.start) + `{#${token.trimLeft} ${content} ${token.trimRight}#}`;
+                last = token.end;
+            }
+            continue;
+        }
+        if (token.type !== TokenType.BLOCK_START && token.type !== TokenType.VAR_START) {
+            continue;
+        }
+
+        let end = i + 1;
+        while (tokens[end].type !== TokenType.BLOCK_END && tokens[end].type !== TokenType.VAR_END) {
+            end++;
+        }
+        const close = tokens[end];
+        if (!close.missing && !hasError(token.start, close.end)) {
+            result += source.substring(last, token.start) + formatTagSpacing(source, tokens.slice(i, end + 1), settings);
+            last = close.end;
+        }
+        i = end;
+    }
+
+    return result + source.substring(last);
+}
+
+/**
+ * Whether any of the settings changes the layout of array and hash literals
+ */
+function hasLayoutSettings(settings) {
+    return settings.formatArray === 'indent' || settings.formatArray === 'inline' ||
+        settings.formatObject === 'indent' || settings.formatObject === 'inline' ||
+        settings.endComma === 'always' || settings.endComma === 'never' ||
+        Boolean(settings.objectSort || settings.bracePadding || settings.vertical);
+}
+
+/**
+ * String literal with its quotes converted, when that does not need escaping
+ */
+function convertQuotes(source, node, quote) {
+    const raw = source.substring(node.start + 1, node.end - 1);
+    if (!node.quote || node.quote === quote || raw.includes(quote) || raw.includes('\\') || (quote === '"' && raw.includes('#{'))) {
+        return null;
+    }
+    return quote + raw + quote;
+}
+
+function lineIndent(source, offset) {
+    const lineStart = source.lastIndexOf('\n', offset - 1) + 1;
+    return source.substring(lineStart).match(/^[ \t]*/)[0];
+}
+
+/**
+ * Rewrite Twig array and hash literals and string quotes following the
+ * formatter settings
+ * @param {object} template - Template node parsed from the source
+ * @param {string} source - Template source
+ * @param {object} settings - Formatter settings (`twig-language-2.*`)
+ * @param {string} indentUnit - One level of indentation
+ * @param {function(number): string|null} placement - Where an offset is: `'attribute'` inside an
+ *   HTML tag, `'script'` in a script or style, or null. Literals there stay on one line and
+ *   keep their quotes.
+ * @returns {string} - Source with the expressions rewritten
+ */
+export function formatExpressions(template, source, settings, indentUnit, placement) {
+    const layout = hasLayoutSettings(settings);
+    const quote = settings.quoteConvert === 'single' ? '\'' : settings.quoteConvert === 'double' ? '"' : null;
+    if (!layout && !quote) {
+        return source;
+    }
+
+    /**
+     * Nodes directly below a node that are rewritten: literals and strings
+     */
+    function rewrittenChildren(node) {
+        const children = [];
+        walk(node, child => {
+            if (child === node) {
+                return;
+            }
+            if (child.type === 'Array' || child.type === 'Hash' || (child.type === 'Literal' && child.kind === 'string')) {
+                children.push(child);
+                return false;
+            }
+        });
+        return children.sort((a, b) => a.start - b.start);
+    }
+
+    /**
+     * Text of a node with the rewritten nodes below it replaced
+     */
+    function render(node, indent, multiline, quotes) {
+        if (layout && (node.type === 'Array' || node.type === 'Hash')) {
+            return renderLiteral(node, indent, multiline, quotes);
+        }
+        if (node.type === 'Literal' && node.kind === 'string') {
+            return (quotes && convertQuotes(source, node, quote)) || source.substring(node.start, node.end);
+        }
+
+        let text = '';
+        let last = node.start;
+        rewrittenChildren(node).forEach(child => {
+            text += source.substring(last, child.start) + render(child, indent, multiline, quotes);
+            last = child.end;
+        });
+        return text + source.substring(last, node.end);
+    }
+
+    /**
+     * Key of a hash pair as written, with the parentheses of computed keys
+     */
+    function keyText(pair) {
+        const before = source.substring(0, pair.key.start).replace(/\s+$/, '');
+        if (before.endsWith('(')) {
+            const close = source.indexOf(')', pair.key.end);
+            return source.substring(before.length - 1, close + 1);
+        }
+        return source.substring(pair.key.start, pair.key.end);
+    }
+
+    function sortKey(item) {
+        return item.node.type === 'Pair' && item.node.key.type === 'Literal' && !item.computed ? String(item.node.key.value) : null;
+    }
+
+    function renderLiteral(node, indent, multiline, quotes) {
+        const original = source.substring(node.start, node.end);
+        const isHash = node.type === 'Hash';
+        const nodes = isHash ? node.pairs : node.elements;
+        if (!nodes.length) {
+            return original;
+        }
+
+        const mode = isHash ? settings.formatObject : settings.formatArray;
+        // By default a literal stays on several lines when it starts a new line after its bracket
+        const lines = multiline && (mode === 'indent' || (mode !== 'inline' && /^.[ \t]*\r?\n/.test(original)));
+        const innerIndent = lines ? indent + indentUnit : indent;
+
+        let items = nodes.map(item => {
+            if (item.type !== 'Pair') {
+                return { node: item, key: null, value: render(item, innerIndent, multiline, quotes) };
+            }
+            const key = keyText(item);
+            return {
+                node: item,
+                key,
+                computed: key.startsWith('('),
+                value: item.shorthand ? null : render(item.value, innerIndent, multiline, quotes)
+            };
+        });
+
+        if (isHash && settings.objectSort && items.every(item => sortKey(item) !== null)) {
+            items = items.slice().sort((a, b) => sortKey(a).localeCompare(sortKey(b)));
+        }
+
+        const lastEnd = nodes[nodes.length - 1].end;
+        const hadComma = source.substring(lastEnd, node.end - 1).includes(',');
+        const open = original.charAt(0);
+        const close = original.charAt(original.length - 1);
+
+        if (!lines) {
+            const pad = settings.bracePadding || /^[[{]\s/.test(original) ? ' ' : '';
+            const comma = settings.endComma === 'none' && hadComma ? ',' : '';
+            const body = items.map(item => item.key === null ? item.value : item.value === null ? item.key : `${item.key}: ${item.value}`).join(', ');
+            return `${open}${pad}${body}${comma}${pad}${close}`;
+        }
+
+        const width = settings.vertical ? Math.max(...items.map(item => item.key && item.value !== null ? item.key.length : 0)) : 0;
+        const comma = settings.endComma === 'always' || (settings.endComma !== 'never' && hadComma) ? ',' : '';
+        const body = items.map(item => {
+            if (item.key === null) {
+                return innerIndent + item.value;
+            }
+            if (item.value === null) {
+                return innerIndent + item.key;
+            }
+            return `${innerIndent}${item.key}:${' '.repeat(Math.max(width - item.key.length, 0) + 1)}${item.value}`;
+        });
+        return `${open}\n${body.join(',\n')}${comma}\n${indent}${close}`;
+    }
+
+    // Outermost literals and strings, rewritten from the end so offsets stay valid.
+    // Quotes in HTML tags and scripts are left alone: the Twig may be inside
+    // an attribute value or a string.
+    let result = source;
+    rewrittenChildren(template).reverse().forEach(node => {
+        const place = placement(node.start);
+        const text = render(node, lineIndent(source, node.start), !place, Boolean(quote) && !place);
+        result = result.substring(0, node.start) + text + result.substring(node.end);
+    });
+    return result;
+}
@@ -1,13 +1,23 @@
 import vscode from 'vscode'
-import { html as beautifyHtml } from 'js-beautify'
 import { getLanguageService } from 'vscode-html-languageservice'
 import { TextDocument } from 'vscode-languageserver-textdocument'
-import { initializeDiagnostics } from './diagnostics'
+import { initializeDiagnostics, provideCodeActions } from './diagnostics'
 import { initializeCompletions, provideCompletions } from './completions'
-import snippetsArr from './hover/filters.json'
-import functionsArr from './hover/functions.json'
-import twigArr from './hover/twig.json'
-import alpineArr from './hover/alpine.json'
+import { parseDocument, findNodePath } from './parser'
+import { initializeTemplates } from './templates'
+import { initializeIndex } from './workspace'
+import { provideDefinition } from './definitions'
+import { initializeSymbols, provideDocumentSymbols } from './symbols'
+import { provideCodeLenses } from './inheritance'
+import { prepareRename, provideRenameEdits } from './rename'
+import { provideReferences } from './references'
+import { provideSignatureHelp } from './signatures'
+import { formatTwig } from './formatter'
+import { getScriptOptions, getStyleOptions } from './embedded'
+import { initializeCatalog, getCatalog, findEntry } from './catalog'
+import { initializeScripts } from './scripts'
+import { findAlpineHover, getAlpineCatalog } from './alpine'
+import { findCssHover } from './css'
 
 const editor = vscode.workspace.getConfiguration('editor');
 const config = vscode.workspace.getConfiguration('twig-language-2');
@@ -18,12 +28,56 @@ let htmlLanguageService;
 function createHover(snippet, type) {
     const example = typeof snippet.example == 'undefined' ? '' : snippet.example
     const description = typeof snippet.description == 'undefined' ? '' : snippet.description
+    // Filters and functions of the project carry their signature
+    const signature = typeof snippet.signature == 'undefined' ? '' : snippet.signature + '\n\n'
     return new vscode.Hover({
         language: type,
-        value: description + '\n\n' + example
+        value: signature + description + '\n\n' + example
     });
 }
 
+function findSnippet(catalog, word) {
+    for (const snippet in catalog) {
+        if (snippet == word || catalog[snippet].prefix == word || catalog[snippet].hover == word) {
+            return catalog[snippet]
+        }
+    }
+}
+
+/**
+ * Hover entry for the filter, function, tag, test or global variable under the
+ * cursor, from the catalog of the active framework profile
+ */
+function findTwigSnippet(document, position) {
+    const offset = document.offsetAt(position);
+    const path = findNodePath(parseDocument(document), offset);
+    const catalog = getCatalog();
+
+    for (let i = path.length - 1; i > 0; i--) {
+        const node = path[i];
+
+        if (node.type === 'Filter' && node.nameStart <= offset && offset <= node.nameEnd) {
+            return findEntry(catalog.filters, node.name);
+        }
+
+        if (node.type === 'Call' && node.callee.type === 'Name' && node.callee.start <= offset && offset <= node.callee.end) {
+            return findEntry(catalog.functions, node.callee.name);
+        }
+
+        if (node.type === 'Tag' && node.nameStart <= offset && offset <= node.nameEnd) {
+            return findEntry(catalog.tags, node.name);
+        }
+
+        if (node.type === 'Test' && node.nameStart <= offset && offset <= node.nameEnd) {
+            return findEntry(catalog.tests, node.name);
+        }
+
+        if (node.type === 'Name' && path[i - 1].callee !== node) {
+            return findEntry(catalog.globals, node.name);
+        }
+    }
+}
+
 function formatDocument(document, range) {
     const result = [];
     let source = document.getText(range);
@@ -58,17 +112,21 @@ function formatDocument(document, range) {
         indent_head_inner_html: true,
         indent_handlebars: true,
         indent_scripts: 'normal',
-        brace_style: config.braceStyle || 'collapse',
-        unformatted: config.unformatted ? config.unformatted.split(',').map(s => s.trim()) : ['code', 'pre', 'textarea'],
+        unformatted: typeof config.unformatted === 'string' && config.unformatted.trim()
+            ? config.unformatted.split(',').map(s => s.trim()).filter(Boolean)
+            : ['code', 'pre', 'textarea'],
         content_unformatted: ['pre', 'textarea'],
         extra_liners: ['head', 'body', '/html'],
         inline: [],  // Treat no tags as inline to prevent collapsing
         void_elements: [],  // Let js-beautify use defaults
-        templating: ['auto']  // Enable templating language support
+        templating: ['auto'],  // Enable templating language support
+        js: getScriptOptions(config),
+        css: getStyleOptions(config)
     };
 
-    // Format with js-beautify
-    const output = beautifyHtml(source, options);
+    // Format with js-beautify, then indent the Twig structure and apply
+    // the settings js-beautify has no option for
+    const output = formatTwig(source, options, config);
 
     result.push(vscode.TextEdit.replace(range, output));
     return result;
@@ -83,6 +141,12 @@ function activate(context) {
         customDataProviders: []
     });
 
+    // Tags, filters, functions, tests and globals of the framework profile
+    initializeCatalog(context);
+
+    // Alpine components and stores registered in the workspace scripts
+    initializeScripts(context);
+
     // Initialize diagnostics
     if (config.validation !== false) {
         initializeDiagnostics(context);
@@ -97,10 +161,84 @@ function activate(context) {
                 provideCompletionItems(document, position, token, context) {
                     return provideCompletions(document, position, token, context);
                 }
+            }, '.')
+        );
+
+        context.subscriptions.push(
+            vscode.languages.registerSignatureHelpProvider('twig', {
+                provideSignatureHelp(document, position) {
+                    return provideSignatureHelp(document, position);
+                }
+            }, '(', ',')
+        );
+    }
+
+    // Go to definition for template references
+    initializeTemplates(context);
+
+    // Background index of the workspace templates, for the cross-file features
+    initializeIndex(context);
+
+    context.subscriptions.push(
+        vscode.languages.registerDefinitionProvider('twig', {
+            provideDefinition(document, position) {
+                return provideDefinition(document, position);
+            }
+        })
+    );
+
+    // Templates extending, including, embedding or importing a template
+    context.subscriptions.push(
+        vscode.languages.registerReferenceProvider('twig', {
+            provideReferences(document, position) {
+                return provideReferences(document, position);
+            }
+        })
+    );
+
+    // Outline of blocks, macros, variables and loops
+    initializeSymbols(context, htmlLanguageService);
+
+    context.subscriptions.push(
+        vscode.languages.registerDocumentSymbolProvider('twig', {
+            provideDocumentSymbols(document) {
+                return provideDocumentSymbols(document);
+            }
+        })
+    );
+
+    // Navigation between overridden blocks of the template inheritance chain
+    if (config.codeLens !== false) {
+        context.subscriptions.push(
+            vscode.languages.registerCodeLensProvider('twig', {
+                provideCodeLenses(document) {
+                    return provideCodeLenses(document);
+                }
             })
         );
     }
 
+    // Rename blocks, macros and variables
+    context.subscriptions.push(
+        vscode.languages.registerRenameProvider('twig', {
+            prepareRename(document, position) {
+                return prepareRename(document, position);
+            },
+            provideRenameEdits(document, position, newName) {
+                return provideRenameEdits(document, position, newName);
+            }
+        })
+    );
+
+    // Quick fixes for unknown tags, filters, functions, tests and Alpine names
+    context.subscriptions.push(
+        vscode.languages.registerCodeActionsProvider('twig', {
+            provideCodeActions(document, range, context) {
+                return provideCodeActions(document, range, context);
+            }
+        }, { providedCodeActionKinds: [vscode.CodeActionKind.QuickFix] })
+    );
+
     registerDocType('twig');
 
     function registerDocType(type) {
@@ -118,27 +256,28 @@ function activate(context) {
                     
                     const word = document.getText(range);
 
-                    for (const snippet in snippetsArr) {
-                        if (snippetsArr[snippet].prefix == word || snippetsArr[snippet].hover == word) {
-                            return createHover(snippetsArr[snippet], type)
-                        }
+                    // Filters, functions and tags share names (`date`, `block`, ...),
+                    // so pick the catalog from the Twig syntax under the cursor first
+                    const twigSnippet = findTwigSnippet(document, position);
+                    if (twigSnippet) {
+                        return createHover(twigSnippet, type)
                     }
 
-                    for (const snippet in functionsArr) {
-                        if (functionsArr[snippet].prefix == word || functionsArr[snippet].hover == word) {
-                            return createHover(functionsArr[snippet], type)
-                        }
+                    const alpineSnippet = findAlpineHover(document, position);
+                    if (alpineSnippet) {
+                        return createHover(alpineSnippet, type)
                     }
 
-                    for (const snippet in twigArr) {
-                        if (twigArr[snippet].prefix == word || twigArr[snippet].hover == word) {
-                            return createHover(twigArr[snippet], type)
-                        }
+                    const cssHover = findCssHover(document, position);
+                    if (cssHover) {
+                        return cssHover;
                     }
 
-                    for (const snippet in alpineArr) {
-                        if (alpineArr[snippet].prefix == word || alpineArr[snippet].hover == word) {
-                            return createHover(alpineArr[snippet], type)
+                    const { filters, functions, tags } = getCatalog();
+                    for (const catalog of [filters, functions, tags, getAlpineCatalog()]) {
+                        const snippet = findSnippet(catalog, word);
+                        if (snippet) {
+                            return createHover(snippet, type)
                         }
                     }
 
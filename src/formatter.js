@@ -0,0 +1,495 @@
+import { html as beautifyHtml } from 'js-beautify';
+import { TokenType } from './lexer';
+import { parse, maskTwig } from './parser';
+import { formatSpacing, formatExpressions } from './expressions';
+import { formatScript, formatStyle, isJavaScript } from './embedded';
+
+/**
+ * Twig aware formatting
+ *
+ * js-beautify formats the markup, but it sees Twig tags as plain text: the
+ * content of `{% if %}`, `{% for %}` or `{% block %}` is not indented and a
+ * tag that opens an element in each branch of an `{% if %}` throws off the
+ * indentation of everything after it. The beautified text is therefore
+ * indented again here, with HTML elements and Twig tags both counting as
+ * levels. Twig comments, `{% verbatim %}` blocks and Twig tags that span
+ * several lines are hidden from js-beautify and put back unchanged.
+ *
+ * The formatter settings js-beautify has no option for are applied around
+ * it: to Twig array and hash literals before, and to markup, scripts and
+ * styles after. The spacing inside Twig delimiters is normalised first.
+ */
+
+const VOID_ELEMENTS = [
+    'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link',
+    'meta', 'param', 'source', 'track', 'wbr', '!doctype'
+];
+
+// Elements whose content is formatted by js-beautify as a whole, or kept as is
+const SCRIPT_ELEMENTS = ['script', 'style'];
+const PREFORMATTED_ELEMENTS = ['pre', 'textarea'];
+
+const RAW_TAGS = ['verbatim', 'raw'];
+
+const NESTED_BRANCH_TAGS = ['switch'];
+
+const PLACEHOLDER = 'twig-language-format';
+
+function leadingWhitespace(line) {
+    return line.match(/^[ \t]*/)[0];
+}
+
+/**
+ * Indentation of the line containing an offset
+ */
+function lineIndentAt(text, offset) {
+    const lineStart = text.lastIndexOf('\n', offset - 1) + 1;
+    return leadingWhitespace(text.substring(lineStart, offset + 1)).length;
+}
+
+/**
+ * Replace Twig comments, verbatim blocks, multi-line Twig tags and multi-line
+ * attribute values (e.g. `x-data="{ ... }"`) with single-line placeholders
+ * that js-beautify leaves alone. In scripts and styles every Twig part is
+ * replaced, by a comment or, for `{{ }}`, by an identifier, so that they are
+ * formatted as code. With `preserveComment`, HTML comments are hidden as well.
+ * Paired Twig tags written on one line around markup are hidden too, so that
+ * js-beautify does not break the line.
+ * @returns {{text: string, protectedParts: Array<{original: string, shift: boolean, indent: number}>}}
+ */
+function protectParts(source, settings) {
+    const template = parse(source);
+    const tokens = template.tokens;
+    const markup = scanMarkup(maskTwig(source, template));
+    const scripts = markup.regions.filter(region => region.script);
+    const inScript = start => scripts.some(region => region.start <= start && start < region.end);
+    const ranges = markup.attributes.map(range => Object.assign({ shift: true, attribute: true }, range));
+
+    if (settings.preserveComment) {
+        markup.regions.filter(region => region.comment).forEach(region => ranges.push({ start: region.start, end: region.end, shift: false }));
+    }
+
+    for (let i = 0; i < tokens.length; i++) {
+        const token = tokens[i];
+
+        if (token.type === TokenType.COMMENT) {
+            ranges.push({ start: token.start, end: token.end, shift: false });
+            continue;
+        }
+        if (token.type !== TokenType.BLOCK_START && token.type !== TokenType.VAR_START) {
+            continue;
+        }
+
+        let end = i + 1;
+        while (tokens[end].type !== TokenType.BLOCK_END && tokens[end].type !== TokenType.VAR_END) {
+            end++;
+        }
+
+        // `{% verbatim %}` up to and including `{% endverbatim %}`
+        const name = tokens[i + 1];
+        if (token.type === TokenType.BLOCK_START && name.type === TokenType.NAME && RAW_TAGS.includes(name.value)) {
+            let close = end + 1;
+            while (close < tokens.length - 1 && !(tokens[close].type === TokenType.BLOCK_START &&
+                tokens[close + 1].type === TokenType.NAME && tokens[close + 1].value === `end${name.value}`)) {
+                close++;
+            }
+            while (close < tokens.length - 1 && tokens[close].type !== TokenType.BLOCK_END) {
+                close++;
+            }
+            ranges.push({ start: token.start, end: tokens[close].end, shift: false });
+            i = close;
+            continue;
+        }
+
+        const multiline = source.substring(token.start, tokens[end].end).includes('\n');
+        if (multiline || inScript(token.start)) {
+            ranges.push({ start: token.start, end: tokens[end].end, shift: multiline });
+        }
+        i = end;
+    }
+
+    // A paired tag written on one line with markup inside, e.g.
+    // `{% if loop.last %}</ul>{% endif %}`, stays on that line
+    const tags = markup.regions.filter(region => region.tag);
+    const visit = nodes => nodes.forEach(node => {
+        if (node.type !== 'Tag') {
+            return;
+        }
+        const pair = node.endTag ? source.substring(node.start, node.outerEnd) : '';
+        if (pair.includes('<') && !pair.includes('\n') && !inScript(node.start) &&
+            !tags.some(region => region.start < node.start && node.start < region.end)) {
+            ranges.push({ start: node.start, end: node.outerEnd, shift: false });
+            return;
+        }
+        visit(node.body || []);
+        (node.branches || []).forEach(branch => visit(branch.body || []));
+    });
+    visit(template.body);
+
+    // Parts inside another one (Twig in an attribute value) go with it
+    ranges.sort((a, b) => a.start - b.start || b.end - a.end);
+    const protectedParts = [];
+    let text = '';
+    let last = 0;
+
+    ranges.forEach(range => {
+        if (range.start < last) {
+            return;
+        }
+        const index = protectedParts.length;
+        let placeholder = `{# ${PLACEHOLDER}-${index} #}`;
+        if (range.attribute || (inScript(range.start) && source.startsWith('{{', range.start))) {
+            placeholder = `${PLACEHOLDER.replace(/-/g, '_')}_${index}`;
+        } else if (inScript(range.start)) {
+            placeholder = `/* ${PLACEHOLDER}-${index} */`;
+        }
+        text += source.substring(last, range.start) + placeholder;
+        protectedParts.push({ original: source.substring(range.start, range.end), shift: range.shift, indent: lineIndentAt(source, range.start) });
+        last = range.end;
+    });
+
+    return { text: text + source.substring(last), protectedParts };
+}
+
+/**
+ * Put the protected parts back. Returns the ranges they take in the result:
+ * lines inside them are not indented again, but multi-line tags move along
+ * with their first line.
+ */
+function restoreTwig(text, protectedParts) {
+    const regions = [];
+    const pattern = new RegExp(`\\{# ${PLACEHOLDER}-(\\d+) #\\}|/\\* ${PLACEHOLDER}-(\\d+) \\*/|${PLACEHOLDER.replace(/-/g, '_')}_(\\d+)`, 'g');
+    let result = '';
+    let last = 0;
+    let match;
+
+    while ((match = pattern.exec(text))) {
+        const part = protectedParts[Number(match[1] || match[2] || match[3])];
+        result += text.substring(last, match.index);
+        regions.push({ start: result.length, end: result.length + part.original.length, shift: part.shift, indent: part.indent });
+        result += part.original;
+        last = match.index + match[0].length;
+    }
+
+    return { text: result + text.substring(last), regions };
+}
+
+/**
+ * Find HTML tags in markup with Twig masked out. Returns the depth changes
+ * they cause, the ranges whose lines are not indented like markup (multi-line
+ * start tags and script/style content move with their first line, comments
+ * and preformatted content are kept as they are) and multi-line attribute values.
+ */
+function scanMarkup(masked) {
+    const events = [];
+    const regions = [];
+    const attributes = [];
+    const tagPattern = /<!--[\s\S]*?(?:-->|$)|<(\/?)([a-zA-Z!][\w:.-]*)(?:"[^"]*"|'[^']*'|[^'">])*>/g;
+    let match;
+
+    while ((match = tagPattern.exec(masked))) {
+        const start = match.index;
+        const end = start + match[0].length;
+
+        if (!match[2]) {
+            regions.push({ start, end, shift: false, anchor: start, comment: true });
+            continue;
+        }
+
+        const name = match[2].toLowerCase();
+        regions.push({ start, end, shift: true, anchor: start, tag: true });
+
+        const valuePattern = /=\s*("[^"]*"|'[^']*')/g;
+        let value;
+        while ((value = valuePattern.exec(match[0]))) {
+            if (value[1].includes('\n')) {
+                const valueStart = start + value.index + value[0].length - value[1].length;
+                attributes.push({ start: valueStart, end: valueStart + value[1].length });
+            }
+        }
+
+        if (match[1]) {
+            events.push({ offset: start, type: 'close', source: 'html' });
+            continue;
+        }
+        if (VOID_ELEMENTS.includes(name) || match[0].endsWith('/>')) {
+            continue;
+        }
+        events.push({ offset: start, type: 'open', source: 'html' });
+
+        // Skip the content of script, style, pre and textarea
+        if (SCRIPT_ELEMENTS.includes(name) || PREFORMATTED_ELEMENTS.includes(name)) {
+            const closePattern = new RegExp(`</${name}\\s*>`, 'ig');
+            closePattern.lastIndex = end;
+            const close = closePattern.exec(masked);
+            const contentEnd = close ? close.index : masked.length;
+            // The whitespace before `</pre>` is content too
+            const script = SCRIPT_ELEMENTS.includes(name);
+            const code = name === 'style' ? 'css' : name === 'script' && isJavaScript(match[0]) ? 'js' : null;
+            regions.push({ start: end, end: script ? contentEnd : contentEnd + 1, shift: script, script, code, anchor: start });
+            tagPattern.lastIndex = contentEnd;
+        }
+    }
+
+    return { events, regions, attributes };
+}
+
+/**
+ * Apply the settings js-beautify has no option for to the content of
+ * scripts and styles
+ */
+function formatCode(text, settings, indentUnit) {
+    const regions = scanMarkup(maskTwig(text, parse(text))).regions.filter(region => region.code);
+    let result = text;
+
+    regions.reverse().forEach(region => {
+        const content = result.substring(region.start, region.end);
+        const formatted = region.code === 'js' ? formatScript(content, settings, indentUnit) : formatStyle(content, settings);
+        result = result.substring(0, region.start) + formatted + result.substring(region.end);
+    });
+    return result;
+}
+
+/**
+ * Convert the quotes of an attribute value, unless it contains the new
+ * quote or Twig
+ */
+function convertAttributeQuotes(value, quote) {
+    const raw = value.slice(1, -1);
+    if (value[0] === quote || raw.includes(quote) || /\{[{%#]/.test(raw) || raw.includes(PLACEHOLDER.replace(/-/g, '_'))) {
+        return value;
+    }
+    return quote + raw + quote;
+}
+
+/**
+ * Attributes of a start tag, or null when the tag has more than attributes
+ * (Twig, or anything not understood)
+ */
+function parseAttributes(tag) {
+    const match = tag.match(/^<([\w:.-]+)((?:\s+[^\s"'<>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*\/?>$/);
+    if (!match || /\{[{%#]/.test(tag)) {
+        return null;
+    }
+    const attributes = match[2].match(/[^\s"'<>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?/g) || [];
+    return { name: match[1], attributes };
+}
+
+/**
+ * Apply the markup settings: attribute quotes and order, the space before
+ * `/>`, and text content on its own line
+ */
+function formatMarkup(text, settings) {
+    const quote = settings.quoteConvert === 'single' ? '\'' : settings.quoteConvert === 'double' ? '"' : null;
+    const markup = scanMarkup(maskTwig(text, parse(text)));
+    let result = text;
+
+    markup.regions.filter(region => region.tag).reverse().forEach(region => {
+        let tag = result.substring(region.start, region.end);
+        if (tag.startsWith('</')) {
+            return;
+        }
+
+        const parsed = settings.objectSort && !tag.includes('\n') ? parseAttributes(tag) : null;
+        if (parsed && parsed.attributes.length > 1) {
+            const attributes = parsed.attributes.slice().sort((a, b) => {
+                const nameA = a.split('=')[0].trim().toLowerCase();
+                const nameB = b.split('=')[0].trim().toLowerCase();
+                return nameA < nameB ? -1 : nameA > nameB ? 1 : 0;
+            });
+            tag = `<${parsed.name} ${attributes.join(' ')}${tag.match(/\s*\/?>$/)[0]}`;
+        }
+        if (quote) {
+            tag = tag.replace(/(=\s*)("[^"]*"|'[^']*')/g, (all, equals, value) => equals + convertAttributeQuotes(value, quote));
+        }
+        if (settings.spaceClose) {
+            tag = tag.replace(/([^\s/])\/>$/, '$1 />');
+        }
+        result = result.substring(0, region.start) + tag + result.substring(region.end);
+    });
+
+    if (!settings.forceIndent) {
+        return result;
+    }
+
+    // `<p>text</p>` becomes three lines, except where whitespace matters
+    const kept = scanMarkup(maskTwig(result, parse(result))).regions.filter(region => !region.tag);
+    let offset = 0;
+    return result.split('\n').map(line => {
+        const lineStart = offset;
+        offset += line.length + 1;
+        const match = line.match(/^([ \t]*)(<([a-zA-Z][\w:.-]*)(?:"[^"]*"|'[^']*'|[^'">])*>)([^<]*\S[^<]*)(<\/\3\s*>)\s*$/);
+        if (!match || PREFORMATTED_ELEMENTS.concat(SCRIPT_ELEMENTS).includes(match[3].toLowerCase()) ||
+            kept.some(region => region.start < lineStart && lineStart < region.end)) {
+            return line;
+        }
+        return `${match[1]}${match[2]}\n${match[1]}${match[4].trim()}\n${match[1]}${match[5]}`;
+    }).join('\n');
+}
+
+/**
+ * Depth changes caused by paired Twig tags. Only tags that are properly
+ * closed count, and tags inside HTML tags (attributes) are ignored.
+ */
+function scanTwig(template, ignored) {
+    const events = [];
+
+    function visit(nodes) {
+        nodes.forEach(node => {
+            if (node.type !== 'Tag') {
+                return;
+            }
+            const skip = ignored.some(region => region.start < node.start && node.start < region.end);
+            if (node.endTag && !skip) {
+                events.push({ offset: node.start, type: 'open', source: 'twig', node });
+                (node.branches || []).forEach(branch => events.push({ offset: branch.start, type: 'middle', source: 'twig', node }));
+                events.push({ offset: node.endTag.start, type: 'close', source: 'twig', node });
+            }
+            visit(node.body || []);
+            (node.branches || []).forEach(branch => visit(branch.body || []));
+        });
+    }
+
+    visit(template.body);
+    return events;
+}
+
+/**
+ * Indent markup and Twig tags by their nesting
+ * @param {string} text - Beautified template
+ * @param {Array} twigRegions - Ranges of restored Twig parts
+ * @param {string} indentUnit - One level of indentation
+ * @param {object} settings - Formatter settings: `indentLevel`, `comments` and `commentLine`
+ * @returns {string}
+ */
+function indentTemplate(text, twigRegions, indentUnit, settings) {
+    const template = parse(text);
+    const markup = scanMarkup(maskTwig(text, template));
+    const tagRegions = markup.regions.filter(region => region.tag);
+    const contentRegions = markup.regions.filter(region => !region.tag && region.shift);
+    const events = markup.events
+        .concat(scanTwig(template, tagRegions.concat(contentRegions)))
+        .sort((a, b) => a.offset - b.offset);
+
+    // Twig parts first: a multi-line Twig tag inside an HTML tag moves with itself
+    const regions = twigRegions.map(region => Object.assign({ anchor: region.start }, region)).concat(markup.regions);
+
+    const lines = text.split('\n');
+    const comments = [];
+    const baseLevel = Math.max(settings.indentLevel || 0, 0);
+    const newIndents = new Map();
+    const frames = [];
+    let depth = 0;
+    let offset = 0;
+    let next = 0;
+
+    const output = lines.map((line, index) => {
+        const lineStart = offset;
+        const lineEnd = offset + line.length;
+        offset = lineEnd + 1;
+
+        const region = regions.find(item => item.start < lineStart && lineStart < item.end);
+        const firstChar = lineStart + leadingWhitespace(line).length;
+        let level = depth;
+
+        const first = events[next];
+        if (first && first.offset === firstChar && !region) {
+            if (first.source === 'twig' && first.type !== 'open') {
+                const frame = frames[frames.length - 1];
+                level = !frame ? 0 : first.type === 'middle' ? frame.base + frame.inner - 1 : frame.base;
+            } else if (first.type === 'close') {
+                level = Math.max(depth - 1, 0);
+            }
+        }
+
+        while (next < events.length && events[next].offset <= lineEnd) {
+            const event = events[next++];
+            if (event.source === 'html') {
+                depth = Math.max(depth + (event.type === 'open' ? 1 : -1), 0);
+            } else if (event.type === 'open') {
+                // `{% case %}` tags are indented inside `{% switch %}`
+                const inner = NESTED_BRANCH_TAGS.includes(event.node.name) ? 2 : 1;
+                frames.push({ base: depth, inner, delta: null, skip: inner - 1 });
+                depth += inner;
+            } else if (frames.length) {
+                // Elements opened or closed in an `if` are expected to be
+                // opened or closed in its other branches as well
+                const frame = frames[frames.length - 1];
+                if (frame.skip) {
+                    frame.skip--;
+                } else if (frame.delta === null) {
+                    frame.delta = depth - frame.base - frame.inner;
+                }
+                depth = event.type === 'middle' ? frame.base + frame.inner : Math.max(frame.base + (frame.delta || 0), 0);
+                if (event.type === 'close') {
+                    frames.pop();
+                }
+            }
+        }
+
+        let result;
+        if (region && (!region.shift || !line.trim())) {
+            result = line;
+        } else if (region) {
+            // Move with the line the region starts on
+            const anchorIndent = region.indent !== undefined ? region.indent : lineIndentAt(text, region.anchor);
+            const shift = (newIndents.has(region.anchor) ? newIndents.get(region.anchor) : anchorIndent) - anchorIndent;
+            result = shift >= 0
+                ? indentUnit.charAt(0).repeat(shift) + line
+                : line.substring(Math.min(-shift, leadingWhitespace(line).length));
+        } else {
+            const content = line.replace(/^[ \t]+/, '');
+            const comment = /^(<!--|\{#)/.test(content);
+            if (comment) {
+                comments.push(index);
+            }
+            result = content.trim() ? indentUnit.repeat(settings.comments && comment ? 0 : level + baseLevel) + content : content.replace(/[ \t]+/g, '');
+        }
+
+        regions.forEach(item => {
+            if (lineStart <= item.anchor && item.anchor <= lineEnd) {
+                newIndents.set(item.anchor, leadingWhitespace(result).length);
+            }
+        });
+        return result;
+    });
+
+    // A blank line above comments that don't follow another comment
+    if (settings.commentLine) {
+        comments.reverse().forEach(index => {
+            const previous = index > 0 ? output[index - 1].trim() : '';
+            if (previous && !/^(<!--|\{#)|(-->|#\})$/.test(previous)) {
+                output.splice(index, 0, '');
+            }
+        });
+    }
+
+    return output.join('\n');
+}
+
+/**
+ * Format a Twig template
+ * @param {string} source - Template source
+ * @param {object} options - js-beautify html options
+ * @param {object} [settings] - Formatter settings (`twig-language-2.*`)
+ * @returns {string} - Formatted template
+ */
+export function formatTwig(source, options, settings = {}) {
+    const indentUnit = options.indent_with_tabs ? '\t' : (options.indent_char || ' ').repeat(options.indent_size);
+    const spaced = formatSpacing(source, settings);
+
+    // Literals in HTML tags, scripts and styles are kept on one line
+    const template = parse(spaced);
+    const markup = scanMarkup(maskTwig(spaced, template));
+    const placement = offset => {
+        const region = markup.regions.find(item => (item.tag || item.script) && item.start <= offset && offset < item.end);
+        return !region ? null : region.tag ? 'attribute' : 'script';
+    };
+    const expressions = formatExpressions(template, spaced, settings, indentUnit, placement);
+
+    const { text, protectedParts } = protectParts(expressions, settings);
+    const beautified = formatMarkup(formatCode(beautifyHtml(text, options), settings, indentUnit), settings);
+    const restored = restoreTwig(beautified, protectedParts);
+
+    return indentTemplate(restored.text, restored.regions, indentUnit, settings);
+}
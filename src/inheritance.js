@@ -0,0 +1,226 @@
+import vscode from 'vscode';
+import { walk, parseDocument } from './parser';
+import { getTemplateNames, getTemplateRoots, resolveTemplate, loadTemplate, positionAt } from './templates';
+import { getIndexedTemplates, getIndexVersion } from './workspace';
+
+// Parent blocks of the blocks of the workspace templates, by template and
+// block offset, kept while the index and the template directories are unchanged
+let parentCache = { version: null, roots: null, parents: new Map() };
+
+/**
+ * Block definitions of a template. Blocks inside `{% embed %}` override the
+ * embedded template's blocks, so they carry the embed tag they belong to.
+ * @param {object} template - Template node
+ * @returns {Array<{name: string, tag: object, embed: object|null}>}
+ */
+export function getBlocks(template) {
+    const blocks = [];
+
+    function collect(nodes, embed) {
+        nodes.forEach(node => {
+            if (node.type !== 'Tag') {
+                return;
+            }
+            if (node.name === 'block' && node.blockName) {
+                blocks.push({ name: node.blockName.name, tag: node, embed });
+            }
+
+            const inner = node.name === 'embed' ? node : embed;
+            collect(node.body || [], inner);
+            (node.branches || []).forEach(branch => collect(branch.body || [], inner));
+        });
+    }
+
+    collect(template.body, null);
+    return blocks;
+}
+
+/**
+ * Tags of a template outside of any embed
+ */
+function findTemplateTags(template, name) {
+    const tags = [];
+    walk(template, node => {
+        if (node.type === 'Tag' && node.name === 'embed') {
+            return false;
+        }
+        if (node.type === 'Tag' && node.name === name) {
+            tags.push(node);
+        }
+    });
+    return tags;
+}
+
+/**
+ * Templates where a block may be defined before the given template: first
+ * the templates pulled in with `{% use %}` (taking `with a as b` aliases into
+ * account), then the parent named by `{% extends %}`
+ */
+function getBlockSources(template, blockName, embed) {
+    if (embed) {
+        return getTemplateNames(embed.template).map(name => ({ name, blockName }));
+    }
+
+    const sources = [];
+    findTemplateTags(template, 'use').forEach(tag => {
+        const alias = (tag.aliases || []).find(item => item.alias.name === blockName);
+        getTemplateNames(tag.template).forEach(name => sources.push({ name, blockName: alias ? alias.name.name : blockName }));
+    });
+    findTemplateTags(template, 'extends').forEach(tag => {
+        getTemplateNames(tag.template).forEach(name => sources.push({ name, blockName }));
+    });
+    return sources;
+}
+
+/**
+ * Find the definition a block overrides, following `{% use %}` and the extends chain
+ * @param {object} template - Template node defining the block
+ * @param {string} blockName - Block name
+ * @param {object|null} embed - Embed tag the block belongs to
+ * @returns {Promise<{uri: vscode.Uri, text: string, block: object}|null>}
+ */
+export function findParentBlock(template, blockName, embed, visited = new Set()) {
+    const sources = getBlockSources(template, blockName, embed);
+
+    function next(index) {
+        if (index >= sources.length) {
+            return Promise.resolve(null);
+        }
+
+        const source = sources[index];
+        return resolveTemplate(source.name)
+            .then(uris => uris.length && !visited.has(uris[0].toString()) ? loadTemplate(uris[0]) : null)
+            .then(loaded => {
+                if (!loaded) {
+                    return next(index + 1);
+                }
+                visited.add(loaded.uri.toString());
+
+                const block = getBlocks(loaded.template).find(item => !item.embed && item.name === source.blockName);
+                if (block) {
+                    return { uri: loaded.uri, text: loaded.text, block };
+                }
+                return findParentBlock(loaded.template, source.blockName, null, visited)
+                    .then(found => found || next(index + 1));
+            });
+    }
+
+    return next(0);
+}
+
+/**
+ * findParentBlock() for a block of a workspace template, cached
+ */
+function findCachedParentBlock(loaded, block) {
+    const roots = getTemplateRoots();
+    if (parentCache.version !== getIndexVersion() || parentCache.roots !== roots) {
+        parentCache = { version: getIndexVersion(), roots, parents: new Map() };
+    }
+
+    const key = `${loaded.uri.toString()}#${block.tag.start}`;
+    if (!parentCache.parents.has(key)) {
+        parentCache.parents.set(key, findParentBlock(loaded.template, block.name, block.embed));
+    }
+    return parentCache.parents.get(key);
+}
+
+/**
+ * Whether a block calls `parent()`, leaving out nested blocks
+ */
+function callsParent(tag) {
+    let found = false;
+    (tag.body || []).forEach(child => walk(child, node => {
+        if (node.type === 'Tag' && node.name === 'block') {
+            return false;
+        }
+        if (node.type === 'Call' && node.callee.type === 'Name' && node.callee.name === 'parent') {
+            found = true;
+        }
+    }));
+    return found;
+}
+
+/**
+ * Blocks in other workspace templates that override blocks of this one
+ * @returns {Promise<Map<string, vscode.Location[]>>} - Locations by block name
+ */
+function findOverrides(document, names) {
+    const overrides = new Map();
+    const target = document.uri.toString();
+
+    // Only templates defining a block of the same name, or renaming blocks with `{% use %}`, can override one
+    const mayOverride = entry => entry.blocks.length > 0 && (entry.uses || entry.blocks.some(block => names.has(block.name)));
+
+    return getIndexedTemplates().then(templates => Promise.all(templates
+        .filter(entry => entry.uri.toString() !== target && mayOverride(entry))
+        .map(entry => loadTemplate(entry.uri).then(loaded => {
+            if (!loaded) {
+                return null;
+            }
+            // Blocks are compared after resolving, since `{% use %}` may rename them
+            return Promise.all(getBlocks(loaded.template).map(block => findCachedParentBlock(loaded, block).then(parent => {
+                if (!parent || parent.uri.toString() !== target || !names.has(parent.block.name)) {
+                    return;
+                }
+                const name = parent.block.name;
+                const nameNode = block.tag.blockName;
+                const range = new vscode.Range(positionAt(loaded.text, nameNode.start), positionAt(loaded.text, nameNode.end));
+                if (!overrides.has(name)) {
+                    overrides.set(name, []);
+                }
+                overrides.get(name).push(new vscode.Location(loaded.uri, range));
+            })));
+        }))
+    )).then(() => {
+        overrides.forEach(locations => locations.sort((a, b) => a.uri.toString().localeCompare(b.uri.toString()) || a.range.start.line - b.range.start.line));
+        return overrides;
+    });
+}
+
+/**
+ * Provide "overrides parent block" and "overridden in N templates" lenses
+ * @param {vscode.TextDocument} document - The document
+ * @returns {Promise<vscode.CodeLens[]>}
+ */
+export function provideCodeLenses(document) {
+    const template = parseDocument(document);
+    const blocks = getBlocks(template);
+    if (!blocks.length) {
+        return Promise.resolve([]);
+    }
+
+    const ownBlocks = new Set(blocks.filter(block => !block.embed).map(block => block.name));
+    const nameRange = block => new vscode.Range(
+        document.positionAt(block.tag.blockName.start),
+        document.positionAt(block.tag.blockName.end)
+    );
+
+    const parentLenses = Promise.all(blocks.map(block => findParentBlock(template, block.name, block.embed).then(parent => {
+        if (!parent) {
+            return null;
+        }
+        const range = nameRange(block);
+        const nameNode = parent.block.tag.blockName;
+        const location = new vscode.Location(parent.uri, new vscode.Range(positionAt(parent.text, nameNode.start), positionAt(parent.text, nameNode.end)));
+        return new vscode.CodeLens(range, {
+            title: callsParent(block.tag) ? 'overrides parent block, calls parent()' : 'overrides parent block',
+            command: 'editor.action.goToLocations',
+            arguments: [document.uri, range.start, [location], 'goto', '']
+        });
+    })));
+
+    const overrideLenses = findOverrides(document, ownBlocks).then(overrides => blocks
+        .filter(block => !block.embed && overrides.has(block.name))
+        .map(block => {
+            const range = nameRange(block);
+            const locations = overrides.get(block.name);
+            return new vscode.CodeLens(range, {
+                title: `overridden in ${locations.length} template${locations.length === 1 ? '' : 's'}`,
+                command: 'editor.action.showReferences',
+                arguments: [document.uri, range.start, locations]
+            });
+        }));
+
+    return Promise.all([parentLenses, overrideLenses])
+        .then(([parents, overrides]) => parents.filter(Boolean).concat(overrides));
+}
@@ -0,0 +1,342 @@
+/**
+ * Twig lexer
+ *
+ * Splits a template into a flat list of tokens carrying source offsets. The
+ * lexer never throws: unterminated tags, comments and strings are closed at
+ * the point where scanning stopped and reported through `errors`, so that
+ * half-typed templates in the editor can still be analysed.
+ */
+
+export const TokenType = {
+    TEXT: 'text',
+    COMMENT: 'comment',
+    VAR_START: 'var_start',
+    VAR_END: 'var_end',
+    BLOCK_START: 'block_start',
+    BLOCK_END: 'block_end',
+    NAME: 'name',
+    NUMBER: 'number',
+    STRING: 'string',
+    OPERATOR: 'operator',
+    PUNCTUATION: 'punctuation',
+    EOF: 'eof'
+};
+
+// Longest first so that `<=>` wins over `<=` and `<`
+const SYMBOL_OPERATORS = [
+    '<=>', '...', '=>', '==', '!=', '<=', '>=', '//', '**', '??', '..',
+    '+', '-', '~', '*', '/', '%', '<', '>', '='
+];
+
+const WORD_OPERATOR_PATTERN = /^(?:not\s+in|is\s+not|starts\s+with|ends\s+with|has\s+some|has\s+every|b-and|b-xor|b-or|matches|not|and|xor|or|in|is)(?![\w\x7f-\uffff])/;
+
+const PUNCTUATION = '()[]{}?:.,|';
+
+const OPENING_BRACKETS = { '(': ')', '[': ']', '{': '}' };
+
+const NAME_PATTERN = /^[a-zA-Z_\x7f-\uffff][a-zA-Z0-9_\x7f-\uffff]*/;
+
+const NUMBER_PATTERN = /^\d[\d_]*(?:\.\d[\d_]*)?(?:[eE][+-]?\d+)?/;
+
+const TAG_START_PATTERN = /\{([{%#])([-~]?)/g;
+
+const RAW_TAGS = ['verbatim', 'raw'];
+
+const ESCAPES = { n: '\n', t: '\t', r: '\r', v: '\v', f: '\f', e: '\x1b', '0': '\0' };
+
+/**
+ * Resolve backslash escapes in a string literal body
+ * @param {string} raw - String contents without the quotes
+ * @returns {string} - Unescaped value
+ */
+function unescapeString(raw) {
+    return raw.replace(/\\(.)/g, (match, char) => ESCAPES[char] !== undefined ? ESCAPES[char] : char);
+}
+
+/**
+ * Tokenize a Twig template
+ * @param {string} source - Template source
+ * @returns {{tokens: Array, errors: Array}} - Tokens and lexing errors
+ */
+export function tokenize(source) {
+    const tokens = [];
+    const errors = [];
+    const length = source.length;
+    let pos = 0;
+
+    function error(message, start, end) {
+        errors.push({ message, start, end });
+    }
+
+    function skipWhitespace() {
+        while (pos < length && /\s/.test(source[pos])) {
+            pos++;
+        }
+    }
+
+    /**
+     * Does a new Twig delimiter start at the current position?
+     */
+    function atTagStart() {
+        return source[pos] === '{' && (source[pos + 1] === '{' || source[pos + 1] === '%' || source[pos + 1] === '#');
+    }
+
+    /**
+     * Match the closing delimiter of the current tag, with its trim modifier
+     */
+    function matchTagEnd(closing) {
+        let i = pos;
+        let trim = '';
+        if (source[i] === '-' || source[i] === '~') {
+            trim = source[i];
+            i++;
+        }
+        if (source.startsWith(closing, i)) {
+            return { trim, end: i + closing.length };
+        }
+        return null;
+    }
+
+    /**
+     * Scan a quoted string starting at the current position. Double quoted
+     * strings are split into literal and `#{...}` interpolation parts.
+     */
+    function scanString(output) {
+        const quote = source[pos];
+        const start = pos;
+        const parts = [];
+        let partStart = pos + 1;
+        pos++;
+
+        while (pos < length && source[pos] !== quote) {
+            if (source[pos] === '\\') {
+                pos += 2;
+                continue;
+            }
+            if (quote === '"' && source[pos] === '#' && source[pos + 1] === '{') {
+                parts.push({ type: 'string', value: unescapeString(source.substring(partStart, pos)), start: partStart, end: pos });
+                const interpolationStart = pos;
+                pos += 2;
+                const inner = [];
+                scanExpression(inner, '}');
+                parts.push({ type: 'interpolation', tokens: inner, start: interpolationStart, end: pos });
+                partStart = pos;
+                continue;
+            }
+            pos++;
+        }
+
+        const bodyEnd = Math.min(pos, length);
+        if (pos >= length) {
+            error('Unclosed string', start, length);
+        } else {
+            pos++;
+        }
+
+        const token = {
+            type: TokenType.STRING,
+            value: unescapeString(source.substring(partStart, bodyEnd)),
+            quote,
+            start,
+            end: pos
+        };
+        if (parts.length) {
+            parts.push({ type: 'string', value: token.value, start: partStart, end: bodyEnd });
+            token.value = source.substring(start + 1, bodyEnd);
+            token.parts = parts;
+        }
+        output.push(token);
+    }
+
+    /**
+     * Scan expression tokens until the closing delimiter. `closing` is `}}`,
+     * `%}` or `}` for string interpolations. Returns the trim modifier and
+     * bounds of the closing delimiter, or null when the tag is unterminated.
+     */
+    function scanExpression(output, closing) {
+        const brackets = [];
+
+        while (pos < length) {
+            skipWhitespace();
+            if (pos >= length) {
+                break;
+            }
+
+            const tokenStart = pos;
+            const char = source[pos];
+
+            if (closing !== '}' && (brackets.length === 0 || brackets[brackets.length - 1].char !== '{' || closing === '%}')) {
+                const end = matchTagEnd(closing);
+                if (end) {
+                    brackets.forEach(bracket => error(`Unclosed "${bracket.char}"`, bracket.start, bracket.start + 1));
+                    pos = end.end;
+                    return { trim: end.trim, start: tokenStart, end: end.end };
+                }
+            }
+
+            if (closing === '}' && char === '}' && brackets.length === 0) {
+                pos++;
+                return { trim: '', start: tokenStart, end: pos };
+            }
+
+            // A new tag opening inside an expression means this one was never closed
+            if (atTagStart() && closing !== '}') {
+                break;
+            }
+
+            if (char === '"' || char === '\'') {
+                scanString(output);
+                continue;
+            }
+
+            const number = source.substring(pos, pos + 64).match(NUMBER_PATTERN);
+            if (number) {
+                pos += number[0].length;
+                output.push({ type: TokenType.NUMBER, value: number[0], start: tokenStart, end: pos });
+                continue;
+            }
+
+            const previous = output[output.length - 1];
+            const afterAccessor = previous && previous.type === TokenType.PUNCTUATION && (previous.value === '.' || previous.value === '|');
+            if (!afterAccessor) {
+                const word = source.substring(pos, pos + 32).match(WORD_OPERATOR_PATTERN);
+                if (word) {
+                    pos += word[0].length;
+                    output.push({ type: TokenType.OPERATOR, value: word[0].replace(/\s+/, ' '), start: tokenStart, end: pos });
+                    continue;
+                }
+            }
+
+            const name = source.substring(pos, pos + 256).match(NAME_PATTERN);
+            if (name) {
+                pos += name[0].length;
+                output.push({ type: TokenType.NAME, value: name[0], start: tokenStart, end: pos });
+                continue;
+            }
+
+            const operator = SYMBOL_OPERATORS.find(op => source.startsWith(op, pos));
+            if (operator) {
+                pos += operator.length;
+                output.push({ type: TokenType.OPERATOR, value: operator, start: tokenStart, end: pos });
+                continue;
+            }
+
+            if (PUNCTUATION.includes(char)) {
+                if (OPENING_BRACKETS[char]) {
+                    brackets.push({ char, start: pos });
+                } else if (char === ')' || char === ']' || char === '}') {
+                    const open = brackets.pop();
+                    if (!open) {
+                        error(`Unexpected "${char}"`, pos, pos + 1);
+                    } else if (OPENING_BRACKETS[open.char] !== char) {
+                        error(`Unclosed "${open.char}"`, open.start, open.start + 1);
+                    }
+                }
+                pos++;
+                output.push({ type: TokenType.PUNCTUATION, value: char, start: tokenStart, end: pos });
+                continue;
+            }
+
+            error(`Unexpected character "${char}"`, pos, pos + 1);
+            pos++;
+        }
+
+        return null;
+    }
+
+    /**
+     * Skip the body of a `{% verbatim %}` block, which is plain text
+     */
+    function scanRawBody(tagName) {
+        const endPattern = new RegExp(`\\{%[-~]?\\s*end${tagName}\\s*[-~]?%\\}`, 'g');
+        endPattern.lastIndex = pos;
+        const match = endPattern.exec(source);
+        const end = match ? match.index : length;
+        if (end > pos) {
+            tokens.push({ type: TokenType.TEXT, value: source.substring(pos, end), start: pos, end });
+        }
+        pos = end;
+    }
+
+    while (pos < length) {
+        TAG_START_PATTERN.lastIndex = pos;
+        const match = TAG_START_PATTERN.exec(source);
+
+        if (!match) {
+            tokens.push({ type: TokenType.TEXT, value: source.substring(pos), start: pos, end: length });
+            pos = length;
+            break;
+        }
+
+        if (match.index > pos) {
+            tokens.push({ type: TokenType.TEXT, value: source.substring(pos, match.index), start: pos, end: match.index });
+        }
+
+        const start = match.index;
+        const kind = match[1];
+        const trimLeft = match[2];
+        pos = start + match[0].length;
+
+        if (kind === '#') {
+            const endPattern = /([-~]?)#\}/g;
+            endPattern.lastIndex = pos;
+            const end = endPattern.exec(source);
+            if (!end) {
+                error('Unclosed comment', start, length);
+            }
+            const valueEnd = end ? end.index : length;
+            tokens.push({
+                type: TokenType.COMMENT,
+                value: source.substring(pos, valueEnd),
+                trimLeft,
+                trimRight: end ? end[1] : '',
+                start,
+                end: end ? end.index + end[0].length : length
+            });
+            pos = end ? end.index + end[0].length : length;
+            continue;
+        }
+
+        const isBlock = kind === '%';
+        const closing = isBlock ? '%}' : '}}';
+        tokens.push({
+            type: isBlock ? TokenType.BLOCK_START : TokenType.VAR_START,
+            value: '{' + kind,
+            trim: trimLeft,
+            start,
+            end: pos
+        });
+
+        const firstToken = tokens.length;
+        const end = scanExpression(tokens, closing);
+
+        if (end) {
+            tokens.push({
+                type: isBlock ? TokenType.BLOCK_END : TokenType.VAR_END,
+                value: closing,
+                trim: end.trim,
+                start: end.start,
+                end: end.end
+            });
+        } else {
+            error(isBlock ? 'Unclosed "{%"' : 'Unclosed "{{"', start, start + 2);
+            tokens.push({
+                type: isBlock ? TokenType.BLOCK_END : TokenType.VAR_END,
+                value: '',
+                trim: '',
+                missing: true,
+                start: pos,
+                end: pos
+            });
+        }
+
+        const tagName = tokens[firstToken];
+        if (end && isBlock && tagName && tagName.type === TokenType.NAME && RAW_TAGS.includes(tagName.value)) {
+            scanRawBody(tagName.value);
+        }
+    }
+
+    tokens.push({ type: TokenType.EOF, value: '', start: length, end: length });
+
+    return { tokens, errors };
+}
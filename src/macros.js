@@ -0,0 +1,157 @@
+import { walk, nodeEnd, parseDocument } from './parser';
+import { getTemplateNames, resolveTemplate, loadTemplate } from './templates';
+
+/**
+ * Comment written right before a tag, used as its documentation
+ */
+function leadingComment(siblings, index, text) {
+    for (let i = index - 1; i >= 0; i--) {
+        const node = siblings[i];
+        if (node.type === 'Comment') {
+            return node.value.trim();
+        }
+        if (node.type !== 'Text' || text.substring(node.start, node.end).trim()) {
+            return '';
+        }
+    }
+    return '';
+}
+
+/**
+ * Macros defined in a template
+ * @param {object} template - Template node
+ * @param {string} text - Template source, for default values and comments
+ * @returns {Array<{name: string, params: Array<{name: string, default: string|null}>, documentation: string, tag: object}>}
+ */
+export function getMacros(template, text) {
+    const macros = [];
+
+    walk(template, (node, parent) => {
+        if (node.type !== 'Tag' || node.name !== 'macro' || !node.macroName) {
+            return;
+        }
+        const siblings = parent && parent.body ? parent.body : [];
+        macros.push({
+            name: node.macroName.name,
+            params: (node.params || []).map(param => ({
+                name: param.name,
+                default: param.default ? text.substring(param.default.start, param.default.end) : null
+            })),
+            documentation: leadingComment(siblings, siblings.indexOf(node), text),
+            tag: node
+        });
+        return false;
+    });
+
+    return macros;
+}
+
+/**
+ * Signature of a macro, e.g. `forms.input(name, value = '', type = 'text')`,
+ * with the label range of each parameter
+ */
+export function formatMacro(macro, prefix = '') {
+    let label = `${prefix}${macro.name}(`;
+    const params = macro.params.map((param, i) => {
+        if (i) {
+            label += ', ';
+        }
+        const start = label.length;
+        label += param.default !== null ? `${param.name} = ${param.default}` : param.name;
+        return { name: param.name, start, end: label.length };
+    });
+    label += ')';
+    return { label, params };
+}
+
+/**
+ * Import tags visible at an offset. Imports are local to the template, and
+ * imports written inside a macro are local to that macro.
+ * @param {object} template - Template node
+ * @param {number} offset - Source offset
+ * @returns {Array<object>} - `import` and `from` tags
+ */
+export function getImports(template, offset) {
+    const imports = [];
+
+    walk(template, node => {
+        if (node.type !== 'Tag') {
+            return;
+        }
+        if (node.name === 'macro' && !(node.start <= offset && offset <= nodeEnd(node))) {
+            return false;
+        }
+        if ((node.name === 'import' && node.alias) || (node.name === 'from' && node.imports)) {
+            imports.push(node);
+        }
+    });
+
+    return imports;
+}
+
+/**
+ * Load the template an import tag refers to. `_self` is the importing
+ * template itself.
+ * @param {{uri: vscode.Uri, text: string, template: object}} importer - Template with the import tag
+ * @param {object} tag - `import` or `from` tag
+ * @returns {Promise<{uri: vscode.Uri, text: string, template: object}|null>}
+ */
+export function loadImportedTemplate(importer, tag) {
+    if (tag.template && tag.template.type === 'Name' && tag.template.name === '_self') {
+        return Promise.resolve(importer);
+    }
+
+    const names = getTemplateNames(tag.template);
+    if (!names.length) {
+        return Promise.resolve(null);
+    }
+
+    return resolveTemplate(names[0]).then(uris => uris.length ? loadTemplate(uris[0]) : null);
+}
+
+/**
+ * Load the macros of the template an import tag refers to
+ * @returns {Promise<Array<object>>} - Macros, see getMacros()
+ */
+function loadImportedMacros(document, tag) {
+    const importer = { uri: document.uri, text: document.getText(), template: parseDocument(document) };
+    return loadImportedTemplate(importer, tag).then(loaded => loaded ? getMacros(loaded.template, loaded.text) : []);
+}
+
+/**
+ * Macros available through `{% import ... as alias %}`
+ * @param {vscode.TextDocument} document - The document
+ * @param {number} offset - Offset where the alias is used
+ * @param {string} alias - Import alias
+ * @returns {Promise<Array<object>>} - Macros, see getMacros()
+ */
+export function findAliasMacros(document, offset, alias) {
+    const template = parseDocument(document);
+    const tag = getImports(template, offset).reverse().find(node => node.name === 'import' && node.alias.name === alias);
+
+    if (tag) {
+        return loadImportedMacros(document, tag);
+    }
+    if (alias === '_self') {
+        return Promise.resolve(getMacros(template, document.getText()));
+    }
+    return Promise.resolve([]);
+}
+
+/**
+ * Macros imported by name with `{% from ... import name as alias %}`
+ * @param {vscode.TextDocument} document - The document
+ * @param {number} offset - Offset where the macros are used
+ * @returns {Promise<Array<{name: string, macro: object}>>} - Local names with their macro
+ */
+export function findImportedMacros(document, offset) {
+    const tags = getImports(parseDocument(document), offset).filter(node => node.name === 'from');
+
+    return Promise.all(tags.map(tag => loadImportedMacros(document, tag).then(macros => tag.imports
+        .map(item => ({
+            name: (item.alias || item.name).name,
+            macro: macros.find(macro => macro.name === item.name.name)
+        }))
+        .filter(item => item.macro))))
+        .then(lists => [].concat(...lists));
+}
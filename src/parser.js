@@ -0,0 +1,1156 @@
+import { tokenize, TokenType } from './lexer';
+
+/**
+ * Twig parser
+ *
+ * Builds an AST from the token stream produced by the lexer. Every node has
+ * a `type` and `start`/`end` source offsets. Template level nodes are `Text`,
+ * `Comment`, `Print` ({{ }}) and `Tag` ({% %}); paired tags such as `if` or
+ * `block` additionally carry a `body`, their `branches` (`else`, `elseif`)
+ * and the closing `endTag`, with `outerEnd` marking the end of the whole
+ * construct. Expressions are `Name`, `Literal`, `InterpolatedString`,
+ * `Array`, `Hash`, `Unary`, `Binary`, `Conditional`, `GetAttr`, `Slice`,
+ * `Call`, `Filter`, `Test` and `Arrow` nodes.
+ *
+ * Like the lexer, the parser is tolerant: syntax errors are collected in
+ * `errors` and parsing resumes at the next tag.
+ */
+
+// Tags with a body, their closing tag and the intermediate tags they accept.
+// The last branch (`else`, `default`) may only appear once, after the others.
+export const PAIRED_TAGS = {
+    if: { end: 'endif', branches: ['elseif', 'else'] },
+    for: { end: 'endfor', branches: ['else'] },
+    block: { end: 'endblock', paired: node => !node.value },
+    embed: { end: 'endembed' },
+    macro: { end: 'endmacro' },
+    apply: { end: 'endapply' },
+    filter: { end: 'endfilter' },
+    autoescape: { end: 'endautoescape' },
+    set: { end: 'endset', paired: node => node.capture },
+    verbatim: { end: 'endverbatim' },
+    raw: { end: 'endraw' },
+    sandbox: { end: 'endsandbox' },
+    spaceless: { end: 'endspaceless' },
+    with: { end: 'endwith' },
+    guard: { end: 'endguard' },
+    // Symfony and Drupal
+    trans: { end: 'endtrans', branches: ['plural'] },
+    stopwatch: { end: 'endstopwatch' },
+    // Craft CMS
+    cache: { end: 'endcache' },
+    nav: { end: 'endnav' },
+    ifchildren: { end: 'endifchildren' },
+    switch: { end: 'endswitch', branches: ['case', 'default'] },
+    js: { end: 'endjs' },
+    css: { end: 'endcss' },
+    html: { end: 'endhtml' },
+    namespace: { end: 'endnamespace' },
+    script: { end: 'endscript' },
+    tag: { end: 'endtag' }
+};
+
+const UNARY_OPERATORS = {
+    'not': 50,
+    '-': 500,
+    '+': 500
+};
+
+const BINARY_OPERATORS = {
+    'or': { precedence: 10 },
+    'xor': { precedence: 12 },
+    'and': { precedence: 15 },
+    'b-or': { precedence: 16 },
+    'b-xor': { precedence: 17 },
+    'b-and': { precedence: 18 },
+    '==': { precedence: 20 },
+    '!=': { precedence: 20 },
+    '<=>': { precedence: 20 },
+    '<': { precedence: 20 },
+    '>': { precedence: 20 },
+    '>=': { precedence: 20 },
+    '<=': { precedence: 20 },
+    'not in': { precedence: 20 },
+    'in': { precedence: 20 },
+    'matches': { precedence: 20 },
+    'starts with': { precedence: 20 },
+    'ends with': { precedence: 20 },
+    'has some': { precedence: 20 },
+    'has every': { precedence: 20 },
+    '..': { precedence: 25 },
+    '+': { precedence: 30 },
+    '-': { precedence: 30 },
+    '~': { precedence: 40 },
+    '*': { precedence: 60 },
+    '/': { precedence: 60 },
+    '//': { precedence: 60 },
+    '%': { precedence: 60 },
+    'is': { precedence: 100 },
+    'is not': { precedence: 100 },
+    '**': { precedence: 200, right: true },
+    '??': { precedence: 300, right: true }
+};
+
+// Tests whose name is made of two words
+const TWO_WORD_TESTS = {
+    divisible: 'by',
+    same: 'as',
+    // Craft CMS
+    instance: 'of'
+};
+
+const LITERALS = {
+    'true': true,
+    'false': false,
+    'null': null,
+    'none': null
+};
+
+class ParseError extends Error {
+    constructor(message, token) {
+        super(message);
+        this.start = token.start;
+        this.end = Math.max(token.end, token.start + 1);
+    }
+}
+
+/**
+ * Describe a token for error messages
+ */
+function describe(token) {
+    if (token.type === TokenType.EOF) {
+        return 'end of template';
+    }
+    if (token.type === TokenType.BLOCK_END || token.type === TokenType.VAR_END) {
+        return token.missing ? 'end of tag' : `"${token.value}"`;
+    }
+    return `"${token.value}"`;
+}
+
+/**
+ * Wrap a list of tokens with a cursor
+ */
+function createStream(tokens) {
+    let index = 0;
+
+    return {
+        peek(offset = 0) {
+            return tokens[Math.min(index + offset, tokens.length - 1)];
+        },
+        next() {
+            const token = tokens[index];
+            if (index < tokens.length - 1) {
+                index++;
+            }
+            return token;
+        },
+        test(type, values) {
+            const token = tokens[index];
+            if (token.type !== type) {
+                return false;
+            }
+            return values === undefined || (Array.isArray(values) ? values.includes(token.value) : token.value === values);
+        },
+        expect(type, value, message) {
+            const token = tokens[index];
+            if (!this.test(type, value)) {
+                throw new ParseError(message || `Unexpected ${describe(token)}${value ? `, expected "${value}"` : ''}`, token);
+            }
+            return this.next();
+        },
+        isTagEnd() {
+            const type = tokens[index].type;
+            return type === TokenType.BLOCK_END || type === TokenType.VAR_END || type === TokenType.EOF;
+        }
+    };
+}
+
+/**
+ * Expression parser working on a token stream
+ */
+function createExpressionParser(stream) {
+    function parseExpression(minPrecedence = 0) {
+        let expr = parsePrimary();
+        let token = stream.peek();
+
+        while (token.type === TokenType.OPERATOR && BINARY_OPERATORS[token.value] && BINARY_OPERATORS[token.value].precedence >= minPrecedence) {
+            const operator = BINARY_OPERATORS[token.value];
+            stream.next();
+
+            if (token.value === 'is' || token.value === 'is not') {
+                expr = parseTest(expr, token.value === 'is not');
+            } else {
+                const right = parseExpression(operator.right ? operator.precedence : operator.precedence + 1);
+                expr = { type: 'Binary', operator: token.value, left: expr, right, start: expr.start, end: right.end };
+            }
+            token = stream.peek();
+        }
+
+        if (minPrecedence === 0) {
+            return parseConditional(expr);
+        }
+        return expr;
+    }
+
+    function parseConditional(expr) {
+        while (stream.test(TokenType.PUNCTUATION, '?')) {
+            stream.next();
+            let consequent = null;
+            let alternate = null;
+
+            if (stream.test(TokenType.PUNCTUATION, ':')) {
+                stream.next();
+                alternate = parseExpression();
+            } else {
+                consequent = parseExpression();
+                if (stream.test(TokenType.PUNCTUATION, ':')) {
+                    stream.next();
+                    alternate = parseExpression();
+                }
+            }
+
+            const end = (alternate || consequent).end;
+            expr = { type: 'Conditional', test: expr, consequent, alternate, start: expr.start, end };
+        }
+        return expr;
+    }
+
+    function parsePrimary() {
+        const token = stream.peek();
+
+        if (isArrowStart()) {
+            return parseArrow();
+        }
+
+        if (token.type === TokenType.OPERATOR && UNARY_OPERATORS[token.value]) {
+            stream.next();
+            const argument = parseExpression(UNARY_OPERATORS[token.value]);
+            return parsePostfix({ type: 'Unary', operator: token.value, argument, start: token.start, end: argument.end });
+        }
+
+        if (stream.test(TokenType.PUNCTUATION, '(')) {
+            stream.next();
+            const expr = parseExpression();
+            stream.expect(TokenType.PUNCTUATION, ')', 'An opened parenthesis is not properly closed');
+            expr.parenthesized = true;
+            return parsePostfix(expr);
+        }
+
+        return parsePostfix(parseOperand());
+    }
+
+    function parseOperand() {
+        const token = stream.peek();
+
+        switch (token.type) {
+            case TokenType.NAME: {
+                stream.next();
+                const lower = token.value.toLowerCase();
+                if (lower in LITERALS && !stream.test(TokenType.PUNCTUATION, '(')) {
+                    return { type: 'Literal', kind: LITERALS[lower] === null ? 'null' : 'boolean', value: LITERALS[lower], raw: token.value, start: token.start, end: token.end };
+                }
+                const name = { type: 'Name', name: token.value, start: token.start, end: token.end };
+                if (stream.test(TokenType.PUNCTUATION, '(')) {
+                    return parseCall(name);
+                }
+                return name;
+            }
+            case TokenType.NUMBER:
+                stream.next();
+                return { type: 'Literal', kind: 'number', value: Number(token.value.replace(/_/g, '')), raw: token.value, start: token.start, end: token.end };
+            case TokenType.STRING:
+                stream.next();
+                return parseString(token);
+            case TokenType.PUNCTUATION:
+                if (token.value === '[') {
+                    return parseArray();
+                }
+                if (token.value === '{') {
+                    return parseHash();
+                }
+                break;
+        }
+
+        throw new ParseError(`Unexpected ${describe(token)}`, token);
+    }
+
+    function parseString(token) {
+        if (!token.parts) {
+            return { type: 'Literal', kind: 'string', value: token.value, quote: token.quote, start: token.start, end: token.end };
+        }
+
+        const parts = token.parts.map(part => {
+            if (part.type === 'string') {
+                return { type: 'Literal', kind: 'string', value: part.value, start: part.start, end: part.end };
+            }
+            const tokens = part.tokens.concat({ type: TokenType.EOF, value: '', start: part.end, end: part.end });
+            const inner = createStream(tokens);
+            const expr = createExpressionParser(inner).parseExpression();
+            inner.expect(TokenType.EOF);
+            return expr;
+        });
+
+        return { type: 'InterpolatedString', parts, quote: token.quote, start: token.start, end: token.end };
+    }
+
+    function parseArray() {
+        const open = stream.next();
+        const elements = [];
+
+        while (!stream.test(TokenType.PUNCTUATION, ']')) {
+            if (elements.length) {
+                stream.expect(TokenType.PUNCTUATION, ',', 'An array element must be followed by a comma');
+                if (stream.test(TokenType.PUNCTUATION, ']')) {
+                    break;
+                }
+            }
+            elements.push(parseSpreadOrExpression());
+        }
+
+        const close = stream.expect(TokenType.PUNCTUATION, ']', 'An opened array is not properly closed');
+        return { type: 'Array', elements, start: open.start, end: close.end };
+    }
+
+    function parseHash() {
+        const open = stream.next();
+        const pairs = [];
+
+        while (!stream.test(TokenType.PUNCTUATION, '}')) {
+            if (pairs.length) {
+                stream.expect(TokenType.PUNCTUATION, ',', 'A hash value must be followed by a comma');
+                if (stream.test(TokenType.PUNCTUATION, '}')) {
+                    break;
+                }
+            }
+
+            if (stream.test(TokenType.OPERATOR, '...')) {
+                pairs.push(parseSpreadOrExpression());
+                continue;
+            }
+
+            const keyToken = stream.peek();
+            let key;
+            if (keyToken.type === TokenType.NAME || keyToken.type === TokenType.NUMBER || (keyToken.type === TokenType.OPERATOR && /^\w+$/.test(keyToken.value))) {
+                stream.next();
+                key = keyToken.type === TokenType.NUMBER
+                    ? { type: 'Literal', kind: 'number', value: Number(keyToken.value), raw: keyToken.value, start: keyToken.start, end: keyToken.end }
+                    : { type: 'Literal', kind: 'string', value: keyToken.value, start: keyToken.start, end: keyToken.end };
+            } else if (keyToken.type === TokenType.STRING) {
+                stream.next();
+                key = parseString(keyToken);
+            } else if (stream.test(TokenType.PUNCTUATION, '(')) {
+                stream.next();
+                key = parseExpression();
+                stream.expect(TokenType.PUNCTUATION, ')', 'An opened parenthesis is not properly closed');
+            } else {
+                throw new ParseError(`A hash key must be a quoted string, a number, a name, or an expression enclosed in parentheses, got ${describe(keyToken)}`, keyToken);
+            }
+
+            // Shorthand `{ foo }` means `{ foo: foo }`
+            if (keyToken.type === TokenType.NAME && (stream.test(TokenType.PUNCTUATION, ',') || stream.test(TokenType.PUNCTUATION, '}'))) {
+                const value = { type: 'Name', name: keyToken.value, start: keyToken.start, end: keyToken.end };
+                pairs.push({ type: 'Pair', key, value, shorthand: true, start: key.start, end: key.end });
+                continue;
+            }
+
+            stream.expect(TokenType.PUNCTUATION, ':', 'A hash key must be followed by a colon (:)');
+            const value = parseExpression();
+            pairs.push({ type: 'Pair', key, value, start: key.start, end: value.end });
+        }
+
+        const close = stream.expect(TokenType.PUNCTUATION, '}', 'An opened hash is not properly closed');
+        return { type: 'Hash', pairs, start: open.start, end: close.end };
+    }
+
+    function parseSpreadOrExpression() {
+        if (stream.test(TokenType.OPERATOR, '...')) {
+            const spread = stream.next();
+            const argument = parseExpression();
+            return { type: 'Spread', argument, start: spread.start, end: argument.end };
+        }
+        return parseExpression();
+    }
+
+    function parsePostfix(expr) {
+        for (;;) {
+            const token = stream.peek();
+            if (token.type !== TokenType.PUNCTUATION) {
+                return expr;
+            }
+
+            if (token.value === '.') {
+                stream.next();
+                const property = stream.peek();
+                if (property.type !== TokenType.NAME && property.type !== TokenType.NUMBER && !(property.type === TokenType.OPERATOR && /^\w+$/.test(property.value))) {
+                    throw new ParseError(`Expected name or number after ".", got ${describe(property)}`, property);
+                }
+                stream.next();
+                const attribute = { type: 'GetAttr', object: expr, property: property.value, propertyStart: property.start, propertyEnd: property.end, computed: false, start: expr.start, end: property.end };
+                expr = stream.test(TokenType.PUNCTUATION, '(') ? parseCall(attribute) : attribute;
+            } else if (token.value === '[') {
+                stream.next();
+                expr = parseSubscript(expr);
+            } else if (token.value === '|') {
+                stream.next();
+                expr = parseFilter(expr);
+            } else {
+                return expr;
+            }
+        }
+    }
+
+    function parseSubscript(expr) {
+        let from = null;
+        let length = null;
+        let slice = false;
+
+        if (!stream.test(TokenType.PUNCTUATION, ':')) {
+            from = parseExpression();
+        }
+        if (stream.test(TokenType.PUNCTUATION, ':')) {
+            stream.next();
+            slice = true;
+            if (!stream.test(TokenType.PUNCTUATION, ']')) {
+                length = parseExpression();
+            }
+        }
+
+        const close = stream.expect(TokenType.PUNCTUATION, ']', 'An opened bracket is not properly closed');
+        if (slice) {
+            return { type: 'Slice', node: expr, from, length, start: expr.start, end: close.end };
+        }
+        return { type: 'GetAttr', object: expr, property: from, computed: true, start: expr.start, end: close.end };
+    }
+
+    function parseFilter(node) {
+        const name = stream.expect(TokenType.NAME, undefined, `Expected filter name, got ${describe(stream.peek())}`);
+        const filter = { type: 'Filter', name: name.value, nameStart: name.start, nameEnd: name.end, node, arguments: [], start: node ? node.start : name.start, end: name.end };
+
+        if (stream.test(TokenType.PUNCTUATION, '(')) {
+            const args = parseArguments();
+            filter.arguments = args.arguments;
+            filter.argumentsStart = args.start;
+            filter.end = args.end;
+        }
+        return filter;
+    }
+
+    /**
+     * Parse a chain of filters without a subject, as used by `apply`
+     */
+    function parseFilterChain() {
+        const filters = [parseFilter(null)];
+        while (stream.test(TokenType.PUNCTUATION, '|')) {
+            stream.next();
+            filters.push(parseFilter(null));
+        }
+        return filters;
+    }
+
+    function parseTest(node, negated) {
+        const name = stream.expect(TokenType.NAME, undefined, `Expected test name, got ${describe(stream.peek())}`);
+        let testName = name.value;
+        let nameEnd = name.end;
+
+        const second = stream.peek();
+        if (TWO_WORD_TESTS[testName] && second.type === TokenType.NAME && second.value === TWO_WORD_TESTS[testName]) {
+            stream.next();
+            testName += ' ' + second.value;
+            nameEnd = second.end;
+        }
+
+        const test = { type: 'Test', name: testName, nameStart: name.start, nameEnd, negated, node, arguments: [], start: node.start, end: nameEnd };
+        if (stream.test(TokenType.PUNCTUATION, '(')) {
+            const args = parseArguments();
+            test.arguments = args.arguments;
+            test.argumentsStart = args.start;
+            test.end = args.end;
+        }
+        return test;
+    }
+
+    function parseCall(callee) {
+        const args = parseArguments();
+        return { type: 'Call', callee, arguments: args.arguments, argumentsStart: args.start, start: callee.start, end: args.end };
+    }
+
+    function parseArguments() {
+        const open = stream.expect(TokenType.PUNCTUATION, '(');
+        const args = [];
+
+        while (!stream.test(TokenType.PUNCTUATION, ')')) {
+            if (args.length) {
+                stream.expect(TokenType.PUNCTUATION, ',', 'Arguments must be separated by a comma');
+                if (stream.test(TokenType.PUNCTUATION, ')')) {
+                    break;
+                }
+            }
+
+            const token = stream.peek();
+            const following = stream.peek(1);
+            if (token.type === TokenType.NAME && ((following.type === TokenType.OPERATOR && following.value === '=') || (following.type === TokenType.PUNCTUATION && following.value === ':'))) {
+                stream.next();
+                stream.next();
+                const value = parseExpression();
+                args.push({ type: 'NamedArgument', name: token.value, nameStart: token.start, nameEnd: token.end, value, start: token.start, end: value.end });
+            } else {
+                args.push(parseSpreadOrExpression());
+            }
+        }
+
+        const close = stream.expect(TokenType.PUNCTUATION, ')', 'A list of arguments must be closed by a parenthesis');
+        return { arguments: args, start: open.start, end: close.end };
+    }
+
+    /**
+     * Look ahead for `x =>` or `(x, y) =>`
+     */
+    function isArrowStart() {
+        const token = stream.peek();
+        if (token.type === TokenType.NAME) {
+            const following = stream.peek(1);
+            return following.type === TokenType.OPERATOR && following.value === '=>';
+        }
+        if (token.type !== TokenType.PUNCTUATION || token.value !== '(') {
+            return false;
+        }
+        let i = 1;
+        for (;;) {
+            const name = stream.peek(i);
+            if (name.type === TokenType.PUNCTUATION && name.value === ')' && i === 1) {
+                break;
+            }
+            if (name.type !== TokenType.NAME) {
+                return false;
+            }
+            const separator = stream.peek(i + 1);
+            if (separator.type === TokenType.PUNCTUATION && separator.value === ',') {
+                i += 2;
+                continue;
+            }
+            if (separator.type === TokenType.PUNCTUATION && separator.value === ')') {
+                i += 1;
+                break;
+            }
+            return false;
+        }
+        const arrow = stream.peek(i + 1);
+        return arrow.type === TokenType.OPERATOR && arrow.value === '=>';
+    }
+
+    function parseArrow() {
+        const first = stream.peek();
+        const params = [];
+
+        if (first.type === TokenType.NAME) {
+            stream.next();
+            params.push({ type: 'Name', name: first.value, start: first.start, end: first.end });
+        } else {
+            stream.next();
+            while (!stream.test(TokenType.PUNCTUATION, ')')) {
+                if (params.length) {
+                    stream.expect(TokenType.PUNCTUATION, ',');
+                }
+                const name = stream.expect(TokenType.NAME);
+                params.push({ type: 'Name', name: name.value, start: name.start, end: name.end });
+            }
+            stream.next();
+        }
+
+        stream.expect(TokenType.OPERATOR, '=>');
+        const body = parseExpression();
+        return { type: 'Arrow', params, body, start: first.start, end: body.end };
+    }
+
+    function parseName() {
+        const token = stream.expect(TokenType.NAME, undefined, `Expected name, got ${describe(stream.peek())}`);
+        return { type: 'Name', name: token.value, start: token.start, end: token.end };
+    }
+
+    return { parseExpression, parseFilterChain, parseName };
+}
+
+/**
+ * Parse a Twig template
+ * @param {string} source - Template source
+ * @returns {object} - `Template` node with `body`, `errors` and `tokens`
+ */
+export function parse(source) {
+    const lexed = tokenize(source);
+    const errors = lexed.errors.slice();
+    const stream = createStream(lexed.tokens);
+    const expressions = createExpressionParser(stream);
+    const { parseExpression, parseFilterChain, parseName } = expressions;
+
+    const template = { type: 'Template', body: [], start: 0, end: source.length, errors, tokens: lexed.tokens };
+    const stack = [];
+
+    function isName(value) {
+        return stream.test(TokenType.NAME, value);
+    }
+
+    function currentBody() {
+        const open = stack[stack.length - 1];
+        if (!open) {
+            return template.body;
+        }
+        return open.branches.length ? open.branches[open.branches.length - 1].body : open.body;
+    }
+
+    /**
+     * End offset of the last node in a tag's body or branches
+     */
+    function contentEnd(node) {
+        const last = node.branches && node.branches.length ? node.branches[node.branches.length - 1] : node;
+        const body = last.body || [];
+        const child = body[body.length - 1];
+        if (!child) {
+            return last.end;
+        }
+        return child.outerEnd || child.end;
+    }
+
+    const TAG_PARSERS = {
+        if(node) {
+            node.test = parseExpression();
+        },
+        elseif(node) {
+            node.test = parseExpression();
+        },
+        for(node) {
+            node.targets = [parseName()];
+            while (stream.test(TokenType.PUNCTUATION, ',')) {
+                stream.next();
+                node.targets.push(parseName());
+            }
+            stream.expect(TokenType.OPERATOR, 'in');
+            node.sequence = parseExpression();
+            if (isName('if')) {
+                stream.next();
+                node.condition = parseExpression();
+            }
+        },
+        set(node) {
+            node.targets = [parseName()];
+            while (stream.test(TokenType.PUNCTUATION, ',')) {
+                stream.next();
+                node.targets.push(parseName());
+            }
+            if (stream.test(TokenType.OPERATOR, '=')) {
+                stream.next();
+                node.values = [parseExpression()];
+                while (stream.test(TokenType.PUNCTUATION, ',')) {
+                    stream.next();
+                    node.values.push(parseExpression());
+                }
+                node.capture = false;
+            } else {
+                node.values = [];
+                node.capture = true;
+            }
+        },
+        block(node) {
+            node.blockName = parseName();
+            node.value = stream.isTagEnd() ? null : parseExpression();
+        },
+        endblock(node) {
+            node.blockName = stream.isTagEnd() ? null : parseName();
+        },
+        macro(node) {
+            node.macroName = parseName();
+            node.params = [];
+            stream.expect(TokenType.PUNCTUATION, '(');
+            while (!stream.test(TokenType.PUNCTUATION, ')')) {
+                if (node.params.length) {
+                    stream.expect(TokenType.PUNCTUATION, ',', 'Arguments must be separated by a comma');
+                }
+                if (stream.test(TokenType.OPERATOR, '...')) {
+                    stream.next();
+                }
+                const name = parseName();
+                const param = { type: 'Parameter', name: name.name, start: name.start, end: name.end, default: null };
+                if (stream.test(TokenType.OPERATOR, '=') || stream.test(TokenType.PUNCTUATION, ':')) {
+                    stream.next();
+                    param.default = parseExpression();
+                }
+                node.params.push(param);
+            }
+            stream.next();
+        },
+        endmacro(node) {
+            node.macroName = stream.isTagEnd() ? null : parseName();
+        },
+        import(node) {
+            node.template = parseExpression();
+            stream.expect(TokenType.NAME, 'as');
+            node.alias = parseName();
+        },
+        from(node) {
+            node.template = parseExpression();
+            stream.expect(TokenType.NAME, 'import');
+            node.imports = [];
+            do {
+                if (node.imports.length) {
+                    stream.next();
+                }
+                const name = parseName();
+                let alias = null;
+                if (isName('as')) {
+                    stream.next();
+                    alias = parseName();
+                }
+                node.imports.push({ type: 'ImportedName', name, alias, start: name.start, end: (alias || name).end });
+            } while (stream.test(TokenType.PUNCTUATION, ','));
+        },
+        extends(node) {
+            node.template = parseExpression();
+        },
+        include(node) {
+            parseIncludeArguments(node);
+        },
+        embed(node) {
+            parseIncludeArguments(node);
+        },
+        use(node) {
+            node.template = parseExpression();
+            node.aliases = [];
+            if (isName('with')) {
+                stream.next();
+                do {
+                    if (node.aliases.length) {
+                        stream.next();
+                    }
+                    const name = parseName();
+                    stream.expect(TokenType.NAME, 'as');
+                    const alias = parseName();
+                    node.aliases.push({ type: 'ImportedName', name, alias, start: name.start, end: alias.end });
+                } while (stream.test(TokenType.PUNCTUATION, ','));
+            }
+        },
+        with(node) {
+            node.variables = stream.isTagEnd() || isName('only') ? null : parseExpression();
+            node.only = false;
+            if (isName('only')) {
+                stream.next();
+                node.only = true;
+            }
+        },
+        apply(node) {
+            node.filters = parseFilterChain();
+        },
+        filter(node) {
+            node.filters = parseFilterChain();
+        },
+        autoescape(node) {
+            node.strategy = stream.isTagEnd() ? null : parseExpression();
+        },
+        do(node) {
+            node.expression = parseExpression();
+        },
+        deprecated(node) {
+            node.expression = parseExpression();
+        }
+    };
+
+    function parseIncludeArguments(node) {
+        node.template = parseExpression();
+        node.ignoreMissing = false;
+        node.variables = null;
+        node.only = false;
+
+        if (isName('ignore')) {
+            stream.next();
+            stream.expect(TokenType.NAME, 'missing');
+            node.ignoreMissing = true;
+        }
+        if (isName('with')) {
+            stream.next();
+            node.variables = parseExpression();
+        }
+        if (isName('only')) {
+            stream.next();
+            node.only = true;
+        }
+    }
+
+    /**
+     * Best effort parsing of tags we know nothing about (e.g. from plugins):
+     * collect whatever expressions can be read and never report errors
+     */
+    function parseGenericTag(node) {
+        node.expressions = [];
+        while (!stream.isTagEnd()) {
+            const before = stream.peek();
+            try {
+                node.expressions.push(parseExpression());
+            } catch (e) {
+                if (!(e instanceof ParseError)) {
+                    throw e;
+                }
+            }
+            if (stream.peek() === before) {
+                stream.next();
+            }
+        }
+    }
+
+    function skipToTagEnd() {
+        while (!stream.isTagEnd()) {
+            stream.next();
+        }
+    }
+
+    function parsePrint() {
+        const open = stream.next();
+        const node = { type: 'Print', expression: null, trimLeft: open.trim, trimRight: '', start: open.start, end: open.end };
+
+        try {
+            node.expression = parseExpression();
+            if (!stream.test(TokenType.VAR_END)) {
+                throw new ParseError(`Unexpected ${describe(stream.peek())}`, stream.peek());
+            }
+        } catch (e) {
+            if (!(e instanceof ParseError)) {
+                throw e;
+            }
+            errors.push({ message: e.message, start: e.start, end: e.end });
+            skipToTagEnd();
+        }
+
+        if (stream.test(TokenType.VAR_END)) {
+            const close = stream.next();
+            node.trimRight = close.trim;
+            node.end = close.end;
+        } else {
+            node.end = stream.peek().start;
+        }
+        currentBody().push(node);
+    }
+
+    function parseTag() {
+        const open = stream.next();
+        const node = { type: 'Tag', name: '', nameStart: open.end, nameEnd: open.end, trimLeft: open.trim, trimRight: '', start: open.start, end: open.end };
+
+        try {
+            const nameToken = stream.expect(TokenType.NAME, undefined, 'A block must start with a tag name');
+            node.name = nameToken.value;
+            node.nameStart = nameToken.start;
+            node.nameEnd = nameToken.end;
+
+            if (TAG_PARSERS[node.name]) {
+                TAG_PARSERS[node.name](node);
+                if (!stream.test(TokenType.BLOCK_END)) {
+                    throw new ParseError(`Unexpected ${describe(stream.peek())} in "${node.name}" tag`, stream.peek());
+                }
+            } else {
+                parseGenericTag(node);
+            }
+        } catch (e) {
+            if (!(e instanceof ParseError)) {
+                throw e;
+            }
+            errors.push({ message: e.message, start: e.start, end: e.end });
+            skipToTagEnd();
+        }
+
+        if (stream.test(TokenType.BLOCK_END)) {
+            const close = stream.next();
+            node.trimRight = close.trim;
+            node.end = close.end;
+        } else {
+            node.end = stream.peek().start;
+        }
+
+        placeTag(node);
+    }
+
+    /**
+     * Attach a tag to the tree: open a body for paired tags, start a new
+     * branch for `else`-like tags and close bodies on end tags. Tags that do
+     * not fit the current nesting are reported and kept as plain nodes.
+     */
+    function placeTag(node) {
+        const top = stack[stack.length - 1];
+        const topBranches = top && PAIRED_TAGS[top.name].branches;
+
+        if (topBranches && topBranches.includes(node.name)) {
+            const final = topBranches[topBranches.length - 1];
+            const previous = top.branches[top.branches.length - 1];
+            if (previous && previous.name === final) {
+                structureError(`Unexpected "${node.name}" tag after "${final}"`, node);
+            }
+            node.body = [];
+            top.branches.push(node);
+            return;
+        }
+
+        const openers = Object.keys(PAIRED_TAGS).filter(name => PAIRED_TAGS[name].end === node.name);
+        if (openers.length) {
+            closeTag(node, openers);
+            return;
+        }
+
+        const branchOf = Object.keys(PAIRED_TAGS).filter(name => (PAIRED_TAGS[name].branches || []).includes(node.name));
+        if (branchOf.length) {
+            structureError(`Unexpected "${node.name}" tag outside of ${branchOf.map(name => `"${name}"`).join(' or ')}`, node);
+        }
+
+        currentBody().push(node);
+
+        const spec = PAIRED_TAGS[node.name];
+        if (spec && (!spec.paired || spec.paired(node))) {
+            node.body = [];
+            node.branches = [];
+            node.endTag = null;
+            node.outerEnd = node.end;
+            stack.push(node);
+        }
+    }
+
+    function closeTag(node, openers) {
+        const top = stack[stack.length - 1];
+        let openIndex = -1;
+        for (let i = stack.length - 1; i >= 0; i--) {
+            if (PAIRED_TAGS[stack[i].name].end === node.name) {
+                openIndex = i;
+                break;
+            }
+        }
+
+        if (openIndex === -1) {
+            if (top) {
+                structureError(`Unexpected "${node.name}" tag (expecting closing tag for the "${top.name}" tag defined near line ${lineAt(top.start)})`, node);
+            } else {
+                structureError(`Unexpected "${node.name}" tag, there is no open ${openers.map(name => `"${name}"`).join(' or ')} tag`, node);
+            }
+            currentBody().push(node);
+            return;
+        }
+
+        if (openIndex !== stack.length - 1) {
+            structureError(`Unexpected "${node.name}" tag (expecting closing tag for the "${top.name}" tag defined near line ${lineAt(top.start)})`, node);
+        }
+        while (stack.length - 1 > openIndex) {
+            closeUnclosed(stack.pop());
+        }
+
+        const opener = stack.pop();
+        opener.endTag = node;
+        opener.outerEnd = node.end;
+        checkEndName(opener, node, 'blockName', 'block');
+        checkEndName(opener, node, 'macroName', 'macro');
+    }
+
+    /**
+     * `{% endblock name %}` and `{% endmacro name %}` must repeat the opening name
+     */
+    function checkEndName(opener, node, property, kind) {
+        const expected = opener[property];
+        const given = node[property];
+        if (expected && given && expected.name !== given.name) {
+            structureError(`Expected end${kind} for ${kind} "${expected.name}" (but "${given.name}" given)`, given);
+        }
+    }
+
+    function closeUnclosed(node) {
+        node.outerEnd = contentEnd(node);
+        structureError(`Unclosed "${node.name}" tag, expected "{% ${PAIRED_TAGS[node.name].end} %}"`, node);
+    }
+
+    function structureError(message, node) {
+        errors.push({ message, start: node.start, end: node.end });
+    }
+
+    function lineAt(offset) {
+        let line = 1;
+        for (let i = source.indexOf('\n'); i !== -1 && i < offset; i = source.indexOf('\n', i + 1)) {
+            line++;
+        }
+        return line;
+    }
+
+    for (;;) {
+        const token = stream.peek();
+
+        if (token.type === TokenType.EOF) {
+            break;
+        }
+
+        switch (token.type) {
+            case TokenType.TEXT:
+                stream.next();
+                currentBody().push({ type: 'Text', value: token.value, start: token.start, end: token.end });
+                break;
+            case TokenType.COMMENT:
+                stream.next();
+                currentBody().push({ type: 'Comment', value: token.value, trimLeft: token.trimLeft, trimRight: token.trimRight, start: token.start, end: token.end });
+                break;
+            case TokenType.VAR_START:
+                parsePrint();
+                break;
+            case TokenType.BLOCK_START:
+                parseTag();
+                break;
+            default:
+                // Stray tokens can only follow an error that was already reported
+                stream.next();
+        }
+    }
+
+    while (stack.length) {
+        closeUnclosed(stack.pop());
+    }
+
+    return template;
+}
+
+/**
+ * Call `callback` for each direct child node
+ */
+export function forEachChild(node, callback) {
+    for (const key in node) {
+        if (key === 'tokens') {
+            continue;
+        }
+        const value = node[key];
+        if (Array.isArray(value)) {
+            value.forEach(child => {
+                if (child && typeof child.type === 'string') {
+                    callback(child);
+                }
+            });
+        } else if (value && typeof value === 'object' && typeof value.type === 'string') {
+            callback(value);
+        }
+    }
+}
+
+/**
+ * Depth-first traversal. Returning false from `callback` skips the children.
+ * @param {object} node - Root node
+ * @param {function(object, object):(boolean|void)} callback - Receives each node and its parent
+ */
+export function walk(node, callback, parent = null) {
+    if (callback(node, parent) === false) {
+        return;
+    }
+    forEachChild(node, child => walk(child, callback, node));
+}
+
+/**
+ * Full source extent of a node, including the body of paired tags
+ */
+export function nodeEnd(node) {
+    return node.outerEnd !== undefined ? node.outerEnd : node.end;
+}
+
+/**
+ * Nodes enclosing an offset, from the template down to the innermost one
+ * @param {object} root - Template node
+ * @param {number} offset - Source offset
+ * @returns {Array} - Enclosing nodes, outermost first
+ */
+export function findNodePath(root, offset) {
+    const path = [root];
+    let node = root;
+
+    for (;;) {
+        let match = null;
+        forEachChild(node, child => {
+            if (child.start <= offset && offset <= nodeEnd(child)) {
+                match = child;
+            }
+        });
+        if (!match) {
+            return path;
+        }
+        path.push(match);
+        node = match;
+    }
+}
+
+/**
+ * Tokens of the Twig tag or print statement enclosing an offset
+ * @param {object} root - Template node
+ * @param {number} offset - Source offset
+ * @returns {Array|null} - Tokens from the opening delimiter up to (not including) the closing one
+ */
+export function findTagTokens(root, offset) {
+    const tokens = root.tokens;
+    let open = -1;
+
+    for (let i = 0; i < tokens.length; i++) {
+        const token = tokens[i];
+        if (token.type === TokenType.BLOCK_START || token.type === TokenType.VAR_START) {
+            if (token.start >= offset) {
+                return null;
+            }
+            open = i;
+        } else if (token.type === TokenType.BLOCK_END || token.type === TokenType.VAR_END) {
+            if (open !== -1 && tokens[open].end <= offset && offset <= token.start) {
+                return tokens.slice(open, i);
+            }
+            open = -1;
+        } else if (token.start > offset && (token.type === TokenType.TEXT || token.type === TokenType.COMMENT)) {
+            return null;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Blank out Twig tags, print statements and comments, leaving only the markup.
+ * Characters are replaced with spaces so offsets and line numbers are unchanged.
+ * @param {string} source - Original Twig source
+ * @param {object} template - Template node parsed from the source
+ * @returns {string} - Markup without Twig
+ */
+export function maskTwig(source, template) {
+    const ranges = [];
+    let open = null;
+
+    template.tokens.forEach(token => {
+        if (token.type === TokenType.COMMENT) {
+            ranges.push([token.start, token.end]);
+        } else if (token.type === TokenType.BLOCK_START || token.type === TokenType.VAR_START) {
+            open = token.start;
+        } else if ((token.type === TokenType.BLOCK_END || token.type === TokenType.VAR_END) && open !== null) {
+            ranges.push([open, token.end]);
+            open = null;
+        }
+    });
+
+    let masked = '';
+    let last = 0;
+    ranges.forEach(([start, end]) => {
+        masked += source.substring(last, start) + source.substring(start, end).replace(/[^\r\n]/g, ' ');
+        last = end;
+    });
+
+    return masked + source.substring(last);
+}
+
+const documentCache = new Map();
+const DOCUMENT_CACHE_SIZE = 20;
+
+/**
+ * Parse a VS Code document, reusing the last AST while its version is unchanged
+ * @param {vscode.TextDocument} document - Document to parse
+ * @returns {object} - Template node
+ */
+export function parseDocument(document) {
+    const key = document.uri.toString();
+    const cached = documentCache.get(key);
+    if (cached && cached.version === document.version) {
+        return cached.ast;
+    }
+
+    const ast = parse(document.getText());
+    documentCache.delete(key);
+    documentCache.set(key, { version: document.version, ast });
+    if (documentCache.size > DOCUMENT_CACHE_SIZE) {
+        documentCache.delete(documentCache.keys().next().value);
+    }
+    return ast;
+}
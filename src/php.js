@@ -0,0 +1,346 @@
+import vscode from 'vscode';
+import { createScanner } from './scanner';
+
+const PHP_EXCLUDE = '**/{node_modules,vendor,var}/**';
+
+// `new TwigFilter(...)`, `new \Twig\TwigFunction(...)`, `new Twig_SimpleTest(...)`
+const DECLARATION = /new\s+\\?(?:Twig\\)?Twig(?:_Simple)?(Filter|Function|Test)\s*\(/g;
+// Methods and functions, with the docblock and attributes before them
+const FUNCTION = /(?:\/\*\*((?:(?!\*\/)[\s\S])*)\*\/\s*)?(?:#\[[^\]]*\]\s*)*(?:(?:public|protected|private|static|final|abstract)\s+)*function\s+&?\s*(\w+)\s*\(/g;
+const GLOBALS = /function\s+getGlobals\s*\([^)]*\)[^{;]*\{/g;
+
+const SECTIONS = { Filter: 'filters', Function: 'functions', Test: 'tests' };
+
+/**
+ * Index of the quote closing the string starting at an index
+ */
+function skipString(text, index) {
+    const quote = text[index];
+    for (let i = index + 1; i < text.length; i++) {
+        if (text[i] === '\\') {
+            i++;
+        } else if (text[i] === quote) {
+            return i;
+        }
+    }
+    return text.length;
+}
+
+/**
+ * Source with its comments blanked out, keeping the offsets
+ */
+function stripComments(text) {
+    let result = '';
+    let start = 0;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        const next = text[i + 1];
+        let end = -1;
+
+        if (char === '"' || char === "'") {
+            i = skipString(text, i);
+        } else if (char === '/' && next === '*') {
+            end = text.indexOf('*/', i + 2);
+            end = end < 0 ? text.length : end + 2;
+        } else if ((char === '/' && next === '/') || (char === '#' && next !== '[')) {
+            end = text.indexOf('\n', i);
+            end = end < 0 ? text.length : end;
+        }
+
+        if (end >= 0) {
+            result += text.substring(start, i) + text.substring(i, end).replace(/[^\n]/g, ' ');
+            start = end;
+            i = end - 1;
+        }
+    }
+    return result + text.substring(start);
+}
+
+/**
+ * Comma separated items up to the bracket closing the list, skipping strings
+ * and nested brackets
+ * @param {string} code - PHP source without comments
+ * @param {number} index - Index after the opening bracket
+ * @returns {string[]|null} - Trimmed items, or null when the list is not closed
+ */
+function readList(code, index) {
+    const items = [];
+    let depth = 0;
+    let start = index;
+
+    for (let i = index; i < code.length; i++) {
+        const char = code[i];
+
+        if (char === '"' || char === "'") {
+            i = skipString(code, i);
+        } else if (char === '(' || char === '[' || char === '{') {
+            depth++;
+        } else if (char === ')' || char === ']' || char === '}') {
+            if (depth === 0) {
+                items.push(code.substring(start, i));
+                return items.map(item => item.trim()).filter(Boolean);
+            }
+            depth--;
+        } else if (char === ',' && depth === 0) {
+            items.push(code.substring(start, i));
+            start = i + 1;
+        }
+    }
+    return null;
+}
+
+/**
+ * Name of a PHP parameter as written in templates: Twig matches named
+ * arguments in snake case, e.g. `maxLength` is `max_length`
+ */
+function snakeCase(name) {
+    return name.replace(/([A-Z]+)([A-Z][a-z])/g, '$1_$2').replace(/([a-z\d])([A-Z])/g, '$1_$2').toLowerCase();
+}
+
+/**
+ * Parameters of a PHP signature, e.g. `{name: 'currency', default: "'EUR'"}`
+ * for `?string $currency = 'EUR'`, described by the `@param` tags of its docblock
+ */
+function parseParams(items, docblock) {
+    const descriptions = {};
+    const tag = /@param\s+(?:[^\s$]+\s+)?(?:\.\.\.)?\$(\w+)[ \t]*([^\n]*)/g;
+    let match;
+    while ((match = tag.exec(docblock || ''))) {
+        descriptions[match[1]] = match[2].replace(/\s*\*\/$/, '').trim();
+    }
+
+    return items.map(item => {
+        const param = item.replace(/#\[[^\]]*\]/g, '').match(/(\.\.\.)?\s*\$(\w+)\s*(?:=\s*([\s\S]+))?$/);
+        if (!param) {
+            return null;
+        }
+        return {
+            name: (param[1] || '') + snakeCase(param[2]),
+            default: param[3] ? param[3].replace(/\s+/g, ' ') : null,
+            description: descriptions[param[2]] || ''
+        };
+    }).filter(Boolean);
+}
+
+/**
+ * First paragraph of a docblock, without the tags
+ */
+function docSummary(docblock) {
+    if (!docblock) {
+        return '';
+    }
+    const lines = docblock.split('\n').map(line => line.replace(/^\s*\*?\s?/, '').trim());
+    const summary = [];
+    for (const line of lines) {
+        if (line.startsWith('@') || (!line && summary.length)) {
+            break;
+        }
+        if (line) {
+            summary.push(line);
+        }
+    }
+    return summary.join(' ');
+}
+
+/**
+ * Short name of a PHP class, e.g. `AppRuntime` for `\App\Twig\AppRuntime`
+ */
+function shortName(name) {
+    return name.split('\\').pop();
+}
+
+/**
+ * What a callable argument refers to: a method, a function, or a closure
+ * with its own parameters
+ */
+function parseCallable(text) {
+    if (!text) {
+        return null;
+    }
+    let match = text.match(/^(?:\[|array\s*\()\s*(\$this|(?:[\w\\]+)::class)\s*,\s*(['"])(\w+)\2\s*[\])]$/);
+    if (match) {
+        return { className: match[1] === '$this' ? null : shortName(match[1].replace(/::class$/, '')), method: match[3] };
+    }
+    match = text.match(/^(\$this->|[\w\\]+::)(\w+)\s*\(\s*\.\.\.\s*\)$/);
+    if (match) {
+        return { className: match[1] === '$this->' ? null : shortName(match[1].slice(0, -2)), method: match[2] };
+    }
+    match = text.match(/^(['"])([\w\\]+)::(\w+)\1$/);
+    if (match) {
+        return { className: shortName(match[2]), method: match[3] };
+    }
+    match = text.match(/^(['"])([\w\\]+)\1$/);
+    if (match) {
+        return { functionName: shortName(match[2]) };
+    }
+    match = text.match(/^(?:static\s+)?(?:function|fn)\s*&?\s*\(/);
+    if (match) {
+        return { params: parseParams(readList(text, match[0].length) || []) };
+    }
+    return null;
+}
+
+/**
+ * Twig extensions declared in a PHP file, and the methods and functions
+ * their callables may refer to
+ * @param {string} text - PHP source
+ * @returns {{className: string|null, declarations: Array, methods: object, globals: string[]}}
+ */
+export function parsePhpFile(text) {
+    const code = stripComments(text);
+    const classMatch = code.match(/^\s*(?:(?:abstract|final|readonly)\s+)*(?:class|trait)\s+(\w+)/m);
+    const methods = {};
+    const declarations = [];
+    const globals = [];
+    let match;
+
+    FUNCTION.lastIndex = 0;
+    while ((match = FUNCTION.exec(text))) {
+        methods[match[2]] = {
+            params: parseParams(readList(code, FUNCTION.lastIndex) || [], match[1]),
+            summary: docSummary(match[1])
+        };
+    }
+
+    DECLARATION.lastIndex = 0;
+    while ((match = DECLARATION.exec(code))) {
+        const args = readList(code, DECLARATION.lastIndex);
+        const name = args && args[0].match(/^(['"])([^'"]+)\1$/);
+        if (!name) {
+            continue;
+        }
+        const options = args[2] || '';
+        declarations.push({
+            section: SECTIONS[match[1]],
+            name: name[2],
+            callable: parseCallable(args[1]),
+            // Arguments Twig passes itself: the environment, the context and the filtered or tested value
+            skip: (/['"]needs_environment['"]\s*=>\s*true/.test(options) ? 1 : 0) +
+                (/['"]needs_context['"]\s*=>\s*true/.test(options) ? 1 : 0) +
+                (match[1] === 'Function' ? 0 : 1)
+        });
+    }
+
+    GLOBALS.lastIndex = 0;
+    if ((match = GLOBALS.exec(code))) {
+        const body = code.substring(GLOBALS.lastIndex);
+        const returned = body.match(/\breturn\s*(\[|array\s*\()/);
+        (returned ? readList(body, returned.index + returned[0].length) || [] : []).forEach(item => {
+            const key = item.match(/^(['"])([^'"]+)\1\s*=>/);
+            if (key) {
+                globals.push(key[2]);
+            }
+        });
+    }
+
+    return { className: classMatch ? classMatch[1] : null, declarations, methods, globals };
+}
+
+/**
+ * Filters, functions, tests and globals of the scanned PHP files, as
+ * declarations of `.twig-language.json`: `{params, description}`
+ */
+function mergeExtensions(files) {
+    const classes = new Map();
+    const functions = new Map();
+    files.forEach(file => {
+        if (file.className) {
+            classes.set(file.className, file.methods);
+        } else {
+            Object.keys(file.methods).forEach(name => functions.set(name, file.methods[name]));
+        }
+    });
+
+    const merged = { filters: {}, functions: {}, tests: {}, globals: {} };
+    files.forEach(file => {
+        const defined = `Defined in ${file.path}`;
+
+        file.declarations.forEach(declaration => {
+            const callable = declaration.callable || {};
+            let target = null;
+            if (callable.method) {
+                target = (callable.className ? classes.get(callable.className) : file.methods) || {};
+                target = target[callable.method];
+            } else if (callable.functionName) {
+                target = functions.get(callable.functionName);
+            } else if (callable.params) {
+                target = { params: callable.params, summary: '' };
+            }
+
+            merged[declaration.section][declaration.name] = {
+                params: target ? target.params.slice(declaration.skip) : [],
+                description: [target && target.summary, defined].filter(Boolean).join('\n\n')
+            };
+        });
+
+        file.globals.forEach(name => {
+            merged.globals[name] = { description: `Global variable. ${defined}` };
+        });
+    });
+    return merged;
+}
+
+// Only files mentioning Twig are kept: extensions and their runtimes import
+// Twig classes
+const scanner = createScanner({
+    include: '**/*.php',
+    exclude: PHP_EXCLUDE,
+    excludedPath: /\/(?:node_modules|vendor|var)\//,
+    keyword: /Twig/,
+    setting: 'phpExtensions',
+    parse: parsePhpFile,
+    merge: mergeExtensions
+});
+
+// Extensions of the installed packages, e.g. the Twig bundles of Composer.
+// Only their extension classes are read, the rest of vendor being large.
+const vendorScanner = createScanner({
+    include: '**/vendor/**/*Extension.php',
+    exclude: '**/node_modules/**',
+    excludedPath: /\/node_modules\//,
+    keyword: /Twig/,
+    setting: 'phpExtensions',
+    parse: parsePhpFile,
+    merge: mergeExtensions
+});
+
+const changeEmitter = new vscode.EventEmitter();
+
+/**
+ * Fired when the extensions found in the PHP sources or in vendor change
+ * @type {vscode.Event<void>}
+ */
+export const onDidChangePhpExtensions = changeEmitter.event;
+
+/**
+ * Filters, functions, tests and globals of every scanned PHP file outside of
+ * vendor, as declarations of `.twig-language.json`: `{params, description}`
+ * @returns {{filters: object, functions: object, tests: object, globals: object}}
+ */
+export function getPhpExtensions() {
+    return scanner.get();
+}
+
+/**
+ * Filters, functions, tests and globals of the extension classes in vendor,
+ * in the same shape as `getPhpExtensions()`
+ * @returns {{filters: object, functions: object, tests: object, globals: object}}
+ */
+export function getVendorExtensions() {
+    return vendorScanner.get();
+}
+
+/**
+ * Scan the PHP files of the workspace for Twig extensions, and keep up with
+ * changes to them
+ * @param {vscode.ExtensionContext} context - Extension context
+ * @returns {Promise<void>}
+ */
+export function initializePhpExtensions(context) {
+    context.subscriptions.push(changeEmitter);
+    [scanner, vendorScanner].forEach(item => {
+        item.onDidChange(() => changeEmitter.fire(), null, context.subscriptions);
+    });
+    return Promise.all([scanner.initialize(context), vendorScanner.initialize(context)]).then(() => undefined);
+}
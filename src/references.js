@@ -0,0 +1,51 @@
+import vscode from 'vscode';
+import { parseDocument } from './parser';
+import { getTemplateReferences, resolveTemplate } from './templates';
+import { getIndexedTemplates } from './workspace';
+
+/**
+ * Templates to find the references of: the template named by the string
+ * under the cursor, or else the document itself
+ */
+function findTargets(document, position, candidates) {
+    const offset = document.offsetAt(position);
+    const reference = getTemplateReferences(parseDocument(document))
+        .find(ref => ref.start <= offset && offset <= ref.end);
+
+    return reference ? resolveTemplate(reference.name, candidates) : Promise.resolve([document.uri]);
+}
+
+/**
+ * Find every `{% extends %}`, `{% include %}`, `{% embed %}`, `{% import %}`,
+ * `{% from %}`, `{% use %}`, `include()` and `source()` naming a template.
+ * Names are resolved like go to definition does, so `@Namespace/...` forms
+ * and Craft-style names without an extension are found too.
+ * @param {vscode.TextDocument} document - The document
+ * @param {vscode.Position} position - Cursor position
+ * @returns {Promise<vscode.Location[]>}
+ */
+export function provideReferences(document, position) {
+    return getIndexedTemplates().then(templates => {
+        // Each name is resolved once per search, however many templates use
+        // it, and among the indexed templates rather than with a search
+        const candidates = templates.map(entry => entry.uri);
+        const resolved = new Map();
+        const resolve = name => {
+            if (!resolved.has(name)) {
+                resolved.set(name, resolveTemplate(name, candidates).then(uris => uris.map(uri => uri.toString())));
+            }
+            return resolved.get(name);
+        };
+
+        return findTargets(document, position, candidates).then(targets => {
+            const keys = new Set(targets.map(uri => uri.toString()));
+            if (!keys.size) {
+                return [];
+            }
+            return Promise.all([].concat(...templates.map(entry => entry.references
+                .map(reference => resolve(reference.name).then(found => found.some(key => keys.has(key)) ? new vscode.Location(entry.uri, reference.range) : null)))));
+        });
+    }).then(locations => locations
+        .filter(Boolean)
+        .sort((a, b) => a.uri.toString().localeCompare(b.uri.toString()) || a.range.start.line - b.range.start.line || a.range.start.character - b.range.start.character));
+}
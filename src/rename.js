@@ -0,0 +1,530 @@
+import vscode from 'vscode';
+import { walk, nodeEnd, findNodePath, parseDocument } from './parser';
+import { loadTemplate, positionAt } from './templates';
+import { getBlocks, findParentBlock } from './inheritance';
+import { getMacros, getImports, loadImportedTemplate } from './macros';
+import { SCOPE_TAGS } from './variables';
+import { getIndexedTemplates } from './workspace';
+
+const NAME_PATTERN = /^[a-zA-Z_\x7f-\uffff][a-zA-Z0-9_\x7f-\uffff]*$/;
+
+/**
+ * Whether a Name node is a variable, rather than the name of a function,
+ * block, macro or import alias
+ */
+function isVariable(node, parent) {
+    if (!parent) {
+        return true;
+    }
+    if (parent.type === 'Call') {
+        return parent.callee !== node;
+    }
+    if (parent.type === 'Tag') {
+        return parent.blockName !== node && parent.macroName !== node && parent.alias !== node;
+    }
+    return parent.type !== 'ImportedName' && parent.type !== 'Arrow';
+}
+
+/**
+ * Symbol under the cursor: a block or macro name, a macro call, a name in
+ * `{% from ... import %}` or its alias, or a variable
+ */
+function findSymbol(template, offset) {
+    const within = (start, end) => start <= offset && offset <= end;
+    let symbol = null;
+
+    walk(template, (node, parent) => {
+        if (node.start === undefined || !within(node.start, nodeEnd(node))) {
+            return node.type === 'Template';
+        }
+
+        if (node.type === 'Tag' && (node.name === 'block' || node.name === 'endblock') && node.blockName && within(node.blockName.start, node.blockName.end)) {
+            symbol = { kind: 'block', name: node.blockName.name, node: node.blockName, tag: node };
+        } else if (node.type === 'Tag' && (node.name === 'macro' || node.name === 'endmacro') && node.macroName && within(node.macroName.start, node.macroName.end)) {
+            symbol = { kind: 'macro', name: node.macroName.name, node: node.macroName };
+        } else if (node.type === 'GetAttr' && !node.computed && node.object.type === 'Name' && within(node.propertyStart, node.propertyEnd)) {
+            symbol = { kind: 'macroCall', name: node.property, alias: node.object.name, node: { start: node.propertyStart, end: node.propertyEnd } };
+        } else if (node.type === 'Call' && node.callee.type === 'Name' && within(node.callee.start, node.callee.end)) {
+            symbol = { kind: 'importedCall', name: node.callee.name, node: node.callee };
+        } else if (node.type === 'ImportedName' && parent && parent.name === 'from' && within(node.name.start, node.name.end)) {
+            symbol = { kind: 'importedName', name: node.name.name, node: node.name, tag: parent };
+        } else if (node.type === 'ImportedName' && parent && parent.name === 'from' && node.alias && within(node.alias.start, node.alias.end)) {
+            symbol = { kind: 'alias', name: node.alias.name, node: node.alias, tag: parent };
+        } else if (node.type === 'Name' && isVariable(node, parent)) {
+            symbol = { kind: 'variable', name: node.name, node };
+        }
+    });
+
+    return symbol;
+}
+
+/**
+ * The template being edited, in the shape loadTemplate() returns
+ */
+function currentTemplate(document) {
+    return { uri: document.uri, text: document.getText(), template: parseDocument(document) };
+}
+
+/**
+ * The current document and the templates of the workspace whose summary in
+ * the index passes a filter
+ * @returns {Promise<Array<{uri: vscode.Uri, text: string, template: object}>>}
+ */
+function loadTemplates(document, filter) {
+    const current = currentTemplate(document);
+    const key = document.uri.toString();
+
+    return getIndexedTemplates()
+        .then(entries => Promise.all(entries.filter(entry => entry.uri.toString() !== key && filter(entry)).map(entry => loadTemplate(entry.uri))))
+        .then(templates => [current].concat(templates.filter(Boolean)));
+}
+
+/**
+ * Text edits of one template, as offsets
+ */
+function createEdits(loaded) {
+    return { loaded, edits: [] };
+}
+
+/*
+ * Blocks
+ */
+
+/**
+ * The definition at the top of the inheritance chain of a block
+ * @returns {Promise<{uri: vscode.Uri, block: object}>}
+ */
+function findRootBlock(loaded, block, visited = new Set()) {
+    visited.add(loaded.uri.toString());
+    return findParentBlock(loaded.template, block.name, block.embed).then(parent => {
+        if (!parent || visited.has(parent.uri.toString())) {
+            return { uri: loaded.uri, block };
+        }
+        return loadTemplate(parent.uri).then(next => next
+            ? findRootBlock(next, parent.block, visited)
+            : { uri: parent.uri, block: parent.block });
+    });
+}
+
+function rootKey(root) {
+    return `${root.uri.toString()}#${root.block.tag.start}`;
+}
+
+/**
+ * Blocks sharing the root definition of a block, in every template
+ */
+function findBlockFamily(document, symbol) {
+    const current = currentTemplate(document);
+    const opener = getBlocks(current.template).find(block => block.tag === symbol.tag || block.tag.endTag === symbol.tag);
+    if (!opener) {
+        return Promise.resolve([]);
+    }
+
+    return findRootBlock(current, opener).then(root => {
+        const key = rootKey(root);
+        // Blocks renamed with `{% use %}` are part of the family under another name
+        const filter = entry => entry.uses || entry.blocks.some(block => block.name === symbol.name);
+        return loadTemplates(document, filter).then(templates => Promise.all(templates.map(loaded => Promise.all(
+            getBlocks(loaded.template).map(block => findRootBlock(loaded, block).then(found => rootKey(found) === key ? block : null))
+        ).then(blocks => ({ loaded, blocks: blocks.filter(Boolean) })))));
+    }).then(families => families.filter(family => family.blocks.length));
+}
+
+/**
+ * Rename a block in every template of its inheritance chain: the block and
+ * endblock names, `{% use ... with name as alias %}` and `block('name')`
+ */
+function renameBlock(document, symbol) {
+    return findBlockFamily(document, symbol).then(families => families.map(({ loaded, blocks }) => {
+        const result = createEdits(loaded);
+        blocks.filter(block => block.name === symbol.name).forEach(block => {
+            result.edits.push(block.tag.blockName);
+            if (block.tag.endTag && block.tag.endTag.blockName) {
+                result.edits.push(block.tag.endTag.blockName);
+            }
+        });
+
+        walk(loaded.template, node => {
+            if (node.type === 'Tag' && node.name === 'use') {
+                (node.aliases || []).filter(item => item.name.name === symbol.name).forEach(item => result.edits.push(item.name));
+            } else if (node.type === 'Call' && node.callee.type === 'Name' && node.callee.name === 'block' && node.arguments.length === 1) {
+                const arg = node.arguments[0];
+                if (arg.type === 'Literal' && arg.kind === 'string' && arg.quote && arg.value === symbol.name) {
+                    result.edits.push({ start: arg.start + 1, end: arg.end - 1 });
+                }
+            }
+        });
+        return result;
+    }));
+}
+
+/*
+ * Macros
+ */
+
+/**
+ * Template and name of the macro a symbol refers to
+ * @returns {Promise<{uri: vscode.Uri, name: string}|null>}
+ */
+function findMacroDefinition(document, offset, symbol) {
+    const current = currentTemplate(document);
+    const imports = getImports(current.template, offset).reverse();
+    let found;
+
+    if (symbol.kind === 'macro') {
+        found = Promise.resolve({ loaded: current, name: symbol.name });
+    } else if (symbol.kind === 'macroCall') {
+        const tag = imports.find(node => node.name === 'import' && node.alias.name === symbol.alias);
+        if (!tag && symbol.alias !== '_self') {
+            return Promise.resolve(null);
+        }
+        found = (tag ? loadImportedTemplate(current, tag) : Promise.resolve(current)).then(loaded => ({ loaded, name: symbol.name }));
+    } else if (symbol.kind === 'importedCall' || symbol.kind === 'importedName') {
+        let tag = symbol.tag;
+        let item = tag && tag.imports.find(entry => entry.name === symbol.node);
+        if (!tag) {
+            tag = imports.find(node => node.name === 'from' && node.imports.some(entry => (entry.alias || entry.name).name === symbol.name));
+            item = tag && tag.imports.find(entry => (entry.alias || entry.name).name === symbol.name);
+        }
+        if (!tag) {
+            return Promise.resolve(null);
+        }
+        found = loadImportedTemplate(current, tag).then(loaded => ({ loaded, name: item.name.name }));
+    } else {
+        return Promise.resolve(null);
+    }
+
+    return found.then(({ loaded, name }) => loaded && getMacros(loaded.template, loaded.text).some(macro => macro.name === name)
+        ? { uri: loaded.uri, name }
+        : null);
+}
+
+/**
+ * Rename a macro: its definition, `alias.macro()` calls through
+ * `{% import %}` and the names imported with `{% from %}`
+ */
+function renameMacro(document, definition) {
+    const target = definition.uri.toString();
+
+    const filter = entry => entry.imports.length || entry.uri.toString() === target;
+
+    return loadTemplates(document, filter).then(templates => Promise.all(templates.map(loaded => {
+        const result = createEdits(loaded);
+        const self = loaded.uri.toString() === target;
+        if (self) {
+            getMacros(loaded.template, loaded.text).filter(macro => macro.name === definition.name).forEach(macro => {
+                result.edits.push(macro.tag.macroName);
+                if (macro.tag.endTag && macro.tag.endTag.macroName) {
+                    result.edits.push(macro.tag.endTag.macroName);
+                }
+            });
+        }
+
+        const tags = getImports(loaded.template, Infinity);
+        walk(loaded.template, node => {
+            if (node.type === 'Tag' && node.name === 'macro') {
+                getImports(loaded.template, node.start + 1).filter(tag => !tags.includes(tag)).forEach(tag => tags.push(tag));
+            }
+        });
+
+        return Promise.all(tags.map(tag => loadImportedTemplate(loaded, tag)
+            .then(imported => imported && imported.uri.toString() === target ? tag : null)))
+            .then(matching => {
+                const imports = matching.filter(Boolean);
+                if (!imports.length && !self) {
+                    return result;
+                }
+
+                imports.filter(tag => tag.name === 'from').forEach(tag => tag.imports
+                    .filter(item => item.name.name === definition.name)
+                    .forEach(item => result.edits.push(item.name)));
+
+                walk(loaded.template, node => {
+                    const visible = () => getImports(loaded.template, node.start).reverse();
+                    if (node.type === 'GetAttr' && !node.computed && node.object.type === 'Name' && node.property === definition.name) {
+                        const tag = visible().find(item => item.name === 'import' && item.alias.name === node.object.name);
+                        if ((tag && imports.includes(tag)) || (!tag && self && node.object.name === '_self')) {
+                            result.edits.push({ start: node.propertyStart, end: node.propertyEnd });
+                        }
+                    } else if (node.type === 'Call' && node.callee.type === 'Name' && node.callee.name === definition.name) {
+                        // Only names imported without an alias are called by the macro's own name
+                        const tag = visible().find(item => item.name === 'from' && item.imports.some(entry => (entry.alias || entry.name).name === node.callee.name));
+                        if (tag && imports.includes(tag) && tag.imports.some(entry => !entry.alias && entry.name.name === definition.name)) {
+                            result.edits.push(node.callee);
+                        }
+                    }
+                });
+                return result;
+            });
+    })));
+}
+
+/**
+ * Tag importing a macro under an alias, `{% from ... import name as alias %}`,
+ * when a call uses that alias
+ */
+function findAliasTag(template, offset, name) {
+    return getImports(template, offset).reverse().find(tag => tag.name === 'from'
+        && tag.imports.some(item => (item.alias || item.name).name === name)
+        && tag.imports.some(item => item.alias && item.alias.name === name));
+}
+
+/**
+ * Rename the alias of an imported macro and the calls using it, leaving the
+ * macro itself alone
+ */
+function renameAlias(document, symbol) {
+    const result = createEdits(currentTemplate(document));
+    const item = symbol.tag.imports.find(entry => entry.alias && entry.alias.name === symbol.name);
+    result.edits.push(item.alias);
+
+    walk(result.loaded.template, node => {
+        if (node.type === 'Call' && node.callee.type === 'Name' && node.callee.name === symbol.name
+            && findAliasTag(result.loaded.template, node.start, symbol.name) === symbol.tag) {
+            result.edits.push(node.callee);
+        }
+    });
+    return [result];
+}
+
+/*
+ * Variables
+ */
+
+/**
+ * Whether a `{% set %}` of a name is written directly in a scope, outside
+ * the nested scopes, and before an offset when one is given
+ */
+function setsIn(scope, name, before = Infinity) {
+    let found = false;
+    const roots = scope.type === 'Template' ? scope.body : (scope.body || []);
+    roots.forEach(root => walk(root, node => {
+        if (node.type !== 'Tag' || node.start >= before) {
+            return;
+        }
+        if (SCOPE_TAGS.includes(node.name)) {
+            return false;
+        }
+        if (node.name === 'set' && (node.targets || []).some(target => target.name === name)) {
+            found = true;
+        }
+    }));
+    return found;
+}
+
+/**
+ * Whether a name exists before a loop, set or looped over by the scopes
+ * around it
+ */
+function existsBefore(path, index, name) {
+    const loop = path[index];
+    for (let i = index - 1; i >= 0; i--) {
+        const node = path[i];
+        if (node.type !== 'Template' && !(node.type === 'Tag' && SCOPE_TAGS.includes(node.name))) {
+            continue;
+        }
+        if (setsIn(node, name, loop.start) || (node.name === 'for' && node.targets.some(target => target.name === name))) {
+            return true;
+        }
+        if (node.name === 'macro' || ((node.name === 'with' || node.name === 'embed') && node.only)) {
+            return false;
+        }
+    }
+    return false;
+}
+
+/**
+ * Scope of the variable used at an offset: the innermost loop it is a loop
+ * variable of, or the innermost scope setting it. Blocks, `with`, `embed`
+ * and macros are scopes of their own; a loop is only the scope of the names
+ * first set inside it, setting a variable from outside changing that one.
+ * Macro arguments and variables from the context have no scope in the
+ * template.
+ * @param {object} template - Template node
+ * @param {string} name - Variable name
+ * @param {number} offset - Offset of the variable
+ * @returns {{node: object, loop: boolean}|null} - Template or tag of the scope, and whether the
+ *   variable is a target of that loop
+ */
+export function findVariableScope(template, name, offset) {
+    const path = findNodePath(template, offset);
+
+    for (let i = path.length - 1; i >= 0; i--) {
+        const node = path[i];
+        if (node.type !== 'Template' && !(node.type === 'Tag' && SCOPE_TAGS.includes(node.name))) {
+            continue;
+        }
+
+        if (node.name === 'for') {
+            const elseStart = node.branches && node.branches.length ? node.branches[0].start : Infinity;
+            const inSequence = node.sequence && node.sequence.start <= offset && offset <= node.sequence.end;
+            if (offset >= elseStart || inSequence) {
+                continue;
+            }
+            if (node.targets.some(target => target.name === name)) {
+                return { node, loop: true };
+            }
+            if (setsIn(node, name) && !existsBefore(path, i, name)) {
+                return { node, loop: false };
+            }
+            continue;
+        }
+        if (setsIn(node, name)) {
+            return { node, loop: false };
+        }
+        if (node.name === 'macro' || ((node.name === 'with' || node.name === 'embed') && node.only)) {
+            return null;
+        }
+    }
+    return null;
+}
+
+/**
+ * Occurrences of a variable in its scope, leaving out macros, loops
+ * redefining it or setting it first and `only` scopes. Names in shorthand hashes (`{ name }`)
+ * are flagged: renaming them must keep the key.
+ */
+function findVariableOccurrences(scope, name) {
+    const occurrences = [];
+    const tag = scope.node;
+    let roots;
+    if (tag.type === 'Template') {
+        roots = tag.body;
+    } else if (scope.loop) {
+        roots = tag.targets.concat(tag.condition || [], tag.body || []);
+    } else {
+        roots = tag.body || [];
+    }
+
+    function visit(root) {
+        walk(root, (node, parent) => {
+            if (node.type === 'Tag' && node.name === 'macro') {
+                return false;
+            }
+            if (node.type === 'Tag' && (node.name === 'with' || node.name === 'embed') && node.only) {
+                return false;
+            }
+            // Loops setting the name first have a variable of their own
+            if (node.type === 'Tag' && node.name === 'for' && (node.targets.some(target => target.name === name) ||
+                (node !== tag && !scope.loop && setsIn(node, name) && !setsIn(tag, name, node.start)))) {
+                visit(node.sequence);
+                (node.branches || []).forEach(branch => (branch.body || []).forEach(visit));
+                return false;
+            }
+            if (node.type === 'Arrow' && node.params.some(param => param.name === name)) {
+                return false;
+            }
+            if (node.type === 'Name' && node.name === name && isVariable(node, parent)) {
+                occurrences.push({ start: node.start, end: node.end, shorthand: Boolean(parent && parent.type === 'Pair' && parent.shorthand) });
+            }
+        });
+    }
+
+    roots.forEach(root => root && visit(root));
+    return occurrences;
+}
+
+/*
+ * Provider
+ */
+
+/**
+ * Resolve the symbol at a position to what renaming it changes
+ * @returns {Promise<{symbol: object, definition: object|null, scope: object|null}>}
+ */
+function resolveSymbol(document, position) {
+    const offset = document.offsetAt(position);
+    const template = parseDocument(document);
+    const symbol = findSymbol(template, offset);
+    const reject = message => Promise.reject(new Error(message));
+
+    if (!symbol) {
+        return reject('Only blocks, macros and variables can be renamed.');
+    }
+    if (symbol.kind === 'block' || symbol.kind === 'alias') {
+        return Promise.resolve({ symbol });
+    }
+    if (symbol.kind === 'importedCall') {
+        const tag = findAliasTag(template, offset, symbol.name);
+        if (tag) {
+            return Promise.resolve({ symbol: Object.assign({}, symbol, { kind: 'alias', tag }) });
+        }
+    }
+    if (symbol.kind === 'variable') {
+        const scope = findVariableScope(template, symbol.name, offset);
+        return scope
+            ? Promise.resolve({ symbol, scope })
+            : reject(`"${symbol.name}" is not set in this template.`);
+    }
+    return findMacroDefinition(document, offset, symbol).then(definition => definition
+        ? { symbol, definition }
+        : reject(symbol.kind === 'importedCall' ? 'Only blocks, macros and variables can be renamed.' : `Macro "${symbol.name}" was not found.`));
+}
+
+/**
+ * Range and current name of the symbol to rename
+ * @param {vscode.TextDocument} document - The document
+ * @param {vscode.Position} position - Cursor position
+ * @returns {Promise<{range: vscode.Range, placeholder: string}>}
+ */
+export function prepareRename(document, position) {
+    return resolveSymbol(document, position).then(({ symbol }) => {
+        const range = new vscode.Range(document.positionAt(symbol.node.start), document.positionAt(symbol.node.end));
+        return { range, placeholder: document.getText(range) };
+    });
+}
+
+/**
+ * Rename a block across its inheritance chain, a macro across its imports,
+ * or a variable within its scope. Edits spanning several files are marked
+ * for confirmation, so that they are shown in the refactor preview first.
+ * @param {vscode.TextDocument} document - The document
+ * @param {vscode.Position} position - Cursor position
+ * @param {string} newName - New name
+ * @returns {Promise<vscode.WorkspaceEdit>}
+ */
+export function provideRenameEdits(document, position, newName) {
+    if (!NAME_PATTERN.test(newName)) {
+        return Promise.reject(new Error(`"${newName}" is not a valid Twig name.`));
+    }
+
+    return resolveSymbol(document, position).then(({ symbol, definition, scope }) => {
+        if (symbol.kind === 'variable') {
+            const result = createEdits(currentTemplate(document));
+            findVariableOccurrences(scope, symbol.name).forEach(occurrence => result.edits.push(
+                occurrence.shorthand ? Object.assign({ text: `${symbol.name}: ${newName}` }, occurrence) : occurrence
+            ));
+            return [result];
+        }
+        if (symbol.kind === 'block') {
+            return renameBlock(document, symbol);
+        }
+        if (symbol.kind === 'alias') {
+            return renameAlias(document, symbol);
+        }
+        return renameMacro(document, definition);
+    }).then(results => {
+        const changed = results.filter(result => result.edits.length);
+        const metadata = changed.length > 1
+            ? { needsConfirmation: true, label: `Rename "${resultName(changed)}" to "${newName}"` }
+            : undefined;
+        const edit = new vscode.WorkspaceEdit();
+
+        changed.forEach(({ loaded, edits }) => {
+            const seen = new Set();
+            edits.filter(item => !seen.has(item.start) && seen.add(item.start)).forEach(item => {
+                const range = new vscode.Range(positionAt(loaded.text, item.start), positionAt(loaded.text, item.end));
+                edit.replace(loaded.uri, range, item.text || newName, metadata);
+            });
+        });
+        return edit;
+    });
+}
+
+/**
+ * Name being renamed, read back from the first edit
+ */
+function resultName(results) {
+    const { loaded, edits } = results[0];
+    return loaded.text.substring(edits[0].start, edits[0].end);
+}
@@ -0,0 +1,141 @@
+import vscode from 'vscode';
+
+// Files read between two pauses, so that scanning does not block the extension host
+const BATCH_SIZE = 50;
+
+/**
+ * Run a task on files, a batch at a time
+ * @param {vscode.Uri[]} uris - Files
+ * @param {function(vscode.Uri): Promise} task - Reads or indexes a file
+ * @param {{onProgress?: function(number, number), isCancelled?: function(): boolean}} [options] - `onProgress(done, total)` is called before each batch, and `isCancelled()` stops the run before the next one
+ * @returns {Promise<void>}
+ */
+export function runInBatches(uris, task, options) {
+    const { onProgress, isCancelled } = options || {};
+
+    function next(index) {
+        if (isCancelled && isCancelled()) {
+            return Promise.resolve();
+        }
+        if (onProgress) {
+            onProgress(index, uris.length);
+        }
+        if (index >= uris.length) {
+            return Promise.resolve();
+        }
+        return Promise.all(uris.slice(index, index + BATCH_SIZE).map(task))
+            .then(() => new Promise(resolve => setTimeout(resolve, 0)))
+            .then(() => next(index + BATCH_SIZE));
+    }
+
+    return next(0);
+}
+
+/**
+ * Scanner of workspace files, e.g. the PHP sources for Twig extensions: files
+ * matching `include` and mentioning `keyword` are parsed, then kept up to date
+ * with a watcher while the `twig-language-2.<setting>` setting is on
+ * @param {object} options - Scanner options
+ * @param {string} options.include - Glob of the files
+ * @param {string} options.exclude - Glob of the folders left out of the search
+ * @param {RegExp} options.excludedPath - Paths left out, for the watcher too
+ * @param {RegExp} options.keyword - Content of the files worth parsing
+ * @param {string} options.setting - Setting turning the scan on and off
+ * @param {function(string): object} options.parse - Parses the text of a file
+ * @param {function(Map<string, object>): object} options.merge - Combines the parsed files
+ * @returns {{onDidChange: vscode.Event<void>, get: function(): object, initialize: function(vscode.ExtensionContext): Promise<void>}} - `get()` returns what `merge()` made of the current files, and `initialize()` starts scanning
+ */
+export function createScanner(options) {
+    const files = new Map();
+    const changeEmitter = new vscode.EventEmitter();
+    let merged = null;
+    // Incremented by each scan, so that a scan replaced by a newer one stops
+    let generation = 0;
+
+    const isEnabled = () => vscode.workspace.getConfiguration('twig-language-2').get(options.setting, true);
+    const isScanned = uri => uri.scheme === 'file' && !options.excludedPath.test(uri.path);
+
+    function changed() {
+        merged = null;
+        changeEmitter.fire();
+    }
+
+    /**
+     * Scan or re-scan a file
+     */
+    function scanFile(uri, target) {
+        const key = uri.toString();
+
+        return Promise.resolve(vscode.workspace.fs.readFile(uri)).then(content => {
+            const text = Buffer.from(content).toString('utf8');
+            if (options.keyword.test(text)) {
+                target.set(key, Object.assign(options.parse(text), { uri, path: vscode.workspace.asRelativePath(uri) }));
+            } else {
+                target.delete(key);
+            }
+        }, () => {
+            target.delete(key);
+        });
+    }
+
+    function scanWorkspace() {
+        const current = ++generation;
+        if (!isEnabled()) {
+            files.clear();
+            changed();
+            return Promise.resolve();
+        }
+
+        const scanned = new Map();
+        return Promise.resolve(vscode.workspace.findFiles(options.include, options.exclude)).then(found => {
+            return runInBatches(found.filter(isScanned), uri => scanFile(uri, scanned), { isCancelled: () => current !== generation });
+        }).then(() => {
+            if (current === generation) {
+                files.clear();
+                scanned.forEach((file, key) => files.set(key, file));
+                changed();
+            }
+        });
+    }
+
+    function initialize(context) {
+        context.subscriptions.push(changeEmitter);
+
+        const update = uri => {
+            if (isScanned(uri) && isEnabled()) {
+                scanFile(uri, files).then(changed);
+            }
+        };
+
+        const watcher = vscode.workspace.createFileSystemWatcher(options.include);
+        context.subscriptions.push(watcher);
+        watcher.onDidCreate(update, null, context.subscriptions);
+        watcher.onDidChange(update, null, context.subscriptions);
+        watcher.onDidDelete(uri => {
+            if (files.delete(uri.toString())) {
+                changed();
+            }
+        }, null, context.subscriptions);
+
+        vscode.workspace.onDidChangeConfiguration((event) => {
+            if (event.affectsConfiguration(`twig-language-2.${options.setting}`)) {
+                scanWorkspace();
+            }
+        }, null, context.subscriptions);
+
+        vscode.workspace.onDidChangeWorkspaceFolders(scanWorkspace, null, context.subscriptions);
+
+        return scanWorkspace();
+    }
+
+    return {
+        onDidChange: changeEmitter.event,
+        get() {
+            if (!merged) {
+                merged = options.merge(files);
+            }
+            return merged;
+        },
+        initialize
+    };
+}
@@ -0,0 +1,260 @@
+import { createScanner } from './scanner';
+
+const SCRIPT_GLOB = '**/*.{js,ts}';
+const SCRIPT_EXCLUDE = '**/{node_modules,vendor,var,dist,build}/**';
+// Lines of a registration shown on hover
+const PREVIEW_LINES = 12;
+
+// Key of an object literal entry, e.g. `open:`, `toggle() {`, `get label()`
+// or `'aria-label':`
+const OBJECT_KEY = /^(?:(async|get|set)\s+(?![:(,}]))?(\*\s*)?(?:([A-Za-z_$][\w$]*)|'([^'\\]*)'|"([^"\\]*)")\s*([:(,}]|$)/;
+
+// Value of an object literal entry that is a function
+const FUNCTION_VALUE = /^\s*(?:async\s+)?(?:function\b|(?:\([^()]*\)|[A-Za-z_$][\w$]*)\s*=>)/;
+
+// `Alpine.data('dropdown', ...)` and `Alpine.store('cart', ...)`
+const REGISTRATION = /\bAlpine\.(data|store)\(\s*(['"`])([\w$.-]+)\2\s*,\s*/g;
+
+// Parameters of a function expression, then its body or returned value
+const FUNCTION_HEAD = /^(?:async\s+)?(?:function\s*[\w$]*\s*\(([^)]*)\)|\(([^)]*)\)\s*=>|([\w$]+)\s*=>)\s*/;
+
+// Functions and variables `x-data` can use without `Alpine.data()`
+const GLOBAL_NAME = /\bfunction\s+([A-Za-z_$][\w$]*)\s*\(|\b(?:var|let|const)\s+([A-Za-z_$][\w$]*)\s*=|\bwindow\.([A-Za-z_$][\w$]*)\s*=/g;
+
+/**
+ * Offset after a string literal, or after a comment
+ */
+function skipLiteral(source, start) {
+    const char = source[start];
+    if (char === '/') {
+        const end = source[start + 1] === '/' ? source.indexOf('\n', start) : source.indexOf('*/', start + 2) + 1;
+        return end <= 0 ? source.length : end + 1;
+    }
+    for (let i = start + 1; i < source.length; i++) {
+        if (source[i] === '\\') {
+            i++;
+        } else if (source[i] === char) {
+            return i + 1;
+        }
+    }
+    return source.length;
+}
+
+/**
+ * Offset of the bracket closing the one at an offset
+ */
+function findClosing(source, start) {
+    let depth = 0;
+    let i = start;
+    while (i < source.length) {
+        const char = source[i];
+        if (char === '"' || char === '\'' || char === '`' || (char === '/' && (source[i + 1] === '/' || source[i + 1] === '*'))) {
+            i = skipLiteral(source, i);
+            continue;
+        }
+        if (char === '{' || char === '[' || char === '(') {
+            depth++;
+        } else if (char === '}' || char === ']' || char === ')') {
+            depth--;
+            if (depth === 0) {
+                return i;
+            }
+        }
+        i++;
+    }
+    return source.length;
+}
+
+/**
+ * Properties and methods of an object literal, e.g. the value of `x-data`
+ * @param {string} source - Source starting with the object literal
+ * @param {number} offset - Offset of the source in the document
+ * @returns {Array<{name: string, kind: string, start: number, end: number}>} - `kind` is `property` or `method`
+ */
+export function getDataProperties(source, offset) {
+    const properties = [];
+    let i = source.search(/\S/);
+    if (i === -1 || source[i] !== '{') {
+        return properties;
+    }
+
+    let depth = 0;
+    let expectKey = false;
+    while (i < source.length) {
+        const char = source[i];
+        if (depth === 1 && expectKey && /\S/.test(char)) {
+            expectKey = false;
+            const match = OBJECT_KEY.exec(source.substring(i));
+            if (match) {
+                const name = [match[3], match[4], match[5]].find(item => item !== undefined);
+                const start = i + match[0].indexOf(name, (match[1] || '').length + (match[2] || '').length);
+                const isMethod = match[6] === '(' && match[1] !== 'get' && match[1] !== 'set';
+                properties.push({
+                    name,
+                    kind: isMethod || (match[6] === ':' && FUNCTION_VALUE.test(source.substring(i + match[0].length))) ? 'method' : 'property',
+                    start: offset + start,
+                    end: offset + start + name.length
+                });
+                i += match[0].length - match[6].length;
+                continue;
+            }
+        }
+        if (char === '"' || char === '\'' || char === '`' || (char === '/' && (source[i + 1] === '/' || source[i + 1] === '*'))) {
+            i = skipLiteral(source, i);
+            continue;
+        }
+        if (char === '{' || char === '[' || char === '(') {
+            depth++;
+            expectKey = depth === 1;
+        } else if (char === '}' || char === ']' || char === ')') {
+            depth--;
+            if (depth === 0) {
+                break;
+            }
+        } else if (char === ',' && depth === 1) {
+            expectKey = true;
+        }
+        i++;
+    }
+
+    return properties;
+}
+
+/**
+ * Parameters and data object of the function registered as a component:
+ * `() => ({...})`, `function () { return {...} }`, or the name of such a
+ * function declared in the same file
+ */
+function readComponent(text, start) {
+    let index = start;
+    const reference = /^([A-Za-z_$][\w$]*)\s*[,)]/.exec(text.substring(index));
+    if (reference && reference[1] !== 'async') {
+        const name = reference[1].replace(/\$/g, '\\$');
+        const declaration = new RegExp(`\\bfunction\\s+${name}\\s*(?=\\()|\\b(?:const|let|var)\\s+${name}\\s*=\\s*`).exec(text);
+        if (!declaration) {
+            return { params: null, properties: [] };
+        }
+        index = declaration[0].startsWith('function') ? declaration.index : declaration.index + declaration[0].length;
+    }
+
+    const head = FUNCTION_HEAD.exec(text.substring(index));
+    if (!head) {
+        return { params: null, properties: [] };
+    }
+    const params = [head[1], head[2], head[3]].find(item => item !== undefined).trim();
+    let body = index + head[0].length;
+    if (text[body] === '(') {
+        body = text.indexOf('{', body);
+    } else if (text[body] === '{') {
+        const returned = /\breturn\s*(?=\{)/.exec(text.substring(body, findClosing(text, body)));
+        body = returned ? body + returned.index + returned[0].length : -1;
+    }
+    return {
+        params,
+        properties: body < 0 || text[body] !== '{' ? [] : getDataProperties(text.substring(body), body)
+    };
+}
+
+/**
+ * Line and character of an offset
+ */
+function lineAt(text, offset) {
+    const before = text.substring(0, offset);
+    const line = before.split('\n').length - 1;
+    return { line, character: offset - before.lastIndexOf('\n') - 1 };
+}
+
+/**
+ * Alpine components and stores registered in a script, and the functions
+ * and variables `x-data` can use without registration
+ * @param {string} text - JavaScript or TypeScript source, or a template with inline scripts
+ * @returns {{components: Array<object>, stores: Array<object>, globals: string[]}} - Registrations have a `name`, the `start` and `end` offsets of the name, its `line` and `character`, the `properties` of the data object, the `params` of components and a `source` preview
+ */
+export function parseScript(text) {
+    const components = [];
+    const stores = [];
+    const globals = [];
+    let match;
+
+    REGISTRATION.lastIndex = 0;
+    while ((match = REGISTRATION.exec(text))) {
+        // Commented out, e.g. `// Alpine.data(...)` or in a docblock
+        if (/\/\/|^\s*\*/.test(text.substring(text.lastIndexOf('\n', match.index) + 1, match.index))) {
+            continue;
+        }
+        const start = match.index + match[0].indexOf(match[3], 'Alpine.store('.length);
+        const value = match.index + match[0].length;
+        const end = findClosing(text, text.indexOf('(', match.index));
+        const registration = Object.assign({
+            name: match[3],
+            start,
+            end: start + match[3].length,
+            source: text.substring(match.index, end + 1).split('\n').slice(0, PREVIEW_LINES).join('\n')
+        }, lineAt(text, start));
+
+        if (match[1] === 'data') {
+            components.push(Object.assign(registration, readComponent(text, value)));
+        } else {
+            registration.properties = getDataProperties(text.substring(value, end), value);
+            stores.push(registration);
+        }
+        registration.properties.forEach(property => Object.assign(property, lineAt(text, property.start)));
+    }
+
+    GLOBAL_NAME.lastIndex = 0;
+    while ((match = GLOBAL_NAME.exec(text))) {
+        globals.push(match[1] || match[2] || match[3]);
+    }
+
+    return { components, stores, globals };
+}
+
+/**
+ * Registrations of the scanned files, with the `uri` and `path` of their file
+ */
+function mergeScripts(files) {
+    const merged = { components: [], stores: [], globals: new Set() };
+    files.forEach(file => {
+        const located = registration => Object.assign({ uri: file.uri, path: file.path }, registration);
+        merged.components.push(...file.components.map(located));
+        merged.stores.push(...file.stores.map(located));
+        file.globals.forEach(name => merged.globals.add(name));
+    });
+    return merged;
+}
+
+// Only files mentioning Alpine are kept
+const scanner = createScanner({
+    include: SCRIPT_GLOB,
+    exclude: SCRIPT_EXCLUDE,
+    excludedPath: /\/(?:node_modules|vendor|var|dist|build)\/|\.min\.js$/,
+    keyword: /\bAlpine\b/,
+    setting: 'alpineComponents',
+    parse: parseScript,
+    merge: mergeScripts
+});
+
+/**
+ * Fired when the components and stores found in the workspace change
+ * @type {vscode.Event<void>}
+ */
+export const onDidChangeScripts = scanner.onDidChange;
+
+/**
+ * Components and stores registered in the JavaScript and TypeScript files of
+ * the workspace, see initializeScripts()
+ * @returns {{components: Array<object>, stores: Array<object>, globals: Set<string>}} - Registrations as parseScript() returns them, with the `uri` and `path` of their file
+ */
+export function getScripts() {
+    return scanner.get();
+}
+
+/**
+ * Scan the scripts of the workspace for `Alpine.data()` components and
+ * `Alpine.store()` stores, and keep up with changes to them
+ * @param {vscode.ExtensionContext} context - Extension context
+ * @returns {Promise<void>}
+ */
+export function initializeScripts(context) {
+    return scanner.initialize(context);
+}
@@ -0,0 +1,184 @@
+import vscode from 'vscode';
+import { TokenType } from './lexer';
+import { parseDocument, findTagTokens } from './parser';
+import { formatMacro, findAliasMacros, findImportedMacros } from './macros';
+import { getCatalog, findEntry, getParameters } from './catalog';
+
+/**
+ * Find the call whose argument list contains the cursor: the tokens naming
+ * the callee, and the index of the argument being typed
+ * @param {Array} tokens - Tag tokens before the cursor
+ * @returns {{callee: Array, argument: number, named: string|null}|null}
+ */
+function findOpenCall(tokens) {
+    let depth = 0;
+    let argument = 0;
+    let argumentStart = tokens.length;
+
+    for (let i = tokens.length - 1; i > 0; i--) {
+        const token = tokens[i];
+        if (token.type !== TokenType.PUNCTUATION) {
+            continue;
+        }
+
+        if (token.value === ')' || token.value === ']' || token.value === '}') {
+            depth++;
+        } else if (token.value === '[' || token.value === '{') {
+            if (depth) {
+                depth--;
+                continue;
+            }
+            // Inside an array or hash argument: its commas don't separate arguments
+            argument = 0;
+            argumentStart = tokens.length;
+        } else if (token.value === '(') {
+            if (depth) {
+                depth--;
+                continue;
+            }
+
+            if (argument === 0) {
+                argumentStart = i + 1;
+            }
+
+            // `name = value` or `name: value` selects a parameter by name
+            const first = tokens[argumentStart];
+            const next = tokens[argumentStart + 1];
+            const named = first && first.type === TokenType.NAME && next &&
+                ((next.type === TokenType.OPERATOR && next.value === '=') || (next.type === TokenType.PUNCTUATION && next.value === ':'))
+                ? first.value : null;
+
+            return { callee: tokens.slice(0, i), argument, named };
+        } else if (token.value === ',' && !depth) {
+            if (argument === 0) {
+                argumentStart = i + 1;
+            }
+            argument++;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Macro being called: `alias.macro(` through `{% import %}`, or `macro(`
+ * through `{% from ... import %}`
+ * @returns {Promise<{prefix: string, macro: object}|null>}
+ */
+function findCalledMacro(document, offset, callee) {
+    const name = callee[callee.length - 1];
+    const dot = callee[callee.length - 2];
+    const alias = callee[callee.length - 3];
+    if (!name || name.type !== TokenType.NAME) {
+        return Promise.resolve(null);
+    }
+
+    if (dot && dot.type === TokenType.PUNCTUATION && dot.value === '.') {
+        const before = callee[callee.length - 4];
+        if (!alias || alias.type !== TokenType.NAME || (before && before.type === TokenType.PUNCTUATION && (before.value === '.' || before.value === '|'))) {
+            return Promise.resolve(null);
+        }
+        return findAliasMacros(document, offset, alias.value).then(macros => {
+            const macro = macros.find(item => item.name === name.value);
+            return macro ? { prefix: `${alias.value}.`, macro } : null;
+        });
+    }
+
+    if (dot && dot.type === TokenType.PUNCTUATION && dot.value === '|') {
+        return Promise.resolve(null);
+    }
+    return findImportedMacros(document, offset).then(imported => {
+        const item = imported.find(entry => entry.name === name.value);
+        return item ? { prefix: '', macro: Object.assign({}, item.macro, { name: item.name }) } : null;
+    });
+}
+
+/**
+ * Filter or function of the catalog being called: `|name(` or `name(`
+ * @returns {{name: string, entry: object}|null}
+ */
+function findCalledBuiltin(callee) {
+    const name = callee[callee.length - 1];
+    const before = callee[callee.length - 2];
+    if (!name || name.type !== TokenType.NAME) {
+        return null;
+    }
+
+    const catalog = getCatalog();
+    const isPunctuation = value => before && before.type === TokenType.PUNCTUATION && before.value === value;
+    if (isPunctuation('.')) {
+        return null;
+    }
+    const entry = findEntry(isPunctuation('|') ? catalog.filters : catalog.functions, name.value);
+    return entry ? { name: name.value, entry } : null;
+}
+
+/**
+ * Signature of a filter or function, with the documentation of its parameters
+ */
+function builtinSignature(found) {
+    const params = getParameters(found.entry, found.name);
+    if (!params) {
+        return null;
+    }
+
+    const { label, params: ranges } = formatMacro({ name: found.name, params });
+    const signature = new vscode.SignatureInformation(label, found.entry.description ? new vscode.MarkdownString(found.entry.description) : undefined);
+    signature.parameters = ranges.map((range, i) => new vscode.ParameterInformation(
+        [range.start, range.end],
+        params[i].description ? new vscode.MarkdownString(params[i].description) : undefined
+    ));
+    return { signature, params };
+}
+
+/**
+ * Index of the parameter an argument goes to: by name for named arguments,
+ * and the variadic parameter for the extra arguments
+ */
+function activeParameter(params, call) {
+    if (call.named) {
+        return params.findIndex(param => param.name === call.named);
+    }
+    const last = params.length - 1;
+    return last >= 0 && call.argument > last && params[last].name.startsWith('...') ? last : call.argument;
+}
+
+/**
+ * Provide signature help for macro calls and for the filters and functions
+ * of the catalog
+ * @param {vscode.TextDocument} document - The document
+ * @param {vscode.Position} position - Cursor position
+ * @returns {Promise<vscode.SignatureHelp|null>}
+ */
+export function provideSignatureHelp(document, position) {
+    const offset = document.offsetAt(position);
+    const tokens = (findTagTokens(parseDocument(document), offset) || []).filter(token => token.end <= offset);
+    const call = findOpenCall(tokens);
+    if (!call) {
+        return Promise.resolve(null);
+    }
+
+    // Imported macros shadow functions of the same name
+    return findCalledMacro(document, offset, call.callee).then(found => {
+        const help = new vscode.SignatureHelp();
+        help.activeSignature = 0;
+
+        if (found) {
+            const { label, params } = formatMacro(found.macro, found.prefix);
+            const signature = new vscode.SignatureInformation(label, found.macro.documentation ? new vscode.MarkdownString(found.macro.documentation) : undefined);
+            signature.parameters = params.map(param => new vscode.ParameterInformation([param.start, param.end]));
+            help.signatures = [signature];
+            help.activeParameter = activeParameter(params, call);
+            return help;
+        }
+
+        const builtin = findCalledBuiltin(call.callee);
+        const described = builtin && builtinSignature(builtin);
+        if (!described) {
+            return null;
+        }
+        help.signatures = [described.signature];
+        help.activeParameter = activeParameter(described.params, call);
+        return help;
+    });
+}
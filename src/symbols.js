@@ -0,0 +1,195 @@
+import vscode from 'vscode';
+import { TextDocument } from 'vscode-languageserver-textdocument';
+import { parseDocument, maskTwig, nodeEnd } from './parser';
+
+let htmlLanguageService;
+
+// Longest expression shown in a symbol name before it is shortened
+const MAX_EXPRESSION_LENGTH = 40;
+
+/**
+ * Source text of an expression node, shortened for display
+ */
+function expressionText(text, node) {
+    const source = text.substring(node.start, node.end).replace(/\s+/g, ' ');
+    return source.length > MAX_EXPRESSION_LENGTH ? source.substring(0, MAX_EXPRESSION_LENGTH - 1) + '…' : source;
+}
+
+function createSymbol(document, name, detail, kind, start, end, selectionStart, selectionEnd) {
+    const range = new vscode.Range(document.positionAt(start), document.positionAt(end));
+    const selectionRange = new vscode.Range(document.positionAt(selectionStart), document.positionAt(selectionEnd));
+    const symbol = new vscode.DocumentSymbol(name || ' ', detail, kind, range, selectionRange);
+    symbol.children = [];
+    return symbol;
+}
+
+/**
+ * Symbol for a Twig tag, or null for tags that are not shown in the outline
+ */
+function createTagSymbol(document, text, node) {
+    const end = nodeEnd(node);
+
+    switch (node.name) {
+        case 'block':
+            if (node.blockName) {
+                return createSymbol(document, node.blockName.name, 'block', vscode.SymbolKind.Module, node.start, end, node.blockName.start, node.blockName.end);
+            }
+            break;
+        case 'macro':
+            if (node.macroName) {
+                const params = (node.params || []).map(param => param.default ? `${param.name} = ${expressionText(text, param.default)}` : param.name);
+                return createSymbol(document, node.macroName.name, `macro(${params.join(', ')})`, vscode.SymbolKind.Function, node.start, end, node.macroName.start, node.macroName.end);
+            }
+            break;
+        case 'embed':
+            if (node.template) {
+                const name = node.template.type === 'Literal' ? String(node.template.value) : expressionText(text, node.template);
+                return createSymbol(document, name, 'embed', vscode.SymbolKind.Object, node.start, end, node.template.start, node.template.end);
+            }
+            break;
+        case 'set':
+            if (node.targets && node.targets.length) {
+                const first = node.targets[0];
+                const last = node.targets[node.targets.length - 1];
+                const detail = node.capture ? 'set' : `set = ${node.values.map(value => expressionText(text, value)).join(', ')}`;
+                return createSymbol(document, node.targets.map(target => target.name).join(', '), detail, vscode.SymbolKind.Variable, node.start, end, first.start, last.end);
+            }
+            break;
+        case 'for':
+            if (node.targets && node.sequence) {
+                const name = `${node.targets.map(target => target.name).join(', ')} in ${expressionText(text, node.sequence)}`;
+                return createSymbol(document, name, 'for', vscode.SymbolKind.Array, node.start, end, node.targets[0].start, node.sequence.end);
+            }
+            break;
+    }
+
+    return null;
+}
+
+/**
+ * Collect Twig symbols from a list of nodes, nested by tag bodies
+ */
+function collectTwigSymbols(document, text, nodes, symbols) {
+    nodes.forEach(node => {
+        if (node.type !== 'Tag') {
+            return;
+        }
+
+        const symbol = createTagSymbol(document, text, node);
+        const children = symbol ? [] : symbols;
+
+        collectTwigSymbols(document, text, node.body || [], children);
+        (node.branches || []).forEach(branch => collectTwigSymbols(document, text, branch.body || [], children));
+
+        if (symbol) {
+            symbol.children = children;
+            symbols.push(symbol);
+        }
+    });
+}
+
+/**
+ * Value of the id attribute of an element. It is located in the masked markup
+ * and read from the original text, so that `id="row-{{ loop.index }}"` keeps
+ * its Twig part.
+ */
+function elementId(text, masked, node) {
+    const startTag = masked.substring(node.start, node.startTagEnd || node.end);
+    const match = /\sid\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/i.exec(startTag);
+    if (!match) {
+        return null;
+    }
+
+    const value = match[1] !== undefined ? match[1] : match[2] !== undefined ? match[2] : match[3];
+    const quoted = match[3] === undefined;
+    const start = node.start + match.index + match[0].length - value.length - (quoted ? 1 : 0);
+    return text.substring(start, start + value.length).trim().replace(/\s+/g, ' ');
+}
+
+/**
+ * Collect HTML elements that have an id, e.g. `div#main`
+ */
+function collectElementSymbols(document, text, masked, nodes, symbols) {
+    nodes.forEach(node => {
+        const id = node.tag && node.attributes && node.attributes.id ? elementId(text, masked, node) : null;
+        if (id) {
+            symbols.push(createSymbol(document, `${node.tag}#${id}`, '', vscode.SymbolKind.Field, node.start, node.end, node.start, node.startTagEnd || node.end));
+        }
+        collectElementSymbols(document, text, masked, node.children || [], symbols);
+    });
+}
+
+/**
+ * Flatten a symbol tree into a list
+ */
+function flatten(symbols, list) {
+    symbols.forEach(symbol => {
+        list.push(symbol);
+        flatten(symbol.children, list);
+        symbol.children = [];
+    });
+    return list;
+}
+
+/**
+ * Nest symbols by their ranges, so that Twig blocks appear inside the HTML
+ * elements that contain them and the other way around
+ */
+function nestSymbols(document, symbols) {
+    const roots = [];
+    const stack = [];
+    const entries = symbols.map(symbol => ({
+        symbol,
+        start: document.offsetAt(symbol.range.start),
+        end: document.offsetAt(symbol.range.end)
+    }));
+
+    entries
+        .sort((a, b) => a.start - b.start || b.end - a.end)
+        .forEach(entry => {
+            while (stack.length && !(stack[stack.length - 1].start <= entry.start && entry.end <= stack[stack.length - 1].end)) {
+                stack.pop();
+            }
+            (stack.length ? stack[stack.length - 1].symbol.children : roots).push(entry.symbol);
+            stack.push(entry);
+        });
+
+    return roots;
+}
+
+/**
+ * Provide the outline of blocks, macros, embeds, variables and loops
+ * @param {vscode.TextDocument} document - The document
+ * @returns {vscode.DocumentSymbol[]} - Symbol tree
+ */
+export function provideDocumentSymbols(document) {
+    const text = document.getText();
+    const template = parseDocument(document);
+    const twigSymbols = [];
+    const elementSymbols = [];
+
+    collectTwigSymbols(document, text, template.body, twigSymbols);
+
+    if (htmlLanguageService) {
+        const masked = maskTwig(text, template);
+        const lsDocument = TextDocument.create(
+            document.uri.toString(),
+            document.languageId,
+            document.version,
+            masked
+        );
+        collectElementSymbols(document, text, masked, htmlLanguageService.parseHTMLDocument(lsDocument).roots, elementSymbols);
+    }
+
+    if (!elementSymbols.length) {
+        return twigSymbols;
+    }
+    return nestSymbols(document, flatten(twigSymbols, []).concat(elementSymbols));
+}
+
+/**
+ * Initialize document symbol provider
+ */
+export function initializeSymbols(context, htmlLS) {
+    htmlLanguageService = htmlLS;
+}
@@ -0,0 +1,369 @@
+import vscode from 'vscode';
+import { walk, parse, parseDocument } from './parser';
+
+// Tags and functions whose first argument names another template
+const TEMPLATE_TAGS = ['extends', 'include', 'embed', 'import', 'from', 'use'];
+const TEMPLATE_FUNCTIONS = ['include', 'source'];
+
+// Craft resolves `_layouts/base` to `_layouts/base.twig`, `_layouts/base/index.html`, ...
+const IMPLICIT_EXTENSIONS = ['.twig', '.html', '.html.twig'];
+const INDEX_FILES = ['index.twig', 'index.html'];
+
+const DEFAULT_TEMPLATE_PATHS = [
+    'templates',
+    'app/Resources/views',
+    'web/themes/*/*/templates',
+    'web/modules/*/*/templates',
+    'web/core/themes/*/templates',
+    'web/core/modules/*/templates',
+    'themes/*/*/templates',
+    'modules/*/*/templates'
+];
+
+// Dependencies, left out of the searches for templates
+const TEMPLATE_EXCLUDE = '**/{node_modules,vendor}/**';
+// Files a template name resolves to at most without a template directory
+const FALLBACK_FILES = 5;
+
+let rootsCache = null;
+// Watchers of the configured template directories, recreated with the settings
+let rootWatchers = [];
+const templateCache = new Map();
+const TEMPLATE_CACHE_SIZE = 200;
+
+/**
+ * Collect template names from a template expression. Only plain strings,
+ * and the strings in conditionals and arrays (`{% include ['a', 'b'] %}`),
+ * are template names; anything computed is skipped.
+ */
+function collectTemplateNames(expr, kind, references) {
+    if (!expr) {
+        return;
+    }
+
+    if (expr.type === 'Literal' && expr.kind === 'string') {
+        references.push({ kind, name: expr.value, start: expr.start, end: expr.end });
+    } else if (expr.type === 'Conditional') {
+        collectTemplateNames(expr.consequent || expr.test, kind, references);
+        collectTemplateNames(expr.alternate, kind, references);
+    } else if (expr.type === 'Array') {
+        expr.elements.forEach(element => collectTemplateNames(element, kind, references));
+    } else if (expr.type === 'Binary' && expr.operator === '??') {
+        collectTemplateNames(expr.left, kind, references);
+        collectTemplateNames(expr.right, kind, references);
+    }
+}
+
+/**
+ * Template names in a template expression, e.g. the parent of `{% extends %}`
+ * @param {object} expr - Expression node
+ * @returns {string[]}
+ */
+export function getTemplateNames(expr) {
+    const references = [];
+    collectTemplateNames(expr, null, references);
+    return references.map(reference => reference.name);
+}
+
+/**
+ * Find every reference to another template in a parsed template
+ * @param {object} template - Template node
+ * @returns {Array<{kind: string, name: string, start: number, end: number}>} - References, with the range of the string literal
+ */
+export function getTemplateReferences(template) {
+    const references = [];
+
+    walk(template, node => {
+        if (node.type === 'Tag' && TEMPLATE_TAGS.includes(node.name)) {
+            collectTemplateNames(node.template, node.name, references);
+        } else if (node.type === 'Call' && node.callee.type === 'Name' && TEMPLATE_FUNCTIONS.includes(node.callee.name)) {
+            const argument = node.arguments.find(arg => arg.type !== 'NamedArgument' || arg.name === 'template' || arg.name === 'name');
+            if (argument) {
+                collectTemplateNames(argument.type === 'NamedArgument' ? argument.value : argument, node.callee.name, references);
+            }
+        }
+    });
+
+    return references;
+}
+
+function stat(uri) {
+    return Promise.resolve(vscode.workspace.fs.stat(uri)).then(info => info, () => null);
+}
+
+function readDirectory(uri) {
+    return Promise.resolve(vscode.workspace.fs.readDirectory(uri)).then(entries => entries, () => []);
+}
+
+// Expand a configured directory where `*` matches any directory name. The
+// directory matched by the last `*` becomes the root's namespace, so that
+// `web/themes/custom/*/templates` makes a theme's templates available as
+// `@theme_name/...`, the way Drupal registers them.
+function isAbsolute(pattern) {
+    return /^(?:\/|[a-zA-Z]:[\\/])/.test(pattern);
+}
+
+function expandPath(base, pattern, namespace) {
+    let matches = [{ uri: base, namespace }];
+    if (isAbsolute(pattern)) {
+        matches = [{ uri: vscode.Uri.file(pattern), namespace }];
+        pattern = '';
+    }
+
+    let expanded = Promise.resolve(matches);
+    pattern.split(/[\\/]/).filter(Boolean).forEach(segment => {
+        expanded = expanded.then(current => Promise.all(current.map(match => {
+            if (segment !== '*') {
+                return [{ uri: vscode.Uri.joinPath(match.uri, segment), namespace: match.namespace }];
+            }
+            return readDirectory(match.uri).then(entries => entries
+                .filter(([, type]) => type & vscode.FileType.Directory)
+                .map(([name]) => ({ uri: vscode.Uri.joinPath(match.uri, name), namespace: namespace || name })));
+        }))).then(lists => [].concat(...lists));
+    });
+
+    return expanded
+        .then(current => Promise.all(current.map(match => stat(match.uri).then(info => info && info.type & vscode.FileType.Directory ? match : null))))
+        .then(roots => roots.filter(Boolean));
+}
+
+/**
+ * Directories of the `templatePaths` and `templateNamespaces` settings
+ */
+function getConfiguredPaths() {
+    const settings = vscode.workspace.getConfiguration('twig-language-2');
+    const paths = settings.get('templatePaths', DEFAULT_TEMPLATE_PATHS) || [];
+    const namespaces = settings.get('templateNamespaces', {}) || {};
+    const configured = paths.map(path => ({ path, namespace: null, main: true }));
+
+    Object.keys(namespaces).forEach(name => {
+        const namespace = name.replace(/^@/, '');
+        [].concat(namespaces[name]).forEach(path => configured.push({ path, namespace, main: false }));
+    });
+    return configured;
+}
+
+function loadTemplateRoots() {
+    const pending = [];
+
+    (vscode.workspace.workspaceFolders || []).forEach(folder => {
+        getConfiguredPaths().forEach(({ path, namespace, main }) => {
+            pending.push(expandPath(folder.uri, path, namespace).then(roots => roots.map(root => Object.assign(root, { main }))));
+        });
+    });
+
+    return Promise.all(pending).then(lists => [].concat(...lists));
+}
+
+/**
+ * Glob of a configured directory and of its parents, e.g.
+ * `{web,web/themes,web/themes/*}` for `web/themes/*`: a directory created may
+ * match a `*`, e.g. a new theme, and one deleted may be or contain a template
+ * directory
+ */
+function getDirectoryGlob(path) {
+    const segments = path.split(/[\\/]/).filter(Boolean);
+    const globs = segments.map((segment, i) => segments.slice(0, i + 1).join('/'));
+    return globs.length === 1 ? globs[0] : `{${globs.join(',')}}`;
+}
+
+/**
+ * Reload the template directories when they or their parents are created or
+ * deleted. Absolute directories are outside of the workspace and not watched.
+ */
+function watchTemplateRoots() {
+    rootWatchers.forEach(watcher => watcher.dispose());
+    rootWatchers = [];
+
+    const reset = () => {
+        rootsCache = null;
+    };
+    (vscode.workspace.workspaceFolders || []).forEach(folder => {
+        const globs = getConfiguredPaths().filter(({ path }) => !isAbsolute(path)).map(({ path }) => getDirectoryGlob(path));
+        new Set(globs.filter(Boolean)).forEach(glob => {
+            const watcher = vscode.workspace.createFileSystemWatcher(new vscode.RelativePattern(folder, glob), false, true, false);
+            watcher.onDidCreate(reset);
+            watcher.onDidDelete(reset);
+            rootWatchers.push(watcher);
+        });
+    });
+}
+
+/**
+ * Template directories of the workspace, each with an optional namespace
+ * @returns {Promise<Array<{uri: vscode.Uri, namespace: string|null, main: boolean}>>}
+ */
+export function getTemplateRoots() {
+    if (!rootsCache) {
+        rootsCache = loadTemplateRoots();
+    }
+    return rootsCache;
+}
+
+/**
+ * Split `@Namespace/path/file.twig` into its namespace and path
+ */
+export function parseTemplateName(name) {
+    const match = name.match(/^@!?([^/\\]+)[/\\](.*)$/);
+    if (match) {
+        return { namespace: match[1], path: match[2] };
+    }
+    return { namespace: null, path: name.replace(/^\.?\//, '') };
+}
+
+/**
+ * File names a template name may refer to
+ */
+function candidateFiles(root, path) {
+    const file = vscode.Uri.joinPath(root, path);
+    const lastSegment = path.split('/').pop();
+    if (lastSegment.includes('.')) {
+        return [file];
+    }
+    return [file]
+        .concat(IMPLICIT_EXTENSIONS.map(extension => vscode.Uri.joinPath(root, path + extension)))
+        .concat(INDEX_FILES.map(index => vscode.Uri.joinPath(file, index)));
+}
+
+/**
+ * First of the candidate files that exists
+ */
+function findFirstFile(candidates) {
+    return Promise.all(candidates.map(stat))
+        .then(infos => candidates.find((candidate, i) => infos[i] && infos[i].type & vscode.FileType.File) || null);
+}
+
+/**
+ * Resolve a template name to files, using the configured template directories
+ * and namespaces. Falls back to the files whose path ends with the name when
+ * no directory matches: among `candidates` when given, e.g. the indexed
+ * templates when resolving the names of every template, else with a search
+ * of the workspace.
+ * @param {string} name - Template name as written in the template
+ * @param {vscode.Uri[]} [candidates] - Files to fall back to instead of a workspace search
+ * @returns {Promise<vscode.Uri[]>} - Existing files, best match first
+ */
+export function resolveTemplate(name, candidates) {
+    const { namespace, path } = parseTemplateName(name);
+    if (!path) {
+        return Promise.resolve([]);
+    }
+
+    return getTemplateRoots()
+        .then(roots => Promise.all(roots
+            .filter(root => namespace ? root.namespace === namespace : root.main)
+            .map(root => findFirstFile(candidateFiles(root.uri, path)))))
+        .then(files => {
+            const found = new Map();
+            files.filter(Boolean).forEach(file => found.set(file.toString(), file));
+
+            if (!found.size && candidates) {
+                return candidates.filter(uri => uri.path.endsWith(`/${path}`)).slice(0, FALLBACK_FILES);
+            }
+            if (!found.size && !/[*?{}[\]]/.test(path)) {
+                return vscode.workspace.findFiles(`**/${path}`, TEMPLATE_EXCLUDE, FALLBACK_FILES);
+            }
+            return Array.from(found.values());
+        });
+}
+
+/**
+ * Glob of the files handled as Twig: `*.twig` and the extensions associated
+ * with twig in `files.associations` (e.g. `"*.html": "twig"` for Craft)
+ */
+export function getTemplateGlob() {
+    const associations = vscode.workspace.getConfiguration('files').get('associations') || {};
+    const extensions = ['twig'];
+
+    Object.keys(associations).forEach(pattern => {
+        const match = associations[pattern] === 'twig' && pattern.match(/^(?:\*\*\/)?\*\.([\w.-]+)$/);
+        if (match && !extensions.includes(match[1])) {
+            extensions.push(match[1]);
+        }
+    });
+
+    return extensions.length === 1 ? '**/*.twig' : `**/*.{${extensions.join(',')}}`;
+}
+
+/**
+ * All template files of the workspace, leaving out dependencies
+ * @returns {Thenable<vscode.Uri[]>}
+ */
+export function findTemplateFiles() {
+    return vscode.workspace.findFiles(getTemplateGlob(), TEMPLATE_EXCLUDE);
+}
+
+/**
+ * Parse a template file, from its editor when it is open. Files on disk are
+ * cached until they are modified, keeping the most recently used ones.
+ * @param {vscode.Uri} uri - Template file
+ * @returns {Promise<{uri: vscode.Uri, text: string, template: object}|null>} - Null when the file cannot be read
+ */
+export function loadTemplate(uri) {
+    const key = uri.toString();
+    const document = vscode.workspace.textDocuments.find(doc => doc.uri.toString() === key);
+    if (document) {
+        return Promise.resolve({ uri, text: document.getText(), template: parseDocument(document) });
+    }
+
+    return stat(uri).then(info => {
+        if (!info) {
+            return null;
+        }
+
+        const cached = templateCache.get(key);
+        if (cached && cached.mtime === info.mtime) {
+            templateCache.delete(key);
+            templateCache.set(key, cached);
+            return cached.entry;
+        }
+
+        return Promise.resolve(vscode.workspace.fs.readFile(uri)).then(content => {
+            const text = Buffer.from(content).toString('utf8');
+            const entry = { uri, text, template: parse(text) };
+            templateCache.delete(key);
+            templateCache.set(key, { mtime: info.mtime, entry });
+            // Keep the most recently used templates; the index holds what is needed of the others
+            if (templateCache.size > TEMPLATE_CACHE_SIZE) {
+                templateCache.delete(templateCache.keys().next().value);
+            }
+            return entry;
+        }, () => null);
+    });
+}
+
+/**
+ * Convert an offset in a template's text to a position
+ */
+export function positionAt(text, offset) {
+    let line = 0;
+    let lineStart = 0;
+    for (let i = text.indexOf('\n'); i !== -1 && i < offset; i = text.indexOf('\n', i + 1)) {
+        line++;
+        lineStart = i + 1;
+    }
+    return new vscode.Position(line, offset - lineStart);
+}
+
+/**
+ * Initialize template resolution
+ * @param {vscode.ExtensionContext} context - Extension context
+ */
+export function initializeTemplates(context) {
+    // Template directories are expanded once and reloaded when the settings,
+    // the workspace folders or the directories change
+    vscode.workspace.onDidChangeConfiguration((event) => {
+        if (event.affectsConfiguration('twig-language-2')) {
+            rootsCache = null;
+            watchTemplateRoots();
+        }
+    }, null, context.subscriptions);
+
+    vscode.workspace.onDidChangeWorkspaceFolders(() => {
+        rootsCache = null;
+        watchTemplateRoots();
+    }, null, context.subscriptions);
+
+    watchTemplateRoots();
+    context.subscriptions.push({ dispose: () => rootWatchers.forEach(watcher => watcher.dispose()) });
+}
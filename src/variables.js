@@ -0,0 +1,176 @@
+import vscode from 'vscode';
+import { nodeEnd } from './parser';
+import { resolveTemplate } from './templates';
+import { getIndexedTemplates } from './workspace';
+
+// Tags that start a new variable scope: variables set inside are not visible after them
+export const SCOPE_TAGS = ['for', 'macro', 'with', 'embed', 'block'];
+
+/**
+ * Source of an expression node, on one line
+ */
+function sourceOf(text, node) {
+    return text.substring(node.start, node.end).replace(/\s+/g, ' ');
+}
+
+/**
+ * Names defined by a hash literal, e.g. the keys of `with {title: 'Hi'}`
+ */
+function hashKeys(expr) {
+    if (!expr || expr.type !== 'Hash') {
+        return [];
+    }
+    return expr.pairs
+        .filter(pair => pair.key.type === 'Literal' && pair.key.kind === 'string')
+        .map(pair => ({ name: String(pair.key.value), value: pair.value }));
+}
+
+/**
+ * Variables visible at an offset: `{% set %}` before it, loop variables of
+ * the enclosing `{% for %}` tags, macro arguments and the keys passed to
+ * `{% with %}` and `{% embed %}`. Blocks, `with` and `embed` keep what is set
+ * inside to themselves; loops only what did not exist before them, setting a
+ * variable from outside changing it after the loop too. Macros and `only`
+ * see nothing from outside.
+ * @param {object} template - Template node
+ * @param {string} text - Template source
+ * @param {number} offset - Source offset
+ * @returns {{variables: Array<{name: string, kind: string, detail: string}>, isolated: boolean}} - Innermost
+ *   definition of each name, and whether the template's own context is hidden at the offset
+ */
+export function getScopeVariables(template, text, offset) {
+    let variables = new Map();
+    let isolated = false;
+
+    function define(name, kind, detail) {
+        variables.delete(name);
+        variables.set(name, { name, kind, detail });
+    }
+
+    function inBody(node) {
+        return node.end <= offset && offset <= (node.endTag ? node.endTag.start : nodeEnd(node));
+    }
+
+    function enterScope(node) {
+        switch (node.name) {
+            case 'for': {
+                const firstBranch = (node.branches || [])[0];
+                const inElse = firstBranch && offset >= firstBranch.start;
+                const inCondition = offset < node.end && node.condition && offset >= node.condition.start;
+                if ((inBody(node) && !inElse) || inCondition) {
+                    const detail = `for ${node.targets.map(target => target.name).join(', ')} in ${node.sequence ? sourceOf(text, node.sequence) : ''}`;
+                    node.targets.forEach(target => define(target.name, 'for', detail));
+                    if (!inCondition) {
+                        define('loop', 'loop', 'loop');
+                    }
+                }
+                break;
+            }
+            case 'macro':
+                variables = new Map();
+                isolated = true;
+                if (inBody(node)) {
+                    (node.params || []).forEach(param => define(param.name, 'macro', param.default ? `${param.name} = ${sourceOf(text, param.default)}` : 'macro argument'));
+                    define('varargs', 'macro', 'extra macro arguments');
+                }
+                break;
+            case 'with':
+            case 'embed':
+                if (inBody(node)) {
+                    if (node.only) {
+                        variables = new Map();
+                        isolated = true;
+                    }
+                    hashKeys(node.variables).forEach(key => define(key.name, node.name, `${node.name} ${key.name}: ${sourceOf(text, key.value)}`));
+                }
+                break;
+        }
+    }
+
+    // `existing` is set in loops before the offset, where only the variables
+    // from outside are changed
+    function collect(nodes, existing) {
+        nodes.forEach(node => {
+            if (node.type !== 'Tag' || node.start >= offset) {
+                return;
+            }
+
+            const contains = offset <= nodeEnd(node);
+            if (node.name === 'set' && node.targets) {
+                if (!contains) {
+                    const detail = node.capture ? 'set' : `set = ${node.values.map(value => sourceOf(text, value)).join(', ')}`;
+                    node.targets
+                        .filter(target => !existing || variables.has(target.name))
+                        .forEach(target => define(target.name, 'set', detail));
+                } else if (node.capture) {
+                    collect(node.body || [], existing);
+                }
+                return;
+            }
+
+            if (SCOPE_TAGS.includes(node.name)) {
+                if (!contains) {
+                    if (node.name === 'for') {
+                        collect(node.body || [], true);
+                    }
+                    return;
+                }
+                enterScope(node);
+            }
+            // What is set in a loop body is not visible in its `else`
+            if (node.name === 'for' && node.branches && node.branches.length && offset >= node.branches[0].start) {
+                node.branches.forEach(branch => collect(branch.body || [], existing));
+                return;
+            }
+            collect(node.body || [], existing);
+            (node.branches || []).forEach(branch => collect(branch.body || [], existing));
+        });
+    }
+
+    collect(template.body);
+    return { variables: Array.from(variables.values()), isolated };
+}
+
+/**
+ * Whether a template name may refer to a file, comparing base names so that
+ * only likely references need to be resolved
+ */
+function mayReferTo(name, fileName) {
+    const baseName = fileName.split('.')[0];
+    return baseName === 'index' || name.split('/').pop().split('.')[0] === baseName;
+}
+
+/**
+ * Variables other templates pass to this one with `{% include ... with {...} %}`,
+ * `{% embed ... with {...} %}` or `include(..., {...})`
+ * @param {vscode.TextDocument} document - The included template
+ * @returns {Promise<Array<{name: string, kind: string, detail: string}>>}
+ */
+export function findPassedVariables(document) {
+    const target = document.uri.toString();
+    const fileName = document.uri.path.split('/').pop();
+    const variables = new Map();
+
+    return getIndexedTemplates().then(templates => {
+        // Names are resolved among the indexed templates rather than with a search
+        const candidates = templates.map(entry => entry.uri);
+
+        return Promise.all(templates
+            .filter(entry => entry.uri.toString() !== target)
+            .map(entry => {
+                const includes = entry.includes.filter(include => mayReferTo(include.name, fileName));
+
+                return Promise.all(includes.map(include => resolveTemplate(include.name, candidates).then(found => {
+                    if (!found.some(file => file.toString() === target)) {
+                        return;
+                    }
+                    const from = vscode.workspace.asRelativePath(entry.uri);
+                    include.keys.forEach(name => {
+                        if (!variables.has(name)) {
+                            variables.set(name, { name, kind: 'include', detail: `passed by ${from}` });
+                        }
+                    });
+                })));
+            }));
+    }).then(() => Array.from(variables.values()));
+}
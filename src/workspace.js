@@ -0,0 +1,285 @@
+import vscode from 'vscode';
+import { walk, parse, parseDocument } from './parser';
+import { getTemplateNames, getTemplateReferences, getTemplateGlob, findTemplateFiles, positionAt } from './templates';
+import { runInBatches } from './scanner';
+
+const DEFAULT_MAX_FILES = 10000;
+const EXCLUDED_PATH = /\/(?:node_modules|vendor)\//;
+
+let entries = new Map();
+let building = null;
+// Incremented by each build, so that a build replaced by a newer one stops
+let generation = 0;
+// Incremented by each change of the index, for what is cached from it
+let version = 0;
+let statusItem = null;
+let watcher = null;
+
+/**
+ * Keys of a hash literal, e.g. the variables of `with {title: 'Hi'}`
+ */
+function hashKeys(expr) {
+    if (!expr || expr.type !== 'Hash') {
+        return [];
+    }
+    return expr.pairs
+        .filter(pair => pair.key.type === 'Literal' && pair.key.kind === 'string')
+        .map(pair => String(pair.key.value));
+}
+
+/**
+ * Templates included with a hash of variables, see findPassedVariables()
+ */
+function getIncludes(template) {
+    const includes = [];
+
+    walk(template, node => {
+        if (node.type === 'Tag' && (node.name === 'include' || node.name === 'embed') && node.variables) {
+            getTemplateNames(node.template).forEach(name => includes.push({ name, keys: hashKeys(node.variables) }));
+        } else if (node.type === 'Call' && node.callee.type === 'Name' && node.callee.name === 'include') {
+            const positional = node.arguments.filter(arg => arg.type !== 'NamedArgument');
+            const named = name => node.arguments.find(arg => arg.type === 'NamedArgument' && arg.name === name);
+            const templateArg = named('template') ? named('template').value : positional[0];
+            const variablesArg = named('variables') ? named('variables').value : positional[1];
+            if (variablesArg) {
+                getTemplateNames(templateArg).forEach(name => includes.push({ name, keys: hashKeys(variablesArg) }));
+            }
+        }
+    });
+
+    return includes;
+}
+
+/**
+ * Summary of a template kept in the index. Only names and ranges are kept,
+ * not the source or the syntax tree, so that the index stays small.
+ * @param {vscode.Uri} uri - Template file
+ * @param {string} text - Template source
+ * @param {object} template - Template node
+ * @returns {{uri: vscode.Uri, blocks: Array, uses: boolean, macros: Array, imports: Array, references: Array, sets: string[], includes: Array}}
+ */
+export function summarizeTemplate(uri, text, template) {
+    const range = node => new vscode.Range(positionAt(text, node.start), positionAt(text, node.end));
+    const blocks = [];
+    const macros = [];
+    const imports = [];
+    const sets = new Set();
+    let uses = false;
+
+    walk(template, node => {
+        if (node.type !== 'Tag') {
+            return;
+        }
+        if (node.name === 'block' && node.blockName) {
+            blocks.push({ name: node.blockName.name, range: range(node.blockName) });
+        } else if (node.name === 'macro' && node.macroName) {
+            macros.push({ name: node.macroName.name, range: range(node.macroName) });
+        } else if (node.name === 'import' || node.name === 'from') {
+            const self = node.template && node.template.type === 'Name' && node.template.name === '_self';
+            imports.push({ kind: node.name, names: self ? ['_self'] : getTemplateNames(node.template) });
+        } else if (node.name === 'use') {
+            uses = true;
+        } else if (node.name === 'set' && node.targets) {
+            node.targets.forEach(target => sets.add(target.name));
+        }
+    });
+
+    return {
+        uri,
+        blocks,
+        uses,
+        macros,
+        imports,
+        references: getTemplateReferences(template).map(reference => ({ kind: reference.kind, name: reference.name, range: range(reference) })),
+        sets: Array.from(sets),
+        includes: getIncludes(template)
+    };
+}
+
+function isIndexed(uri) {
+    return uri.scheme === 'file' && !EXCLUDED_PATH.test(uri.path);
+}
+
+function getMaxFiles() {
+    return vscode.workspace.getConfiguration('twig-language-2').get('indexMaxFiles', DEFAULT_MAX_FILES);
+}
+
+/**
+ * Add or refresh a file, from its editor when it is open
+ * @param {vscode.Uri} uri - Template file
+ * @param {Map} [index] - Index to update, the current one by default
+ */
+function indexFile(uri, index) {
+    const target = index || entries;
+    const key = uri.toString();
+    const document = vscode.workspace.textDocuments.find(doc => doc.uri.toString() === key);
+    if (document) {
+        target.set(key, summarizeTemplate(uri, document.getText(), parseDocument(document)));
+        return Promise.resolve();
+    }
+
+    return Promise.resolve(vscode.workspace.fs.readFile(uri)).then(content => {
+        const text = Buffer.from(content).toString('utf8');
+        target.set(key, summarizeTemplate(uri, text, parse(text)));
+    }, () => {
+        target.delete(key);
+    });
+}
+
+function showProgress(done, total) {
+    if (!statusItem) {
+        return;
+    }
+    if (done >= total) {
+        statusItem.hide();
+        return;
+    }
+    statusItem.text = `$(sync~spin) Indexing Twig templates ${done}/${total}`;
+    statusItem.show();
+}
+
+/**
+ * Index every template of the workspace, in batches. At most `indexMaxFiles`
+ * files are indexed; the rest are left out with a warning in the status bar.
+ * The new index replaces the current one once complete, unless a newer build
+ * started in the meantime, which stops this one.
+ */
+function buildIndex() {
+    const current = ++generation;
+    const built = new Map();
+
+    return Promise.resolve(findTemplateFiles()).then(found => {
+        const uris = found.filter(isIndexed);
+        const indexed = uris.slice(0, getMaxFiles());
+
+        return runInBatches(indexed, uri => indexFile(uri, built), {
+            onProgress: showProgress,
+            isCancelled: () => current !== generation
+        }).then(() => {
+            if (current !== generation) {
+                return;
+            }
+            entries = built;
+            version++;
+            if (statusItem && uris.length > indexed.length) {
+                statusItem.text = `$(warning) Twig: ${indexed.length} of ${uris.length} templates indexed`;
+                statusItem.tooltip = 'Raise "twig-language-2.indexMaxFiles" to index every template';
+                statusItem.show();
+            }
+        });
+    }).then(null, () => {
+        if (current === generation) {
+            entries = new Map();
+            version++;
+        }
+    });
+}
+
+function rebuild() {
+    building = buildIndex();
+    return building;
+}
+
+/**
+ * Summaries of every template of the workspace. The index is built on first
+ * use and kept up to date by the watchers set up in initializeIndex().
+ * @returns {Promise<Array<object>>} - Template summaries, see summarizeTemplate()
+ */
+export function getIndexedTemplates() {
+    return (building || rebuild()).then(() => Array.from(entries.values()));
+}
+
+/**
+ * Version of the index, changing whenever a template is indexed again, added
+ * or removed
+ * @returns {number}
+ */
+export function getIndexVersion() {
+    return version;
+}
+
+/**
+ * Refresh a file once the index is built. Files beyond `indexMaxFiles` are
+ * left out, as when building it.
+ */
+function update(uri) {
+    if (building && isIndexed(uri)) {
+        building = building.then(() => {
+            if (entries.has(uri.toString()) || entries.size < getMaxFiles()) {
+                return indexFile(uri).then(() => {
+                    version++;
+                });
+            }
+        });
+    }
+}
+
+/**
+ * Watch the templates, with the patterns of the current `files.associations`
+ */
+function watchTemplates() {
+    if (watcher) {
+        watcher.dispose();
+    }
+    watcher = vscode.workspace.createFileSystemWatcher(getTemplateGlob());
+    watcher.onDidCreate(update);
+    watcher.onDidChange(uri => {
+        // Open templates are indexed as they are edited
+        if (!vscode.workspace.textDocuments.some(doc => doc.uri.toString() === uri.toString())) {
+            update(uri);
+        }
+    });
+    watcher.onDidDelete(uri => {
+        if (entries.delete(uri.toString())) {
+            version++;
+        }
+    });
+}
+
+/**
+ * Start indexing the workspace, and keep the index in sync with edits and
+ * with files created, changed or deleted on disk
+ * @param {vscode.ExtensionContext} context - Extension context
+ */
+export function initializeIndex(context) {
+    statusItem = vscode.window.createStatusBarItem(vscode.StatusBarAlignment.Left);
+    context.subscriptions.push(statusItem);
+
+    watchTemplates();
+    context.subscriptions.push({ dispose: () => watcher.dispose() });
+
+    // Re-index edited templates (debounced)
+    const timeouts = new Map();
+    vscode.workspace.onDidChangeTextDocument((event) => {
+        const key = event.document.uri.toString();
+        if (event.document.languageId === 'twig' && entries.has(key)) {
+            clearTimeout(timeouts.get(key));
+            timeouts.set(key, setTimeout(() => {
+                timeouts.delete(key);
+                update(event.document.uri);
+            }, 300));
+        }
+    }, null, context.subscriptions);
+
+    // Unsaved edits are dropped from the index when their editor is closed
+    vscode.workspace.onDidCloseTextDocument((document) => {
+        if (entries.has(document.uri.toString())) {
+            update(document.uri);
+        }
+    }, null, context.subscriptions);
+
+    vscode.workspace.onDidChangeConfiguration((event) => {
+        if (event.affectsConfiguration('files.associations')) {
+            watchTemplates();
+        }
+        if (event.affectsConfiguration('twig-language-2.indexMaxFiles') || event.affectsConfiguration('files.associations')) {
+            rebuild();
+        }
+    }, null, context.subscriptions);
+
+    vscode.workspace.onDidChangeWorkspaceFolders(() => {
+        rebuild();
+    }, null, context.subscriptions);
+
+    getIndexedTemplates();
+}
@@ -0,0 +1,63 @@
+/* eslint-env mocha */
+import assert from 'assert';
+import { setConfiguration, createDocument, DiagnosticSeverity } from './vscode';
+import { parse } from '../src/parser';
+import { validateNames } from '../src/diagnostics';
+
+function validate(text) {
+    const diagnostics = [];
+    validateNames(createDocument(text), parse(text), diagnostics);
+    return diagnostics;
+}
+
+describe('validateNames', () => {
+    beforeEach(() => setConfiguration({}));
+
+    it('accepts the core tags, filters, functions and tests', () => {
+        const text = '{% for item in items|sort %}{{ item.name|upper|e("html") }}{% if item is defined and loop.last %}{{ range(1, 3)|join(", ") }}{% endif %}{% endfor %}';
+        assert.deepStrictEqual(validate(text), []);
+    });
+
+    it('reports unknown names with the closest known ones', () => {
+        const diagnostics = validate('{{ title|uppper }}{{ incldue("x") }}');
+        assert.deepStrictEqual(diagnostics.map(diagnostic => diagnostic.message), [
+            'Unknown "uppper" filter. Did you mean "upper"?',
+            'Unknown "incldue" function. Did you mean "include"?'
+        ]);
+        assert.ok(diagnostics.every(diagnostic => diagnostic.severity === DiagnosticSeverity.Warning));
+        assert.deepStrictEqual([diagnostics[0].range.start.character, diagnostics[0].range.end.character], [9, 15]);
+    });
+
+    it('reports unknown tags but not closing and branch tags', () => {
+        assert.deepStrictEqual(validate('{% if a %}{% else %}{% endif %}'), []);
+        assert.strictEqual(validate('{% iff a %}').length, 1);
+    });
+
+    it('reports names of another framework than the profile', () => {
+        const [diagnostic] = validate('{% nav item in items %}{% endnav %}');
+        assert.ok(/^"nav" is a Craft CMS tag, not available with the Twig profile/.test(diagnostic.message), diagnostic.message);
+
+        setConfiguration({ 'twig-language-2.framework': 'craft' });
+        assert.deepStrictEqual(validate('{% nav item in items %}{% endnav %}'), []);
+    });
+
+    it('leaves functions shadowed by imported macros alone', () => {
+        assert.deepStrictEqual(validate('{% from "forms.twig" import field %}{{ field("name") }}'), []);
+    });
+
+    it('reports tags removed or deprecated in the configured Twig version', () => {
+        const [removed] = validate('{% spaceless %}{% endspaceless %}');
+        assert.strictEqual(removed.message, 'The "spaceless" tag was removed in Twig 3.0, use {% apply spaceless %} instead');
+        assert.strictEqual(removed.severity, DiagnosticSeverity.Error);
+
+        setConfiguration({ 'twig-language-2.twigVersion': '2.12' });
+        const [deprecated] = validate('{% spaceless %}{% endspaceless %}');
+        assert.strictEqual(deprecated.message, 'The "spaceless" tag is deprecated since Twig 2.7, use {% apply spaceless %} instead');
+        assert.strictEqual(deprecated.severity, DiagnosticSeverity.Warning);
+    });
+
+    it('does not report unknown names when unknownNames is off', () => {
+        setConfiguration({ 'twig-language-2.unknownNames': false });
+        assert.deepStrictEqual(validate('{{ title|uppper }}'), []);
+    });
+});
@@ -0,0 +1,74 @@
+/* eslint-env mocha */
+import assert from 'assert';
+import { formatTwig } from '../src/formatter';
+
+// js-beautify options as the extension builds them with the default settings
+const OPTIONS = {
+    indent_size: 4,
+    indent_char: ' ',
+    indent_with_tabs: false,
+    max_preserve_newlines: 2,
+    preserve_newlines: true,
+    wrap_line_length: 0,
+    wrap_attributes: 'auto',
+    wrap_attributes_indent_size: 4,
+    end_with_newline: false,
+    indent_inner_html: true,
+    indent_body_inner_html: true,
+    indent_head_inner_html: true,
+    indent_handlebars: true,
+    indent_scripts: 'normal',
+    unformatted: ['code', 'pre', 'textarea'],
+    content_unformatted: ['pre', 'textarea'],
+    extra_liners: ['head', 'body', '/html'],
+    inline: [],
+    void_elements: [],
+    templating: ['auto']
+};
+
+const format = (source, settings) => formatTwig(source, OPTIONS, settings);
+
+const TEMPLATES = {
+    'nested tags and elements': '<ul>\n{% for item in items %}\n<li>{% if item.active %}<b>{{ item.title }}</b>{% else %}{{ item.title }}{% endif %}</li>\n{% endfor %}\n</ul>',
+    'blocks and inheritance': '{% extends "base.html.twig" %}\n{% block body %}\n<main>\n{% block content %}{% endblock %}\n</main>\n{% endblock %}',
+    'branches opening elements': '{% if wide %}\n<div class="wide">\n{% else %}\n<div>\n{% endif %}\n<p>{{ text }}</p>\n</div>',
+    'one-line tag pairs': '{% for item in items %}\n{% if loop.first %}<ul>{% endif %}\n<li>{{ item }}</li>\n{% if loop.last %}</ul>{% endif %}\n{% endfor %}',
+    'multi-line tags and comments': '{# A comment #}\n<div>\n{% set config = {\n    title: "Hi",\n    items: [1, 2]\n} %}\n{{ config.title }}\n</div>',
+    'scripts and styles': '<style>\n.a{color:red}\n</style>\n<script>\nconst a = {{ data|json_encode|raw }};\n</script>',
+    verbatim: '{% verbatim %}\n  {{ kept as is }}\n{% endverbatim %}',
+    'switch and case': '{% switch type %}\n{% case "a" %}\n<p>A</p>\n{% default %}\n<p>Other</p>\n{% endswitch %}'
+};
+
+describe('formatTwig', () => {
+    Object.keys(TEMPLATES).forEach(name => {
+        it(`is idempotent: ${name}`, () => {
+            const formatted = format(TEMPLATES[name]);
+            assert.strictEqual(format(formatted), formatted);
+        });
+    });
+
+    it('indents markup inside Twig tags', () => {
+        assert.strictEqual(
+            format('<div>\n{% if a %}\n<p>x</p>\n{% endif %}\n</div>'),
+            '<div>\n    {% if a %}\n        <p>x</p>\n    {% endif %}\n</div>'
+        );
+    });
+
+    it('keeps a one-line tag pair on its line', () => {
+        const formatted = format(TEMPLATES['one-line tag pairs']);
+        assert.ok(formatted.includes('{% if loop.last %}</ul>{% endif %}'), formatted);
+    });
+
+    it('spaces the inside of Twig delimiters', () => {
+        assert.strictEqual(format('{{foo|upper}}{%if x%}{{a+b}}{%endif%}'), '{{ foo|upper }}{% if x %}{{ a + b }}{% endif %}');
+    });
+
+    it('spaces string interpolations like hashes', () => {
+        assert.strictEqual(format('{{ "#{ name|upper }" }}'), '{{ "#{name|upper}" }}');
+        assert.strictEqual(format('{{ "#{name}" }}', { bracePadding: true }), '{{ "#{ name }" }}');
+    });
+
+    it('leaves verbatim blocks alone', () => {
+        assert.ok(format(TEMPLATES.verbatim).includes('\n  {{ kept as is }}\n'));
+    });
+});
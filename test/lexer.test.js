@@ -0,0 +1,62 @@
+/* eslint-env mocha */
+import assert from 'assert';
+import { tokenize, TokenType } from '../src/lexer';
+
+const summarize = tokens => tokens.map(token => [token.type, token.value]);
+
+describe('tokenize', () => {
+    it('splits text, output, tags and comments', () => {
+        const { tokens, errors } = tokenize('a{{ name|upper }}{# note #}{% if x %}b{% endif %}');
+        assert.deepStrictEqual(summarize(tokens), [
+            [TokenType.TEXT, 'a'],
+            [TokenType.VAR_START, '{{'],
+            [TokenType.NAME, 'name'],
+            [TokenType.PUNCTUATION, '|'],
+            [TokenType.NAME, 'upper'],
+            [TokenType.VAR_END, '}}'],
+            [TokenType.COMMENT, ' note '],
+            [TokenType.BLOCK_START, '{%'],
+            [TokenType.NAME, 'if'],
+            [TokenType.NAME, 'x'],
+            [TokenType.BLOCK_END, '%}'],
+            [TokenType.TEXT, 'b'],
+            [TokenType.BLOCK_START, '{%'],
+            [TokenType.NAME, 'endif'],
+            [TokenType.BLOCK_END, '%}'],
+            [TokenType.EOF, '']
+        ]);
+        assert.deepStrictEqual(errors, []);
+    });
+
+    it('keeps source offsets', () => {
+        const source = 'Hi {{ user.name }}';
+        tokenize(source).tokens.filter(token => token.type !== TokenType.EOF).forEach(token => {
+            assert.ok(source.substring(token.start, token.end).includes(token.value), token.type);
+        });
+    });
+
+    it('reads operators, longest first', () => {
+        const { tokens } = tokenize('{{ a <=> b and c not in d }}');
+        const operators = tokens.filter(token => token.type === TokenType.OPERATOR).map(token => token.value);
+        assert.deepStrictEqual(operators, ['<=>', 'and', 'not in']);
+    });
+
+    it('splits interpolated strings into parts', () => {
+        const string = tokenize('{{ "a#{b}c" }}').tokens.find(token => token.type === TokenType.STRING);
+        assert.strictEqual(string.quote, '"');
+        assert.deepStrictEqual(string.parts.map(part => part.type), ['string', 'interpolation', 'string']);
+        assert.deepStrictEqual(summarize(string.parts[1].tokens), [[TokenType.NAME, 'b']]);
+    });
+
+    it('does not interpolate single-quoted strings', () => {
+        const string = tokenize('{{ \'#{b}\' }}').tokens.find(token => token.type === TokenType.STRING);
+        assert.strictEqual(string.value, '#{b}');
+        assert.ok(!string.parts || string.parts.every(part => part.type === 'string'));
+    });
+
+    it('reports unclosed strings and tags without throwing', () => {
+        const { tokens, errors } = tokenize('{{ "x');
+        assert.strictEqual(tokens[tokens.length - 1].type, TokenType.EOF);
+        assert.deepStrictEqual(errors.map(error => error.message), ['Unclosed string', 'Unclosed "{{"']);
+    });
+});
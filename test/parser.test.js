@@ -0,0 +1,62 @@
+/* eslint-env mocha */
+import assert from 'assert';
+import { parse, maskTwig, findNodePath } from '../src/parser';
+
+describe('parse', () => {
+    it('builds paired tags with their branches and end tag', () => {
+        const template = parse('{% if a %}x{% elseif b %}y{% else %}z{% endif %}');
+        const tag = template.body[0];
+        assert.strictEqual(tag.type, 'Tag');
+        assert.strictEqual(tag.name, 'if');
+        assert.deepStrictEqual(tag.body.map(node => node.type), ['Text']);
+        assert.deepStrictEqual(tag.branches.map(branch => branch.name), ['elseif', 'else']);
+        assert.strictEqual(tag.endTag.name, 'endif');
+        assert.strictEqual(tag.outerEnd, 48);
+        assert.deepStrictEqual(template.errors, []);
+    });
+
+    it('reads loop targets, sequences and conditions', () => {
+        const tag = parse('{% for key, value in items if value %}{{ value }}{% endfor %}').body[0];
+        assert.deepStrictEqual(tag.targets.map(target => target.name), ['key', 'value']);
+        assert.strictEqual(tag.sequence.type, 'Name');
+        assert.ok(tag.condition);
+        assert.deepStrictEqual(tag.body.map(node => node.type), ['Print']);
+    });
+
+    it('parses filters, tests and calls in expressions', () => {
+        const types = [];
+        const visit = node => {
+            if (node && typeof node === 'object') {
+                if (node.type) {
+                    types.push(node.type);
+                }
+                Object.keys(node).forEach(key => key !== 'parent' && visit(node[key]));
+            }
+        };
+        visit(parse('{{ items|join(", ") }}{% if x is defined %}{{ range(1, 3) }}{% endif %}').body);
+        ['Filter', 'Test', 'Call', 'Literal'].forEach(type => assert.ok(types.includes(type), type));
+    });
+
+    it('reports unclosed and unexpected tags', () => {
+        assert.deepStrictEqual(parse('{% if a %}').errors.map(error => error.message), ['Unclosed "if" tag, expected "{% endif %}"']);
+        assert.strictEqual(parse('{% endfor %}').errors.length, 1);
+        assert.strictEqual(parse('{% block a %}{% endblock b %}').errors.length, 1);
+    });
+
+    it('finds the nodes around an offset', () => {
+        const source = '{% block a %}{% for i in items %}{{ i }}{% endfor %}{% endblock %}';
+        const path = findNodePath(parse(source), source.indexOf('i }}'));
+        assert.deepStrictEqual(path.filter(node => node.type === 'Tag').map(node => node.name), ['block', 'for']);
+    });
+});
+
+describe('maskTwig', () => {
+    it('blanks Twig and keeps the offsets', () => {
+        const source = '<a href="{{ url }}">{% if a %}x{% endif %}</a>';
+        const masked = maskTwig(source, parse(source));
+        assert.strictEqual(masked.length, source.length);
+        assert.ok(!/[{}%]/.test(masked));
+        assert.ok(masked.startsWith('<a href="'));
+        assert.ok(masked.endsWith('</a>'));
+    });
+});
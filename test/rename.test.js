@@ -0,0 +1,58 @@
+/* eslint-env mocha */
+import assert from 'assert';
+import { parse } from '../src/parser';
+import { findVariableScope } from '../src/rename';
+
+/**
+ * Scope of the variable at the n-th occurrence of a marker, as the name of
+ * its tag (`template` for the template itself) and whether it is a loop target
+ */
+function scopeAt(source, name, marker, occurrence = 0) {
+    let offset = -1;
+    for (let i = 0; i <= occurrence; i++) {
+        offset = source.indexOf(marker, offset + 1);
+    }
+    const scope = findVariableScope(parse(source), name, offset);
+    return scope && { tag: scope.node.type === 'Template' ? 'template' : scope.node.name, loop: scope.loop };
+}
+
+describe('findVariableScope', () => {
+    it('finds variables set in the template', () => {
+        assert.deepStrictEqual(scopeAt('{% set title = "Hi" %}{{ title }}', 'title', 'title }}'), { tag: 'template', loop: false });
+    });
+
+    it('finds loop targets', () => {
+        assert.deepStrictEqual(scopeAt('{% for item in items %}{{ item }}{% endfor %}', 'item', 'item }}'), { tag: 'for', loop: true });
+    });
+
+    it('keeps variables set again in a loop in their outer scope', () => {
+        const source = '{% set total = 0 %}{% for i in items %}{% set total = total + i %}{% endfor %}{{ total }}';
+        assert.deepStrictEqual(scopeAt(source, 'total', 'total + i'), { tag: 'template', loop: false });
+        assert.deepStrictEqual(scopeAt(source, 'total', 'total }}'), { tag: 'template', loop: false });
+    });
+
+    it('keeps variables first set in a loop in the loop', () => {
+        const source = '{% for i in items %}{% set row = i %}{{ row }}{% endfor %}';
+        assert.deepStrictEqual(scopeAt(source, 'row', 'row }}'), { tag: 'for', loop: false });
+    });
+
+    it('keeps loop targets set again in a nested loop in the outer loop', () => {
+        const source = '{% for x in a %}{% for y in b %}{% set x = y %}{% endfor %}{% endfor %}';
+        assert.deepStrictEqual(scopeAt(source, 'x', 'x = y'), { tag: 'for', loop: true });
+    });
+
+    it('gives blocks and with their own variables', () => {
+        const source = '{% set x = 1 %}{% block b %}{% set x = 2 %}{{ x }}{% endblock %}{% with %}{% set x = 3 %}{{ x }}{% endwith %}';
+        assert.deepStrictEqual(scopeAt(source, 'x', 'x }}', 0), { tag: 'block', loop: false });
+        assert.deepStrictEqual(scopeAt(source, 'x', 'x }}', 1), { tag: 'with', loop: false });
+    });
+
+    it('finds no scope for macro arguments and context variables', () => {
+        assert.strictEqual(scopeAt('{% macro field(name) %}{{ name }}{% endmacro %}', 'name', 'name }}'), null);
+        assert.strictEqual(scopeAt('{{ user }}', 'user', 'user'), null);
+    });
+
+    it('does not look outside of macros', () => {
+        assert.strictEqual(scopeAt('{% set x = 1 %}{% macro m() %}{{ x }}{% endmacro %}', 'x', 'x }}'), null);
+    });
+});
@@ -0,0 +1,27 @@
+import fs from 'fs';
+import path from 'path';
+import json from '@rollup/plugin-json';
+
+// The tests import the modules of src/ like the extension does, with `vscode`
+// replaced by the stand-in of test/vscode.js
+const VSCODE_STUB = path.resolve('test/vscode.js');
+
+export default {
+    input: fs.readdirSync('test').filter(file => file.endsWith('.test.js')).map(file => `test/${file}`),
+    output: {
+        dir: 'test/out',
+        format: 'cjs'
+    },
+    external: ['assert', 'js-beautify', 'vscode-html-languageservice', 'vscode-css-languageservice', 'vscode-languageserver-textdocument'],
+    plugins: [
+        {
+            name: 'vscode-stub',
+            resolveId: id => id === 'vscode' ? VSCODE_STUB : null
+        },
+        json({
+            exclude: ['node_modules/**'],
+            preferConst: true,
+            compact: true
+        })
+    ]
+};
@@ -0,0 +1,106 @@
+/**
+ * Stand-in for the parts of the VS Code API the tested modules use, so that
+ * they run in plain Node. Settings are changed with setConfiguration(), and
+ * createDocument() makes a text document out of a string.
+ */
+
+let settings = {};
+
+export class Position {
+    constructor(line, character) {
+        this.line = line;
+        this.character = character;
+    }
+}
+
+export class Range {
+    constructor(start, end, endLine, endCharacter) {
+        this.start = typeof start === 'number' ? new Position(start, end) : start;
+        this.end = typeof start === 'number' ? new Position(endLine, endCharacter) : end;
+    }
+}
+
+export class Diagnostic {
+    constructor(range, message, severity) {
+        this.range = range;
+        this.message = message;
+        this.severity = severity;
+    }
+}
+
+export const DiagnosticSeverity = { Error: 0, Warning: 1, Information: 2, Hint: 3 };
+
+export const DiagnosticTag = { Unnecessary: 1, Deprecated: 2 };
+
+export class EventEmitter {
+    constructor() {
+        this.listeners = [];
+        this.event = listener => {
+            this.listeners.push(listener);
+            return { dispose: () => this.listeners.splice(this.listeners.indexOf(listener), 1) };
+        };
+    }
+
+    fire(data) {
+        this.listeners.slice().forEach(listener => listener(data));
+    }
+
+    dispose() {
+        this.listeners = [];
+    }
+}
+
+export const Uri = {
+    file: path => ({ scheme: 'file', path, fsPath: path, toString: () => `file://${path}` })
+};
+
+export const workspace = {
+    textDocuments: [],
+    workspaceFolders: [],
+    getConfiguration(section) {
+        return {
+            get: (key, defaultValue) => {
+                const value = settings[`${section}.${key}`];
+                return value === undefined ? defaultValue : value;
+            }
+        };
+    }
+};
+
+/**
+ * Replace the settings, e.g. `{'twig-language-2.framework': 'symfony'}`
+ * @param {object} values - Values by full setting name
+ */
+export function setConfiguration(values) {
+    settings = Object.assign({}, values);
+}
+
+/**
+ * Text document of a template
+ * @param {string} text - Content
+ * @param {string} [path] - File path
+ * @returns {object}
+ */
+export function createDocument(text, path = '/workspace/templates/test.twig') {
+    const lineStarts = [0];
+    for (let i = text.indexOf('\n'); i !== -1; i = text.indexOf('\n', i + 1)) {
+        lineStarts.push(i + 1);
+    }
+
+    return {
+        uri: Uri.file(path),
+        languageId: 'twig',
+        version: 1,
+        getText: () => text,
+        positionAt(offset) {
+            let line = 0;
+            while (line + 1 < lineStarts.length && lineStarts[line + 1] <= offset) {
+                line++;
+            }
+            return new Position(line, offset - lineStarts[line]);
+        },
+        offsetAt: position => lineStarts[position.line] + position.character
+    };
+}
+
+export default { Position, Range, Diagnostic, DiagnosticSeverity, DiagnosticTag, EventEmitter, Uri, workspace };